@@ -5,19 +5,29 @@
 
 goog.provide('acgraph');
 goog.require('acgraph.compatibility');
+goog.require('acgraph.events.dragConstraints');
+goog.require('acgraph.utils.SvgImporter');
 goog.require('acgraph.vector');
 goog.require('acgraph.vector.Circle');
 goog.require('acgraph.vector.Clip');
 goog.require('acgraph.vector.Ellipse');
+goog.require('acgraph.vector.FontMetrics');
 goog.require('acgraph.vector.HatchFill');
 goog.require('acgraph.vector.Image');
 goog.require('acgraph.vector.Layer');
+goog.require('acgraph.vector.Mask');
 goog.require('acgraph.vector.Path');
+goog.require('acgraph.vector.PathInterpolator');
 goog.require('acgraph.vector.PatternFill');
 goog.require('acgraph.vector.Rect');
 goog.require('acgraph.vector.Renderer');
 goog.require('acgraph.vector.Text');
+goog.require('acgraph.vector.Transformer');
 goog.require('acgraph.vector.UnmanagedLayer');
+goog.require('acgraph.vector.canvas.Renderer');
+goog.require('acgraph.vector.canvas.Stage');
+goog.require('acgraph.vector.headless.Renderer');
+goog.require('acgraph.vector.headless.Stage');
 goog.require('acgraph.vector.primitives');
 goog.require('acgraph.vector.svg.Renderer');
 goog.require('acgraph.vector.svg.Stage');
@@ -119,7 +129,21 @@ acgraph.StageType = {
    It is used as an alternative for SVG because SVG is not supported by IE.<br/>
    See more at <a href="http://en.wikipedia.org/wiki/Vector_Markup_Language" target="_blank">Wiki Page</a>
    */
-  VML: 'vml'
+  VML: 'vml',
+
+  /**
+   A raster drawing technology that paints all elements on a single HTML5 canvas element.
+   It can be used instead of SVG to draw a huge number of elements. It is never chosen automatically,
+   pass it to {@link acgraph.create} to get a canvas stage.<br/>
+   See more at <a href="http://en.wikipedia.org/wiki/Canvas_element" target="_blank">Wiki Page</a>
+   */
+  CANVAS: 'canvas',
+
+  /**
+   SVG markup building that needs no browser DOM. It is used to generate SVG images on a server (Node.js).
+   It is never chosen automatically, pass it to {@link acgraph.create} to get a headless stage.
+   */
+  HEADLESS: 'headless'
 };
 
 
@@ -179,10 +203,17 @@ acgraph.getRenderer = function() {
  * It can be defined later, for example while rendering.
  * @param {(string|number)=} opt_width The width of a Stage object in pixels.
  * @param {(string|number)=} opt_height The height of a Stage object in pixels.
+ * @param {acgraph.StageType=} opt_type Stage type. Only {@link acgraph.StageType.CANVAS} and
+ * {@link acgraph.StageType.HEADLESS} can be chosen explicitly, by default the type supported by the current browser
+ * is used. Headless stage ignores the container.
  * @return {!acgraph.vector.Stage} A Stage object for cross-browser drawing with a common interface for
  * all supported technologies.
  */
-acgraph.create = function(opt_container, opt_width, opt_height) {
+acgraph.create = function(opt_container, opt_width, opt_height, opt_type) {
+  if (opt_type == acgraph.StageType.CANVAS)
+    return new acgraph.vector.canvas.Stage(opt_container, opt_width, opt_height);
+  if (opt_type == acgraph.StageType.HEADLESS)
+    return new acgraph.vector.headless.Stage(opt_width, opt_height);
   return (acgraph.type_ == acgraph.StageType.VML) ?
       new acgraph.vector.vml.Stage(opt_container, opt_width, opt_height) :
       new acgraph.vector.svg.Stage(opt_container, opt_width, opt_height);
@@ -203,7 +234,9 @@ acgraph.exportServer = '//export.anychart.com';
 
 /**
  Sets and returns an address export server script, which is used to export to an image
- or PDF.
+ or PDF.<br/>
+ If the address is empty, PNG and JPG images are rendered in the browser (see {@link acgraph.vector.Stage#rasterize})
+ and PDF documents are written in the browser (see {@link acgraph.vector.Stage#toPdf}).
  @see acgraph.vector.Stage#saveAsPdf
  @see acgraph.vector.Stage#saveAsPng
  @see acgraph.vector.Stage#saveAsJpg
@@ -436,6 +469,27 @@ acgraph.clip = function(opt_leftOrShape, opt_top, opt_width, opt_height) {
 };
 
 
+/**
+ Creates an instance of the {@link acgraph.vector.Mask} class.
+ @param {(acgraph.vector.Layer|acgraph.vector.Shape)=} opt_element Mask content.
+ @param {(acgraph.vector.MaskType|string)=} opt_type Mask type, 'luminance' by default.
+ @return {!acgraph.vector.Mask} The instance of the {@link acgraph.vector.Mask} class.
+ */
+acgraph.mask = function(opt_element, opt_type) {
+  return new acgraph.vector.Mask(null, opt_element, opt_type);
+};
+
+
+/**
+ Creates an instance of the {@link acgraph.vector.Transformer} class.
+ @param {(acgraph.vector.Element|Array.<acgraph.vector.Element>)=} opt_elements Elements to transform.
+ @return {!acgraph.vector.Transformer} The instance of the {@link acgraph.vector.Transformer} class.
+ */
+acgraph.transformer = function(opt_elements) {
+  return new acgraph.vector.Transformer(opt_elements);
+};
+
+
 /**
  * Creates an instance ot the {@link acgraph.vector.UnmanagedLayer} class.
  * @param {string|Element=} opt_content Layer content.
@@ -446,6 +500,21 @@ acgraph.unmanagedLayer = function(opt_content) {
 };
 
 
+/**
+ Imports SVG document as a tree of GraphicsJS elements.<br/>
+ Supported SVG elements are svg, g, a, rect, circle, ellipse, line, polyline, polygon, path, text with tspans
+ and image. Fills and strokes (including linear and radial gradients), clip paths and transform attributes are converted
+ to the corresponding settings of the elements. Other elements are imported as {@link acgraph.vector.UnmanagedLayer}.<br/>
+ <strong>Note:</strong> CSS stylesheets are not applied, only presentation and style attributes are read.
+ @param {string|Element} svgStringOrElement SVG markup or SVG DOM element to import.
+ @param {acgraph.vector.ILayer=} opt_layer Layer (or stage) to add imported elements to.
+ @return {!acgraph.vector.Layer} The layer containing imported elements.
+ */
+acgraph.importSvg = function(svgStringOrElement, opt_layer) {
+  return new acgraph.utils.SvgImporter(svgStringOrElement).importTo(opt_layer);
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 // Reference to url(). For <base> bug.
@@ -468,6 +537,24 @@ acgraph.useAbsoluteReferences = function(opt_value) {
 };
 
 
+/**
+ Getter/setter for font metrics texts of all stages are measured with. By default, texts are measured with
+ the browser DOM, while headless stages use metrics of Helvetica.<br/>
+ Set font metrics to measure texts with width tables of fonts (like ones taken from AFM or TTF files),
+ for example, to get the same text layout in the browser and on the server.
+ @param {acgraph.vector.FontMetrics=} opt_value Font metrics or null to measure texts with the DOM again.
+ @return {acgraph.vector.FontMetrics} Current font metrics.
+ */
+acgraph.fontMetrics = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    acgraph.getRenderer().fontMetrics(opt_value);
+    acgraph.vector.canvas.Renderer.getInstance().fontMetrics(opt_value);
+    acgraph.vector.headless.Renderer.getInstance().fontMetrics(opt_value);
+  }
+  return /** @type {acgraph.vector.FontMetrics} */ (acgraph.getRenderer().fontMetrics());
+};
+
+
 /**
  * Cached reference value.
  * @type {string|undefined}
@@ -489,7 +576,8 @@ acgraph.getReference = function() {
       !goog.userAgent.isVersionOrHigher('10')) return acgraph.getReferenceValue_ = '';
 
   return acgraph.getReferenceValue_ = acgraph.compatibility.USE_ABSOLUTE_REFERENCES ||
-      (goog.isNull(acgraph.compatibility.USE_ABSOLUTE_REFERENCES) && goog.dom.getElementsByTagNameAndClass('base').length) ?
+      (goog.isNull(acgraph.compatibility.USE_ABSOLUTE_REFERENCES) && goog.global['document'] &&
+      goog.dom.getElementsByTagNameAndClass('base').length) ?
           window.location.origin + window.location.pathname + window.location.search :
           '';
 };
@@ -540,6 +628,8 @@ goog.exportSymbol('acgraph.type', acgraph.type);
 goog.exportSymbol('acgraph.server', acgraph.server);
 goog.exportSymbol('acgraph.StageType.SVG', acgraph.StageType.SVG);
 goog.exportSymbol('acgraph.StageType.VML', acgraph.StageType.VML);
+goog.exportSymbol('acgraph.StageType.CANVAS', acgraph.StageType.CANVAS);
+goog.exportSymbol('acgraph.StageType.HEADLESS', acgraph.StageType.HEADLESS);
 goog.exportSymbol('acgraph.rect', acgraph.rect);
 goog.exportSymbol('acgraph.circle', acgraph.circle);
 goog.exportSymbol('acgraph.ellipse', acgraph.ellipse);
@@ -550,5 +640,9 @@ goog.exportSymbol('acgraph.image', acgraph.image);
 goog.exportSymbol('acgraph.hatchFill', acgraph.hatchFill);
 goog.exportSymbol('acgraph.patternFill', acgraph.patternFill);
 goog.exportSymbol('acgraph.clip', acgraph.clip);
+goog.exportSymbol('acgraph.mask', acgraph.mask);
+goog.exportSymbol('acgraph.transformer', acgraph.transformer);
+goog.exportSymbol('acgraph.importSvg', acgraph.importSvg);
 goog.exportSymbol('acgraph.useAbsoluteReferences', acgraph.useAbsoluteReferences);
+goog.exportSymbol('acgraph.fontMetrics', acgraph.fontMetrics);
 goog.exportSymbol('acgraph.updateReferences', acgraph.updateReferences);
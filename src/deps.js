@@ -1,11 +1,13 @@
 // This file was autogenerated by depswriter.py.
 // Please do not edit.
-goog.addDependency('../../../../src/acgraph.js', ['acgraph'], ['acgraph.compatibility', 'acgraph.vector', 'acgraph.vector.Circle', 'acgraph.vector.Clip', 'acgraph.vector.Ellipse', 'acgraph.vector.HatchFill', 'acgraph.vector.Image', 'acgraph.vector.Layer', 'acgraph.vector.Path', 'acgraph.vector.PatternFill', 'acgraph.vector.Rect', 'acgraph.vector.Renderer', 'acgraph.vector.Text', 'acgraph.vector.UnmanagedLayer', 'acgraph.vector.primitives', 'acgraph.vector.svg.Renderer', 'acgraph.vector.svg.Stage', 'acgraph.vector.vml.Clip', 'acgraph.vector.vml.Renderer', 'acgraph.vector.vml.Stage', 'acgraph.vector.vml.Text', 'goog.dom', 'goog.userAgent'], false);
+goog.addDependency('../../../../src/acgraph.js', ['acgraph'], ['acgraph.compatibility', 'acgraph.events.dragConstraints', 'acgraph.utils.SvgImporter', 'acgraph.vector', 'acgraph.vector.Circle', 'acgraph.vector.Clip', 'acgraph.vector.Ellipse', 'acgraph.vector.FontMetrics', 'acgraph.vector.HatchFill', 'acgraph.vector.Image', 'acgraph.vector.Layer', 'acgraph.vector.Mask', 'acgraph.vector.Path', 'acgraph.vector.PathInterpolator', 'acgraph.vector.PatternFill', 'acgraph.vector.Rect', 'acgraph.vector.Renderer', 'acgraph.vector.Text', 'acgraph.vector.Transformer', 'acgraph.vector.UnmanagedLayer', 'acgraph.vector.canvas.Renderer', 'acgraph.vector.canvas.Stage', 'acgraph.vector.headless.Renderer', 'acgraph.vector.headless.Stage', 'acgraph.vector.primitives', 'acgraph.vector.svg.Renderer', 'acgraph.vector.svg.Stage', 'acgraph.vector.vml.Clip', 'acgraph.vector.vml.Renderer', 'acgraph.vector.vml.Stage', 'acgraph.vector.vml.Text', 'goog.dom', 'goog.userAgent'], false);
 goog.addDependency('../../../../src/compatibility.js', ['acgraph.compatibility'], [], false);
 goog.addDependency('../../../../src/error/error.js', ['acgraph.error'], [], false);
 goog.addDependency('../../../../src/events/BrowserEvent.js', ['acgraph.events.BrowserEvent'], ['goog.events.Event'], false);
-goog.addDependency('../../../../src/events/Dragger.js', ['acgraph.events.DragEvent', 'acgraph.events.Dragger'], ['acgraph.math.Rect', 'goog.dom', 'goog.events', 'goog.events.Event', 'goog.events.EventHandler', 'goog.events.EventTarget', 'goog.events.EventType', 'goog.math.Coordinate', 'goog.math.Rect', 'goog.style', 'goog.userAgent'], false);
+goog.addDependency('../../../../src/events/Dragger.js', ['acgraph.events.DragEvent', 'acgraph.events.Dragger'], ['acgraph.math.Rect', 'goog.array', 'goog.dom', 'goog.events', 'goog.events.Event', 'goog.events.EventHandler', 'goog.events.EventTarget', 'goog.events.EventType', 'goog.math.Coordinate', 'goog.math.Rect', 'goog.style', 'goog.userAgent'], false);
+goog.addDependency('../../../../src/events/GestureRecognizer.js', ['acgraph.events.GestureEvent', 'acgraph.events.GestureRecognizer'], ['acgraph.events', 'goog.Disposable', 'goog.Timer', 'goog.array', 'goog.events.Event', 'goog.events.EventType', 'goog.math', 'goog.object'], false);
 goog.addDependency('../../../../src/events/MouseWheelHandler.js', ['acgraph.events.MouseWheelHandler'], ['goog.events.MouseWheelHandler'], false);
+goog.addDependency('../../../../src/events/dragConstraints.js', ['acgraph.events.dragConstraints'], ['acgraph.math', 'goog.array', 'goog.math'], false);
 goog.addDependency('../../../../src/events/events.js', ['acgraph.events', 'acgraph.events.EventType'], ['goog.events'], false);
 goog.addDependency('../../../../src/math/Coordinate.js', ['acgraph.math.Coordinate'], ['goog.math.Coordinate'], false);
 goog.addDependency('../../../../src/math/Rect.js', ['acgraph.math.Rect'], ['goog.math.Rect'], false);
@@ -14,37 +16,58 @@ goog.addDependency('../../../../src/math/math.js', ['acgraph.math'], ['acgraph.m
 goog.addDependency('../../../../src/utils/HTMLParser.js', ['acgraph.utils.HTMLParser'], ['goog.object'], false);
 goog.addDependency('../../../../src/utils/HelperElement.js', ['acgraph.utils.HelperElement', 'acgraph.utils.HelperElement.EventType'], ['acgraph.events', 'goog.dom', 'goog.events.EventTarget', 'goog.net.IframeIo', 'goog.style', 'goog.userAgent'], false);
 goog.addDependency('../../../../src/utils/IdGenerator.js', ['acgraph.utils.IdGenerator'], [], false);
-goog.addDependency('../../../../src/utils/exporting.js', ['acgraph.utils.exporting'], ['goog.Timer', 'goog.dom', 'goog.style'], false);
+goog.addDependency('../../../../src/utils/PdfWriter.js', ['acgraph.utils.PdfWriter'], ['acgraph.math', 'acgraph.math.Rect', 'acgraph.utils.exporting', 'acgraph.vector', 'acgraph.vector.Ellipse', 'acgraph.vector.Image', 'acgraph.vector.Layer', 'acgraph.vector.PathBase', 'acgraph.vector.Shape', 'acgraph.vector.Text', 'acgraph.vector.UnmanagedLayer', 'goog.array', 'goog.color', 'goog.graphics.AffineTransform', 'goog.math', 'goog.object', 'goog.string'], false);
+goog.addDependency('../../../../src/utils/RTree.js', ['acgraph.utils.RTree'], ['acgraph.math.Rect', 'goog.array', 'goog.object'], false);
+goog.addDependency('../../../../src/utils/SvgImporter.js', ['acgraph.utils.SvgImporter'], ['acgraph.math.Rect', 'acgraph.vector', 'acgraph.vector.Circle', 'acgraph.vector.Ellipse', 'acgraph.vector.Image', 'acgraph.vector.Layer', 'acgraph.vector.Path', 'acgraph.vector.Rect', 'acgraph.vector.UnmanagedLayer', 'goog.array', 'goog.dom', 'goog.dom.NodeType', 'goog.dom.xml', 'goog.math', 'goog.string'], false);
+goog.addDependency('../../../../src/utils/exporting.js', ['acgraph.utils.exporting'], ['acgraph.error', 'goog.Timer', 'goog.array', 'goog.dom', 'goog.dom.xml', 'goog.math', 'goog.string', 'goog.style'], false);
+goog.addDependency('../../../../src/utils/hitTesting.js', ['acgraph.utils.hitTesting'], ['acgraph.math', 'acgraph.math.Rect', 'acgraph.vector', 'acgraph.vector.Ellipse', 'acgraph.vector.Image', 'acgraph.vector.Layer', 'acgraph.vector.PathBase', 'acgraph.vector.Shape', 'acgraph.vector.Text', 'goog.array', 'goog.math', 'goog.math.Coordinate'], false);
+goog.addDependency('../../../../src/utils/pathBoolean.js', ['acgraph.utils.pathBoolean'], ['acgraph.math', 'acgraph.vector', 'acgraph.vector.PathBase', 'goog.array', 'goog.math'], false);
+goog.addDependency('../../../../src/utils/pathOutline.js', ['acgraph.utils.pathOutline'], ['acgraph.utils.pathBoolean', 'acgraph.vector', 'goog.array'], false);
 goog.addDependency('../../../../src/utils/utils.js', ['acgraph.utils'], ['goog.userAgent'], false);
+goog.addDependency('../../../../src/vector/Animation.js', ['acgraph.vector.Animation', 'acgraph.vector.Animation.Easing', 'acgraph.vector.AnimationEvent'], ['acgraph.events', 'acgraph.vector', 'goog.array', 'goog.color', 'goog.events.Event', 'goog.fx.Animation', 'goog.fx.easing', 'goog.math', 'goog.object'], false);
 goog.addDependency('../../../../src/vector/Circle.js', ['acgraph.vector.Circle'], ['acgraph.utils.IdGenerator', 'acgraph.vector.Ellipse'], false);
 goog.addDependency('../../../../src/vector/Clip.js', ['acgraph.vector.Clip'], ['acgraph.math.Rect', 'acgraph.vector.ILayer', 'goog.Disposable', 'goog.array'], false);
-goog.addDependency('../../../../src/vector/Defs.js', ['acgraph.vector.Defs'], ['acgraph.math.Rect', 'acgraph.vector.HatchFill', 'acgraph.vector.LinearGradient', 'acgraph.vector.PatternFill', 'acgraph.vector.RadialGradient', 'goog.Disposable'], false);
-goog.addDependency('../../../../src/vector/Element.js', ['acgraph.vector.Element', 'acgraph.vector.Element.DirtyState'], ['acgraph.error', 'acgraph.events', 'acgraph.events.Dragger', 'acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector', 'goog.events.EventTarget', 'goog.events.Listenable', 'goog.graphics.AffineTransform'], false);
+goog.addDependency('../../../../src/vector/Defs.js', ['acgraph.vector.Defs'], ['acgraph.math.Rect', 'acgraph.vector.Filter', 'acgraph.vector.HatchFill', 'acgraph.vector.LinearGradient', 'acgraph.vector.Marker', 'acgraph.vector.PatternFill', 'acgraph.vector.RadialGradient', 'goog.Disposable'], false);
+goog.addDependency('../../../../src/vector/Element.js', ['acgraph.vector.Element', 'acgraph.vector.Element.DirtyState'], ['acgraph.error', 'acgraph.events', 'acgraph.events.Dragger', 'acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector', 'acgraph.vector.Animation', 'acgraph.vector.Filter', 'goog.array', 'goog.events.EventTarget', 'goog.events.Listenable', 'goog.graphics.AffineTransform', 'goog.object'], false);
 goog.addDependency('../../../../src/vector/Ellipse.js', ['acgraph.vector.Ellipse'], ['acgraph.math.Coordinate', 'acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector.Shape'], false);
+goog.addDependency('../../../../src/vector/Filter.js', ['acgraph.vector.Filter'], ['acgraph.utils.IdGenerator', 'goog.Disposable', 'goog.array'], false);
+goog.addDependency('../../../../src/vector/FontMetrics.js', ['acgraph.vector.FontMetrics'], ['acgraph.math.Rect', 'goog.array', 'goog.object', 'goog.string'], false);
 goog.addDependency('../../../../src/vector/HatchFill.js', ['acgraph.vector.HatchFill'], ['acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector.Path', 'acgraph.vector.PatternFill'], false);
+goog.addDependency('../../../../src/vector/History.js', ['acgraph.vector.History', 'acgraph.vector.HistoryEvent'], ['acgraph.events', 'goog.array', 'goog.async.nextTick', 'goog.events.Event', 'goog.events.EventHandler', 'goog.events.EventTarget', 'goog.object'], false);
 goog.addDependency('../../../../src/vector/Image.js', ['acgraph.vector.Image'], ['acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector.Element'], false);
-goog.addDependency('../../../../src/vector/Layer.js', ['acgraph.vector.Layer'], ['acgraph.error', 'acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector.Element', 'acgraph.vector.ILayer'], false);
+goog.addDependency('../../../../src/vector/Layer.js', ['acgraph.vector.Layer'], ['acgraph.error', 'acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.utils.RTree', 'acgraph.vector', 'acgraph.vector.Element', 'acgraph.vector.ILayer', 'acgraph.vector.Shape', 'goog.object'], false);
 goog.addDependency('../../../../src/vector/LinearGradient.js', ['acgraph.vector.LinearGradient'], ['acgraph.utils.IdGenerator', 'goog.Disposable'], false);
-goog.addDependency('../../../../src/vector/Path.js', ['acgraph.vector.Path'], ['acgraph.vector.PathBase'], false);
+goog.addDependency('../../../../src/vector/Marker.js', ['acgraph.vector.Marker'], ['acgraph.utils.IdGenerator', 'acgraph.vector', 'acgraph.vector.Ellipse', 'acgraph.vector.PathBase', 'acgraph.vector.primitives', 'goog.Disposable', 'goog.array', 'goog.graphics.AffineTransform', 'goog.math'], false);
+goog.addDependency('../../../../src/vector/Mask.js', ['acgraph.vector.Mask'], ['acgraph.vector.ILayer', 'goog.Disposable', 'goog.array'], false);
+goog.addDependency('../../../../src/vector/Path.js', ['acgraph.vector.Path'], ['acgraph.error', 'acgraph.math', 'acgraph.utils.pathBoolean', 'acgraph.utils.pathOutline', 'acgraph.vector.PathBase', 'acgraph.vector.PathInterpolator', 'goog.math', 'goog.object'], false);
 goog.addDependency('../../../../src/vector/PathBase.js', ['acgraph.vector.PathBase'], ['acgraph.error', 'acgraph.math', 'acgraph.math.Coordinate', 'acgraph.utils.IdGenerator', 'acgraph.vector.Shape', 'goog.array', 'goog.graphics.AffineTransform', 'goog.math'], false);
+goog.addDependency('../../../../src/vector/PathInterpolator.js', ['acgraph.vector.PathInterpolator'], ['acgraph.math', 'acgraph.vector.PathBase', 'goog.math'], false);
 goog.addDependency('../../../../src/vector/PatternFill.js', ['acgraph.vector.PatternFill'], ['acgraph.utils.IdGenerator', 'acgraph.vector.Layer'], false);
 goog.addDependency('../../../../src/vector/RadialGradient.js', ['acgraph.vector.RadialGradient'], ['acgraph.utils.IdGenerator', 'goog.Disposable'], false);
 goog.addDependency('../../../../src/vector/Rect.js', ['acgraph.vector.Rect'], ['acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector.PathBase'], false);
-goog.addDependency('../../../../src/vector/Renderer.js', ['acgraph.vector.Renderer'], ['acgraph.math.Rect', 'goog.dom', 'goog.net.ImageLoader'], false);
-goog.addDependency('../../../../src/vector/Shape.js', ['acgraph.vector.Shape'], ['acgraph.math.Rect', 'acgraph.utils', 'acgraph.vector.Element'], false);
-goog.addDependency('../../../../src/vector/Stage.js', ['acgraph.vector.Stage'], ['acgraph.error', 'acgraph.events.BrowserEvent', 'acgraph.math.Rect', 'acgraph.utils.HelperElement', 'acgraph.utils.IdGenerator', 'acgraph.utils.exporting', 'acgraph.vector.Circle', 'acgraph.vector.Clip', 'acgraph.vector.Defs', 'acgraph.vector.Ellipse', 'acgraph.vector.HatchFill', 'acgraph.vector.ILayer', 'acgraph.vector.Image', 'acgraph.vector.Layer', 'acgraph.vector.Path', 'acgraph.vector.PatternFill', 'acgraph.vector.Rect', 'acgraph.vector.Text', 'acgraph.vector.UnmanagedLayer', 'goog.Uri.QueryData', 'goog.array', 'goog.dom', 'goog.dom.classlist', 'goog.events.EventHandler', 'goog.events.EventTarget', 'goog.events.Listenable', 'goog.net.XhrIo', 'goog.structs.Map', 'goog.style'], false);
-goog.addDependency('../../../../src/vector/Text.js', ['acgraph.vector.Text', 'acgraph.vector.Text.TextOverflow', 'acgraph.vector.Text.TextWrap'], ['acgraph.math.Rect', 'acgraph.utils.HTMLParser', 'acgraph.utils.IdGenerator', 'acgraph.vector.Element', 'acgraph.vector.TextSegment'], false);
+goog.addDependency('../../../../src/vector/Renderer.js', ['acgraph.vector.Renderer'], ['acgraph.math.Rect', 'acgraph.vector.FontMetrics', 'goog.dom', 'goog.net.ImageLoader'], false);
+goog.addDependency('../../../../src/vector/Selection.js', ['acgraph.vector.Selection', 'acgraph.vector.SelectionEvent'], ['acgraph.events', 'acgraph.math.Rect', 'goog.array', 'goog.dom', 'goog.events.Event', 'goog.events.EventHandler', 'goog.events.EventTarget'], false);
+goog.addDependency('../../../../src/vector/Shape.js', ['acgraph.vector.Shape'], ['acgraph.math.Rect', 'acgraph.utils', 'acgraph.vector.Element', 'goog.math', 'goog.object'], false);
+goog.addDependency('../../../../src/vector/Stage.js', ['acgraph.vector.Stage'], ['acgraph.error', 'acgraph.events.BrowserEvent', 'acgraph.events.GestureRecognizer', 'acgraph.math.Rect', 'acgraph.utils.HelperElement', 'acgraph.utils.IdGenerator', 'acgraph.utils.PdfWriter', 'acgraph.utils.exporting', 'acgraph.utils.hitTesting', 'acgraph.vector.Circle', 'acgraph.vector.Clip', 'acgraph.vector.Defs', 'acgraph.vector.Ellipse', 'acgraph.vector.HatchFill', 'acgraph.vector.History', 'acgraph.vector.ILayer', 'acgraph.vector.Image', 'acgraph.vector.Layer', 'acgraph.vector.Mask', 'acgraph.vector.Path', 'acgraph.vector.PatternFill', 'acgraph.vector.Rect', 'acgraph.vector.Selection', 'acgraph.vector.Text', 'acgraph.vector.UnmanagedLayer', 'goog.Uri.QueryData', 'goog.array', 'goog.dom', 'goog.dom.classlist', 'goog.events.EventHandler', 'goog.events.EventTarget', 'goog.events.Listenable', 'goog.net.XhrIo', 'goog.object', 'goog.string', 'goog.structs.Map', 'goog.style'], false);
+goog.addDependency('../../../../src/vector/Text.js', ['acgraph.vector.Text', 'acgraph.vector.Text.TextOverflow', 'acgraph.vector.Text.TextWrap'], ['acgraph.math.Rect', 'acgraph.utils.HTMLParser', 'acgraph.utils.IdGenerator', 'acgraph.vector.Element', 'acgraph.vector.TextSegment', 'goog.math', 'goog.object'], false);
 goog.addDependency('../../../../src/vector/TextSegment.js', ['acgraph.vector.TextSegment'], ['acgraph.utils.IdGenerator', 'goog.Disposable'], false);
+goog.addDependency('../../../../src/vector/Transformer.js', ['acgraph.vector.Transformer', 'acgraph.vector.Transformer.Action', 'acgraph.vector.TransformerEvent'], ['acgraph.events', 'acgraph.math.Rect', 'acgraph.vector', 'goog.array', 'goog.events.Event', 'goog.events.EventTarget', 'goog.graphics.AffineTransform', 'goog.math', 'goog.object'], false);
 goog.addDependency('../../../../src/vector/UnmanagedLayer.js', ['acgraph.vector.UnmanagedLayer'], ['acgraph.utils.IdGenerator', 'acgraph.vector.Element'], false);
+goog.addDependency('../../../../src/vector/canvas/Node.js', ['acgraph.vector.canvas.Node', 'acgraph.vector.canvas.Node.EventType'], ['goog.array', 'goog.dom.NodeType', 'goog.events.EventTarget', 'goog.object'], false);
+goog.addDependency('../../../../src/vector/canvas/Renderer.js', ['acgraph.vector.canvas.Renderer'], ['acgraph.math', 'acgraph.math.Rect', 'acgraph.vector', 'acgraph.vector.Ellipse', 'acgraph.vector.Image', 'acgraph.vector.Layer', 'acgraph.vector.Marker', 'acgraph.vector.PathBase', 'acgraph.vector.PatternFill', 'acgraph.vector.Renderer', 'acgraph.vector.Shape', 'acgraph.vector.Text', 'acgraph.vector.UnmanagedLayer', 'acgraph.vector.canvas.Node', 'goog.array', 'goog.color', 'goog.dom', 'goog.dom.NodeType', 'goog.events', 'goog.events.EventType', 'goog.graphics.AffineTransform', 'goog.math', 'goog.object', 'goog.style'], false);
+goog.addDependency('../../../../src/vector/canvas/Stage.js', ['acgraph.vector.canvas.Stage'], ['acgraph.events.BrowserEvent', 'acgraph.events.EventType', 'acgraph.vector.Defs', 'acgraph.vector.Stage', 'acgraph.vector.canvas.Node', 'acgraph.vector.canvas.Renderer', 'goog.async.AnimationDelay', 'goog.dom', 'goog.events.BrowserEvent', 'goog.events.EventHandler', 'goog.events.EventType'], false);
+goog.addDependency('../../../../src/vector/headless/Node.js', ['acgraph.vector.headless.Node'], ['acgraph.vector.canvas.Node', 'goog.array', 'goog.dom.NodeType', 'goog.object', 'goog.string'], false);
+goog.addDependency('../../../../src/vector/headless/Renderer.js', ['acgraph.vector.headless.Renderer'], ['acgraph.math.Rect', 'acgraph.vector.FontMetrics', 'acgraph.vector.headless.Node', 'acgraph.vector.svg.Renderer'], false);
+goog.addDependency('../../../../src/vector/headless/Stage.js', ['acgraph.vector.headless.Stage'], ['acgraph.vector', 'acgraph.vector.Stage', 'acgraph.vector.headless.Renderer', 'acgraph.vector.svg.Defs'], false);
 goog.addDependency('../../../../src/vector/primitives.js', ['acgraph.vector.primitives'], ['acgraph.vector.Path'], false);
 goog.addDependency('../../../../src/vector/svg/Defs.js', ['acgraph.vector.svg.Defs'], ['acgraph.vector.Defs'], false);
-goog.addDependency('../../../../src/vector/svg/Renderer.js', ['acgraph.vector.svg.Renderer'], ['acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector.Renderer', 'goog.dom', 'goog.math.Line', 'goog.object', 'goog.userAgent'], false);
+goog.addDependency('../../../../src/vector/svg/Renderer.js', ['acgraph.vector.svg.Renderer'], ['acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector.Marker', 'acgraph.vector.Renderer', 'goog.array', 'goog.dom', 'goog.dom.NodeType', 'goog.math.Line', 'goog.object', 'goog.userAgent'], false);
 goog.addDependency('../../../../src/vector/svg/Stage.js', ['acgraph.vector.svg.Stage'], ['acgraph.vector.Stage', 'acgraph.vector.svg.Defs'], false);
 goog.addDependency('../../../../src/vector/vector.js', ['acgraph.vector', 'acgraph.vector.Anchor', 'acgraph.vector.Cursor', 'acgraph.vector.ILayer'], ['acgraph.math.Rect', 'goog.graphics.AffineTransform'], false);
 goog.addDependency('../../../../src/vector/vml/Clip.js', ['acgraph.vector.vml.Clip'], ['acgraph.vector.Clip'], false);
 goog.addDependency('../../../../src/vector/vml/Defs.js', ['acgraph.vector.vml.Defs'], ['acgraph.vector.Defs', 'acgraph.vector.vml.RadialGradient', 'acgraph.vector.vml.ShapeType'], false);
 goog.addDependency('../../../../src/vector/vml/RadialGradient.js', ['acgraph.vector.vml.RadialGradient'], ['acgraph.vector.RadialGradient'], false);
-goog.addDependency('../../../../src/vector/vml/Renderer.js', ['acgraph.vector.vml.Renderer'], ['acgraph.math.Coordinate', 'acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector.LinearGradient', 'acgraph.vector.Renderer', 'acgraph.vector.vml.RadialGradient', 'goog.array', 'goog.color', 'goog.cssom', 'goog.dom', 'goog.object'], false);
+goog.addDependency('../../../../src/vector/vml/Renderer.js', ['acgraph.vector.vml.Renderer'], ['acgraph.math.Coordinate', 'acgraph.math.Rect', 'acgraph.utils.IdGenerator', 'acgraph.vector.LinearGradient', 'acgraph.vector.Marker', 'acgraph.vector.Renderer', 'acgraph.vector.vml.RadialGradient', 'goog.array', 'goog.color', 'goog.cssom', 'goog.dom', 'goog.math', 'goog.object'], false);
 goog.addDependency('../../../../src/vector/vml/ShapeType.js', ['acgraph.vector.vml.ShapeType'], ['acgraph.utils.IdGenerator', 'goog.Disposable'], false);
 goog.addDependency('../../../../src/vector/vml/Stage.js', ['acgraph.vector.vml.Stage'], ['acgraph.vector.Stage', 'acgraph.vector.vml.Clip', 'acgraph.vector.vml.Defs'], false);
 goog.addDependency('../../../../src/vector/vml/Text.js', ['acgraph.vector.vml.Text'], ['acgraph.math.Rect', 'acgraph.vector.Text'], false);
@@ -64,7 +64,13 @@ acgraph.error.Code = {
   INVALID_NUMBER_OF_PARAMETERS: 14,
 
   /** Feature not supported in VML */
-  FEATURE_NOT_SUPPORTED_IN_VML: 15
+  FEATURE_NOT_SUPPORTED_IN_VML: 15,
+
+  /** SVG path data string is malformed */
+  INVALID_PATH_DATA: 16,
+
+  /** Canvas is not supported by the browser */
+  CANVAS_NOT_SUPPORTED: 17
 };
 
 
@@ -136,7 +142,15 @@ acgraph.error.Message = {
   /**
    * FEATURE_NOT_SUPPORTED_IN_VML
    */
-  15: 'Sorry, this feature in not supported in VML oriented browsers'
+  15: 'Sorry, this feature in not supported in VML oriented browsers',
+  /**
+   * INVALID_PATH_DATA
+   */
+  16: 'Invalid SVG path data',
+  /**
+   * CANVAS_NOT_SUPPORTED
+   */
+  17: 'Sorry, this feature requires canvas support in the browser'
 };
 
 
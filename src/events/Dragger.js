@@ -2,6 +2,7 @@ goog.provide('acgraph.events.DragEvent');
 goog.provide('acgraph.events.Dragger');
 
 goog.require('acgraph.math.Rect');
+goog.require('goog.array');
 goog.require('goog.dom');
 goog.require('goog.events');
 goog.require('goog.events.Event');
@@ -41,6 +42,13 @@ acgraph.events.Dragger = function(target, opt_handle, opt_limits) {
   this.eventHandler_ = new goog.events.EventHandler(this);
   this.registerDisposable(this.eventHandler_);
 
+  /**
+   * Constraints applied to the drag position, in order.
+   * @type {!Array.<acgraph.events.Dragger.Constraint>}
+   * @private
+   */
+  this.constraints_ = [];
+
   // Add listener. Do not use the event handler here since the event handler is
   // used for listeners added and removed during the drag operation.
   acgraph.events.listen(this.handle,
@@ -62,6 +70,33 @@ acgraph.events.Dragger.HAS_SET_CAPTURE_ =
     goog.userAgent.GECKO && goog.userAgent.isVersionOrHigher('1.9.3');
 
 
+/**
+ * Drag position passed through the constraints: left top corner of the dragged element bounds in the coordinates of
+ * its parent and guide lines the position was snapped to, each guide is [x1, y1, x2, y2] in the same coordinates.
+ * @typedef {{
+ *   x: number,
+ *   y: number,
+ *   guides: !Array.<!Array.<number>>
+ * }}
+ */
+acgraph.events.Dragger.Position;
+
+
+/**
+ * Drag constraint. Function that corrects the drag position in place, see {@link acgraph.events.dragConstraints}
+ * for the built-in ones.
+ * @typedef {function(!acgraph.events.Dragger.Position, !acgraph.events.Dragger)}
+ */
+acgraph.events.Dragger.Constraint;
+
+
+/**
+ * Color of the guide lines.
+ * @type {string}
+ */
+acgraph.events.Dragger.GUIDES_COLOR = '#ff4081';
+
+
 /**
  * Reference to drag target element.
  * @type {Element}
@@ -133,6 +168,20 @@ acgraph.events.Dragger.prototype.deltaX = 0;
 acgraph.events.Dragger.prototype.deltaY = 0;
 
 
+/**
+ * X position of the element at drag start, relative to its parent.
+ * @type {number}
+ */
+acgraph.events.Dragger.prototype.originX = 0;
+
+
+/**
+ * Y position of the element at drag start, relative to its parent.
+ * @type {number}
+ */
+acgraph.events.Dragger.prototype.originY = 0;
+
+
 /**
  * The current page scroll value.
  * @type {goog.math.Coordinate}
@@ -208,6 +257,30 @@ acgraph.events.Dragger.prototype.ieDragStartCancellingOn_ = false;
 acgraph.events.Dragger.prototype.useRightPositioningForRtl_ = false;
 
 
+/**
+ * Whether guide lines of the constraints are shown while dragging.
+ * @type {boolean}
+ * @private
+ */
+acgraph.events.Dragger.prototype.showGuides_ = false;
+
+
+/**
+ * Temporary layer with the guide lines, added to the stage while dragging.
+ * @type {acgraph.vector.Layer}
+ * @private
+ */
+acgraph.events.Dragger.prototype.guidesLayer_ = null;
+
+
+/**
+ * Path of the guide lines.
+ * @type {acgraph.vector.Path}
+ * @private
+ */
+acgraph.events.Dragger.prototype.guides_ = null;
+
+
 /**
  * Turns on/off true RTL behavior.  This should be called immediately after
  * construction.  This is a temporary flag to allow clients to transition
@@ -295,6 +368,37 @@ acgraph.events.Dragger.prototype.enabled = function(opt_value) {
 };
 
 
+/**
+ * If opt_value defined sets constraints applied to the drag position in order, otherwise returns them.
+ * @param {Array.<acgraph.events.Dragger.Constraint>=} opt_value Constraints.
+ * @return {!Array.<acgraph.events.Dragger.Constraint>|acgraph.events.Dragger} Constraints or itself if opt_value
+ *     defined.
+ */
+acgraph.events.Dragger.prototype.constraints = function(opt_value) {
+  if (arguments.length == 1) {
+    this.constraints_ = opt_value ? goog.array.clone(opt_value) : [];
+    return this;
+  }
+  return goog.array.clone(this.constraints_);
+};
+
+
+/**
+ * If opt_value defined sets whether guide lines of the constraints are shown while dragging, otherwise returns it.
+ * @param {boolean=} opt_value Whether to show guides.
+ * @return {boolean|acgraph.events.Dragger} Whether guides are shown or itself if opt_value defined.
+ */
+acgraph.events.Dragger.prototype.showGuides = function(opt_value) {
+  if (arguments.length == 1) {
+    this.showGuides_ = !!opt_value;
+    if (!this.showGuides_)
+      this.clearGuides_();
+    return this;
+  }
+  return this.showGuides_;
+};
+
+
 /** @override */
 acgraph.events.Dragger.prototype.disposeInternal = function() {
   acgraph.events.Dragger.superClass_.disposeInternal.call(this);
@@ -302,6 +406,9 @@ acgraph.events.Dragger.prototype.disposeInternal = function() {
       [acgraph.events.EventType.TOUCHSTART, acgraph.events.EventType.MOUSEDOWN],
       this.startDrag, false, this);
   this.cleanUpAfterDragging_();
+  goog.dispose(this.guidesLayer_);
+  this.guidesLayer_ = null;
+  this.guides_ = null;
 
   this.target = null;
   this.handle = null;
@@ -355,8 +462,8 @@ acgraph.events.Dragger.prototype.startDrag = function(e) {
 
     this.clientX = this.startX = e.clientX;
     this.clientY = this.startY = e.clientY;
-    this.deltaX = this.acelement.getX();
-    this.deltaY = this.acelement.getY();
+    this.deltaX = this.originX = this.acelement.getX();
+    this.deltaY = this.originY = this.acelement.getY();
 
     this.pageScroll = goog.dom.getDomHelper(this.document_).getDocumentScroll();
 
@@ -432,6 +539,7 @@ acgraph.events.Dragger.prototype.fireDragStart_ = function(e) {
  */
 acgraph.events.Dragger.prototype.cleanUpAfterDragging_ = function() {
   this.eventHandler_.removeAll();
+  this.clearGuides_();
   if (acgraph.events.Dragger.HAS_SET_CAPTURE_) {
     this.document_.releaseCapture();
   }
@@ -450,8 +558,9 @@ acgraph.events.Dragger.prototype.endDrag = function(e, opt_dragCanceled) {
     this.maybeReinitTouchEvent_(e);
     this.dragging_ = false;
 
-    var x = this.limitX(this.deltaX);
-    var y = this.limitY(this.deltaY);
+    var position = this.applyConstraints(this.deltaX, this.deltaY);
+    var x = this.limitX(position['x']);
+    var y = this.limitY(position['y']);
     var dragCanceled = opt_dragCanceled ||
         e.type == acgraph.events.EventType.TOUCHCANCEL;
     this.acelement.dispatchEvent(new acgraph.events.DragEvent(
@@ -591,12 +700,71 @@ acgraph.events.Dragger.prototype.onScroll_ = function(e) {
  * @protected
  */
 acgraph.events.Dragger.prototype.doDrag = function(e, x, y, dragFromScroll) {
+  var position = this.applyConstraints(x, y);
+  x = this.limitX(position['x']);
+  y = this.limitY(position['y']);
+  this.drawGuides_(position['guides']);
   this.defaultAction(x, y);
   this.acelement.dispatchEvent(new acgraph.events.DragEvent(
       acgraph.events.EventType.DRAG, this, e.clientX, e.clientY, e, x, y));
 };
 
 
+/**
+ * Passes the drag position through the constraints.
+ * @param {number} x X-coordinate for target element.
+ * @param {number} y Y-coordinate for target element.
+ * @return {!acgraph.events.Dragger.Position} Constrained position.
+ */
+acgraph.events.Dragger.prototype.applyConstraints = function(x, y) {
+  var position = {'x': x, 'y': y, 'guides': []};
+  for (var i = 0; i < this.constraints_.length; i++)
+    this.constraints_[i](position, this);
+  return position;
+};
+
+
+/**
+ * Draws guide lines on the temporary layer on top of the stage.
+ * @param {!Array.<!Array.<number>>} guides Guide lines in the coordinates of the element parent.
+ * @private
+ */
+acgraph.events.Dragger.prototype.drawGuides_ = function(guides) {
+  var stage = this.acelement.getStage();
+  if (!this.showGuides_ || !guides.length || !stage) {
+    this.clearGuides_();
+    return;
+  }
+  if (!this.guidesLayer_) {
+    this.guidesLayer_ = acgraph.layer();
+    this.guidesLayer_.disablePointerEvents(true).disableHistory(true);
+    this.guides_ = this.guidesLayer_.path();
+    this.guides_.fill('none').stroke(acgraph.events.Dragger.GUIDES_COLOR);
+  }
+  stage.suspend();
+  if (this.guidesLayer_.getStage() != stage)
+    stage.addChild(this.guidesLayer_);
+  this.guides_.clear();
+  for (var i = 0; i < guides.length; i++) {
+    var guide = goog.array.clone(guides[i]);
+    if (this.parentTx_)
+      this.parentTx_.transform(guide, 0, guide, 0, 2);
+    this.guides_.moveTo(guide[0], guide[1]).lineTo(guide[2], guide[3]);
+  }
+  stage.resume();
+};
+
+
+/**
+ * Removes guide lines from the stage.
+ * @private
+ */
+acgraph.events.Dragger.prototype.clearGuides_ = function() {
+  if (this.guidesLayer_)
+    this.guidesLayer_.remove();
+};
+
+
 /**
  * Returns the 'real' value after limits are applied (allows for some
  * limits to be undefined).
@@ -0,0 +1,732 @@
+goog.provide('acgraph.events.GestureEvent');
+goog.provide('acgraph.events.GestureRecognizer');
+
+goog.require('acgraph.events');
+goog.require('goog.Disposable');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.events.Event');
+goog.require('goog.events.EventType');
+goog.require('goog.math');
+goog.require('goog.object');
+
+
+
+/**
+ * Recognizes touch gestures in the touch and pointer events of the stage: pan, swipe, pinch, rotate, tap, double
+ * tap and long press. Mouse pointers are ignored, they have their own events.<br/>
+ * Gesture events are dispatched on the element the gesture started on, or on the stage if it started on the stage
+ * background, see {@link acgraph.events.GestureEvent}.
+ * @param {!acgraph.vector.Stage} stage Stage.
+ * @constructor
+ * @extends {goog.Disposable}
+ */
+acgraph.events.GestureRecognizer = function(stage) {
+  goog.base(this);
+
+  /**
+   * Stage.
+   * @type {acgraph.vector.Stage}
+   * @private
+   */
+  this.stage_ = stage;
+
+  /**
+   * Positions of the pointers which are down, in the client coordinates, by pointer id.
+   * @type {!Object.<string, !Array.<number>>}
+   * @private
+   */
+  this.pointers_ = {};
+
+  /**
+   * Ids of the pointers in the order they went down.
+   * @type {!Array.<string>}
+   * @private
+   */
+  this.ids_ = [];
+
+  /**
+   * Event target of the current gesture.
+   * @type {acgraph.vector.Element|acgraph.vector.Stage}
+   * @private
+   */
+  this.target_ = null;
+
+  /**
+   * Browser event that changed the pointers last.
+   * @type {goog.events.BrowserEvent}
+   * @private
+   */
+  this.browserEvent_ = null;
+
+  /**
+   * Time when the first pointer went down.
+   * @type {number}
+   * @private
+   */
+  this.startTime_ = 0;
+
+  /**
+   * Center of the pointers at the start of the pan or the pinch, in the client coordinates.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.startCenter_ = null;
+
+  /**
+   * Center of the pointers and the time of the last movement, [x, y, time].
+   * @type {Array.<number>}
+   * @private
+   */
+  this.last_ = null;
+
+  /**
+   * Velocity of the center in pixels per millisecond, [vx, vy].
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.velocity_ = [0, 0];
+
+  /**
+   * Whether the gesture can still be a tap or a long press: single pointer that hasn't moved.
+   * @type {boolean}
+   * @private
+   */
+  this.tapping_ = false;
+
+  /**
+   * Whether the single pointer pan is in progress.
+   * @type {boolean}
+   * @private
+   */
+  this.panning_ = false;
+
+  /**
+   * Ids of the two pointers of the pinch in progress, null if there is no pinch.
+   * @type {Array.<string>}
+   * @private
+   */
+  this.pinch_ = null;
+
+  /**
+   * Distance and angle in degrees between the pinch pointers at the pinch start.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.pinchStart_ = null;
+
+  /**
+   * Last scale and rotation of the pinch.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.transform_ = [1, 0];
+
+  /**
+   * Whether several pointers were down during the gesture, so it can't be a pan or a tap anymore.
+   * @type {boolean}
+   * @private
+   */
+  this.multiTouch_ = false;
+
+  /**
+   * Position and time of the last tap, [x, y, time], to recognize the double tap.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.lastTap_ = null;
+
+  /**
+   * Long press timer id.
+   * @type {?number}
+   * @private
+   */
+  this.longPressTimer_ = null;
+
+  /**
+   * Family of the events the pointers are tracked by, 'touch' or 'pointer', null if no pointers are down.
+   * @type {?string}
+   * @private
+   */
+  this.source_ = null;
+};
+goog.inherits(acgraph.events.GestureRecognizer, goog.Disposable);
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Static members
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Distance in pixels a pointer should move before a tap becomes a pan.
+ * @type {number}
+ */
+acgraph.events.GestureRecognizer.TAP_DISTANCE = 10;
+
+
+/**
+ * Maximum duration of a tap in milliseconds.
+ * @type {number}
+ */
+acgraph.events.GestureRecognizer.TAP_DURATION = 300;
+
+
+/**
+ * Maximum interval in milliseconds between the taps of a double tap.
+ * @type {number}
+ */
+acgraph.events.GestureRecognizer.DOUBLETAP_INTERVAL = 300;
+
+
+/**
+ * Maximum distance in pixels between the taps of a double tap.
+ * @type {number}
+ */
+acgraph.events.GestureRecognizer.DOUBLETAP_DISTANCE = 20;
+
+
+/**
+ * Duration of a long press in milliseconds.
+ * @type {number}
+ */
+acgraph.events.GestureRecognizer.LONGPRESS_DURATION = 500;
+
+
+/**
+ * Minimal velocity of a pan at its end, in pixels per millisecond, for a swipe.
+ * @type {number}
+ */
+acgraph.events.GestureRecognizer.SWIPE_VELOCITY = 0.3;
+
+
+/**
+ * Time in milliseconds after the last movement, when the pointer is considered to be stopped.
+ * @type {number}
+ */
+acgraph.events.GestureRecognizer.STOP_INTERVAL = 100;
+
+
+/**
+ * Events that put pointers down, move and release them.
+ * @type {!Object.<string, string>}
+ * @private
+ */
+acgraph.events.GestureRecognizer.POINTER_ACTIONS_ = goog.object.create(
+    goog.events.EventType.POINTERDOWN, 'down',
+    goog.events.EventType.MSPOINTERDOWN, 'down',
+    goog.events.EventType.POINTERMOVE, 'move',
+    goog.events.EventType.MSPOINTERMOVE, 'move',
+    goog.events.EventType.POINTERUP, 'up',
+    goog.events.EventType.MSPOINTERUP, 'up',
+    goog.events.EventType.POINTERCANCEL, 'cancel',
+    goog.events.EventType.MSPOINTERCANCEL, 'cancel'
+);
+
+
+/**
+ * Returns the distance and the angle in degrees between points.
+ * @param {!Array.<number>} point1 First point.
+ * @param {!Array.<number>} point2 Second point.
+ * @return {!Array.<number>} Distance and angle.
+ * @private
+ */
+acgraph.events.GestureRecognizer.measure_ = function(point1, point2) {
+  var dx = point2[0] - point1[0];
+  var dy = point2[1] - point1[1];
+  return [Math.sqrt(dx * dx + dy * dy), goog.math.toDegrees(Math.atan2(dy, dx))];
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Events handling
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Whether any touch or pen pointer is down.
+ * @return {boolean} Whether the recognizer tracks pointers.
+ */
+acgraph.events.GestureRecognizer.prototype.isTracking = function() {
+  return !!this.ids_.length;
+};
+
+
+/**
+ * Handles touch and pointer events of the stage, other events are ignored.<br/>
+ * Browsers which support both families send both pointer and touch events for the same finger, so pointers are
+ * tracked by one family at a time: the one that put the first pointer down. Events of the other family are ignored
+ * until all pointers are released.
+ * @param {goog.events.BrowserEvent} e Browser event.
+ * @param {*} target Wrapper of the event target.
+ */
+acgraph.events.GestureRecognizer.prototype.handleEvent = function(e, target) {
+  var browserEvent = e.getBrowserEvent();
+  if (goog.isDefAndNotNull(browserEvent['touches'])) {
+    if (this.source_ != 'pointer') {
+      this.handleTouches_(e, target);
+      this.source_ = this.ids_.length ? 'touch' : null;
+    }
+    return;
+  }
+  var action = acgraph.events.GestureRecognizer.POINTER_ACTIONS_[e.type];
+  var pointerType = browserEvent['pointerType'];
+  // IE10 pointer types are numbers, 4 is the mouse.
+  if (!action || pointerType == 'mouse' || pointerType == 4 || this.source_ == 'touch')
+    return;
+
+  var id = String(browserEvent['pointerId']);
+  var known = id in this.pointers_;
+  this.browserEvent_ = e;
+  if (action == 'down' && !known) {
+    this.down_(id, [e.clientX, e.clientY], target);
+  } else if (action == 'move' && known) {
+    this.pointers_[id] = [e.clientX, e.clientY];
+    this.move_();
+  } else if ((action == 'up' || action == 'cancel') && known) {
+    this.up_(id, action == 'cancel');
+  }
+  this.source_ = this.ids_.length ? 'pointer' : null;
+};
+
+
+/**
+ * Synchronizes the pointers with the current touches of the touch event. New touches are added on touchstart only,
+ * so touches left after the pointer events family is canceled don't start a gesture in the middle.
+ * @param {goog.events.BrowserEvent} e Touch event.
+ * @param {*} target Wrapper of the event target.
+ * @private
+ */
+acgraph.events.GestureRecognizer.prototype.handleTouches_ = function(e, target) {
+  var touches = e.getBrowserEvent()['touches'];
+  var current = {};
+  var moved = false;
+  var started = e.type == goog.events.EventType.TOUCHSTART;
+  this.browserEvent_ = e;
+  for (var i = 0; i < touches.length; i++) {
+    var touch = touches[i];
+    var id = String(touch['identifier']);
+    var point = [touch['clientX'], touch['clientY']];
+    if (id in this.pointers_) {
+      current[id] = true;
+      moved = moved || point[0] != this.pointers_[id][0] || point[1] != this.pointers_[id][1];
+      this.pointers_[id] = point;
+    } else if (started) {
+      current[id] = true;
+      this.down_(id, point, target);
+    }
+  }
+  if (moved)
+    this.move_();
+  var canceled = e.type == goog.events.EventType.TOUCHCANCEL;
+  for (i = this.ids_.length; i--;) {
+    if (!current[this.ids_[i]])
+      this.up_(this.ids_[i], canceled);
+  }
+};
+
+
+/**
+ * Puts the pointer down.
+ * @param {string} id Pointer id.
+ * @param {!Array.<number>} point Pointer position in the client coordinates.
+ * @param {*} target Wrapper of the event target.
+ * @private
+ */
+acgraph.events.GestureRecognizer.prototype.down_ = function(id, point, target) {
+  this.pointers_[id] = point;
+  this.ids_.push(id);
+  if (this.ids_.length == 1) {
+    this.target_ = target instanceof acgraph.vector.Element ? target : this.stage_;
+    this.startTime_ = goog.now();
+    this.startCenter_ = point;
+    this.last_ = [point[0], point[1], this.startTime_];
+    this.velocity_ = [0, 0];
+    this.tapping_ = true;
+    this.multiTouch_ = false;
+    this.longPressTimer_ = goog.Timer.callOnce(this.handleLongPress_,
+        acgraph.events.GestureRecognizer.LONGPRESS_DURATION, this);
+  } else {
+    this.stopTapping_();
+    this.multiTouch_ = true;
+    if (this.panning_) {
+      this.panning_ = false;
+      this.dispatch_(acgraph.events.EventType.PAN, acgraph.events.GestureEvent.Phase.END);
+    }
+    if (!this.pinch_) {
+      this.pinch_ = [this.ids_[0], id];
+      this.pinchStart_ = acgraph.events.GestureRecognizer.measure_(this.pointers_[this.ids_[0]], point);
+      this.transform_ = [1, 0];
+      this.startCenter_ = this.getCenter_();
+      this.last_ = [this.startCenter_[0], this.startCenter_[1], goog.now()];
+      this.velocity_ = [0, 0];
+      this.dispatch_(acgraph.events.EventType.PINCH, acgraph.events.GestureEvent.Phase.START);
+      this.dispatch_(acgraph.events.EventType.ROTATE, acgraph.events.GestureEvent.Phase.START);
+    }
+  }
+};
+
+
+/**
+ * Handles the movement of the pointers.
+ * @private
+ */
+acgraph.events.GestureRecognizer.prototype.move_ = function() {
+  var center = this.getCenter_();
+  var time = goog.now();
+  var dt = time - this.last_[2];
+  if (dt > 0)
+    this.velocity_ = [(center[0] - this.last_[0]) / dt, (center[1] - this.last_[1]) / dt];
+  this.last_ = [center[0], center[1], time];
+
+  if (this.pinch_) {
+    var current = acgraph.events.GestureRecognizer.measure_(this.pointers_[this.pinch_[0]],
+        this.pointers_[this.pinch_[1]]);
+    var rotation = goog.math.standardAngle(current[1] - this.pinchStart_[1]);
+    this.transform_ = [
+      this.pinchStart_[0] ? current[0] / this.pinchStart_[0] : 1,
+      rotation > 180 ? rotation - 360 : rotation
+    ];
+    this.dispatch_(acgraph.events.EventType.PINCH, acgraph.events.GestureEvent.Phase.MOVE);
+    this.dispatch_(acgraph.events.EventType.ROTATE, acgraph.events.GestureEvent.Phase.MOVE);
+  } else if (!this.multiTouch_) {
+    if (!this.panning_ && acgraph.events.GestureRecognizer.measure_(this.startCenter_, center)[0] >
+        acgraph.events.GestureRecognizer.TAP_DISTANCE) {
+      this.stopTapping_();
+      this.panning_ = true;
+      this.dispatch_(acgraph.events.EventType.PAN, acgraph.events.GestureEvent.Phase.START);
+    }
+    if (this.panning_)
+      this.dispatch_(acgraph.events.EventType.PAN, acgraph.events.GestureEvent.Phase.MOVE);
+  }
+};
+
+
+/**
+ * Releases the pointer.
+ * @param {string} id Pointer id.
+ * @param {boolean} canceled Whether the pointer is canceled by the browser.
+ * @private
+ */
+acgraph.events.GestureRecognizer.prototype.up_ = function(id, canceled) {
+  var Phase = acgraph.events.GestureEvent.Phase;
+  var Type = acgraph.events.EventType;
+  if (this.pinch_ && goog.array.contains(this.pinch_, id)) {
+    this.dispatch_(Type.PINCH, Phase.END);
+    this.dispatch_(Type.ROTATE, Phase.END);
+    this.pinch_ = null;
+  }
+  var last = this.pointers_[id];
+  delete this.pointers_[id];
+  goog.array.remove(this.ids_, id);
+  if (this.ids_.length) return;
+
+  // Center of the released pointers is the last position of the last one.
+  this.pointers_[id] = last;
+  if (goog.now() - this.last_[2] > acgraph.events.GestureRecognizer.STOP_INTERVAL)
+    this.velocity_ = [0, 0];
+  if (this.panning_) {
+    this.panning_ = false;
+    this.dispatch_(Type.PAN, Phase.END);
+    if (!canceled && Math.max(Math.abs(this.velocity_[0]), Math.abs(this.velocity_[1])) >=
+        acgraph.events.GestureRecognizer.SWIPE_VELOCITY)
+      this.dispatch_(Type.SWIPE, null);
+  }
+  if (this.tapping_ && !canceled && goog.now() - this.startTime_ <= acgraph.events.GestureRecognizer.TAP_DURATION)
+    this.tap_(last);
+  this.stopTapping_();
+  delete this.pointers_[id];
+  this.target_ = null;
+  this.browserEvent_ = null;
+};
+
+
+/**
+ * Dispatches the tap and the double tap, if the tap follows the previous one.
+ * @param {!Array.<number>} point Tap position in the client coordinates.
+ * @private
+ */
+acgraph.events.GestureRecognizer.prototype.tap_ = function(point) {
+  var time = goog.now();
+  var lastTap = this.lastTap_;
+  this.dispatch_(acgraph.events.EventType.TAP, null);
+  if (lastTap && time - lastTap[2] <= acgraph.events.GestureRecognizer.DOUBLETAP_INTERVAL &&
+      acgraph.events.GestureRecognizer.measure_(lastTap, point)[0] <=
+      acgraph.events.GestureRecognizer.DOUBLETAP_DISTANCE) {
+    this.lastTap_ = null;
+    this.dispatch_(acgraph.events.EventType.DOUBLETAP, null);
+  } else {
+    this.lastTap_ = [point[0], point[1], time];
+  }
+};
+
+
+/**
+ * Dispatches the long press, if the single pointer is still down and hasn't moved.
+ * @private
+ */
+acgraph.events.GestureRecognizer.prototype.handleLongPress_ = function() {
+  this.longPressTimer_ = null;
+  if (this.tapping_) {
+    this.tapping_ = false;
+    this.dispatch_(acgraph.events.EventType.LONGPRESS, null);
+  }
+};
+
+
+/**
+ * Stops waiting for a tap or a long press.
+ * @private
+ */
+acgraph.events.GestureRecognizer.prototype.stopTapping_ = function() {
+  this.tapping_ = false;
+  if (goog.isDefAndNotNull(this.longPressTimer_)) {
+    goog.Timer.clear(this.longPressTimer_);
+    this.longPressTimer_ = null;
+  }
+};
+
+
+/**
+ * Returns the center of the pointers in the client coordinates.
+ * @return {!Array.<number>} Center.
+ * @private
+ */
+acgraph.events.GestureRecognizer.prototype.getCenter_ = function() {
+  var x = 0, y = 0, count = 0;
+  goog.object.forEach(this.pointers_, function(point) {
+    x += point[0];
+    y += point[1];
+    count++;
+  });
+  return count ? [x / count, y / count] : [0, 0];
+};
+
+
+/**
+ * Dispatches the gesture event on the gesture target.
+ * @param {string} type Event type.
+ * @param {?acgraph.events.GestureEvent.Phase} phase Phase of the continuous gesture, null for the instant one.
+ * @private
+ */
+acgraph.events.GestureRecognizer.prototype.dispatch_ = function(type, phase) {
+  var target = this.target_;
+  if (!target || target.isDisposed())
+    target = this.stage_;
+  var center = this.getCenter_();
+  var rect = this.stage_.domElement().getBoundingClientRect();
+  var start = this.startCenter_ || center;
+  var vx = this.velocity_[0];
+  var vy = this.velocity_[1];
+
+  var event = new acgraph.events.GestureEvent(type, this.browserEvent_);
+  event['phase'] = phase;
+  event['pointers'] = this.ids_.length || 1;
+  event['clientX'] = center[0];
+  event['clientY'] = center[1];
+  event['centerX'] = center[0] - rect.left;
+  event['centerY'] = center[1] - rect.top;
+  event['deltaX'] = center[0] - start[0];
+  event['deltaY'] = center[1] - start[1];
+  event['scale'] = this.pinch_ ? this.transform_[0] : 1;
+  event['rotation'] = this.pinch_ ? this.transform_[1] : 0;
+  event['velocityX'] = vx;
+  event['velocityY'] = vy;
+  event['velocity'] = Math.sqrt(vx * vx + vy * vy);
+  if (type == acgraph.events.EventType.SWIPE) {
+    var Direction = acgraph.events.GestureEvent.Direction;
+    event['direction'] = Math.abs(vx) >= Math.abs(vy) ?
+        (vx < 0 ? Direction.LEFT : Direction.RIGHT) :
+        (vy < 0 ? Direction.UP : Direction.DOWN);
+  }
+  target.dispatchEvent(event);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Disposing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.events.GestureRecognizer.prototype.disposeInternal = function() {
+  this.stopTapping_();
+  this.pointers_ = {};
+  this.ids_.length = 0;
+  this.source_ = null;
+  this.pinch_ = null;
+  this.target_ = null;
+  this.browserEvent_ = null;
+  this.stage_ = null;
+  goog.base(this, 'disposeInternal');
+};
+
+
+
+/**
+ * Object representing a gesture event. Gestures are recognized in touch and pointer events of the stage, mouse
+ * pointers have their own events:
+ * <ul>
+ *   <li>{@link acgraph.events.EventType.PAN}: single pointer moves, with start, move and end phases;</li>
+ *   <li>{@link acgraph.events.EventType.SWIPE}: pan ends with a fast movement, direction is set;</li>
+ *   <li>{@link acgraph.events.EventType.PINCH} and {@link acgraph.events.EventType.ROTATE}: two pointers move, with
+ *   start, move and end phases, scale and rotation are set;</li>
+ *   <li>{@link acgraph.events.EventType.TAP} and {@link acgraph.events.EventType.DOUBLETAP}: single pointer is
+ *   released quickly without moving, double tap follows the tap;</li>
+ *   <li>{@link acgraph.events.EventType.LONGPRESS}: single pointer stays down without moving.</li>
+ * </ul>
+ * Preventing the event prevents the default action of the browser event that caused it, e.g. page zoom.
+ * @param {string} type Event type.
+ * @param {goog.events.BrowserEvent} browserEvent Browser event that caused the gesture event.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+acgraph.events.GestureEvent = function(type, browserEvent) {
+  goog.events.Event.call(this, type);
+
+  /**
+   * Phase of the pan, pinch and rotate gestures, null for the instant gestures.
+   * @type {?acgraph.events.GestureEvent.Phase}
+   */
+  this['phase'] = null;
+
+  /**
+   * Number of the pointers which are down.
+   * @type {number}
+   */
+  this['pointers'] = 1;
+
+  /**
+   * X-coordinate of the center of the pointers relative to the viewport.
+   * @type {number}
+   */
+  this['clientX'] = 0;
+
+  /**
+   * Y-coordinate of the center of the pointers relative to the viewport.
+   * @type {number}
+   */
+  this['clientY'] = 0;
+
+  /**
+   * X-coordinate of the center of the pointers in the stage coordinates.
+   * @type {number}
+   */
+  this['centerX'] = 0;
+
+  /**
+   * Y-coordinate of the center of the pointers in the stage coordinates.
+   * @type {number}
+   */
+  this['centerY'] = 0;
+
+  /**
+   * Horizontal movement of the center since the gesture start.
+   * @type {number}
+   */
+  this['deltaX'] = 0;
+
+  /**
+   * Vertical movement of the center since the gesture start.
+   * @type {number}
+   */
+  this['deltaY'] = 0;
+
+  /**
+   * Ratio of the distance between the pinch pointers to the distance at the pinch start.
+   * @type {number}
+   */
+  this['scale'] = 1;
+
+  /**
+   * Rotation of the line between the pinch pointers since the pinch start, in degrees clockwise, from -180 to 180.
+   * @type {number}
+   */
+  this['rotation'] = 0;
+
+  /**
+   * Horizontal velocity of the center in pixels per millisecond.
+   * @type {number}
+   */
+  this['velocityX'] = 0;
+
+  /**
+   * Vertical velocity of the center in pixels per millisecond.
+   * @type {number}
+   */
+  this['velocityY'] = 0;
+
+  /**
+   * Velocity of the center in pixels per millisecond.
+   * @type {number}
+   */
+  this['velocity'] = 0;
+
+  /**
+   * Direction of the swipe, null for other gestures.
+   * @type {?acgraph.events.GestureEvent.Direction}
+   */
+  this['direction'] = null;
+
+  /**
+   * Browser event that caused the gesture event.
+   * @type {goog.events.BrowserEvent}
+   * @private
+   */
+  this.event_ = browserEvent;
+};
+goog.inherits(acgraph.events.GestureEvent, goog.events.Event);
+
+
+/**
+ * Phases of the continuous gestures.
+ * @enum {string}
+ */
+acgraph.events.GestureEvent.Phase = {
+  START: 'start',
+  MOVE: 'move',
+  END: 'end'
+};
+
+
+/**
+ * Swipe directions.
+ * @enum {string}
+ */
+acgraph.events.GestureEvent.Direction = {
+  LEFT: 'left',
+  RIGHT: 'right',
+  UP: 'up',
+  DOWN: 'down'
+};
+
+
+/**
+ * Prevents default action of the browser event that caused the gesture event.
+ */
+acgraph.events.GestureEvent.prototype.preventDefault = function() {
+  goog.base(this, 'preventDefault');
+  if (this.event_)
+    this.event_.preventDefault();
+};
+
+
+/**
+ * Returns the browser event that caused the gesture event.
+ * @return {goog.events.BrowserEvent}
+ */
+acgraph.events.GestureEvent.prototype.getOriginalEvent = function() {
+  return this.event_;
+};
+
+
+//exports
+goog.exportSymbol('acgraph.events.GestureEvent.Phase.START', acgraph.events.GestureEvent.Phase.START);
+goog.exportSymbol('acgraph.events.GestureEvent.Phase.MOVE', acgraph.events.GestureEvent.Phase.MOVE);
+goog.exportSymbol('acgraph.events.GestureEvent.Phase.END', acgraph.events.GestureEvent.Phase.END);
+goog.exportSymbol('acgraph.events.GestureEvent.Direction.LEFT', acgraph.events.GestureEvent.Direction.LEFT);
+goog.exportSymbol('acgraph.events.GestureEvent.Direction.RIGHT', acgraph.events.GestureEvent.Direction.RIGHT);
+goog.exportSymbol('acgraph.events.GestureEvent.Direction.UP', acgraph.events.GestureEvent.Direction.UP);
+goog.exportSymbol('acgraph.events.GestureEvent.Direction.DOWN', acgraph.events.GestureEvent.Direction.DOWN);
+acgraph.events.GestureEvent.prototype['preventDefault'] = acgraph.events.GestureEvent.prototype.preventDefault;
+acgraph.events.GestureEvent.prototype['getOriginalEvent'] = acgraph.events.GestureEvent.prototype.getOriginalEvent;
@@ -0,0 +1,256 @@
+goog.provide('acgraph.events.dragConstraints');
+
+goog.require('acgraph.math');
+goog.require('goog.array');
+goog.require('goog.math');
+
+
+/**
+ Built-in drag constraints, see {@link acgraph.vector.Element#dragConstraints}.<br/>
+ Constraints are applied in order to the position of the dragged element: left top corner of its bounds in the
+ coordinates of its parent. Snapping constraints report the guide lines they snapped to, the guides are shown if
+ {@link acgraph.vector.Element#dragGuides} is enabled.
+ @namespace
+ @name acgraph.events.dragConstraints
+ */
+
+
+/**
+ * Default distance in pixels within which the snapping constraints snap.
+ * @type {number}
+ */
+acgraph.events.dragConstraints.TOLERANCE = 5;
+
+
+/**
+ Snaps the element position to the grid.
+ @param {number} stepX Horizontal grid step.
+ @param {number=} opt_stepY Vertical grid step, equals to the horizontal one by default.
+ @param {number=} opt_offsetX Horizontal offset of the grid.
+ @param {number=} opt_offsetY Vertical offset of the grid.
+ @return {acgraph.events.Dragger.Constraint} Constraint.
+ */
+acgraph.events.dragConstraints.grid = function(stepX, opt_stepY, opt_offsetX, opt_offsetY) {
+  var stepY = goog.isDef(opt_stepY) ? opt_stepY : stepX;
+  var offsetX = opt_offsetX || 0;
+  var offsetY = opt_offsetY || 0;
+  return function(position, dragger) {
+    if (stepX)
+      position['x'] = offsetX + Math.round((position['x'] - offsetX) / stepX) * stepX;
+    if (stepY)
+      position['y'] = offsetY + Math.round((position['y'] - offsetY) / stepY) * stepY;
+  };
+};
+
+
+/**
+ Snaps the edges and the center of the element to the edges and centers of other elements (smart guides).
+ @param {!Array.<acgraph.vector.Element>} elements Elements to snap to.
+ @param {number=} opt_tolerance Snapping distance, {@link acgraph.events.dragConstraints.TOLERANCE} by default.
+ @return {acgraph.events.Dragger.Constraint} Constraint.
+ */
+acgraph.events.dragConstraints.elements = function(elements, opt_tolerance) {
+  var tolerance = goog.isDef(opt_tolerance) ? opt_tolerance : acgraph.events.dragConstraints.TOLERANCE;
+  return function(position, dragger) {
+    var element = dragger.acelement;
+    var width = element.getWidth();
+    var height = element.getHeight();
+    var parent = element.parent();
+    var tx = parent ? parent.getFullTransformation() : null;
+    var inverse = tx ? tx.createInverse() : null;
+
+    var snapX = null;
+    var snapY = null;
+    goog.array.forEach(elements, function(target) {
+      if (target == element || !target.getStage()) return;
+      var bounds = target.getAbsoluteBounds();
+      if (inverse)
+        bounds = acgraph.math.getBoundsOfRectWithTransform(bounds, inverse);
+      var candidate = acgraph.events.dragConstraints.findSnap_(position['x'], width,
+          bounds.left, bounds.width, tolerance);
+      if (candidate && (!snapX || Math.abs(candidate.diff) < Math.abs(snapX.diff))) {
+        candidate.bounds = bounds;
+        snapX = candidate;
+      }
+      candidate = acgraph.events.dragConstraints.findSnap_(position['y'], height,
+          bounds.top, bounds.height, tolerance);
+      if (candidate && (!snapY || Math.abs(candidate.diff) < Math.abs(snapY.diff))) {
+        candidate.bounds = bounds;
+        snapY = candidate;
+      }
+    });
+
+    if (snapX)
+      position['x'] += snapX.diff;
+    if (snapY)
+      position['y'] += snapY.diff;
+    // Guides span both elements.
+    if (snapX)
+      position['guides'].push([snapX.line, Math.min(position['y'], snapX.bounds.top), snapX.line,
+        Math.max(position['y'] + height, snapX.bounds.top + snapX.bounds.height)]);
+    if (snapY)
+      position['guides'].push([Math.min(position['x'], snapY.bounds.left), snapY.line,
+        Math.max(position['x'] + width, snapY.bounds.left + snapY.bounds.width), snapY.line]);
+  };
+};
+
+
+/**
+ * Finds the closest pair of the start, the center or the end of the dragged segment and of the target segment.
+ * @param {number} start Start of the dragged segment.
+ * @param {number} size Size of the dragged segment.
+ * @param {number} targetStart Start of the target segment.
+ * @param {number} targetSize Size of the target segment.
+ * @param {number} tolerance Snapping distance.
+ * @return {?{diff: number, line: number, bounds: acgraph.math.Rect}} Shift of the dragged segment and the line it
+ *    snaps to or null if nothing is within the tolerance.
+ * @private
+ */
+acgraph.events.dragConstraints.findSnap_ = function(start, size, targetStart, targetSize, tolerance) {
+  var result = null;
+  for (var i = 0; i <= 2; i++) {
+    var line = targetStart + targetSize * i / 2;
+    for (var j = 0; j <= 2; j++) {
+      var diff = line - (start + size * j / 2);
+      if (Math.abs(diff) <= tolerance && (!result || Math.abs(diff) < Math.abs(result.diff)))
+        result = {diff: diff, line: line, bounds: null};
+    }
+  }
+  return result;
+};
+
+
+/**
+ Snaps the direction of the drag from the drag start position to multiples of the angle.
+ @param {number} step Angle step in degrees.
+ @return {acgraph.events.Dragger.Constraint} Constraint.
+ */
+acgraph.events.dragConstraints.angle = function(step) {
+  var stepRadians = goog.math.toRadians(step);
+  return function(position, dragger) {
+    var dx = position['x'] - dragger.originX;
+    var dy = position['y'] - dragger.originY;
+    if (!stepRadians || (!dx && !dy)) return;
+    var angle = Math.round(Math.atan2(dy, dx) / stepRadians) * stepRadians;
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    // Position is projected to the snapped direction.
+    var length = dx * cos + dy * sin;
+    position['x'] = dragger.originX + length * cos;
+    position['y'] = dragger.originY + length * sin;
+
+    var element = dragger.acelement;
+    var cx = element.getWidth() / 2;
+    var cy = element.getHeight() / 2;
+    position['guides'].push([dragger.originX + cx, dragger.originY + cy, position['x'] + cx, position['y'] + cy]);
+  };
+};
+
+
+/**
+ Locks the drag to the axis.
+ @param {string=} opt_axis 'x' or 'y', if not set the drag is locked to the axis of the larger movement.
+ @return {acgraph.events.Dragger.Constraint} Constraint.
+ */
+acgraph.events.dragConstraints.axis = function(opt_axis) {
+  return function(position, dragger) {
+    var axis = opt_axis;
+    if (!axis) {
+      axis = Math.abs(position['x'] - dragger.originX) >= Math.abs(position['y'] - dragger.originY) ? 'x' : 'y';
+    }
+    if (axis == 'x')
+      position['y'] = dragger.originY;
+    else
+      position['x'] = dragger.originX;
+  };
+};
+
+
+/**
+ Makes the center of the element follow the path: the element is moved to the point of the path nearest to the
+ dragged position.
+ @param {!acgraph.vector.Path} path Path to drag along.
+ @return {acgraph.events.Dragger.Constraint} Constraint.
+ */
+acgraph.events.dragConstraints.path = function(path) {
+  return function(position, dragger) {
+    var element = dragger.acelement;
+    var width = element.getWidth();
+    var height = element.getHeight();
+    var point = [position['x'] + width / 2, position['y'] + height / 2];
+    var parent = element.parent();
+    var parentTx = parent ? parent.getFullTransformation() : null;
+    var pathTx = path.getFullTransformation();
+
+    if (parentTx)
+      parentTx.transform(point, 0, point, 0, 1);
+    if (pathTx)
+      pathTx.createInverse().transform(point, 0, point, 0, 1);
+    var nearest = path.getNearestPoint(point[0], point[1]);
+    if (!nearest) return;
+    point = [nearest['x'], nearest['y']];
+    if (pathTx)
+      pathTx.transform(point, 0, point, 0, 1);
+    if (parentTx)
+      parentTx.createInverse().transform(point, 0, point, 0, 1);
+
+    position['x'] = point[0] - width / 2;
+    position['y'] = point[1] - height / 2;
+  };
+};
+
+
+/**
+ Keeps the center of the element inside the polygon: the element dragged outside is moved to the nearest point of
+ the polygon border.
+ @param {!Array.<number>} points Polygon vertices as [x1, y1, x2, y2, ...] in the coordinates of the element parent.
+ @return {acgraph.events.Dragger.Constraint} Constraint.
+ */
+acgraph.events.dragConstraints.polygon = function(points) {
+  return function(position, dragger) {
+    var count = points.length >> 1;
+    if (count < 3) return;
+    var element = dragger.acelement;
+    var cx = element.getWidth() / 2;
+    var cy = element.getHeight() / 2;
+    var x = position['x'] + cx;
+    var y = position['y'] + cy;
+
+    var inside = false;
+    var nearestX = x;
+    var nearestY = y;
+    var distance = Infinity;
+    for (var i = 0, j = count - 1; i < count; j = i++) {
+      var x1 = points[i * 2], y1 = points[i * 2 + 1];
+      var x2 = points[j * 2], y2 = points[j * 2 + 1];
+      // Ray casting.
+      if ((y1 > y) != (y2 > y) && x < (x2 - x1) * (y - y1) / (y2 - y1) + x1)
+        inside = !inside;
+      var dx = x2 - x1;
+      var dy = y2 - y1;
+      var sqrLength = dx * dx + dy * dy;
+      var t = sqrLength ? goog.math.clamp(((x - x1) * dx + (y - y1) * dy) / sqrLength, 0, 1) : 0;
+      var px = x1 + t * dx;
+      var py = y1 + t * dy;
+      var d = (px - x) * (px - x) + (py - y) * (py - y);
+      if (d < distance) {
+        distance = d;
+        nearestX = px;
+        nearestY = py;
+      }
+    }
+    if (!inside) {
+      position['x'] = nearestX - cx;
+      position['y'] = nearestY - cy;
+    }
+  };
+};
+
+
+//exports
+goog.exportSymbol('acgraph.events.dragConstraints.grid', acgraph.events.dragConstraints.grid);
+goog.exportSymbol('acgraph.events.dragConstraints.elements', acgraph.events.dragConstraints.elements);
+goog.exportSymbol('acgraph.events.dragConstraints.angle', acgraph.events.dragConstraints.angle);
+goog.exportSymbol('acgraph.events.dragConstraints.axis', acgraph.events.dragConstraints.axis);
+goog.exportSymbol('acgraph.events.dragConstraints.path', acgraph.events.dragConstraints.path);
+goog.exportSymbol('acgraph.events.dragConstraints.polygon', acgraph.events.dragConstraints.polygon);
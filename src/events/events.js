@@ -119,6 +119,24 @@ acgraph.events.EventType = {
   /** Fires on tap (fast touchstart - touchend). */
   TAP: 'tap',
 
+  /** Fires on the second of two fast taps, after its tap event. */
+  DOUBLETAP: 'doubletap',
+
+  /** Fires when a single touch stays down without moving. */
+  LONGPRESS: 'longpress',
+
+  /** Fires on start, move and end of a single touch drag. */
+  PAN: 'pan',
+
+  /** Fires after the pan that ends with a fast movement. */
+  SWIPE: 'swipe',
+
+  /** Fires on start, move and end of a two touches zoom, the event carries the scale. */
+  PINCH: 'pinch',
+
+  /** Fires on start, move and end of a two touches rotation, the event carries the rotation. */
+  ROTATE: 'rotate',
+
   // The drag action was canceled before the START event. Possible reasons:
   // disabled dragger, dragging with the right mouse button or releasing the
   // button before reaching the hysteresis distance.
@@ -137,7 +155,31 @@ acgraph.events.EventType = {
   /** Fires on drag end. */
   DRAG_END: 'end',
 
-  CONTEXTMENU: 'contextmenu'
+  CONTEXTMENU: 'contextmenu',
+
+  /** Fires when element animation starts. */
+  ANIMATION_START: 'animationstart',
+
+  /** Fires on each frame of element animation. */
+  ANIMATION_STEP: 'animationstep',
+
+  /** Fires when element animation finishes or is stopped. */
+  ANIMATION_END: 'animationend',
+
+  /** Fires when user starts to move, resize or rotate elements with a transformer. */
+  TRANSFORM_START: 'transformstart',
+
+  /** Fires on each change of elements made with a transformer. */
+  TRANSFORM: 'transform',
+
+  /** Fires when user releases a transformer handle. */
+  TRANSFORM_END: 'transformend',
+
+  /** Fires when elements are added to or removed from the stage selection. */
+  SELECTION_CHANGE: 'selectionchange',
+
+  /** Fires when changes are recorded to the stage history, undone or redone. */
+  HISTORY_CHANGE: 'historychange'
 };
 
 //exports
@@ -158,8 +200,22 @@ goog.exportSymbol('acgraph.events.EventType.TOUCHEND', acgraph.events.EventType.
 goog.exportSymbol('acgraph.events.EventType.TOUCHCANCEL', acgraph.events.EventType.TOUCHCANCEL);
 goog.exportSymbol('acgraph.events.EventType.TOUCHMOVE', acgraph.events.EventType.TOUCHMOVE);
 goog.exportSymbol('acgraph.events.EventType.TAP', acgraph.events.EventType.TAP);
+goog.exportSymbol('acgraph.events.EventType.DOUBLETAP', acgraph.events.EventType.DOUBLETAP);
+goog.exportSymbol('acgraph.events.EventType.LONGPRESS', acgraph.events.EventType.LONGPRESS);
+goog.exportSymbol('acgraph.events.EventType.PAN', acgraph.events.EventType.PAN);
+goog.exportSymbol('acgraph.events.EventType.SWIPE', acgraph.events.EventType.SWIPE);
+goog.exportSymbol('acgraph.events.EventType.PINCH', acgraph.events.EventType.PINCH);
+goog.exportSymbol('acgraph.events.EventType.ROTATE', acgraph.events.EventType.ROTATE);
 goog.exportSymbol('acgraph.events.EventType.DRAG', acgraph.events.EventType.DRAG);
 goog.exportSymbol('acgraph.events.EventType.DRAG_START', acgraph.events.EventType.DRAG_START);
 goog.exportSymbol('acgraph.events.EventType.DRAG_END', acgraph.events.EventType.DRAG_END);
 goog.exportSymbol('acgraph.events.EventType.DRAG_EARLY_CANCEL', acgraph.events.EventType.DRAG_EARLY_CANCEL);
 goog.exportSymbol('acgraph.events.EventType.DRAG_BEFORE', acgraph.events.EventType.DRAG_BEFORE);
+goog.exportSymbol('acgraph.events.EventType.ANIMATION_START', acgraph.events.EventType.ANIMATION_START);
+goog.exportSymbol('acgraph.events.EventType.ANIMATION_STEP', acgraph.events.EventType.ANIMATION_STEP);
+goog.exportSymbol('acgraph.events.EventType.ANIMATION_END', acgraph.events.EventType.ANIMATION_END);
+goog.exportSymbol('acgraph.events.EventType.TRANSFORM_START', acgraph.events.EventType.TRANSFORM_START);
+goog.exportSymbol('acgraph.events.EventType.TRANSFORM', acgraph.events.EventType.TRANSFORM);
+goog.exportSymbol('acgraph.events.EventType.TRANSFORM_END', acgraph.events.EventType.TRANSFORM_END);
+goog.exportSymbol('acgraph.events.EventType.SELECTION_CHANGE', acgraph.events.EventType.SELECTION_CHANGE);
+goog.exportSymbol('acgraph.events.EventType.HISTORY_CHANGE', acgraph.events.EventType.HISTORY_CHANGE);
@@ -211,6 +211,76 @@ acgraph.math.calcCurveBounds = function(var_args) {
 };
 
 
+/**
+ * Splits a cubic Bézier curve into two curves at a given parameter value using de Casteljau's algorithm.
+ * @param {number} x0 The X-coordinate of the initial point.
+ * @param {number} y0 The Y-coordinate of the initial point.
+ * @param {number} x1 The X-coordinate of the first control point.
+ * @param {number} y1 The Y-coordinate of the first control point.
+ * @param {number} x2 The X-coordinate of the second control point.
+ * @param {number} y2 The Y-coordinate of the second control point.
+ * @param {number} x3 The X-coordinate of the endpoint.
+ * @param {number} y3 The Y-coordinate of the endpoint.
+ * @param {number} t The curve parameter in [0, 1] to split at.
+ * @return {!Array.<number>} 7 pairs of coordinates: the initial point, 2 control points and the endpoint of the first
+ *    curve (which is the initial point of the second curve), then 2 control points and the endpoint of the second curve.
+ */
+acgraph.math.splitCubicCurve = function(x0, y0, x1, y1, x2, y2, x3, y3, t) {
+  var x01 = x0 + (x1 - x0) * t, y01 = y0 + (y1 - y0) * t;
+  var x12 = x1 + (x2 - x1) * t, y12 = y1 + (y2 - y1) * t;
+  var x23 = x2 + (x3 - x2) * t, y23 = y2 + (y3 - y2) * t;
+  var x012 = x01 + (x12 - x01) * t, y012 = y01 + (y12 - y01) * t;
+  var x123 = x12 + (x23 - x12) * t, y123 = y12 + (y23 - y12) * t;
+  var x = x012 + (x123 - x012) * t, y = y012 + (y123 - y012) * t;
+  return [x0, y0, x01, y01, x012, y012, x, y, x123, y123, x23, y23, x3, y3];
+};
+
+
+/**
+ * Flattens a cubic Bézier curve to a polyline. The curve is split in halves with {@link acgraph.math.splitCubicCurve}
+ * until the control points of each part are not farther from its chord than the tolerance.
+ * @param {number} x0 The X-coordinate of the initial point.
+ * @param {number} y0 The Y-coordinate of the initial point.
+ * @param {number} x1 The X-coordinate of the first control point.
+ * @param {number} y1 The Y-coordinate of the first control point.
+ * @param {number} x2 The X-coordinate of the second control point.
+ * @param {number} y2 The Y-coordinate of the second control point.
+ * @param {number} x3 The X-coordinate of the endpoint.
+ * @param {number} y3 The Y-coordinate of the endpoint.
+ * @param {number} tolerance The maximum distance between the curve and the polyline.
+ * @return {!Array.<number>} The coordinates of the polyline points, without the initial point and
+ *    ending with the endpoint.
+ */
+acgraph.math.flattenCubicCurve = function(x0, y0, x1, y1, x2, y2, x3, y3, tolerance) {
+  // Limits the number of points of degenerate curves to 2^16.
+  var maxDepth = 16;
+  var result = [];
+  var stack = [[x0, y0, x1, y1, x2, y2, x3, y3, 0]];
+  while (stack.length) {
+    var c = stack.pop();
+    var dx = c[6] - c[0];
+    var dy = c[7] - c[1];
+    var chord = Math.sqrt(dx * dx + dy * dy);
+    var distance;
+    if (chord) {
+      distance = Math.max(Math.abs(dx * (c[3] - c[1]) - dy * (c[2] - c[0])),
+          Math.abs(dx * (c[5] - c[1]) - dy * (c[4] - c[0]))) / chord;
+    } else {
+      distance = Math.max(Math.sqrt(Math.pow(c[2] - c[0], 2) + Math.pow(c[3] - c[1], 2)),
+          Math.sqrt(Math.pow(c[4] - c[0], 2) + Math.pow(c[5] - c[1], 2)));
+    }
+    if (distance > tolerance && c[8] < maxDepth) {
+      var split = acgraph.math.splitCubicCurve(c[0], c[1], c[2], c[3], c[4], c[5], c[6], c[7], 0.5);
+      // The second half is pushed first to process the first half first.
+      stack.push(split.slice(6).concat(c[8] + 1), split.slice(0, 8).concat(c[8] + 1));
+    } else {
+      result.push(c[6], c[7]);
+    }
+  }
+  return result;
+};
+
+
 /**
  * Multiplication of N matrices.
  * @param {...goog.graphics.AffineTransform} var_args The matrices to be multiplied.
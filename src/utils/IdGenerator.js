@@ -39,8 +39,12 @@ acgraph.utils.IdGenerator.ElementTypePrefix = {
   RADIAL_GRADIENT: 'radialGradient',
   TEXT: 'text',
   TEXT_SEGMENT: 'tSegment',
+  TEXT_PATH: 'textPath',
   IMAGE: 'image',
   CLIP: 'clip',
+  MASK: 'mask',
+  FILTER: 'filter',
+  MARKER: 'marker',
   SHAPE_TYPE: 'shapeType'
 };
 
@@ -0,0 +1,1012 @@
+goog.provide('acgraph.utils.PdfWriter');
+
+goog.require('acgraph.math');
+goog.require('acgraph.math.Rect');
+goog.require('acgraph.utils.exporting');
+goog.require('acgraph.vector');
+goog.require('acgraph.vector.Ellipse');
+goog.require('acgraph.vector.Image');
+goog.require('acgraph.vector.Layer');
+goog.require('acgraph.vector.PathBase');
+goog.require('acgraph.vector.Shape');
+goog.require('acgraph.vector.Text');
+goog.require('acgraph.vector.UnmanagedLayer');
+goog.require('goog.array');
+goog.require('goog.color');
+goog.require('goog.graphics.AffineTransform');
+goog.require('goog.math');
+goog.require('goog.object');
+goog.require('goog.string');
+
+
+
+/**
+ * Writes the stage into a single page vector PDF document without the export server.<br/>
+ * The element tree is walked directly: paths, rects, ellipses and circles are written as PDF paths, solid fills and
+ * strokes (with dash, line join and line cap), linear and radial gradients (as shading patterns), clips, images
+ * and texts are supported. Texts are written with standard PDF fonts (Helvetica, Times and Courier families) that
+ * are picked by the font family, so glyph widths may slightly differ from the browser ones. Gradient keys opacity,
+ * pattern, hatch and image fills are not supported. Images are converted to JPEG, so they can be embedded only if they
+ * are loaded from the same origin or CORS-enabled.<br/>
+ * Paper size, landscape and offsets have the same meaning as in {@link acgraph.vector.Stage#saveAsPdf}.
+ * @param {!acgraph.vector.Stage} stage Stage to write.
+ * @param {(number|string)=} opt_paperSizeOrWidth Any paper format like 'a0', 'tabloid', 'b4', etc. or page width.
+ * @param {(number|boolean)=} opt_landscapeOrHeight Define, is landscape, or page height.
+ * @param {number=} opt_x Offset X.
+ * @param {number=} opt_y Offset Y.
+ * @constructor
+ */
+acgraph.utils.PdfWriter = function(stage, opt_paperSizeOrWidth, opt_landscapeOrHeight, opt_x, opt_y) {
+  /**
+   * Stage to write.
+   * @type {!acgraph.vector.Stage}
+   * @private
+   */
+  this.stage_ = stage;
+
+  var stageWidth = /** @type {number} */ (stage.width());
+  var stageHeight = /** @type {number} */ (stage.height());
+  var x = opt_x || 0;
+  var y = opt_y || 0;
+  var scale = 1;
+
+  /**
+   * Page width in points.
+   * @type {number}
+   * @private
+   */
+  this.pageWidth_ = stageWidth;
+
+  /**
+   * Page height in points.
+   * @type {number}
+   * @private
+   */
+  this.pageHeight_ = stageHeight;
+
+  if (goog.isNumber(opt_paperSizeOrWidth)) {
+    this.pageWidth_ = opt_paperSizeOrWidth;
+    this.pageHeight_ = goog.isNumber(opt_landscapeOrHeight) ? opt_landscapeOrHeight : stageHeight;
+  } else if (goog.isString(opt_paperSizeOrWidth)) {
+    var size = acgraph.utils.exporting.PdfPaperSize[opt_paperSizeOrWidth || acgraph.vector.PaperSize.A4] ||
+        acgraph.utils.exporting.PdfPaperSize[acgraph.vector.PaperSize.A4];
+    this.pageWidth_ = opt_landscapeOrHeight ? size.height : size.width;
+    this.pageHeight_ = opt_landscapeOrHeight ? size.width : size.height;
+    if (stageWidth && stageHeight)
+      scale = Math.min((this.pageWidth_ - x) / stageWidth, (this.pageHeight_ - y) / stageHeight);
+  }
+
+  /**
+   * Transformation from stage coordinates to the default PDF page coordinates (which Y axis goes up).
+   * @type {!goog.graphics.AffineTransform}
+   * @private
+   */
+  this.pageTransform_ = new goog.graphics.AffineTransform(scale, 0, 0, -scale, x, this.pageHeight_ - y);
+
+  /**
+   * Loaded images by their sources.
+   * @type {Object.<string, ?{data: string, width: number, height: number}>}
+   * @private
+   */
+  this.images_ = {};
+
+  /**
+   * Document objects. Object number is the index plus one.
+   * @type {Array.<?string>}
+   * @private
+   */
+  this.objects_ = null;
+
+  /**
+   * Page content operators.
+   * @type {Array.<string>}
+   * @private
+   */
+  this.content_ = null;
+
+  /**
+   * Page resources by resource type and name.
+   * @type {Object.<string, Object.<string, number>>}
+   * @private
+   */
+  this.resources_ = null;
+
+  /**
+   * Names of graphics state parameter dictionaries by their opacity settings.
+   * @type {Object.<string, string>}
+   * @private
+   */
+  this.graphicStates_ = null;
+
+  /**
+   * Names of font resources by font names.
+   * @type {Object.<string, string>}
+   * @private
+   */
+  this.fonts_ = null;
+
+  /**
+   * Names of image resources by image sources.
+   * @type {Object.<string, string>}
+   * @private
+   */
+  this.imageNames_ = null;
+};
+
+
+/**
+ * Standard PDF fonts by font family kind: regular, bold, italic and bold italic faces.
+ * @type {Object.<string, Array.<string>>}
+ * @private
+ */
+acgraph.utils.PdfWriter.FONTS_ = {
+  'sans': ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'],
+  'serif': ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'],
+  'mono': ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique']
+};
+
+
+/**
+ * WinAnsiEncoding codes of the characters that are out of Latin-1 range.
+ * @type {Object.<string, number>}
+ * @private
+ */
+acgraph.utils.PdfWriter.WIN_ANSI_ = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+  '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+  '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+
+/**
+ Writes the document. Images are loaded beforehand, so the callback is called asynchronously if the stage
+ contains images.
+ @param {function(string)} onSuccess Function that will be called with the document as a binary string.
+ @param {function(string)=} opt_onError Function that will be called with the error message.
+ */
+acgraph.utils.PdfWriter.prototype.write = function(onSuccess, opt_onError) {
+  var sources = [];
+  this.collectImages_(this.stage_.getRootLayer(), sources);
+  var pending = sources.length;
+  var complete = goog.bind(function() {
+    var data;
+    try {
+      data = this.build_();
+    } catch (e) {
+      if (opt_onError) {
+        opt_onError(String(e));
+        return;
+      }
+      throw e;
+    }
+    onSuccess(data);
+  }, this);
+
+  if (!pending) {
+    complete();
+    return;
+  }
+  goog.array.forEach(sources, function(src) {
+    acgraph.utils.PdfWriter.loadImage_(src, goog.bind(function(image) {
+      this.images_[src] = image;
+      if (!--pending) complete();
+    }, this));
+  }, this);
+};
+
+
+/**
+ * Collects sources of visible images.
+ * @param {acgraph.vector.Element} element Element to start from.
+ * @param {Array.<string>} sources Sources. Modified.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.collectImages_ = function(element, sources) {
+  if (!element.visible()) return;
+  if (element instanceof acgraph.vector.Layer) {
+    element.forEachChild(function(child) {
+      this.collectImages_(child, sources);
+    }, this);
+  } else if (element instanceof acgraph.vector.Image) {
+    var src = element.src();
+    if (src && !goog.array.contains(sources, src))
+      sources.push(src);
+  }
+};
+
+
+/**
+ * Loads image and converts it to JPEG. Transparent areas of the image are filled with white.
+ * @param {string} src Image URL.
+ * @param {function(?{data: string, width: number, height: number})} callback Function that will be called with
+ *    JPEG binary data and image size or null if image can't be loaded or read.
+ * @private
+ */
+acgraph.utils.PdfWriter.loadImage_ = function(src, callback) {
+  var image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = function() {
+    image.onload = image.onerror = null;
+    var canvas = goog.global['document'].createElement('canvas');
+    var width = canvas.width = image.naturalWidth || image.width;
+    var height = canvas.height = image.naturalHeight || image.height;
+    var result = null;
+    try {
+      var context = canvas.getContext('2d');
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, width, height);
+      context.drawImage(image, 0, 0);
+      var dataUrl = canvas.toDataURL('image/jpeg', 0.92);
+      result = {
+        data: goog.global['atob'](dataUrl.substr(dataUrl.indexOf(',') + 1)),
+        width: width,
+        height: height
+      };
+    } catch (e) {
+      // Image is not CORS-enabled, canvas is tainted.
+    }
+    callback(width && height ? result : null);
+  };
+  image.onerror = function() {
+    image.onload = image.onerror = null;
+    callback(null);
+  };
+  image.src = src;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Document structure
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Builds the document.
+ * @return {string} Document as a binary string.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.build_ = function() {
+  this.objects_ = [];
+  this.content_ = [];
+  this.resources_ = {'Font': {}, 'ExtGState': {}, 'Pattern': {}, 'XObject': {}};
+  this.graphicStates_ = {};
+  this.fonts_ = {};
+  this.imageNames_ = {};
+
+  var pagesRef = this.reserveObject_();
+  this.content_.push(acgraph.utils.PdfWriter.matrixToString_(this.pageTransform_) + ' cm');
+  this.writeElement_(this.stage_.getRootLayer());
+
+  var contentRef = this.addStream_('', this.content_.join('\n'));
+  var resources = [];
+  goog.object.forEach(this.resources_, function(refs, type) {
+    var entries = [];
+    goog.object.forEach(refs, function(ref, name) {
+      entries.push('/' + name + ' ' + ref + ' 0 R');
+    });
+    if (entries.length)
+      resources.push('/' + type + ' << ' + entries.join(' ') + ' >>');
+  });
+  var pageRef = this.addObject_('<< /Type /Page /Parent ' + pagesRef + ' 0 R' +
+      ' /MediaBox [0 0 ' + acgraph.utils.PdfWriter.numberToString_(this.pageWidth_) + ' ' +
+      acgraph.utils.PdfWriter.numberToString_(this.pageHeight_) + ']' +
+      ' /Resources << /ProcSet [/PDF /Text /ImageC] ' + resources.join(' ') + ' >>' +
+      ' /Contents ' + contentRef + ' 0 R >>');
+  this.objects_[pagesRef - 1] = '<< /Type /Pages /Kids [' + pageRef + ' 0 R] /Count 1 >>';
+  var catalogRef = this.addObject_('<< /Type /Catalog /Pages ' + pagesRef + ' 0 R >>');
+
+  var result = '%PDF-1.4\n%âãÏÓ\n';
+  var offsets = [];
+  for (var i = 0; i < this.objects_.length; i++) {
+    offsets.push(result.length);
+    result += (i + 1) + ' 0 obj\n' + this.objects_[i] + '\nendobj\n';
+  }
+  var xrefOffset = result.length;
+  result += 'xref\n0 ' + (this.objects_.length + 1) + '\n0000000000 65535 f \n';
+  for (i = 0; i < offsets.length; i++)
+    result += goog.string.padNumber(offsets[i], 10) + ' 00000 n \n';
+  result += 'trailer\n<< /Size ' + (this.objects_.length + 1) + ' /Root ' + catalogRef + ' 0 R >>\n' +
+      'startxref\n' + xrefOffset + '\n%%EOF\n';
+
+  this.objects_ = null;
+  this.content_ = null;
+  this.resources_ = null;
+  this.graphicStates_ = null;
+  this.fonts_ = null;
+  this.imageNames_ = null;
+  return result;
+};
+
+
+/**
+ * Reserves object number. Object itself must be set later.
+ * @return {number} Object number.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.reserveObject_ = function() {
+  return this.objects_.push(null);
+};
+
+
+/**
+ * Adds object to the document.
+ * @param {string} object Object.
+ * @return {number} Object number.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.addObject_ = function(object) {
+  return this.objects_.push(object);
+};
+
+
+/**
+ * Adds stream object to the document.
+ * @param {string} dictionary Additional stream dictionary entries.
+ * @param {string} data Binary string data.
+ * @return {number} Object number.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.addStream_ = function(dictionary, data) {
+  return this.addObject_('<< ' + dictionary + (dictionary ? ' ' : '') + '/Length ' + data.length + ' >>\nstream\n' +
+      data + '\nendstream');
+};
+
+
+/**
+ * Registers page resource.
+ * @param {string} type Resource type.
+ * @param {string} prefix Resource name prefix.
+ * @param {number} ref Resource object number.
+ * @return {string} Resource name.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.addResource_ = function(type, prefix, ref) {
+  var name = prefix + (goog.object.getCount(this.resources_[type]) + 1);
+  this.resources_[type][name] = ref;
+  return name;
+};
+
+
+/**
+ * Returns name of graphics state parameter dictionary with the passed opacity.
+ * @param {number} fillOpacity Fill (non-stroking) opacity.
+ * @param {number} strokeOpacity Stroke opacity.
+ * @return {string} Resource name.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.getGraphicState_ = function(fillOpacity, strokeOpacity) {
+  var ca = acgraph.utils.PdfWriter.numberToString_(goog.math.clamp(fillOpacity, 0, 1));
+  var CA = acgraph.utils.PdfWriter.numberToString_(goog.math.clamp(strokeOpacity, 0, 1));
+  var key = ca + ' ' + CA;
+  if (!(key in this.graphicStates_)) {
+    this.graphicStates_[key] = this.addResource_('ExtGState', 'GS',
+        this.addObject_('<< /Type /ExtGState /ca ' + ca + ' /CA ' + CA + ' >>'));
+  }
+  return this.graphicStates_[key];
+};
+
+
+/**
+ * Returns name of the font resource with the standard font.
+ * @param {string} font Standard font name.
+ * @return {string} Resource name.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.getFont_ = function(font) {
+  if (!(font in this.fonts_)) {
+    this.fonts_[font] = this.addResource_('Font', 'F', this.addObject_('<< /Type /Font /Subtype /Type1 /BaseFont /' +
+        font + ' /Encoding /WinAnsiEncoding >>'));
+  }
+  return this.fonts_[font];
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Elements
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Writes element and its children.
+ * @param {acgraph.vector.Element} element Element.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.writeElement_ = function(element) {
+  if (!element.visible() || element instanceof acgraph.vector.UnmanagedLayer) return;
+
+  var clip = /** @type {acgraph.vector.Clip} */ (element.clip());
+  var clipped = !!clip && clip.getShapes().length > 0;
+  if (clipped) {
+    this.content_.push('q');
+    this.writeClip_(/** @type {!acgraph.vector.Clip} */ (clip), element.getFullTransformation());
+  }
+
+  if (element instanceof acgraph.vector.Layer) {
+    element.forEachChild(this.writeElement_, this);
+  } else if (element instanceof acgraph.vector.Shape) {
+    this.writeShape_(element);
+  } else if (element instanceof acgraph.vector.Text) {
+    this.writeText_(element);
+  } else if (element instanceof acgraph.vector.Image) {
+    this.writeImage_(element);
+  }
+
+  if (clipped)
+    this.content_.push('Q');
+};
+
+
+/**
+ * Writes clipping operators of the clip: united shapes clip at once, every intersected shape clips again and every
+ * excluded shape clips by the huge square with the shape as a hole.
+ * @param {!acgraph.vector.Clip} clip Clip.
+ * @param {goog.graphics.AffineTransform} tx Transformation of the clipped element.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.writeClip_ = function(clip, tx) {
+  var united = null;
+  goog.array.forEach(clip.getShapes(), function(shape) {
+    var geometry = this.getGeometry_(shape, tx);
+    if (clip.shapeMode(shape) == acgraph.vector.ClipMode.UNION) {
+      united = united || [];
+      if (geometry) united.push(geometry);
+    } else if (clip.shapeMode(shape) == acgraph.vector.ClipMode.INTERSECT) {
+      this.content_.push(geometry || '0 0 m h');
+      this.content_.push(clip.getShapeClipRule(shape) == acgraph.vector.ClipRule.EVENODD ? 'W* n' : 'W n');
+    } else {
+      var size = acgraph.vector.Clip.EXCLUDE_AREA_SIZE;
+      this.content_.push([-size, -size, size * 2, size * 2, 're'].join(' '));
+      this.content_.push(geometry);
+      this.content_.push('W* n');
+    }
+  }, this);
+
+  if (united) {
+    this.content_.push(united.join(' ') || '0 0 m h');
+    this.content_.push(clip.clipRule() == acgraph.vector.ClipRule.EVENODD ? 'W* n' : 'W n');
+  }
+};
+
+
+/**
+ * Returns path operators for the shape geometry in stage coordinates.
+ * @param {acgraph.vector.Shape} shape Path based shape or ellipse.
+ * @param {goog.graphics.AffineTransform=} opt_transform Transformation applied over the shape full transformation.
+ *    Used for clip shapes.
+ * @return {string} Path operators. Empty string if the shape has no geometry.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.getGeometry_ = function(shape, opt_transform) {
+  var points = [];
+  var operators = [];
+  var x = 0, y = 0, i;
+  var addCurves = function(curves) {
+    for (i = 0; i < curves.length; i += 6) {
+      points.push(curves[i], curves[i + 1], curves[i + 2], curves[i + 3], curves[i + 4], curves[i + 5]);
+      operators.push('c');
+    }
+  };
+
+  if (shape instanceof acgraph.vector.PathBase) {
+    shape.forEachTransformedSegment(function(segment, args) {
+      switch (segment) {
+        case acgraph.vector.PathBase.Segment.MOVETO:
+          x = args[args.length - 2];
+          y = args[args.length - 1];
+          points.push(x, y);
+          operators.push('m');
+          break;
+        case acgraph.vector.PathBase.Segment.LINETO:
+          for (i = 0; i < args.length; i += 2) {
+            points.push(args[i], args[i + 1]);
+            operators.push('l');
+          }
+          x = args[args.length - 2];
+          y = args[args.length - 1];
+          break;
+        case acgraph.vector.PathBase.Segment.CURVETO:
+          addCurves(args);
+          x = args[args.length - 2];
+          y = args[args.length - 1];
+          break;
+        case acgraph.vector.PathBase.Segment.ARCTO:
+          // Arcs are left in untransformed paths only.
+          for (var j = 0; j < args.length; j += 6) {
+            var cx = x - goog.math.angleDx(args[j + 2], args[j]);
+            var cy = y - goog.math.angleDy(args[j + 2], args[j + 1]);
+            addCurves(acgraph.math.arcToBezier(cx, cy, args[j], args[j + 1], args[j + 2], args[j + 3]));
+            x = args[j + 4];
+            y = args[j + 5];
+          }
+          break;
+        case acgraph.vector.PathBase.Segment.CLOSE:
+          operators.push('h');
+          break;
+      }
+    });
+  } else if (shape instanceof acgraph.vector.Ellipse) {
+    var rx = /** @type {number} */ (shape.radiusX());
+    var ry = /** @type {number} */ (shape.radiusY());
+    if (rx > 0 && ry > 0) {
+      var curves = acgraph.math.arcToBezier(/** @type {number} */ (shape.centerX()),
+          /** @type {number} */ (shape.centerY()), rx, ry, 0, 360, true);
+      points.push(curves[0], curves[1]);
+      operators.push('m');
+      addCurves(curves.slice(2));
+      operators.push('h');
+    }
+    var shapeTransform = shape.getFullTransformation();
+    if (shapeTransform)
+      shapeTransform.transform(points, 0, points, 0, points.length / 2);
+  }
+
+  if (opt_transform)
+    opt_transform.transform(points, 0, points, 0, points.length / 2);
+
+  var result = [];
+  var index = 0;
+  for (i = 0; i < operators.length; i++) {
+    var operator = operators[i];
+    var count = operator == 'c' ? 6 : operator == 'h' ? 0 : 2;
+    var line = [];
+    for (var k = 0; k < count; k++)
+      line.push(acgraph.utils.PdfWriter.numberToString_(points[index++]));
+    line.push(operator);
+    result.push(line.join(' '));
+  }
+  return result.join('\n');
+};
+
+
+/**
+ * Writes shape with its fill and stroke.
+ * @param {acgraph.vector.Shape} shape Shape.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.writeShape_ = function(shape) {
+  var geometry = this.getGeometry_(shape);
+  if (!geometry) return;
+
+  var transform = shape.getFullTransformation();
+  var fill = shape.fill();
+  var stroke = /** @type {acgraph.vector.Stroke} */ (shape.stroke());
+  var operators = [];
+  var fillOpacity = 1, strokeOpacity = 1;
+  var hasFill = false, hasStroke = false;
+
+  var paint = this.getPaint_(fill, shape, false);
+  if (paint) {
+    operators.push(paint.operator);
+    fillOpacity = paint.opacity;
+    hasFill = true;
+  }
+
+  var thickness = goog.isObject(stroke) && goog.isDef(stroke['thickness']) ? stroke['thickness'] : 1;
+  paint = thickness > 0 ? this.getPaint_(stroke, shape, true) : null;
+  if (paint) {
+    operators.push(paint.operator);
+    strokeOpacity = paint.opacity;
+    hasStroke = true;
+
+    // Stroke is written in stage coordinates, so its width is scaled by the average transformation scale.
+    var scale = transform ?
+        Math.sqrt(Math.abs(transform.getScaleX() * transform.getScaleY() - transform.getShearX() * transform.getShearY())) :
+        1;
+    operators.push(acgraph.utils.PdfWriter.numberToString_(thickness * scale) + ' w');
+    var dash = acgraph.utils.PdfWriter.parseDash_(stroke['dash']);
+    if (dash.length) {
+      operators.push('[' + goog.array.map(dash, function(value) {
+        return acgraph.utils.PdfWriter.numberToString_(value * scale);
+      }).join(' ') + '] 0 d');
+    }
+    if (stroke['lineJoin'] == acgraph.vector.StrokeLineJoin.ROUND)
+      operators.push('1 j');
+    else if (stroke['lineJoin'] == acgraph.vector.StrokeLineJoin.BEVEL)
+      operators.push('2 j');
+    if (stroke['lineCap'] == acgraph.vector.StrokeLineCap.ROUND)
+      operators.push('1 J');
+    else if (stroke['lineCap'] == acgraph.vector.StrokeLineCap.SQUARE)
+      operators.push('2 J');
+  }
+
+  if (!hasFill && !hasStroke) return;
+
+  this.content_.push('q');
+  if (fillOpacity < 1 || strokeOpacity < 1)
+    this.content_.push('/' + this.getGraphicState_(fillOpacity, strokeOpacity) + ' gs');
+  this.content_.push(operators.join('\n'));
+  this.content_.push(geometry);
+  this.content_.push(hasFill && hasStroke ? 'B' : hasFill ? 'f' : 'S');
+  this.content_.push('Q');
+};
+
+
+/**
+ * Returns operators that set the passed fill or stroke as the current color.
+ * @param {(acgraph.vector.Fill|acgraph.vector.Stroke)} paint Fill or stroke.
+ * @param {acgraph.vector.Shape} shape Shape that is painted.
+ * @param {boolean} isStroke Whether the stroke color is set.
+ * @return {?{operator: string, opacity: number}} Color operators and opacity or null if the paint can't be written.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.getPaint_ = function(paint, shape, isStroke) {
+  if (goog.isString(paint)) {
+    var rgb = acgraph.utils.PdfWriter.parseColor_(paint);
+    return rgb ? {operator: rgb + (isStroke ? ' RG' : ' rg'), opacity: 1} : null;
+  }
+  if (!goog.isObject(paint))
+    return null;
+
+  var opacity = goog.isNumber(paint['opacity']) && !isNaN(paint['opacity']) ? paint['opacity'] : 1;
+  if (goog.isArray(paint['keys'])) {
+    var pattern = this.getGradientPattern_(paint, shape);
+    return pattern ? {
+      operator: isStroke ? '/Pattern CS /' + pattern + ' SCN' : '/Pattern cs /' + pattern + ' scn',
+      opacity: opacity
+    } : null;
+  }
+  if (goog.isString(paint['color'])) {
+    rgb = acgraph.utils.PdfWriter.parseColor_(paint['color']);
+    return rgb ? {operator: rgb + (isStroke ? ' RG' : ' rg'), opacity: opacity} : null;
+  }
+  // Image, hatch and pattern fills are not supported.
+  return null;
+};
+
+
+/**
+ * Creates shading pattern for the gradient fill.
+ * @param {(acgraph.vector.LinearGradientFill|acgraph.vector.RadialGradientFill)} fill Gradient fill.
+ * @param {acgraph.vector.Shape} shape Shape that is painted.
+ * @return {?string} Pattern resource name or null if the gradient has no area to spread over.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.getGradientPattern_ = function(fill, shape) {
+  var keys = goog.array.filter(fill['keys'], function(key) {
+    return !!acgraph.utils.PdfWriter.parseColor_(key['color']);
+  });
+  if (!keys.length) return null;
+
+  var radial = goog.isDef(fill['cx']) && goog.isDef(fill['cy']);
+  var bounds = fill['mode'] instanceof acgraph.math.Rect ? /** @type {acgraph.math.Rect} */ (fill['mode']) : null;
+  var matrix = this.pageTransform_.clone();
+  var fullTransform = shape.getFullTransformation();
+  if (fullTransform)
+    matrix.concatenate(fullTransform);
+
+  var coords;
+  if (bounds) {
+    // User space gradient.
+    if (radial) {
+      coords = [
+        bounds.left + fill['fx'] * bounds.width, bounds.top + fill['fy'] * bounds.height, 0,
+        bounds.left + fill['cx'] * bounds.width, bounds.top + fill['cy'] * bounds.height,
+        Math.min(bounds.width, bounds.height) / 2
+      ];
+    } else {
+      coords = acgraph.utils.PdfWriter.getGradientVector_(fill['angle'], bounds);
+    }
+  } else {
+    // Object bounding box gradient.
+    var box = shape.getBoundsWithoutTransform();
+    if (!box || !box.width || !box.height) return null;
+    matrix.concatenate(new goog.graphics.AffineTransform(box.width, 0, 0, box.height, box.left, box.top));
+    if (radial) {
+      coords = [fill['fx'], fill['fy'], 0, fill['cx'], fill['cy'], 0.5];
+    } else {
+      var angle = fill['mode'] === true ?
+          acgraph.getRenderer().saveGradientAngle(fill['angle'], shape.getBounds()) :
+          fill['angle'];
+      coords = acgraph.utils.PdfWriter.getGradientVector_(angle, new acgraph.math.Rect(0, 0, 1, 1));
+    }
+  }
+  if (fill['transform'])
+    matrix.concatenate(fill['transform']);
+
+  var shading = this.addObject_('<< /ShadingType ' + (radial ? 3 : 2) + ' /ColorSpace /DeviceRGB' +
+      ' /Coords [' + goog.array.map(coords, acgraph.utils.PdfWriter.numberToString_).join(' ') + ']' +
+      ' /Function ' + acgraph.utils.PdfWriter.getGradientFunction_(keys) + ' /Extend [true true] >>');
+  return this.addResource_('Pattern', 'P', this.addObject_('<< /PatternType 2 /Shading ' + shading + ' 0 R' +
+      ' /Matrix [' + acgraph.utils.PdfWriter.matrixToString_(matrix) + '] >>'));
+};
+
+
+/**
+ * Returns linear gradient vector that goes through the center of the bounds with the passed angle
+ * and covers the bounds entirely.
+ * @param {number} angle Gradient angle in degrees, positive values go counterclockwise.
+ * @param {acgraph.math.Rect} bounds Gradient bounds.
+ * @return {!Array.<number>} Vector coordinates as [x0, y0, x1, y1].
+ * @private
+ */
+acgraph.utils.PdfWriter.getGradientVector_ = function(angle, bounds) {
+  var radAngle = goog.math.toRadians(angle);
+  var cos = Math.cos(radAngle);
+  var sin = Math.sin(radAngle);
+  var halfLength = Math.abs(cos * bounds.width / 2) + Math.abs(sin * bounds.height / 2);
+  var centerX = bounds.left + bounds.width / 2;
+  var centerY = bounds.top + bounds.height / 2;
+  return [
+    centerX - cos * halfLength, centerY + sin * halfLength,
+    centerX + cos * halfLength, centerY - sin * halfLength
+  ];
+};
+
+
+/**
+ * Returns PDF function that interpolates colors of the gradient keys.
+ * @param {Array.<acgraph.vector.GradientKey>} keys Gradient keys with valid colors.
+ * @return {string} Function dictionary.
+ * @private
+ */
+acgraph.utils.PdfWriter.getGradientFunction_ = function(keys) {
+  var colors = [];
+  var offsets = [];
+  goog.array.forEach(keys, function(key) {
+    var offset = goog.math.clamp(parseFloat(key['offset']) || 0, 0, 1);
+    colors.push(acgraph.utils.PdfWriter.parseColor_(key['color']));
+    offsets.push(offsets.length ? Math.max(offset, offsets[offsets.length - 1]) : offset);
+  });
+  // Colors before the first key and after the last one are the colors of these keys.
+  if (offsets[0] > 0) {
+    colors.unshift(colors[0]);
+    offsets.unshift(0);
+  }
+  if (offsets.length == 1 || offsets[offsets.length - 1] < 1) {
+    colors.push(colors[colors.length - 1]);
+    offsets.push(1);
+  }
+
+  var functions = [];
+  for (var i = 1; i < colors.length; i++)
+    functions.push('<< /FunctionType 2 /Domain [0 1] /C0 [' + colors[i - 1] + '] /C1 [' + colors[i] + '] /N 1 >>');
+  if (functions.length == 1)
+    return functions[0];
+
+  var encode = goog.array.repeat('0 1', functions.length);
+  var bounds = goog.array.map(offsets.slice(1, -1), acgraph.utils.PdfWriter.numberToString_);
+  return '<< /FunctionType 3 /Domain [0 1] /Functions [' + functions.join(' ') + '] /Bounds [' + bounds.join(' ') +
+      '] /Encode [' + encode.join(' ') + '] >>';
+};
+
+
+/**
+ * Writes text segments.
+ * @param {acgraph.vector.Text} text Text.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.writeText_ = function(text) {
+  if (!text.defragmented) text.textDefragmentation();
+  var segments = text.getSegments();
+  if (!segments.length) return;
+
+  var style = text.style();
+  var rtl = style['direction'] == acgraph.vector.Text.Direction.RTL;
+  var hAlign = style['hAlign'];
+  // Anchor of the text chunks (just like SVG text-anchor) in left to right terms.
+  var anchor = hAlign == acgraph.vector.Text.HAlign.CENTER ? 0.5 :
+      (hAlign == acgraph.vector.Text.HAlign.RIGHT ||
+      (hAlign == acgraph.vector.Text.HAlign.END && !rtl) ||
+      (hAlign == acgraph.vector.Text.HAlign.START && rtl)) ? 1 : 0;
+  var opacity = goog.isNumber(style['opacity']) && !isNaN(style['opacity']) ? style['opacity'] : 1;
+
+  // Splitting segments into chunks that start at absolute positions.
+  var chunks = [];
+  var chunk = null;
+  var y = text.calcY;
+  goog.array.forEach(segments, function(segment) {
+    y += segment.dy;
+    if (!chunk || segment.firstInLine || segment.dx) {
+      chunk = {x: text.calcX + segment.dx, width: 0, segments: []};
+      chunks.push(chunk);
+    }
+    chunk.segments.push({segment: segment, y: y});
+    chunk.width += segment.width;
+  });
+
+  var transform = text.getFullTransformation();
+  this.content_.push('q');
+  if (transform)
+    this.content_.push(acgraph.utils.PdfWriter.matrixToString_(transform) + ' cm');
+  if (opacity < 1)
+    this.content_.push('/' + this.getGraphicState_(opacity, opacity) + ' gs');
+  this.content_.push('BT');
+
+  goog.array.forEach(chunks, function(chunk) {
+    var x = chunk.x - chunk.width * anchor;
+    goog.array.forEach(chunk.segments, function(item) {
+      var segment = item.segment;
+      var segmentStyle = goog.object.clone(style);
+      goog.object.extend(segmentStyle, segment.getStyle());
+      if (segment.text) {
+        var fontSize = parseFloat(segmentStyle['fontSize']) || 0;
+        var color = acgraph.utils.PdfWriter.parseColor_(segmentStyle['color'] || 'black');
+        if (fontSize > 0 && color) {
+          var spacing = parseFloat(segmentStyle['letterSpacing']) || 0;
+          this.content_.push('/' + this.getFont_(acgraph.utils.PdfWriter.getStandardFont_(segmentStyle)) + ' ' +
+              acgraph.utils.PdfWriter.numberToString_(fontSize) + ' Tf');
+          this.content_.push(acgraph.utils.PdfWriter.numberToString_(spacing) + ' Tc');
+          this.content_.push(color + ' rg');
+          this.content_.push('1 0 0 -1 ' + acgraph.utils.PdfWriter.numberToString_(x) + ' ' +
+              acgraph.utils.PdfWriter.numberToString_(item.y) + ' Tm');
+          this.content_.push('(' + acgraph.utils.PdfWriter.encodeText_(segment.text) + ') Tj');
+        }
+      }
+      x += segment.width;
+    }, this);
+  }, this);
+
+  this.content_.push('ET');
+  this.content_.push('Q');
+};
+
+
+/**
+ * Returns standard PDF font that is the closest to the text style.
+ * @param {Object} style Text style.
+ * @return {string} Font name.
+ * @private
+ */
+acgraph.utils.PdfWriter.getStandardFont_ = function(style) {
+  var family = String(style['fontFamily'] || '').toLowerCase();
+  var kind = /mono|courier|consol/.test(family) ? 'mono' :
+      /(^|[^-])serif|times|georgia|garamond/.test(family) && !/sans/.test(family) ? 'serif' :
+      'sans';
+  var weight = String(style['fontWeight'] || '').toLowerCase();
+  var bold = weight == 'bold' || weight == 'bolder' || parseFloat(weight) >= 600;
+  var fontStyle = String(style['fontStyle'] || '').toLowerCase();
+  var italic = fontStyle == 'italic' || fontStyle == 'oblique';
+  return acgraph.utils.PdfWriter.FONTS_[kind][(bold ? 1 : 0) + (italic ? 2 : 0)];
+};
+
+
+/**
+ * Encodes text to WinAnsiEncoding PDF string content. Characters that can't be encoded are replaced with '?'.
+ * @param {string} text Text.
+ * @return {string} Escaped binary string.
+ * @private
+ */
+acgraph.utils.PdfWriter.encodeText_ = function(text) {
+  var result = [];
+  for (var i = 0; i < text.length; i++) {
+    var ch = text.charAt(i);
+    var code = ch.charCodeAt(0);
+    if (ch == '\\' || ch == '(' || ch == ')')
+      result.push('\\' + ch);
+    else if (code == 0xa0)
+      result.push(' ');
+    else if ((code >= 0x20 && code < 0x7f) || (code > 0xa0 && code <= 0xff))
+      result.push(ch);
+    else if (ch in acgraph.utils.PdfWriter.WIN_ANSI_)
+      result.push(String.fromCharCode(acgraph.utils.PdfWriter.WIN_ANSI_[ch]));
+    else if (code >= 0x20)
+      result.push('?');
+  }
+  return result.join('');
+};
+
+
+/**
+ * Writes image.
+ * @param {acgraph.vector.Image} image Image.
+ * @private
+ */
+acgraph.utils.PdfWriter.prototype.writeImage_ = function(image) {
+  var data = this.images_[image.src()];
+  var x = /** @type {number} */ (image.x());
+  var y = /** @type {number} */ (image.y());
+  var width = /** @type {number} */ (image.width());
+  var height = /** @type {number} */ (image.height());
+  if (!data || !width || !height) return;
+
+  var imageWidth = width, imageHeight = height;
+  var imageX = x, imageY = y;
+  var align = image.align();
+  var slice = false;
+  if (align != acgraph.vector.Image.Align.NONE) {
+    slice = image.fittingMode() == acgraph.vector.Image.Fitting.SLICE;
+    var scale = slice ?
+        Math.max(width / data.width, height / data.height) :
+        Math.min(width / data.width, height / data.height);
+    imageWidth = data.width * scale;
+    imageHeight = data.height * scale;
+    var alignX = align.substr(1, 3);
+    var alignY = align.substr(5, 3);
+    imageX += alignX == 'Mid' ? (width - imageWidth) / 2 : alignX == 'Max' ? width - imageWidth : 0;
+    imageY += alignY == 'Mid' ? (height - imageHeight) / 2 : alignY == 'Max' ? height - imageHeight : 0;
+  }
+
+  var src = /** @type {string} */ (image.src());
+  if (!(src in this.imageNames_)) {
+    this.imageNames_[src] = this.addResource_('XObject', 'Im', this.addStream_('/Type /XObject /Subtype /Image' +
+        ' /Width ' + data.width + ' /Height ' + data.height +
+        ' /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode', data.data));
+  }
+
+  var transform = image.getFullTransformation();
+  var opacity = /** @type {number} */ (image.opacity());
+  this.content_.push('q');
+  if (transform)
+    this.content_.push(acgraph.utils.PdfWriter.matrixToString_(transform) + ' cm');
+  if (slice) {
+    this.content_.push(goog.array.map([x, y, width, height], acgraph.utils.PdfWriter.numberToString_).join(' ') +
+        ' re W n');
+  }
+  if (goog.isNumber(opacity) && opacity < 1)
+    this.content_.push('/' + this.getGraphicState_(opacity, opacity) + ' gs');
+  // Image space is the unit square with the origin at the bottom left corner of the image.
+  this.content_.push(goog.array.map([imageWidth, 0, 0, -imageHeight, imageX, imageY + imageHeight],
+      acgraph.utils.PdfWriter.numberToString_).join(' ') + ' cm');
+  this.content_.push('/' + this.imageNames_[src] + ' Do');
+  this.content_.push('Q');
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Utils
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Formats number for PDF content.
+ * @param {number} value Number.
+ * @return {string} Number with at most 3 decimal digits.
+ * @private
+ */
+acgraph.utils.PdfWriter.numberToString_ = function(value) {
+  value = Math.round(value * 1000) / 1000;
+  return isFinite(value) && value ? String(value) : '0';
+};
+
+
+/**
+ * Formats affine transformation as PDF matrix operands.
+ * @param {goog.graphics.AffineTransform} transform Transformation.
+ * @return {string} Matrix operands.
+ * @private
+ */
+acgraph.utils.PdfWriter.matrixToString_ = function(transform) {
+  return goog.array.map([transform.getScaleX(), transform.getShearY(), transform.getShearX(), transform.getScaleY(),
+    transform.getTranslateX(), transform.getTranslateY()], acgraph.utils.PdfWriter.numberToString_).join(' ');
+};
+
+
+/**
+ * Parses color to PDF RGB color operands.
+ * @param {*} color Color.
+ * @return {?string} Color components in 0-1 range or null if color is 'none' or can't be parsed.
+ * @private
+ */
+acgraph.utils.PdfWriter.parseColor_ = function(color) {
+  if (!goog.isString(color) || color == 'none' || color == 'transparent') return null;
+  try {
+    var rgb = goog.color.hexToRgb(goog.color.parse(color).hex);
+  } catch (e) {
+    return null;
+  }
+  return goog.array.map(rgb, function(component) {
+    return acgraph.utils.PdfWriter.numberToString_(component / 255);
+  }).join(' ');
+};
+
+
+/**
+ * Parses stroke dash.
+ * @param {*} dash Dash pattern like '5 3' or '5,3'.
+ * @return {!Array.<number>} Dash lengths. Empty array for solid line.
+ * @private
+ */
+acgraph.utils.PdfWriter.parseDash_ = function(dash) {
+  if (!goog.isString(dash) && !goog.isNumber(dash)) return [];
+  var result = [];
+  var sum = 0;
+  goog.array.forEach(String(dash).split(/[\s,]+/), function(value) {
+    var length = parseFloat(value);
+    if (!isNaN(length) && length >= 0) {
+      result.push(length);
+      sum += length;
+    }
+  });
+  return sum > 0 ? result : [];
+};
@@ -0,0 +1,524 @@
+goog.provide('acgraph.utils.RTree');
+goog.require('acgraph.math.Rect');
+goog.require('goog.array');
+goog.require('goog.object');
+
+
+
+/**
+ * R-tree of items by their rectangles. It is used as a spatial index of layer children: rectangle queries and
+ * the union of all rectangles take logarithmic time instead of iterating all items.<br/>
+ * Nodes are split by the R*-tree split algorithm, removed items don't cause reinsertion, only empty nodes
+ * are removed. Items are distinguished by {@link goog.getUid}.
+ * @param {number=} opt_maxEntries Maximum number of entries in a node.
+ * @constructor
+ */
+acgraph.utils.RTree = function(opt_maxEntries) {
+  /**
+   * Maximum number of entries in a node.
+   * @type {number}
+   * @private
+   */
+  this.maxEntries_ = Math.max(4, opt_maxEntries || acgraph.utils.RTree.DEFAULT_MAX_ENTRIES);
+
+  /**
+   * Minimum number of entries in a node after the split.
+   * @type {number}
+   * @private
+   */
+  this.minEntries_ = Math.max(2, Math.ceil(this.maxEntries_ * 0.4));
+
+  /**
+   * Leaf entries by item uid.
+   * @type {!Object.<string, !acgraph.utils.RTree.Node_>}
+   * @private
+   */
+  this.entries_ = {};
+
+  /**
+   * Number of items.
+   * @type {number}
+   * @private
+   */
+  this.count_ = 0;
+
+  /**
+   * Root node.
+   * @type {!acgraph.utils.RTree.Node_}
+   * @private
+   */
+  this.root_ = acgraph.utils.RTree.createNode_([], 1);
+};
+
+
+/**
+ * Default maximum number of entries in a node.
+ * @type {number}
+ */
+acgraph.utils.RTree.DEFAULT_MAX_ENTRIES = 9;
+
+
+/**
+ * Tree node or leaf entry. Leaf entries have height 0 and the item, nodes have children.
+ * @typedef {{
+ *   minX: number,
+ *   minY: number,
+ *   maxX: number,
+ *   maxY: number,
+ *   height: number,
+ *   children: Array,
+ *   parent: Object,
+ *   item: *
+ * }}
+ * @private
+ */
+acgraph.utils.RTree.Node_;
+
+
+/**
+ * Creates node with the children.
+ * @param {!Array.<!acgraph.utils.RTree.Node_>} children Children.
+ * @param {number} height Height of the node, 1 for leaves.
+ * @return {!acgraph.utils.RTree.Node_} Node.
+ * @private
+ */
+acgraph.utils.RTree.createNode_ = function(children, height) {
+  var node = {
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity,
+    height: height,
+    children: children,
+    parent: null,
+    item: null
+  };
+  for (var i = 0; i < children.length; i++)
+    children[i].parent = node;
+  acgraph.utils.RTree.calcBBox_(node);
+  return node;
+};
+
+
+/**
+ * Recalculates the node box by its children.
+ * @param {!acgraph.utils.RTree.Node_} node Node.
+ * @private
+ */
+acgraph.utils.RTree.calcBBox_ = function(node) {
+  node.minX = node.minY = Infinity;
+  node.maxX = node.maxY = -Infinity;
+  for (var i = 0; i < node.children.length; i++)
+    acgraph.utils.RTree.extend_(node, node.children[i]);
+};
+
+
+/**
+ * Extends the box to contain another box.
+ * @param {!acgraph.utils.RTree.Node_} box Box to extend.
+ * @param {!acgraph.utils.RTree.Node_} other Box to contain.
+ * @private
+ */
+acgraph.utils.RTree.extend_ = function(box, other) {
+  box.minX = Math.min(box.minX, other.minX);
+  box.minY = Math.min(box.minY, other.minY);
+  box.maxX = Math.max(box.maxX, other.maxX);
+  box.maxY = Math.max(box.maxY, other.maxY);
+};
+
+
+/**
+ * @param {!acgraph.utils.RTree.Node_} box Box.
+ * @return {number} Box area.
+ * @private
+ */
+acgraph.utils.RTree.area_ = function(box) {
+  return (box.maxX - box.minX) * (box.maxY - box.minY);
+};
+
+
+/**
+ * @param {!acgraph.utils.RTree.Node_} box Box.
+ * @return {number} Half of the box perimeter.
+ * @private
+ */
+acgraph.utils.RTree.margin_ = function(box) {
+  return (box.maxX - box.minX) + (box.maxY - box.minY);
+};
+
+
+/**
+ * @param {!acgraph.utils.RTree.Node_} a First box.
+ * @param {!acgraph.utils.RTree.Node_} b Second box.
+ * @return {boolean} Whether boxes intersect. Boxes touching by the border intersect.
+ * @private
+ */
+acgraph.utils.RTree.intersects_ = function(a, b) {
+  return a.minX <= b.maxX && a.minY <= b.maxY && a.maxX >= b.minX && a.maxY >= b.minY;
+};
+
+
+/**
+ * @param {!acgraph.utils.RTree.Node_} a First box.
+ * @param {!acgraph.utils.RTree.Node_} b Second box.
+ * @return {boolean} Whether the first box contains the second one.
+ * @private
+ */
+acgraph.utils.RTree.contains_ = function(a, b) {
+  return a.minX <= b.minX && a.minY <= b.minY && b.maxX <= a.maxX && b.maxY <= a.maxY;
+};
+
+
+/**
+ * Returns leaf entry for the item.
+ * @param {*} item Item.
+ * @param {!acgraph.math.Rect} rect Item rectangle.
+ * @return {!acgraph.utils.RTree.Node_} Entry.
+ * @private
+ */
+acgraph.utils.RTree.createEntry_ = function(item, rect) {
+  return {
+    minX: rect.left,
+    minY: rect.top,
+    maxX: rect.left + rect.width,
+    maxY: rect.top + rect.height,
+    height: 0,
+    children: null,
+    parent: null,
+    item: item
+  };
+};
+
+
+/**
+ * Number of items in the tree.
+ * @return {number} Count.
+ */
+acgraph.utils.RTree.prototype.getCount = function() {
+  return this.count_;
+};
+
+
+/**
+ * Whether the item is in the tree.
+ * @param {*} item Item.
+ * @return {boolean} Contains or not.
+ */
+acgraph.utils.RTree.prototype.contains = function(item) {
+  return goog.object.containsKey(this.entries_, String(goog.getUid(/** @type {Object} */ (item))));
+};
+
+
+/**
+ * Returns the union of all item rectangles.
+ * @return {acgraph.math.Rect} Bounds or null if the tree is empty.
+ */
+acgraph.utils.RTree.prototype.getBounds = function() {
+  var root = this.root_;
+  return this.count_ ?
+      new acgraph.math.Rect(root.minX, root.minY, root.maxX - root.minX, root.maxY - root.minY) :
+      null;
+};
+
+
+/**
+ * Inserts the item or moves it to the new rectangle, if it is in the tree already.
+ * @param {*} item Item.
+ * @param {!acgraph.math.Rect} rect Item rectangle.
+ * @return {!acgraph.utils.RTree} Self for chaining.
+ */
+acgraph.utils.RTree.prototype.insert = function(item, rect) {
+  this.remove(item);
+  var entry = acgraph.utils.RTree.createEntry_(item, rect);
+  this.entries_[String(goog.getUid(/** @type {Object} */ (item)))] = entry;
+  this.count_++;
+  this.insertNode_(entry, 1);
+  return this;
+};
+
+
+/**
+ * Removes the item from the tree.
+ * @param {*} item Item.
+ * @return {boolean} Whether the item was in the tree.
+ */
+acgraph.utils.RTree.prototype.remove = function(item) {
+  var uid = String(goog.getUid(/** @type {Object} */ (item)));
+  var entry = this.entries_[uid];
+  if (!entry) return false;
+  delete this.entries_[uid];
+  this.count_--;
+
+  var node = entry.parent;
+  goog.array.remove(node.children, entry);
+  // Empty nodes are removed, others shrink to their children.
+  while (node) {
+    var parent = node.parent;
+    if (!node.children.length && parent)
+      goog.array.remove(parent.children, node);
+    else
+      acgraph.utils.RTree.calcBBox_(node);
+    node = parent;
+  }
+  if (!this.count_)
+    this.clear();
+  return true;
+};
+
+
+/**
+ * Removes all items.
+ * @return {!acgraph.utils.RTree} Self for chaining.
+ */
+acgraph.utils.RTree.prototype.clear = function() {
+  this.entries_ = {};
+  this.count_ = 0;
+  this.root_ = acgraph.utils.RTree.createNode_([], 1);
+  return this;
+};
+
+
+/**
+ * Replaces the tree content with the items. Tree is built at once by sorting items into tiles,
+ * that is much faster than inserting items one by one and gives better tree.
+ * @param {!Array} items Items.
+ * @param {!Array.<!acgraph.math.Rect>} rects Rectangles of the items.
+ * @return {!acgraph.utils.RTree} Self for chaining.
+ */
+acgraph.utils.RTree.prototype.load = function(items, rects) {
+  this.clear();
+  var nodes = [];
+  for (var i = 0; i < items.length; i++) {
+    var uid = String(goog.getUid(/** @type {Object} */ (items[i])));
+    if (this.entries_[uid]) continue;
+    var entry = acgraph.utils.RTree.createEntry_(items[i], rects[i]);
+    this.entries_[uid] = entry;
+    nodes.push(entry);
+  }
+  this.count_ = nodes.length;
+
+  var height = 1;
+  do {
+    nodes = this.pack_(nodes, height++);
+  } while (nodes.length > 1);
+  this.root_ = nodes[0];
+  return this;
+};
+
+
+/**
+ * Packs nodes into the nodes of the upper level: nodes are sorted by x into vertical slices, and each slice is
+ * sorted by y and cut into nodes.
+ * @param {!Array.<!acgraph.utils.RTree.Node_>} nodes Nodes.
+ * @param {number} height Height of the new nodes.
+ * @return {!Array.<!acgraph.utils.RTree.Node_>} Upper level nodes.
+ * @private
+ */
+acgraph.utils.RTree.prototype.pack_ = function(nodes, height) {
+  var max = this.maxEntries_;
+  if (nodes.length <= max)
+    return [acgraph.utils.RTree.createNode_(nodes, height)];
+
+  var nodesCount = Math.ceil(nodes.length / max);
+  var sliceSize = Math.ceil(nodes.length / Math.ceil(Math.sqrt(nodesCount))) || 1;
+  var result = [];
+  goog.array.sort(nodes, function(a, b) {
+    return (a.minX + a.maxX) - (b.minX + b.maxX);
+  });
+  for (var i = 0; i < nodes.length; i += sliceSize) {
+    var slice = nodes.slice(i, i + sliceSize);
+    goog.array.sort(slice, function(a, b) {
+      return (a.minY + a.maxY) - (b.minY + b.maxY);
+    });
+    for (var j = 0; j < slice.length; j += max)
+      result.push(acgraph.utils.RTree.createNode_(slice.slice(j, j + max), height));
+  }
+  return result;
+};
+
+
+/**
+ * Returns items which rectangles intersect the rectangle.
+ * @param {!acgraph.math.Rect} rect Rectangle.
+ * @return {!Array} Items in no particular order.
+ */
+acgraph.utils.RTree.prototype.search = function(rect) {
+  var result = [];
+  var box = acgraph.utils.RTree.createEntry_(null, rect);
+  if (!this.count_ || !acgraph.utils.RTree.intersects_(box, this.root_))
+    return result;
+
+  var stack = [this.root_];
+  while (stack.length) {
+    var node = stack.pop();
+    for (var i = 0; i < node.children.length; i++) {
+      var child = node.children[i];
+      if (!acgraph.utils.RTree.intersects_(box, child)) continue;
+      if (!child.height)
+        result.push(child.item);
+      else if (acgraph.utils.RTree.contains_(box, child))
+        this.collectAll_(child, result);
+      else
+        stack.push(child);
+    }
+  }
+  return result;
+};
+
+
+/**
+ * Collects all items of the subtree.
+ * @param {!acgraph.utils.RTree.Node_} node Node.
+ * @param {!Array} result Items.
+ * @private
+ */
+acgraph.utils.RTree.prototype.collectAll_ = function(node, result) {
+  var stack = [node];
+  while (stack.length) {
+    node = stack.pop();
+    for (var i = 0; i < node.children.length; i++) {
+      var child = node.children[i];
+      if (child.height)
+        stack.push(child);
+      else
+        result.push(child.item);
+    }
+  }
+};
+
+
+/**
+ * Inserts the entry or the subtree to the node of the passed height.
+ * @param {!acgraph.utils.RTree.Node_} node Entry or node.
+ * @param {number} height Height of the target node.
+ * @private
+ */
+acgraph.utils.RTree.prototype.insertNode_ = function(node, height) {
+  var target = this.root_;
+  while (target.height > height) {
+    // Subtree that needs the least enlargement, the smallest one on ties.
+    var best = null;
+    var minEnlargement = Infinity;
+    var minArea = Infinity;
+    for (var i = 0; i < target.children.length; i++) {
+      var child = target.children[i];
+      var area = acgraph.utils.RTree.area_(child);
+      var enlargement = (Math.max(child.maxX, node.maxX) - Math.min(child.minX, node.minX)) *
+          (Math.max(child.maxY, node.maxY) - Math.min(child.minY, node.minY)) - area;
+      if (enlargement < minEnlargement || (enlargement == minEnlargement && area < minArea)) {
+        minEnlargement = enlargement;
+        minArea = area;
+        best = child;
+      }
+    }
+    target = best || target.children[0];
+  }
+
+  target.children.push(node);
+  node.parent = target;
+  for (var parent = target; parent; parent = parent.parent)
+    acgraph.utils.RTree.extend_(parent, node);
+
+  while (target && target.children.length > this.maxEntries_) {
+    this.split_(target);
+    target = target.parent;
+  }
+};
+
+
+/**
+ * Splits the overflowed node into two. Split axis is chosen by the least margin of distributions and
+ * the split index by the least overlap.
+ * @param {!acgraph.utils.RTree.Node_} node Node.
+ * @private
+ */
+acgraph.utils.RTree.prototype.split_ = function(node) {
+  var byX = function(a, b) {
+    return a.minX - b.minX || a.maxX - b.maxX;
+  };
+  var byY = function(a, b) {
+    return a.minY - b.minY || a.maxY - b.maxY;
+  };
+  if (this.getDistributionsMargin_(node, byX) >= this.getDistributionsMargin_(node, byY))
+    goog.array.sort(node.children, byY);
+  else
+    goog.array.sort(node.children, byX);
+
+  var index = this.chooseSplitIndex_(node);
+  var sibling = acgraph.utils.RTree.createNode_(node.children.splice(index, node.children.length - index),
+      node.height);
+  acgraph.utils.RTree.calcBBox_(node);
+
+  if (node.parent) {
+    node.parent.children.push(sibling);
+    sibling.parent = node.parent;
+  } else {
+    this.root_ = acgraph.utils.RTree.createNode_([node, sibling], node.height + 1);
+  }
+};
+
+
+/**
+ * Sorts node children and returns sum of margins of all possible distributions.
+ * @param {!acgraph.utils.RTree.Node_} node Node.
+ * @param {function(!acgraph.utils.RTree.Node_, !acgraph.utils.RTree.Node_):number} compare Sort function.
+ * @return {number} Margins sum.
+ * @private
+ */
+acgraph.utils.RTree.prototype.getDistributionsMargin_ = function(node, compare) {
+  goog.array.sort(node.children, compare);
+  var children = node.children;
+  var count = children.length;
+  var min = this.minEntries_;
+  var left = acgraph.utils.RTree.createNode_([], 0);
+  var right = acgraph.utils.RTree.createNode_([], 0);
+  var i;
+  for (i = 0; i < min; i++) {
+    acgraph.utils.RTree.extend_(left, children[i]);
+    acgraph.utils.RTree.extend_(right, children[count - 1 - i]);
+  }
+  var margin = acgraph.utils.RTree.margin_(left) + acgraph.utils.RTree.margin_(right);
+  for (i = min; i < count - min; i++) {
+    acgraph.utils.RTree.extend_(left, children[i]);
+    margin += acgraph.utils.RTree.margin_(left);
+  }
+  for (i = count - min - 1; i >= min; i--) {
+    acgraph.utils.RTree.extend_(right, children[i]);
+    margin += acgraph.utils.RTree.margin_(right);
+  }
+  return margin;
+};
+
+
+/**
+ * Returns index to split sorted children at.
+ * @param {!acgraph.utils.RTree.Node_} node Node.
+ * @return {number} Index of the first child of the second node.
+ * @private
+ */
+acgraph.utils.RTree.prototype.chooseSplitIndex_ = function(node) {
+  var children = node.children;
+  var min = this.minEntries_;
+  var index = children.length - min;
+  var minOverlap = Infinity;
+  var minArea = Infinity;
+  for (var i = min; i <= children.length - min; i++) {
+    var left = acgraph.utils.RTree.createNode_([], 0);
+    var right = acgraph.utils.RTree.createNode_([], 0);
+    var j;
+    for (j = 0; j < i; j++)
+      acgraph.utils.RTree.extend_(left, children[j]);
+    for (j = i; j < children.length; j++)
+      acgraph.utils.RTree.extend_(right, children[j]);
+
+    var overlap = Math.max(0, Math.min(left.maxX, right.maxX) - Math.max(left.minX, right.minX)) *
+        Math.max(0, Math.min(left.maxY, right.maxY) - Math.max(left.minY, right.minY));
+    var area = acgraph.utils.RTree.area_(left) + acgraph.utils.RTree.area_(right);
+    if (overlap < minOverlap || (overlap == minOverlap && area < minArea)) {
+      minOverlap = overlap;
+      minArea = area;
+      index = i;
+    }
+  }
+  return index;
+};
@@ -0,0 +1,851 @@
+goog.provide('acgraph.utils.SvgImporter');
+
+goog.require('acgraph.math.Rect');
+goog.require('acgraph.vector');
+goog.require('acgraph.vector.Circle');
+goog.require('acgraph.vector.Ellipse');
+goog.require('acgraph.vector.Image');
+goog.require('acgraph.vector.Layer');
+goog.require('acgraph.vector.Path');
+goog.require('acgraph.vector.Rect');
+goog.require('acgraph.vector.UnmanagedLayer');
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.NodeType');
+goog.require('goog.dom.xml');
+goog.require('goog.math');
+goog.require('goog.string');
+
+
+
+/**
+ * Converts SVG document into the tree of acgraph elements.<br/>
+ * Supported elements are svg, g, a, rect, circle, ellipse, line, polyline, polygon, path, text (with tspans) and image.
+ * Fills and strokes are taken from presentation attributes and style attributes (with inheritance), linear and
+ * radial gradients and clip paths are resolved by references. Elements that can't be represented by acgraph
+ * primitives are imported as is into {@link acgraph.vector.UnmanagedLayer}, without scripts and event handler
+ * attributes. Stylesheets are not applied.
+ * @param {string|Element} svgStringOrElement SVG markup or SVG DOM element.
+ * @constructor
+ */
+acgraph.utils.SvgImporter = function(svgStringOrElement) {
+  /**
+   * Root element of the SVG document.
+   * @type {Element}
+   * @private
+   */
+  this.root_ = goog.isString(svgStringOrElement) ?
+      goog.dom.xml.loadXml(svgStringOrElement).documentElement :
+      svgStringOrElement;
+
+  /**
+   * Elements of the document by their ids. Created on demand.
+   * @type {Object.<string, Element>}
+   * @private
+   */
+  this.elementsById_ = null;
+
+  /**
+   * Clips created for clipPath elements, by clipPath ids.
+   * @type {Object.<string, acgraph.vector.Clip>}
+   * @private
+   */
+  this.clips_ = {};
+};
+
+
+/**
+ * XLink namespace.
+ * @type {string}
+ * @private
+ */
+acgraph.utils.SvgImporter.XLINK_NS_ = 'http://www.w3.org/1999/xlink';
+
+
+/**
+ * Style properties that are read from attributes and style declarations. Properties marked with true are inherited.
+ * @type {Object.<string, boolean>}
+ * @private
+ */
+acgraph.utils.SvgImporter.PROPERTIES_ = {
+  'fill': true,
+  'fill-opacity': true,
+  'stroke': true,
+  'stroke-width': true,
+  'stroke-opacity': true,
+  'stroke-dasharray': true,
+  'stroke-linejoin': true,
+  'stroke-linecap': true,
+  'color': true,
+  'visibility': true,
+  'font-family': true,
+  'font-size': true,
+  'font-weight': true,
+  'font-style': true,
+  'font-variant': true,
+  'letter-spacing': true,
+  'text-decoration': true,
+  'text-anchor': true,
+  'opacity': false,
+  'display': false,
+  'clip-path': false,
+  'stop-color': false,
+  'stop-opacity': false
+};
+
+
+/**
+ * Elements that only define resources and are not rendered by themselves.
+ * @type {Object.<string, boolean>}
+ * @private
+ */
+acgraph.utils.SvgImporter.NON_RENDERED_ = {
+  'defs': true,
+  'linearGradient': true,
+  'radialGradient': true,
+  'clipPath': true,
+  'title': true,
+  'desc': true,
+  'metadata': true,
+  'style': true,
+  'script': true
+};
+
+
+/**
+ * Imports the document into the layer.
+ * @param {acgraph.vector.ILayer=} opt_layer Layer to add imported elements to.
+ * @return {!acgraph.vector.Layer} Layer representing the root SVG element.
+ */
+acgraph.utils.SvgImporter.prototype.importTo = function(opt_layer) {
+  var root = this.root_;
+  var layer;
+  if (acgraph.utils.SvgImporter.getTagName_(root) == 'svg') {
+    layer = this.importSvgElement_(root, this.getStyle_(root, {}), true);
+  } else {
+    layer = new acgraph.vector.Layer();
+    var element = this.importNode_(root, {});
+    if (element) layer.addChild(element);
+  }
+  if (opt_layer) opt_layer.addChild(layer);
+  return layer;
+};
+
+
+/**
+ * Imports one node.
+ * @param {Node} node Node.
+ * @param {!Object.<string, string>} parentStyle Computed style of the parent node.
+ * @return {acgraph.vector.Element} Imported element or null if node should be skipped.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.importNode_ = function(node, parentStyle) {
+  if (node.nodeType != goog.dom.NodeType.ELEMENT)
+    return null;
+  var el = /** @type {Element} */ (node);
+  var tagName = acgraph.utils.SvgImporter.getTagName_(el);
+  if (acgraph.utils.SvgImporter.NON_RENDERED_[tagName])
+    return null;
+
+  var style = this.getStyle_(el, parentStyle);
+  var element;
+  switch (tagName) {
+    case 'svg':
+      element = this.importSvgElement_(el, style, false);
+      break;
+    case 'g':
+    case 'a':
+      element = this.importGroup_(el, style);
+      break;
+    case 'text':
+      element = this.createText_(el, style);
+      break;
+    case 'image':
+      element = this.createImage_(el, style);
+      break;
+    default:
+      element = this.createShape_(el);
+      if (element)
+        this.applyShapeStyle_(/** @type {!acgraph.vector.Shape} */ (element), style);
+  }
+  if (!element)
+    return this.createUnmanagedLayer_(el);
+
+  var id = el.getAttribute('id');
+  if (id) element.id(id);
+  if (tagName != 'svg')
+    acgraph.utils.SvgImporter.applyTransform_(element, el.getAttribute('transform'));
+  if (style['visibility'] == 'hidden' || style['visibility'] == 'collapse' || style['display'] == 'none')
+    element.visible(false);
+  this.applyClip_(element, style['clip-path']);
+  return element;
+};
+
+
+/**
+ * Imports children of the node into the layer.
+ * @param {Element} el Element.
+ * @param {!Object.<string, string>} style Computed style of the element.
+ * @param {!acgraph.vector.Layer} layer Layer.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.importChildren_ = function(el, style, layer) {
+  for (var child = el.firstChild; child; child = child.nextSibling) {
+    var element = this.importNode_(child, style);
+    if (element) layer.addChild(element);
+  }
+};
+
+
+/**
+ * Imports group element.
+ * @param {Element} el Element.
+ * @param {!Object.<string, string>} style Computed style of the element.
+ * @return {!acgraph.vector.Layer} Layer.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.importGroup_ = function(el, style) {
+  var layer = new acgraph.vector.Layer();
+  this.importChildren_(el, style, layer);
+  return layer;
+};
+
+
+/**
+ * Imports svg element. Its viewport position and viewBox are turned into the layer transformation.
+ * @param {Element} el Element.
+ * @param {!Object.<string, string>} style Computed style of the element.
+ * @param {boolean} isRoot Whether the element is the root of the document. Its x and y are ignored.
+ * @return {!acgraph.vector.Layer} Layer.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.importSvgElement_ = function(el, style, isRoot) {
+  var layer = this.importGroup_(el, style);
+  var x = isRoot ? 0 : acgraph.utils.SvgImporter.getNumber_(el, 'x');
+  var y = isRoot ? 0 : acgraph.utils.SvgImporter.getNumber_(el, 'y');
+  var scaleX = 1, scaleY = 1;
+
+  var viewBox = acgraph.utils.SvgImporter.parseNumbers_(el.getAttribute('viewBox'));
+  var width = parseFloat(el.getAttribute('width'));
+  var height = parseFloat(el.getAttribute('height'));
+  if (viewBox.length == 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    if (isNaN(width)) width = isNaN(height) ? viewBox[2] : height * viewBox[2] / viewBox[3];
+    if (isNaN(height)) height = width * viewBox[3] / viewBox[2];
+    scaleX = width / viewBox[2];
+    scaleY = height / viewBox[3];
+
+    var aspect = goog.string.trim(el.getAttribute('preserveAspectRatio') || '').split(/\s+/);
+    var align = aspect[0] || 'xMidYMid';
+    if (align != 'none') {
+      scaleX = scaleY = (aspect[1] == 'slice') ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+      var freeX = width - viewBox[2] * scaleX;
+      var freeY = height - viewBox[3] * scaleY;
+      if (align.indexOf('xMid') == 0) x += freeX / 2;
+      else if (align.indexOf('xMax') == 0) x += freeX;
+      if (align.indexOf('YMid') > 0) y += freeY / 2;
+      else if (align.indexOf('YMax') > 0) y += freeY;
+    }
+    x -= viewBox[0] * scaleX;
+    y -= viewBox[1] * scaleY;
+  }
+  if (x || y || scaleX != 1 || scaleY != 1)
+    layer.setTransformationMatrix(scaleX, 0, 0, scaleY, x, y);
+  return layer;
+};
+
+
+/**
+ * Creates shape for the geometry element. Style is not applied.
+ * @param {Element} el Element.
+ * @return {acgraph.vector.Shape} Shape or null if element is not a shape.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.createShape_ = function(el) {
+  var getNumber = acgraph.utils.SvgImporter.getNumber_;
+  var path;
+  switch (acgraph.utils.SvgImporter.getTagName_(el)) {
+    case 'rect':
+      var rect = new acgraph.vector.Rect(getNumber(el, 'x'), getNumber(el, 'y'),
+          getNumber(el, 'width'), getNumber(el, 'height'));
+      var radius = getNumber(el, 'rx') || getNumber(el, 'ry');
+      if (radius) rect.round(radius);
+      return rect;
+    case 'circle':
+      return new acgraph.vector.Circle(getNumber(el, 'cx'), getNumber(el, 'cy'), getNumber(el, 'r'));
+    case 'ellipse':
+      return new acgraph.vector.Ellipse(getNumber(el, 'cx'), getNumber(el, 'cy'),
+          getNumber(el, 'rx'), getNumber(el, 'ry'));
+    case 'line':
+      path = new acgraph.vector.Path();
+      return path
+          .moveTo(getNumber(el, 'x1'), getNumber(el, 'y1'))
+          .lineTo(getNumber(el, 'x2'), getNumber(el, 'y2'));
+    case 'polyline':
+    case 'polygon':
+      var points = acgraph.utils.SvgImporter.parseNumbers_(el.getAttribute('points'));
+      // Odd coordinate is an error, points are rendered up to it.
+      points.length -= points.length % 2;
+      if (!points.length) return null;
+      path = new acgraph.vector.Path();
+      path.moveTo(points[0], points[1]);
+      if (points.length > 2)
+        path.lineTo.apply(path, points.slice(2));
+      if (acgraph.utils.SvgImporter.getTagName_(el) == 'polygon')
+        path.close();
+      return path;
+    case 'path':
+      path = new acgraph.vector.Path();
+      try {
+        path.fromSvgPathData(el.getAttribute('d') || '');
+      } catch (e) {
+        goog.dispose(path);
+        return null;
+      }
+      return path;
+  }
+  return null;
+};
+
+
+/**
+ * Creates text element. Tspans are turned into html text spans.
+ * @param {Element} el Text element.
+ * @param {!Object.<string, string>} style Computed style of the element.
+ * @return {!acgraph.vector.Text} Text.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.createText_ = function(el, style) {
+  var text = acgraph.text();
+  text.style(this.getTextStyle_(style));
+
+  var hasSpans = goog.array.some(el.childNodes, function(child) {
+    return child.nodeType == goog.dom.NodeType.ELEMENT;
+  });
+  if (hasSpans) {
+    var html = [];
+    for (var child = el.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType == goog.dom.NodeType.TEXT) {
+        html.push(goog.string.htmlEscape(child.nodeValue.replace(/\s+/g, ' ')));
+      } else if (child.nodeType == goog.dom.NodeType.ELEMENT && acgraph.utils.SvgImporter.getTagName_(child) == 'tspan') {
+        // Tspan positioned vertically starts a new line.
+        if (html.length && (child.getAttribute('y') || parseFloat(child.getAttribute('dy'))))
+          html.push('<br/>');
+        html.push('<span style="', this.getSpanCss_(this.getStyle_(child, style)), '">',
+            goog.string.htmlEscape(goog.dom.getRawTextContent(child).replace(/\s+/g, ' ')), '</span>');
+      }
+    }
+    text.htmlText(goog.string.trim(html.join('')));
+  } else {
+    text.text(goog.string.collapseWhitespace(goog.dom.getRawTextContent(el)));
+  }
+
+  // SVG text is positioned by the baseline of the first line and the text anchor.
+  var x = acgraph.utils.SvgImporter.getNumber_(el, 'x') + acgraph.utils.SvgImporter.getNumber_(el, 'dx');
+  var y = acgraph.utils.SvgImporter.getNumber_(el, 'y') + acgraph.utils.SvgImporter.getNumber_(el, 'dy');
+  var bounds = text.getBoundsWithTransform(null);
+  var segments = text.getSegments();
+  if (style['text-anchor'] == 'middle')
+    x -= bounds.width / 2;
+  else if (style['text-anchor'] == 'end')
+    x -= bounds.width;
+  text.x(x);
+  text.y(y - (segments.length ? segments[0].baseLine : 0));
+  return text;
+};
+
+
+/**
+ * Creates image element.
+ * @param {Element} el Image element.
+ * @param {!Object.<string, string>} style Computed style of the element.
+ * @return {!acgraph.vector.Image} Image.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.createImage_ = function(el, style) {
+  var getNumber = acgraph.utils.SvgImporter.getNumber_;
+  var aspect = goog.string.trim(el.getAttribute('preserveAspectRatio') || '').split(/\s+/);
+  var image = new acgraph.vector.Image(acgraph.utils.SvgImporter.getHref_(el) || undefined,
+      getNumber(el, 'x'), getNumber(el, 'y'), getNumber(el, 'width'), getNumber(el, 'height'),
+      /** @type {acgraph.vector.Image.Align} */ (aspect[0] || acgraph.vector.Image.Align.X_MID_Y_MID),
+      aspect[1] == 'slice' ? acgraph.vector.Image.Fitting.SLICE : acgraph.vector.Image.Fitting.MEET);
+  if (style['opacity'] != 1)
+    image.opacity(+style['opacity']);
+  return image;
+};
+
+
+/**
+ * Creates unmanaged layer containing the copy of the element. The copy is sanitized, so the imported markup can't
+ * run code in the page.
+ * @param {Element} el Element.
+ * @return {!acgraph.vector.UnmanagedLayer} Unmanaged layer.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.createUnmanagedLayer_ = function(el) {
+  var doc = goog.dom.getDocument();
+  var content = el.ownerDocument == doc ? el.cloneNode(true) : doc.importNode(el, true);
+  acgraph.utils.SvgImporter.sanitize_(/** @type {Element} */ (content));
+  return new acgraph.vector.UnmanagedLayer(/** @type {Element} */ (content));
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Styles
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Computes element style: inherited properties of the parent, then presentation attributes,
+ * then declarations of the style attribute. Opacity is accumulated from ancestors, since layers can't be
+ * translucent.
+ * @param {Element} el Element.
+ * @param {!Object.<string, string>} parentStyle Computed style of the parent.
+ * @return {!Object.<string, string>} Computed style.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.getStyle_ = function(el, parentStyle) {
+  var properties = acgraph.utils.SvgImporter.PROPERTIES_;
+  var style = {};
+  var name, value;
+  for (name in properties) {
+    if (properties[name] && name in parentStyle)
+      style[name] = parentStyle[name];
+  }
+  var declared = {};
+  for (name in properties) {
+    value = el.getAttribute(name);
+    if (value) declared[name] = goog.string.trim(value);
+  }
+  var declarations = (el.getAttribute('style') || '').split(';');
+  for (var i = 0; i < declarations.length; i++) {
+    var index = declarations[i].indexOf(':');
+    if (index < 0) continue;
+    name = goog.string.trim(declarations[i].substr(0, index));
+    if (name in properties)
+      declared[name] = goog.string.trim(declarations[i].substr(index + 1)).replace(/\s*!important$/, '');
+  }
+  for (name in declared) {
+    if (declared[name] != 'inherit')
+      style[name] = declared[name];
+    else if (name in parentStyle)
+      style[name] = parentStyle[name];
+  }
+
+  var opacity = parseFloat(declared['opacity']);
+  style['opacity'] = String((goog.isDef(parentStyle['opacity']) ? +parentStyle['opacity'] : 1) *
+      (isNaN(opacity) ? 1 : goog.math.clamp(opacity, 0, 1)));
+  return style;
+};
+
+
+/**
+ * Applies fill and stroke to the shape.
+ * @param {!acgraph.vector.Shape} shape Shape.
+ * @param {!Object.<string, string>} style Computed style of the shape.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.applyShapeStyle_ = function(shape, style) {
+  var opacity = +style['opacity'];
+  var fillOpacity = acgraph.utils.SvgImporter.getOpacity_(style['fill-opacity']) * opacity;
+  var strokeOpacity = acgraph.utils.SvgImporter.getOpacity_(style['stroke-opacity']) * opacity;
+
+  shape.fill(this.getPaint_(style['fill'] || 'black', fillOpacity, style));
+
+  var stroke = this.getPaint_(style['stroke'] || 'none', strokeOpacity, style);
+  if (stroke == 'none') {
+    shape.stroke('none');
+    return;
+  }
+  if (goog.isString(stroke))
+    stroke = {'color': stroke};
+  var thickness = parseFloat(style['stroke-width']);
+  stroke['thickness'] = isNaN(thickness) ? 1 : thickness;
+  var dash = style['stroke-dasharray'];
+  if (dash && dash != 'none')
+    stroke['dash'] = acgraph.utils.SvgImporter.parseNumbers_(dash).join(' ');
+  if (style['stroke-linejoin'])
+    stroke['lineJoin'] = style['stroke-linejoin'];
+  if (style['stroke-linecap'])
+    stroke['lineCap'] = style['stroke-linecap'];
+  shape.stroke(/** @type {acgraph.vector.Stroke} */ (stroke));
+};
+
+
+/**
+ * Converts SVG paint value to fill.
+ * @param {string} value Paint value, e.g. "red", "none" or "url(#gradient) blue".
+ * @param {number} opacity Paint opacity.
+ * @param {!Object.<string, string>} style Computed style, used to resolve currentColor.
+ * @return {(acgraph.vector.Fill|string)} Fill or 'none'.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.getPaint_ = function(value, opacity, style) {
+  var match = /^url\(\s*['"]?#([^'")]+)['"]?\s*\)\s*(.*)$/.exec(value);
+  if (match) {
+    var gradient = this.getGradient_(match[1], opacity);
+    if (gradient) return gradient;
+    value = match[2] || 'none';
+  }
+  if (value == 'none' || value == 'transparent')
+    return 'none';
+  if (value == 'currentColor')
+    value = style['color'] || 'black';
+  return opacity == 1 ? value : {'color': value, 'opacity': opacity};
+};
+
+
+/**
+ * Returns text style for the computed element style.
+ * @param {!Object.<string, string>} style Computed style.
+ * @return {!acgraph.vector.TextStyle} Text style.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.getTextStyle_ = function(style) {
+  var textStyle = {};
+  if (style['font-family']) textStyle['fontFamily'] = style['font-family'];
+  if (style['font-size']) textStyle['fontSize'] = parseFloat(style['font-size']);
+  if (style['font-weight']) textStyle['fontWeight'] = style['font-weight'];
+  if (style['font-style']) textStyle['fontStyle'] = style['font-style'];
+  if (style['font-variant']) textStyle['fontVariant'] = style['font-variant'];
+  if (style['letter-spacing']) textStyle['letterSpacing'] = style['letter-spacing'];
+  if (style['text-decoration']) textStyle['decoration'] = style['text-decoration'];
+
+  // Text is painted with a solid color, gradients are replaced by their first key.
+  var fill = this.getPaint_(style['fill'] || 'black', acgraph.utils.SvgImporter.getOpacity_(style['fill-opacity']), style);
+  if (goog.isString(fill)) {
+    textStyle['color'] = fill;
+  } else if (fill['keys']) {
+    textStyle['color'] = fill['keys'][0]['color'];
+  } else {
+    textStyle['color'] = fill['color'];
+    textStyle['opacity'] = fill['opacity'];
+  }
+  if (style['opacity'] != 1)
+    textStyle['opacity'] = (goog.isDef(textStyle['opacity']) ? textStyle['opacity'] : 1) * style['opacity'];
+  return /** @type {!acgraph.vector.TextStyle} */ (textStyle);
+};
+
+
+/**
+ * Returns CSS declarations for the html text span.
+ * @param {!Object.<string, string>} style Computed style of the tspan.
+ * @return {string} CSS declarations.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.getSpanCss_ = function(style) {
+  var textStyle = this.getTextStyle_(style);
+  var css = [];
+  if (textStyle['fontFamily']) css.push('font-family:' + textStyle['fontFamily']);
+  if (textStyle['fontSize']) css.push('font-size:' + textStyle['fontSize'] + 'px');
+  if (textStyle['fontWeight']) css.push('font-weight:' + textStyle['fontWeight']);
+  if (textStyle['fontStyle']) css.push('font-style:' + textStyle['fontStyle']);
+  if (textStyle['fontVariant']) css.push('font-variant:' + textStyle['fontVariant']);
+  if (textStyle['letterSpacing']) css.push('letter-spacing:' + textStyle['letterSpacing']);
+  if (textStyle['decoration']) css.push('text-decoration:' + textStyle['decoration']);
+  if (textStyle['color'] && textStyle['color'] != 'none') css.push('color:' + textStyle['color']);
+  if (goog.isDef(textStyle['opacity'])) css.push('opacity:' + textStyle['opacity']);
+  return goog.string.htmlEscape(css.join(';'));
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  References
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns document element by id.
+ * @param {string} id Id.
+ * @return {Element} Element or null.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.getElementById_ = function(id) {
+  if (!this.elementsById_) {
+    this.elementsById_ = {};
+    var elements = this.root_.getElementsByTagName('*');
+    for (var i = 0; i < elements.length; i++) {
+      var elementId = elements[i].getAttribute('id');
+      if (elementId && !(elementId in this.elementsById_))
+        this.elementsById_[elementId] = elements[i];
+    }
+  }
+  return this.elementsById_[id] || null;
+};
+
+
+/**
+ * Returns attribute of the gradient, following the chain of gradients referenced by href.
+ * @param {Element} el Gradient element.
+ * @param {string} name Attribute name.
+ * @return {?string} Attribute value.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.getGradientAttribute_ = function(el, name) {
+  // Depth is limited to protect from reference cycles.
+  for (var depth = 0; el && depth < 10; depth++) {
+    if (el.hasAttribute(name))
+      return el.getAttribute(name);
+    var href = acgraph.utils.SvgImporter.getHref_(el);
+    el = href && href.charAt(0) == '#' ? this.getElementById_(href.substr(1)) : null;
+  }
+  return null;
+};
+
+
+/**
+ * Returns gradient keys, following the chain of gradients referenced by href.
+ * @param {Element} el Gradient element.
+ * @param {number} opacity Gradient opacity.
+ * @return {!Array.<acgraph.vector.GradientKey>} Gradient keys.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.getGradientKeys_ = function(el, opacity) {
+  var keys = [];
+  for (var depth = 0; el && !keys.length && depth < 10; depth++) {
+    for (var child = el.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType != goog.dom.NodeType.ELEMENT || acgraph.utils.SvgImporter.getTagName_(child) != 'stop')
+        continue;
+      var style = this.getStyle_(child, {});
+      var offset = acgraph.utils.SvgImporter.parseLength_(child.getAttribute('offset'), 0);
+      // Offsets can't decrease.
+      if (keys.length) offset = Math.max(offset, keys[keys.length - 1]['offset']);
+      keys.push({
+        'offset': goog.math.clamp(offset, 0, 1),
+        'color': style['stop-color'] || 'black',
+        'opacity': acgraph.utils.SvgImporter.getOpacity_(style['stop-opacity']) * opacity
+      });
+    }
+    var href = acgraph.utils.SvgImporter.getHref_(el);
+    el = href && href.charAt(0) == '#' ? this.getElementById_(href.substr(1)) : null;
+  }
+  return keys;
+};
+
+
+/**
+ * Creates gradient fill for the gradient element.
+ * @param {string} id Gradient id.
+ * @param {number} opacity Gradient opacity.
+ * @return {acgraph.vector.Fill} Gradient fill or solid color for gradient with one key, null if there is no gradient.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.getGradient_ = function(id, opacity) {
+  var el = this.getElementById_(id);
+  var tagName = el && acgraph.utils.SvgImporter.getTagName_(el);
+  if (tagName != 'linearGradient' && tagName != 'radialGradient')
+    return null;
+
+  var keys = this.getGradientKeys_(el, opacity);
+  if (!keys.length)
+    return 'none';
+  if (keys.length == 1)
+    return {'color': keys[0]['color'], 'opacity': keys[0]['opacity']};
+
+  var self = this;
+  var userSpace = this.getGradientAttribute_(el, 'gradientUnits') == 'userSpaceOnUse';
+  var get = function(name, defaultValue) {
+    var value = self.getGradientAttribute_(el, name);
+    return userSpace ? parseFloat(value) || 0 : acgraph.utils.SvgImporter.parseLength_(value, defaultValue);
+  };
+
+  var fill;
+  if (tagName == 'linearGradient') {
+    var x1 = get('x1', 0), y1 = get('y1', 0), x2 = get('x2', 1), y2 = get('y2', 0);
+    // Acgraph angles are measured counterclockwise.
+    fill = {
+      'keys': keys,
+      'angle': -goog.math.toDegrees(Math.atan2(y2 - y1, x2 - x1)),
+      'opacity': opacity
+    };
+    if (userSpace) {
+      fill['mode'] = new acgraph.math.Rect(Math.min(x1, x2), Math.min(y1, y2),
+          Math.abs(x2 - x1) || 1, Math.abs(y2 - y1) || 1);
+    }
+  } else {
+    var cx = get('cx', 0.5), cy = get('cy', 0.5), r = get('r', 0.5);
+    var fx = this.getGradientAttribute_(el, 'fx') ? get('fx', 0.5) : cx;
+    var fy = this.getGradientAttribute_(el, 'fy') ? get('fy', 0.5) : cy;
+    if (userSpace) {
+      // Radial gradient in user space is defined by bounds, center and focus are relative to them.
+      r = r || 1;
+      fill = {
+        'keys': keys,
+        'cx': 0.5,
+        'cy': 0.5,
+        'fx': (fx - cx + r) / (2 * r),
+        'fy': (fy - cy + r) / (2 * r),
+        'mode': new acgraph.math.Rect(cx - r, cy - r, 2 * r, 2 * r),
+        'opacity': opacity
+      };
+    } else {
+      fill = {
+        'keys': keys,
+        'cx': cx,
+        'cy': cy,
+        'fx': fx,
+        'fy': fy,
+        'opacity': opacity
+      };
+    }
+  }
+  var transform = this.getGradientAttribute_(el, 'gradientTransform');
+  if (transform)
+    fill['transform'] = acgraph.vector.parseTransformationString(transform);
+  return /** @type {acgraph.vector.Fill} */ (fill);
+};
+
+
+/**
+ * Applies clip referenced by the clip-path property. Clips are shared between elements referencing the same
+ * clipPath element. Shapes of the clipPath element are united.
+ * @param {!acgraph.vector.Element} element Element.
+ * @param {string|undefined} value Clip-path property value.
+ * @private
+ */
+acgraph.utils.SvgImporter.prototype.applyClip_ = function(element, value) {
+  var match = value && /^url\(\s*['"]?#([^'")]+)['"]?\s*\)$/.exec(value);
+  if (!match) return;
+  var id = match[1];
+  if (this.clips_[id]) {
+    element.clip(this.clips_[id]);
+    return;
+  }
+  var el = this.getElementById_(id);
+  if (!el || acgraph.utils.SvgImporter.getTagName_(el) != 'clipPath')
+    return;
+  var clip = null;
+  for (var child = el.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType != goog.dom.NodeType.ELEMENT) continue;
+    var shape = this.createShape_(/** @type {Element} */ (child));
+    if (shape) {
+      acgraph.utils.SvgImporter.applyTransform_(shape, child.getAttribute('transform'));
+      if (child.getAttribute('clip-rule'))
+        shape.attr('clip-rule', child.getAttribute('clip-rule'));
+      if (clip) {
+        clip.addShape(shape);
+      } else {
+        element.clip(shape);
+        clip = this.clips_[id] = /** @type {acgraph.vector.Clip} */ (element.clip());
+      }
+    }
+  }
+  if (clip && el.getAttribute('clip-rule'))
+    clip.clipRule(el.getAttribute('clip-rule'));
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Utils
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns element tag name without namespace prefix.
+ * @param {Element} el Element.
+ * @return {string} Tag name.
+ * @private
+ */
+acgraph.utils.SvgImporter.getTagName_ = function(el) {
+  return el.localName || el.nodeName.replace(/^.*:/, '');
+};
+
+
+/**
+ * Removes script elements, event handler attributes (on*) and javascript: URLs from the element and its descendants.
+ * @param {Element} el Element.
+ * @private
+ */
+acgraph.utils.SvgImporter.sanitize_ = function(el) {
+  goog.array.forEach(goog.array.clone(el.attributes), function(attr) {
+    if (goog.string.startsWith(attr.name.toLowerCase(), 'on') || /^\s*javascript:/i.test(attr.value))
+      el.removeAttributeNode(attr);
+  });
+  goog.array.forEach(goog.array.clone(el.childNodes), function(child) {
+    if (child.nodeType != goog.dom.NodeType.ELEMENT) return;
+    if (acgraph.utils.SvgImporter.getTagName_(child).toLowerCase() == 'script')
+      el.removeChild(child);
+    else
+      acgraph.utils.SvgImporter.sanitize_(/** @type {Element} */ (child));
+  });
+};
+
+
+/**
+ * Returns href attribute of the element, either SVG 2 or xlink one.
+ * @param {Element} el Element.
+ * @return {?string} Href.
+ * @private
+ */
+acgraph.utils.SvgImporter.getHref_ = function(el) {
+  return el.getAttribute('href') ||
+      (el.getAttributeNS ? el.getAttributeNS(acgraph.utils.SvgImporter.XLINK_NS_, 'href') : null) ||
+      el.getAttribute('xlink:href');
+};
+
+
+/**
+ * Returns numeric attribute value. Units are ignored.
+ * @param {Element} el Element.
+ * @param {string} name Attribute name.
+ * @return {number} Value or 0 if attribute is missing.
+ * @private
+ */
+acgraph.utils.SvgImporter.getNumber_ = function(el, name) {
+  return parseFloat(el.getAttribute(name)) || 0;
+};
+
+
+/**
+ * Parses list of numbers separated by commas and/or whitespaces.
+ * @param {?string} value List.
+ * @return {!Array.<number>} Numbers.
+ * @private
+ */
+acgraph.utils.SvgImporter.parseNumbers_ = function(value) {
+  var numbers = [];
+  var matches = (value || '').match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  for (var i = 0; i < matches.length; i++)
+    numbers.push(parseFloat(matches[i]));
+  return numbers;
+};
+
+
+/**
+ * Parses a fraction, which can be set as a number or a percentage.
+ * @param {?string} value Value.
+ * @param {number} defaultValue Default value.
+ * @return {number} Fraction.
+ * @private
+ */
+acgraph.utils.SvgImporter.parseLength_ = function(value, defaultValue) {
+  var result = parseFloat(value);
+  if (isNaN(result)) return defaultValue;
+  return goog.string.trim(String(value)).slice(-1) == '%' ? result / 100 : result;
+};
+
+
+/**
+ * Parses opacity value.
+ * @param {string|undefined} value Value.
+ * @return {number} Opacity.
+ * @private
+ */
+acgraph.utils.SvgImporter.getOpacity_ = function(value) {
+  var opacity = parseFloat(value);
+  return isNaN(opacity) ? 1 : goog.math.clamp(opacity, 0, 1);
+};
+
+
+/**
+ * Applies transform attribute to the element.
+ * @param {!acgraph.vector.Element} element Element.
+ * @param {?string} value Transform attribute value.
+ * @private
+ */
+acgraph.utils.SvgImporter.applyTransform_ = function(element, value) {
+  if (!value) return;
+  var tx = acgraph.vector.parseTransformationString(value);
+  if (!tx.isIdentity())
+    element.setTransformationMatrix(tx.getScaleX(), tx.getShearY(), tx.getShearX(), tx.getScaleY(),
+        tx.getTranslateX(), tx.getTranslateY());
+};
@@ -1,6 +1,11 @@
 goog.provide('acgraph.utils.exporting');
+goog.require('acgraph.error');
 goog.require('goog.Timer');
+goog.require('goog.array');
 goog.require('goog.dom');
+goog.require('goog.dom.xml');
+goog.require('goog.math');
+goog.require('goog.string');
 goog.require('goog.style');
 
 
@@ -81,11 +86,15 @@ acgraph.utils.exporting.printWindow_ = null;
 
 /**
  * @param {acgraph.vector.Stage} stage
- * @param {(string|number)=} opt_paperSizeOrWidth Paper Size or width.
+ * @param {(string|number|acgraph.utils.exporting.PrintOptions)=} opt_paperSizeOrWidth Paper Size, width or
+ *    print options.
  * @param {(boolean|string)=} opt_landscapeOrHeight Landscape or height.
  */
 acgraph.utils.exporting.print = function(stage, opt_paperSizeOrWidth, opt_landscapeOrHeight) {
-  if (goog.isDef(opt_paperSizeOrWidth) || goog.isDef(opt_landscapeOrHeight)) {
+  if (goog.isObject(opt_paperSizeOrWidth)) {
+    acgraph.utils.exporting.printWithOptions(stage,
+        /** @type {acgraph.utils.exporting.PrintOptions} */ (opt_paperSizeOrWidth));
+  } else if (goog.isDef(opt_paperSizeOrWidth) || goog.isDef(opt_landscapeOrHeight)) {
     acgraph.utils.exporting.fullPagePrint(stage, opt_paperSizeOrWidth, opt_landscapeOrHeight);
   } else {
     acgraph.utils.exporting.fitToPagePrint(stage);
@@ -290,3 +299,720 @@ acgraph.utils.exporting.disposePrint_ = function() {
   }
 };
 
+
+
+//region --- Tiled printing ---
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Tiled printing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Tiled print and export options.<br/>
+ <b>paperSize</b> - Paper size of each page, one of {@link acgraph.vector.PaperSize}. Defaults to A4.<br/>
+ <b>landscape</b> - Whether pages are in landscape orientation.<br/>
+ <b>scale</b> - Scale of the stage on paper, 1 means one stage pixel is one CSS pixel (1/96 inch). Defaults to 1.<br/>
+ <b>columns</b>, <b>rows</b> - Number of pages across and down. If set, the scale is calculated to fit the stage
+ into the grid, keeping its aspect ratio.<br/>
+ <b>margin</b> - Page margin in pixels, crop marks and page numbers are drawn in it. Defaults to 20.<br/>
+ <b>overlap</b> - Width of the stage strip in pixels that is repeated on neighbouring pages to glue them together.
+ Defaults to 0.<br/>
+ <b>cropMarks</b> - Whether to draw crop marks at the corners of the printed area and at the overlap lines.<br/>
+ <b>pageNumbers</b> - Whether to print page number and page position in the grid in the bottom margin.
+ @typedef {{
+   paperSize: (acgraph.vector.PaperSize|string|undefined),
+   landscape: (boolean|undefined),
+   scale: (number|undefined),
+   columns: (number|undefined),
+   rows: (number|undefined),
+   margin: (number|undefined),
+   overlap: (number|undefined),
+   cropMarks: (boolean|undefined),
+   pageNumbers: (boolean|undefined)
+ }}
+ */
+acgraph.utils.exporting.TileOptions;
+
+
+/**
+ Layout of the tiled pages.<br/>
+ <b>pageWidth</b>, <b>pageHeight</b> - Page size in pixels.<br/>
+ <b>scale</b> - Scale of the stage on paper.<br/>
+ <b>columns</b>, <b>rows</b> - Grid size.<br/>
+ <b>tiles</b> - Pages in the reading order (by rows), each with its position in the grid and the stage region it
+ shows in the stage coordinates.
+ @typedef {{
+   pageWidth: number,
+   pageHeight: number,
+   margin: number,
+   overlap: number,
+   scale: number,
+   columns: number,
+   rows: number,
+   tiles: !Array.<{row: number, column: number, x: number, y: number, width: number, height: number}>
+ }}
+ */
+acgraph.utils.exporting.TileLayout;
+
+
+/**
+ * Number of CSS pixels in a millimeter.
+ * @type {number}
+ * @private
+ */
+acgraph.utils.exporting.PIXELS_PER_MM_ = 96 / 25.4;
+
+
+/**
+ * Length of crop marks in pixels.
+ * @type {number}
+ * @private
+ */
+acgraph.utils.exporting.CROP_MARK_LENGTH_ = 10;
+
+
+/**
+ * Returns paper size in millimeters.
+ * @param {*} paperSize Paper size, A4 is used for unknown sizes.
+ * @param {*} landscape Whether the paper is in landscape orientation.
+ * @return {{width: number, height: number}} Size.
+ * @private
+ */
+acgraph.utils.exporting.getPaperSize_ = function(paperSize, landscape) {
+  var paper = acgraph.utils.exporting.PaperSize[String(paperSize || acgraph.vector.PaperSize.A4)] ||
+      acgraph.utils.exporting.PaperSize[acgraph.vector.PaperSize.A4];
+  var width = parseFloat(paper.width);
+  var height = parseFloat(paper.height);
+  return landscape ? {width: height, height: width} : {width: width, height: height};
+};
+
+
+/**
+ * Splits the stage into tiles, that are shown on pages areas.
+ * @param {number} stageWidth Stage width.
+ * @param {number} stageHeight Stage height.
+ * @param {number} areaWidth Width of the page area in pixels.
+ * @param {number} areaHeight Height of the page area in pixels.
+ * @param {number} scale Scale of the stage on paper.
+ * @param {number} overlap Overlap of neighbouring tiles in pixels.
+ * @return {{columns: number, rows: number,
+ *     tiles: !Array.<{row: number, column: number, x: number, y: number, width: number, height: number}>}} Tiles.
+ * @private
+ */
+acgraph.utils.exporting.splitToTiles_ = function(stageWidth, stageHeight, areaWidth, areaHeight, scale, overlap) {
+  var tileWidth = areaWidth / scale;
+  var tileHeight = areaHeight / scale;
+  var stepX = (areaWidth - overlap) / scale;
+  var stepY = (areaHeight - overlap) / scale;
+  // Rounding errors should not produce almost empty pages.
+  var columns = 1 + Math.max(0, Math.ceil((stageWidth - tileWidth) / stepX - 1e-6));
+  var rows = 1 + Math.max(0, Math.ceil((stageHeight - tileHeight) / stepY - 1e-6));
+
+  var tiles = [];
+  for (var row = 0; row < rows; row++) {
+    for (var column = 0; column < columns; column++) {
+      tiles.push({
+        row: row,
+        column: column,
+        x: column * stepX,
+        y: row * stepY,
+        width: tileWidth,
+        height: tileHeight
+      });
+    }
+  }
+  return {columns: columns, rows: rows, tiles: tiles};
+};
+
+
+/**
+ * Splits the stage into a grid of pages at a fixed scale.
+ * @param {acgraph.vector.Stage} stage Stage.
+ * @param {acgraph.utils.exporting.TileOptions=} opt_options Options.
+ * @return {acgraph.utils.exporting.TileLayout} Layout.
+ */
+acgraph.utils.exporting.getTileLayout = function(stage, opt_options) {
+  var options = opt_options || {};
+  var paper = acgraph.utils.exporting.getPaperSize_(options['paperSize'], options['landscape']);
+  var pageWidth = paper.width * acgraph.utils.exporting.PIXELS_PER_MM_;
+  var pageHeight = paper.height * acgraph.utils.exporting.PIXELS_PER_MM_;
+
+  var margin = goog.isDef(options['margin']) ? Math.max(0, +options['margin'] || 0) : 20;
+  margin = Math.min(margin, pageWidth / 4, pageHeight / 4);
+  var areaWidth = pageWidth - margin * 2;
+  var areaHeight = pageHeight - margin * 2;
+  var overlap = Math.min(Math.max(0, +options['overlap'] || 0), areaWidth / 2, areaHeight / 2);
+
+  var stageWidth = Math.max(1, /** @type {number} */ (stage.width()) || 0);
+  var stageHeight = Math.max(1, /** @type {number} */ (stage.height()) || 0);
+  var scale = +options['scale'] || 1;
+  if (options['columns'] > 0 || options['rows'] > 0) {
+    // Grid of n pages covers n areas without n - 1 overlaps.
+    var scaleX = options['columns'] > 0 ?
+        (areaWidth * options['columns'] - overlap * (options['columns'] - 1)) / stageWidth : Infinity;
+    var scaleY = options['rows'] > 0 ?
+        (areaHeight * options['rows'] - overlap * (options['rows'] - 1)) / stageHeight : Infinity;
+    scale = Math.min(scaleX, scaleY);
+  }
+
+  var grid = acgraph.utils.exporting.splitToTiles_(stageWidth, stageHeight, areaWidth, areaHeight, scale, overlap);
+  return {
+    pageWidth: pageWidth,
+    pageHeight: pageHeight,
+    margin: margin,
+    overlap: overlap,
+    scale: scale,
+    columns: grid.columns,
+    rows: grid.rows,
+    tiles: grid.tiles
+  };
+};
+
+
+/**
+ * Returns SVG markup of tiled pages. Each page contains the region of the stage, crop marks and page number, if
+ * they are enabled.
+ * @param {acgraph.vector.Stage} stage Stage.
+ * @param {acgraph.utils.exporting.TileOptions=} opt_options Options.
+ * @return {!Array.<string>} Markup of pages in the reading order or empty array, if the stage can't be serialized.
+ */
+acgraph.utils.exporting.tiledSvg = function(stage, opt_options) {
+  var stageSvg = stage.toSvg().replace(/^<\?xml[^>]*>\s*/, '');
+  if (!stageSvg) return [];
+
+  var options = opt_options || {};
+  var layout = acgraph.utils.exporting.getTileLayout(stage, options);
+  var round = function(value) {
+    return String(Math.round(value * 100) / 100);
+  };
+  var pageWidth = layout.pageWidth;
+  var pageHeight = layout.pageHeight;
+  var margin = layout.margin;
+  var count = layout.tiles.length;
+
+  return goog.array.map(layout.tiles, function(tile, index) {
+    var markup = '<svg xmlns="http://www.w3.org/2000/svg" width="' + round(pageWidth) + '" height="' +
+        round(pageHeight) + '" viewBox="0 0 ' + round(pageWidth) + ' ' + round(pageHeight) + '">' +
+        '<svg x="' + round(margin) + '" y="' + round(margin) + '" width="' + round(pageWidth - margin * 2) +
+        '" height="' + round(pageHeight - margin * 2) + '" viewBox="' + round(tile.x) + ' ' + round(tile.y) + ' ' +
+        round(tile.width) + ' ' + round(tile.height) + '" overflow="hidden">' + stageSvg + '</svg>';
+
+    if (options['cropMarks'])
+      markup += acgraph.utils.exporting.getCropMarks_(layout, tile, round);
+
+    if (options['pageNumbers']) {
+      markup += '<text x="' + round(pageWidth / 2) + '" y="' + round(pageHeight - margin / 2) + '" ' +
+          'text-anchor="middle" dominant-baseline="middle" font-family="Verdana, sans-serif" font-size="9" ' +
+          'fill="#000">' + (index + 1) + ' / ' + count + ' (row ' + (tile.row + 1) + ', column ' +
+          (tile.column + 1) + ')</text>';
+    }
+    return markup + '</svg>';
+  });
+};
+
+
+/**
+ * Returns markup of crop marks of the page. Marks are drawn in the margin at the corners of the printed area,
+ * and at the overlap lines on the sides that are glued to neighbouring pages.
+ * @param {acgraph.utils.exporting.TileLayout} layout Layout.
+ * @param {{row: number, column: number}} tile Tile.
+ * @param {function(number):string} round Number formatter.
+ * @return {string} Markup.
+ * @private
+ */
+acgraph.utils.exporting.getCropMarks_ = function(layout, tile, round) {
+  var margin = layout.margin;
+  var length = Math.min(acgraph.utils.exporting.CROP_MARK_LENGTH_, margin);
+  if (!length) return '';
+
+  var left = margin;
+  var top = margin;
+  var right = layout.pageWidth - margin;
+  var bottom = layout.pageHeight - margin;
+  var path = '';
+  var line = function(x1, y1, x2, y2) {
+    path += 'M' + round(x1) + ',' + round(y1) + 'L' + round(x2) + ',' + round(y2);
+  };
+  var vMarks = function(x) {
+    line(x, top - length, x, top);
+    line(x, bottom, x, bottom + length);
+  };
+  var hMarks = function(y) {
+    line(left - length, y, left, y);
+    line(right, y, right + length, y);
+  };
+
+  vMarks(left);
+  vMarks(right);
+  hMarks(top);
+  hMarks(bottom);
+  if (layout.overlap) {
+    if (tile.column > 0) vMarks(left + layout.overlap);
+    if (tile.column < layout.columns - 1) vMarks(right - layout.overlap);
+    if (tile.row > 0) hMarks(top + layout.overlap);
+    if (tile.row < layout.rows - 1) hMarks(bottom - layout.overlap);
+  }
+  return '<path d="' + path + '" fill="none" stroke="#000" stroke-width="0.5"/>';
+};
+
+
+/**
+ * Prints the stage on a grid of pages at a fixed scale.
+ * @param {acgraph.vector.Stage} stage Stage.
+ * @param {acgraph.utils.exporting.TileOptions=} opt_options Options.
+ */
+acgraph.utils.exporting.tiledPrint = function(stage, opt_options) {
+  var pages = acgraph.utils.exporting.tiledSvg(stage, opt_options);
+  if (!pages.length) return;
+
+  var options = opt_options || {};
+  var iFrameDocument = acgraph.utils.exporting.createPagesPrint_(
+      acgraph.utils.exporting.getPaperSize_(options['paperSize'], options['landscape']));
+  goog.array.forEach(pages, function(markup) {
+    acgraph.utils.exporting.createPage_(iFrameDocument).innerHTML = markup;
+  });
+
+  acgraph.utils.exporting.openPrint_();
+};
+
+
+/**
+ * Creates print iFrame for pages which layout is made by the markup.
+ * @param {{width: number, height: number}} paper Paper size in millimeters.
+ * @return {!Document} Document of the iFrame.
+ * @private
+ */
+acgraph.utils.exporting.createPagesPrint_ = function(paper) {
+  var iFrame = acgraph.utils.exporting.createPrint_();
+  var iFrameDocument = iFrame['contentWindow'].document;
+  // Pages are laid out by the markup, so the printer should not add its own margins.
+  acgraph.embedCss('@page{size:' + paper.width + 'mm ' + paper.height + 'mm;margin:0;}' +
+      '.acgraph-page{position:relative;overflow:hidden;page-break-after:always;break-after:page;}' +
+      '.acgraph-page:last-child{page-break-after:auto;break-after:auto;}' +
+      '.acgraph-page svg{display:block;}', iFrameDocument);
+  return iFrameDocument;
+};
+
+
+/**
+ * Appends page to the print document.
+ * @param {!Document} doc Print document.
+ * @return {!Element} Page element.
+ * @private
+ */
+acgraph.utils.exporting.createPage_ = function(doc) {
+  var div = doc.createElement('div');
+  div.className = 'acgraph-page';
+  doc.body.appendChild(div);
+  return div;
+};
+//endregion
+
+
+//region --- Printing with options ---
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Printing with options
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Fit modes of the printed stage.
+ @enum {string}
+ */
+acgraph.utils.exporting.PrintFitMode = {
+  /**
+   Stage is scaled to fit the printable area, keeping its aspect ratio.
+   */
+  FIT: 'fit',
+
+  /**
+   Stage is scaled to fill the whole printable area, keeping its aspect ratio. Parts that don't fit are cut off.
+   */
+  FILL: 'fill',
+
+  /**
+   Stage is printed in its actual size, one stage pixel is one CSS pixel (1/96 inch). Stage that doesn't fit
+   one page is split into several pages.
+   */
+  ACTUAL_SIZE: 'actual'
+};
+
+
+/**
+ Print options.<br/>
+ <b>paperSize</b> - Paper size, one of {@link acgraph.vector.PaperSize}. Defaults to A4.<br/>
+ <b>landscape</b> - Whether the paper is in landscape orientation.<br/>
+ <b>margin</b> - Page margins in pixels, a number for all sides or an object with top, right, bottom and left
+ margins. Defaults to 20.<br/>
+ <b>fitMode</b> - How the stage is placed on the page, one of {@link acgraph.utils.exporting.PrintFitMode}.
+ Defaults to 'fit'.<br/>
+ <b>title</b> - Title used in templates. Defaults to the title of the page.<br/>
+ <b>header</b>, <b>footer</b> - Text templates printed on top and at the bottom of each page.
+ Templates may contain {title}, {date}, {time}, {page} and {pages} placeholders,
+ like 'Page {page} of {pages}'.<br/>
+ <b>watermark</b> - Text printed over each page diagonally, or an object with the text, fontSize, color, opacity
+ and rotation of the watermark.
+ @typedef {{
+   paperSize: (acgraph.vector.PaperSize|string|undefined),
+   landscape: (boolean|undefined),
+   margin: (number|{top: (number|undefined), right: (number|undefined), bottom: (number|undefined),
+       left: (number|undefined)}|undefined),
+   fitMode: (acgraph.utils.exporting.PrintFitMode|string|undefined),
+   title: (string|undefined),
+   header: (string|undefined),
+   footer: (string|undefined),
+   watermark: (string|{text: string, fontSize: (number|undefined), color: (string|undefined),
+       opacity: (number|undefined), rotation: (number|undefined)}|undefined)
+ }}
+ */
+acgraph.utils.exporting.PrintOptions;
+
+
+/**
+ * Height of the header and the footer in pixels.
+ * @type {number}
+ * @private
+ */
+acgraph.utils.exporting.HEADER_HEIGHT_ = 24;
+
+
+/**
+ * Prints the stage with options.
+ * @param {acgraph.vector.Stage} stage Stage.
+ * @param {acgraph.utils.exporting.PrintOptions} options Options.
+ */
+acgraph.utils.exporting.printWithOptions = function(stage, options) {
+  var stageSvg = stage.toSvg().replace(/^<\?xml[^>]*>\s*/, '');
+  if (!stageSvg) return;
+
+  var paper = acgraph.utils.exporting.getPaperSize_(options['paperSize'], options['landscape']);
+  var pageWidth = paper.width * acgraph.utils.exporting.PIXELS_PER_MM_;
+  var pageHeight = paper.height * acgraph.utils.exporting.PIXELS_PER_MM_;
+
+  var margin = options['margin'];
+  var getMargin = function(side) {
+    var value = goog.isObject(margin) ? margin[side] : margin;
+    return goog.isDef(value) ? Math.max(0, +value || 0) : 20;
+  };
+  // Content area of the page.
+  var left = getMargin('left');
+  var top = getMargin('top') + (options['header'] ? acgraph.utils.exporting.HEADER_HEIGHT_ : 0);
+  var width = Math.max(1, pageWidth - left - getMargin('right'));
+  var height = Math.max(1, pageHeight - top - getMargin('bottom') -
+      (options['footer'] ? acgraph.utils.exporting.HEADER_HEIGHT_ : 0));
+
+  var stageWidth = Math.max(1, /** @type {number} */ (stage.width()) || 0);
+  var stageHeight = Math.max(1, /** @type {number} */ (stage.height()) || 0);
+  var viewBoxes;
+  var aspectRatio;
+  if (options['fitMode'] == acgraph.utils.exporting.PrintFitMode.ACTUAL_SIZE) {
+    viewBoxes = acgraph.utils.exporting.splitToTiles_(stageWidth, stageHeight, width, height, 1, 0).tiles;
+    aspectRatio = 'xMinYMin meet';
+  } else {
+    viewBoxes = [{x: 0, y: 0, width: stageWidth, height: stageHeight}];
+    aspectRatio = options['fitMode'] == acgraph.utils.exporting.PrintFitMode.FILL ?
+        'xMidYMid slice' :
+        'xMidYMid meet';
+  }
+
+  var doc = acgraph.utils.exporting.createPagesPrint_(paper);
+  var now = new Date();
+  var values = {
+    'title': goog.isDef(options['title']) ? String(options['title']) : (goog.global['document']['title'] || ''),
+    'date': now.toLocaleDateString(),
+    'time': now.toLocaleTimeString(),
+    'pages': String(viewBoxes.length)
+  };
+
+  goog.array.forEach(viewBoxes, function(viewBox, index) {
+    values['page'] = String(index + 1);
+    var page = acgraph.utils.exporting.createPage_(doc);
+    goog.style.setStyle(page, {
+      'width': pageWidth + 'px',
+      'height': pageHeight + 'px'
+    });
+
+    var markup = '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" ' +
+        'viewBox="' + viewBox.x + ' ' + viewBox.y + ' ' + viewBox.width + ' ' + viewBox.height + '" ' +
+        'preserveAspectRatio="' + aspectRatio + '" overflow="hidden" ' +
+        'style="position:absolute;left:' + left + 'px;top:' + top + 'px;">' + stageSvg + '</svg>';
+    if (options['header'])
+      markup += acgraph.utils.exporting.getHeaderMarkup_(options['header'], values, left, top -
+          acgraph.utils.exporting.HEADER_HEIGHT_, width);
+    if (options['footer'])
+      markup += acgraph.utils.exporting.getHeaderMarkup_(options['footer'], values, left, top + height, width);
+    page.innerHTML = markup;
+    acgraph.utils.exporting.drawWatermark_(page, options['watermark'], pageWidth, pageHeight);
+  });
+
+  acgraph.utils.exporting.openPrint_();
+};
+
+
+/**
+ * Returns markup of the header or footer.
+ * @param {string} template Text template.
+ * @param {!Object.<string, string>} values Values of the template placeholders.
+ * @param {number} left Left position.
+ * @param {number} top Top position.
+ * @param {number} width Width.
+ * @return {string} Markup.
+ * @private
+ */
+acgraph.utils.exporting.getHeaderMarkup_ = function(template, values, left, top, width) {
+  var text = String(template).replace(/\{(\w+)\}/g, function(placeholder, name) {
+    return values.hasOwnProperty(name) ? values[name] : placeholder;
+  });
+  return '<div style="position:absolute;left:' + left + 'px;top:' + top + 'px;width:' + width + 'px;' +
+      'height:' + acgraph.utils.exporting.HEADER_HEIGHT_ + 'px;line-height:' +
+      acgraph.utils.exporting.HEADER_HEIGHT_ + 'px;text-align:center;overflow:hidden;white-space:nowrap;' +
+      'font:12px Verdana,sans-serif;color:#000;">' + goog.string.htmlEscape(text) + '</div>';
+};
+
+
+/**
+ * Draws the watermark, that covers the whole page, as a text on the print layer of the page.
+ * @param {!Element} page Page element.
+ * @param {*} watermark Watermark text or settings.
+ * @param {number} pageWidth Page width.
+ * @param {number} pageHeight Page height.
+ * @private
+ */
+acgraph.utils.exporting.drawWatermark_ = function(page, watermark, pageWidth, pageHeight) {
+  var settings = goog.isObject(watermark) ? watermark : {'text': watermark};
+  var text = goog.isDefAndNotNull(settings['text']) ? String(settings['text']) : '';
+  if (!text) return;
+
+  var div = page.ownerDocument.createElement('div');
+  goog.style.setStyle(div, {
+    'position': 'absolute',
+    'left': 0,
+    'top': 0,
+    'width': pageWidth + 'px',
+    'height': pageHeight + 'px'
+  });
+  page.appendChild(div);
+  var layer = acgraph.create(div, pageWidth, pageHeight).layer();
+
+  // By default watermark goes along the page diagonal.
+  var rotation = goog.isDef(settings['rotation']) ? +settings['rotation'] || 0 :
+      -goog.math.toDegrees(Math.atan2(pageHeight, pageWidth));
+  acgraph.text(0, 0, text, {
+    'fontSize': +settings['fontSize'] || 72,
+    'color': String(settings['color'] || '#000'),
+    'opacity': goog.isDef(settings['opacity']) ? +settings['opacity'] : 0.15,
+    'width': pageWidth,
+    'height': pageHeight,
+    'hAlign': acgraph.vector.Text.HAlign.CENTER,
+    'vAlign': acgraph.vector.Text.VAlign.MIDDLE
+  }).rotate(rotation, pageWidth / 2, pageHeight / 2).parent(layer);
+};
+//endregion
+
+
+//region --- Client-side rasterization ---
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Client-side rasterization
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Mime types of raster export formats.
+ * @type {Object.<string, string>}
+ */
+acgraph.utils.exporting.RasterMimeType = {
+  'png': 'image/png',
+  'jpg': 'image/jpeg'
+};
+
+
+/**
+ * XLink namespace used by image hrefs.
+ * @type {string}
+ * @private
+ */
+acgraph.utils.exporting.XLINK_NS_ = 'http://www.w3.org/1999/xlink';
+
+
+/**
+ * Renders SVG markup into an offscreen canvas and returns the picture as data URL or Blob.<br/>
+ * External images are inlined as data URIs and absolute references to defs (hatch and pattern fills, gradients,
+ * clips) are made local beforehand, so the canvas is not tainted. Images that can't be loaded with CORS
+ * are left out of the picture.
+ * @param {string} svg SVG markup, e.g. the result of acgraph.vector.Stage#toSvg.
+ * @param {string} type Image type, 'png' or 'jpg'.
+ * @param {function((string|Blob))} onSuccess Function that will be called with the data URL or Blob.
+ * @param {function(string)=} opt_onError Function that will be called with the error message.
+ * @param {number=} opt_width Image width. Defaults to the SVG width, or is calculated proportionally from opt_height.
+ * @param {number=} opt_height Image height. Defaults to the SVG height, or is calculated proportionally from opt_width.
+ * @param {number=} opt_quality Image quality in ratio 0-1, used for JPG.
+ * @param {boolean=} opt_asBlob Whether to return Blob instead of data URL.
+ * @param {boolean=} opt_forceTransparentWhite Whether to paint transparent areas of JPG image white.
+ */
+acgraph.utils.exporting.rasterize = function(svg, type, onSuccess, opt_onError, opt_width, opt_height, opt_quality,
+    opt_asBlob, opt_forceTransparentWhite) {
+  var onError = opt_onError || goog.nullFunction;
+  var doc = goog.global['document'];
+  var canvas = doc && doc.createElement('canvas');
+  if (!svg || !canvas || !canvas.getContext) {
+    onError(acgraph.error.getErrorMessage(acgraph.error.Code.CANVAS_NOT_SUPPORTED));
+    return;
+  }
+
+  var svgDoc = goog.dom.xml.loadXml(svg);
+  var root = svgDoc.documentElement;
+  var sourceWidth = parseFloat(root.getAttribute('width')) || 1;
+  var sourceHeight = parseFloat(root.getAttribute('height')) || 1;
+  var width = opt_width || (opt_height ? opt_height * sourceWidth / sourceHeight : sourceWidth);
+  var height = opt_height || (opt_width ? opt_width * sourceHeight / sourceWidth : sourceHeight);
+  width = Math.round(width);
+  height = Math.round(height);
+
+  // Picture is scaled by the viewBox, so it stays vector until it is drawn on the canvas.
+  if (!root.getAttribute('viewBox'))
+    root.setAttribute('viewBox', '0 0 ' + sourceWidth + ' ' + sourceHeight);
+  root.setAttribute('width', String(width));
+  root.setAttribute('height', String(height));
+
+  acgraph.utils.exporting.inlineImages_(root, function() {
+    var markup = goog.dom.xml.serialize(svgDoc);
+    var reference = acgraph.getReference();
+    if (reference)
+      markup = markup.split('url(' + reference + '#').join('url(#');
+
+    var image = new Image();
+    image.onload = function() {
+      image.onload = image.onerror = null;
+      canvas.width = width;
+      canvas.height = height;
+      var context = canvas.getContext('2d');
+      var mimeType = acgraph.utils.exporting.RasterMimeType[type] || acgraph.utils.exporting.RasterMimeType['png'];
+      if (opt_forceTransparentWhite && mimeType == acgraph.utils.exporting.RasterMimeType['jpg']) {
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, width, height);
+      }
+      context.drawImage(image, 0, 0, width, height);
+
+      var dataUrl;
+      try {
+        dataUrl = canvas.toDataURL(mimeType, opt_quality);
+      } catch (e) {
+        onError(String(e));
+        return;
+      }
+      onSuccess(opt_asBlob ? acgraph.utils.exporting.dataUrlToBlob(dataUrl) : dataUrl);
+    };
+    image.onerror = function() {
+      image.onload = image.onerror = null;
+      onError('Unable to render SVG image');
+    };
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+  });
+};
+
+
+/**
+ * Replaces hrefs of all images in the SVG document with data URIs.
+ * @param {Element} root Root element of the SVG document.
+ * @param {function()} callback Function that will be called when all images are processed.
+ * @private
+ */
+acgraph.utils.exporting.inlineImages_ = function(root, callback) {
+  var xlink = acgraph.utils.exporting.XLINK_NS_;
+  var images = goog.array.filter(root.getElementsByTagName('image'), function(image) {
+    var href = image.getAttributeNS(xlink, 'href') || image.getAttribute('href');
+    return !!href && href.indexOf('data:') != 0;
+  });
+
+  var count = images.length;
+  if (!count) {
+    callback();
+    return;
+  }
+  goog.array.forEach(images, function(image) {
+    var href = image.getAttributeNS(xlink, 'href') || image.getAttribute('href');
+    acgraph.utils.exporting.loadImageAsDataUrl_(href, function(dataUrl) {
+      if (dataUrl) {
+        image.removeAttribute('href');
+        image.setAttributeNS(xlink, 'xlink:href', dataUrl);
+      } else {
+        goog.dom.removeNode(image);
+      }
+      if (!--count) callback();
+    });
+  });
+};
+
+
+/**
+ * Loads image and converts it to data URI.
+ * @param {string} src Image URL.
+ * @param {function(?string)} callback Function that will be called with data URI or null if image can't be loaded
+ *    or read.
+ * @private
+ */
+acgraph.utils.exporting.loadImageAsDataUrl_ = function(src, callback) {
+  var image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = function() {
+    image.onload = image.onerror = null;
+    var canvas = goog.global['document'].createElement('canvas');
+    canvas.width = image.naturalWidth || image.width;
+    canvas.height = image.naturalHeight || image.height;
+    var dataUrl = null;
+    try {
+      canvas.getContext('2d').drawImage(image, 0, 0);
+      dataUrl = canvas.toDataURL('image/png');
+    } catch (e) {
+      // Image is not CORS-enabled, canvas is tainted.
+    }
+    callback(dataUrl);
+  };
+  image.onerror = function() {
+    image.onload = image.onerror = null;
+    callback(null);
+  };
+  image.src = src;
+};
+
+
+/**
+ * Converts data URL to Blob.
+ * @param {string} dataUrl Data URL.
+ * @return {!Blob} Blob.
+ */
+acgraph.utils.exporting.dataUrlToBlob = function(dataUrl) {
+  var index = dataUrl.indexOf(',');
+  var header = dataUrl.substring(0, index);
+  var data = dataUrl.substring(index + 1);
+  var mimeType = header.substring(5).split(';')[0];
+  var binary = header.indexOf(';base64') >= 0 ? goog.global['atob'](data) : decodeURIComponent(data);
+  var bytes = new Uint8Array(binary.length);
+  for (var i = 0; i < binary.length; i++)
+    bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], {'type': mimeType});
+};
+
+
+/**
+ * Saves Blob as a file, using the download attribute of a link or msSaveBlob in IE.
+ * @param {!Blob} blob File contents.
+ * @param {string} filename File name.
+ */
+acgraph.utils.exporting.saveBlob = function(blob, filename) {
+  var navigator = goog.global['navigator'];
+  if (navigator && navigator['msSaveBlob']) {
+    navigator['msSaveBlob'](blob, filename);
+    return;
+  }
+  var url = goog.global['URL']['createObjectURL'](blob);
+  var link = goog.dom.createDom(goog.dom.TagName.A, {'href': url, 'download': filename});
+  goog.style.setStyle(link, 'display', 'none');
+  goog.dom.appendChild(goog.global['document'].body, link);
+  link.click();
+  goog.dom.removeNode(link);
+  goog.Timer.callOnce(function() {
+    goog.global['URL']['revokeObjectURL'](url);
+  }, 100);
+};
+//endregion
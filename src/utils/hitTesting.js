@@ -0,0 +1,518 @@
+goog.provide('acgraph.utils.hitTesting');
+goog.require('acgraph.math');
+goog.require('acgraph.math.Rect');
+goog.require('acgraph.vector');
+goog.require('acgraph.vector.Ellipse');
+goog.require('acgraph.vector.Image');
+goog.require('acgraph.vector.Layer');
+goog.require('acgraph.vector.PathBase');
+goog.require('acgraph.vector.Shape');
+goog.require('acgraph.vector.Text');
+goog.require('goog.array');
+goog.require('goog.math');
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * Geometric hit testing of the element tree. Elements are tested by their geometry in the stage coordinates,
+ * without the DOM: shapes by their fill (with the fill rule set by the 'fill-rule' attribute) and stroke,
+ * texts and images by their bounds. Clips of elements and their parents are taken into account.
+ */
+
+
+/**
+ * Number of line segments a cubic curve is flattened to.
+ * @type {number}
+ * @private
+ */
+acgraph.utils.hitTesting.CURVE_SEGMENTS_ = 16;
+
+
+/**
+ * Element outline in the stage coordinates. Each subpath is a list of coordinates [x0, y0, x1, y1, ...], subpath
+ * is closed if it ends with a close segment.
+ * @typedef {{
+ *   subpaths: !Array.<!Array.<number>>,
+ *   closed: !Array.<boolean>
+ * }}
+ */
+acgraph.utils.hitTesting.Outline;
+
+
+/**
+ * Area of the element and its stroke to test.
+ * outline - Element outline.
+ * fill - Whether the area inside the outline is hit.
+ * evenOdd - Whether the even-odd fill rule is used instead of the nonzero one.
+ * strokeWidth - Half of the stroke width in the stage coordinates, 0 if the element has no stroke.
+ * @typedef {{
+ *   outline: !acgraph.utils.hitTesting.Outline,
+ *   fill: boolean,
+ *   evenOdd: boolean,
+ *   strokeWidth: number
+ * }}
+ */
+acgraph.utils.hitTesting.Area;
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Public
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns elements of the layer tree under the point, the topmost first.
+ * @param {!acgraph.vector.Layer} layer Layer.
+ * @param {number} x X in the stage coordinates.
+ * @param {number} y Y in the stage coordinates.
+ * @return {!Array.<!acgraph.vector.Element>} Elements.
+ */
+acgraph.utils.hitTesting.getElementsAtPoint = function(layer, x, y) {
+  return acgraph.utils.hitTesting.collect_(layer, new acgraph.math.Rect(x, y, 0, 0), function(area) {
+    return acgraph.utils.hitTesting.containsPoint_(area, x, y);
+  });
+};
+
+
+/**
+ * Returns elements of the layer tree that intersect the rectangle, the topmost first.
+ * Element is considered clipped out if its clip doesn't intersect the rectangle.
+ * @param {!acgraph.vector.Layer} layer Layer.
+ * @param {!acgraph.math.Rect} rect Rectangle in the stage coordinates.
+ * @return {!Array.<!acgraph.vector.Element>} Elements.
+ */
+acgraph.utils.hitTesting.getElementsInRect = function(layer, rect) {
+  return acgraph.utils.hitTesting.collect_(layer, rect, function(area) {
+    return acgraph.utils.hitTesting.intersectsRect_(area, rect);
+  });
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Tree walking
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Collects leaf elements of the layer tree, that hit with the test, in reverse z-order.
+ * @param {!acgraph.vector.Layer} layer Layer.
+ * @param {!acgraph.math.Rect} rect Bounds of the tested area in the stage coordinates. Children of layers with
+ *    the spatial index are tested only if they are near the rectangle.
+ * @param {function(!acgraph.utils.hitTesting.Area):boolean} test Area test.
+ * @return {!Array.<!acgraph.vector.Element>} Elements.
+ * @private
+ */
+acgraph.utils.hitTesting.collect_ = function(layer, rect, test) {
+  var result = [];
+  acgraph.utils.hitTesting.collectElement_(layer, rect, test, result);
+  return result.reverse();
+};
+
+
+/**
+ * Collects the element, if it is hit, or its hit children.
+ * @param {!acgraph.vector.Element} element Element.
+ * @param {!acgraph.math.Rect} rect Bounds of the tested area in the stage coordinates.
+ * @param {function(!acgraph.utils.hitTesting.Area):boolean} test Area test.
+ * @param {!Array.<!acgraph.vector.Element>} result Elements in z-order.
+ * @private
+ */
+acgraph.utils.hitTesting.collectElement_ = function(element, rect, test, result) {
+  if (!element.visible()) return;
+
+  var clip = /** @type {acgraph.vector.Clip} */ (element.clip());
+  if (clip && !acgraph.utils.hitTesting.testClip_(clip, element, test)) return;
+
+  if (element instanceof acgraph.vector.Layer) {
+    var children = [];
+    if (element.spatialIndex()) {
+      var tx = element.getFullTransformation();
+      if (!tx)
+        children = element.getChildrenInRect(rect, true);
+      else if (tx.getDeterminant())
+        children = element.getChildrenInRect(acgraph.math.getBoundsOfRectWithTransform(rect, tx.createInverse()), true);
+    } else {
+      element.forEachChild(function(child) {
+        children.push(child);
+      });
+    }
+    goog.array.stableSort(children, function(a, b) {
+      return a.zIndex() - b.zIndex();
+    });
+    goog.array.forEach(children, function(child) {
+      acgraph.utils.hitTesting.collectElement_(child, rect, test, result);
+    });
+  } else {
+    var area = acgraph.utils.hitTesting.getArea_(element);
+    if (area && test(area))
+      result.push(element);
+  }
+};
+
+
+/**
+ * Tests the clip of the element. The test passes if any united shape of the clip, every intersected shape and
+ * the outside of every excluded shape pass it, so the rectangle touching two intersected shapes passes the test
+ * even if it doesn't touch their intersection.
+ * @param {!acgraph.vector.Clip} clip Clip.
+ * @param {!acgraph.vector.Element} element Clipped element.
+ * @param {function(!acgraph.utils.hitTesting.Area):boolean} test Area test.
+ * @return {boolean} Whether the clip passes the test. Clip without united shapes starts from the whole plane, so
+ *    the clip without shapes always passes.
+ * @private
+ */
+acgraph.utils.hitTesting.testClip_ = function(clip, element, test) {
+  var united = null;
+  var size = acgraph.vector.Clip.EXCLUDE_AREA_SIZE;
+  var passed = goog.array.every(clip.getShapes(), function(shape) {
+    // Clip shape is defined in the element coordinates.
+    var area = {
+      outline: acgraph.utils.hitTesting.getOutline_(shape,
+          acgraph.math.concatMatrixes(element.getFullTransformation(), shape.getSelfTransformation())),
+      fill: true,
+      evenOdd: clip.getShapeClipRule(shape) == acgraph.vector.ClipRule.EVENODD,
+      strokeWidth: 0
+    };
+    switch (clip.shapeMode(shape)) {
+      case acgraph.vector.ClipMode.UNION:
+        united = united || test(area);
+        return true;
+      case acgraph.vector.ClipMode.EXCLUDE:
+        // Outside of the shape is the huge square with the shape as a hole.
+        area.outline.subpaths.push([-size, -size, size, -size, size, size, -size, size]);
+        area.outline.closed.push(true);
+        area.evenOdd = true;
+        return test(area);
+      default:
+        return test(area);
+    }
+  });
+  return passed && united !== false;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Geometry
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns the element area to test.
+ * @param {!acgraph.vector.Element} element Element.
+ * @return {?acgraph.utils.hitTesting.Area} Area or null if the element has no geometry.
+ * @private
+ */
+acgraph.utils.hitTesting.getArea_ = function(element) {
+  var tx = element.getFullTransformation();
+  if (element instanceof acgraph.vector.Text || element instanceof acgraph.vector.Image) {
+    var bounds = element.getBoundsWithoutTransform();
+    var points = [bounds.left, bounds.top, bounds.getRight(), bounds.top,
+      bounds.getRight(), bounds.getBottom(), bounds.left, bounds.getBottom()];
+    if (tx) tx.transform(points, 0, points, 0, 4);
+    return {outline: {subpaths: [points], closed: [true]}, fill: true, evenOdd: false, strokeWidth: 0};
+  }
+
+  if (!(element instanceof acgraph.vector.Shape)) return null;
+
+  var fill = element.fill();
+  var stroke = element.stroke();
+  // Gradient strokes have no color, but they are painted.
+  var stroked = goog.isString(stroke) ?
+      stroke != 'none' :
+      goog.isArray(stroke['keys']) || (!!stroke['color'] && stroke['color'] != 'none');
+  var thickness = stroked ? acgraph.vector.getThickness(stroke) : 0;
+  // Stroke scales with the element unless stroke scaling is disabled.
+  var scale = tx && !element.disableStrokeScaling() ?
+      Math.sqrt(Math.abs(tx.getScaleX() * tx.getScaleY() - tx.getShearX() * tx.getShearY())) :
+      1;
+
+  return {
+    outline: acgraph.utils.hitTesting.getOutline_(element, tx),
+    fill: !(fill == 'none' || (goog.isObject(fill) && fill['color'] == 'none')),
+    evenOdd: element.attr('fill-rule') == 'evenodd',
+    strokeWidth: thickness * scale / 2
+  };
+};
+
+
+/**
+ * Returns outline of the path based shape or ellipse, flattened to polylines.
+ * @param {!acgraph.vector.Shape} shape Shape.
+ * @param {goog.graphics.AffineTransform} tx Transformation to the stage coordinates.
+ * @return {!acgraph.utils.hitTesting.Outline} Outline.
+ * @private
+ */
+acgraph.utils.hitTesting.getOutline_ = function(shape, tx) {
+  var outline = {subpaths: [], closed: []};
+  var current = null;
+  var x = 0, y = 0;
+  var addCurves = function(curves) {
+    for (var i = 0; i < curves.length; i += 6) {
+      acgraph.utils.hitTesting.flattenCurve_(current, x, y, curves[i], curves[i + 1], curves[i + 2], curves[i + 3],
+          curves[i + 4], curves[i + 5]);
+      x = curves[i + 4];
+      y = curves[i + 5];
+    }
+  };
+  var moveTo = function(toX, toY) {
+    current = [toX, toY];
+    outline.subpaths.push(current);
+    outline.closed.push(false);
+    x = toX;
+    y = toY;
+  };
+
+  if (shape instanceof acgraph.vector.PathBase) {
+    shape.forEachSegment(function(segment, args) {
+      var i;
+      switch (segment) {
+        case acgraph.vector.PathBase.Segment.MOVETO:
+          moveTo(args[args.length - 2], args[args.length - 1]);
+          break;
+        case acgraph.vector.PathBase.Segment.LINETO:
+          for (i = 0; i < args.length; i += 2)
+            current.push(args[i], args[i + 1]);
+          x = args[args.length - 2];
+          y = args[args.length - 1];
+          break;
+        case acgraph.vector.PathBase.Segment.CURVETO:
+          addCurves(args);
+          break;
+        case acgraph.vector.PathBase.Segment.ARCTO:
+          for (i = 0; i < args.length; i += 6) {
+            var cx = x - goog.math.angleDx(args[i + 2], args[i]);
+            var cy = y - goog.math.angleDy(args[i + 2], args[i + 1]);
+            addCurves(acgraph.math.arcToBezier(cx, cy, args[i], args[i + 1], args[i + 2], args[i + 3]));
+            x = args[i + 4];
+            y = args[i + 5];
+          }
+          break;
+        case acgraph.vector.PathBase.Segment.CLOSE:
+          outline.closed[outline.closed.length - 1] = true;
+          // Drawing goes on from the start of the closed subpath.
+          moveTo(current[0], current[1]);
+          break;
+      }
+    });
+  } else if (shape instanceof acgraph.vector.Ellipse) {
+    var rx = /** @type {number} */ (shape.radiusX());
+    var ry = /** @type {number} */ (shape.radiusY());
+    if (rx > 0 && ry > 0) {
+      var curves = acgraph.math.arcToBezier(/** @type {number} */ (shape.centerX()),
+          /** @type {number} */ (shape.centerY()), rx, ry, 0, 360, true);
+      moveTo(curves[0], curves[1]);
+      addCurves(curves.slice(2));
+      outline.closed[0] = true;
+    }
+  }
+
+  // Drops subpaths started by move or close segments that have no segments.
+  for (var i = outline.subpaths.length; i--;) {
+    if (outline.subpaths[i].length < 4) {
+      outline.subpaths.splice(i, 1);
+      outline.closed.splice(i, 1);
+    } else if (tx) {
+      tx.transform(outline.subpaths[i], 0, outline.subpaths[i], 0, outline.subpaths[i].length / 2);
+    }
+  }
+  return outline;
+};
+
+
+/**
+ * Flattens cubic curve to line segments and adds them to the polyline.
+ * @param {Array.<number>} polyline Polyline ending with the curve start point.
+ * @param {number} x0 Start X.
+ * @param {number} y0 Start Y.
+ * @param {number} x1 First control point X.
+ * @param {number} y1 First control point Y.
+ * @param {number} x2 Second control point X.
+ * @param {number} y2 Second control point Y.
+ * @param {number} x3 End X.
+ * @param {number} y3 End Y.
+ * @private
+ */
+acgraph.utils.hitTesting.flattenCurve_ = function(polyline, x0, y0, x1, y1, x2, y2, x3, y3) {
+  var count = acgraph.utils.hitTesting.CURVE_SEGMENTS_;
+  for (var i = 1; i <= count; i++) {
+    var t = i / count;
+    var mt = 1 - t;
+    var a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, d = t * t * t;
+    polyline.push(a * x0 + b * x1 + c * x2 + d * x3, a * y0 + b * y1 + c * y2 + d * y3);
+  }
+};
+
+
+/**
+ * Calls the callback for each segment of the outline.
+ * @param {!acgraph.utils.hitTesting.Outline} outline Outline.
+ * @param {boolean} closeAll Whether all subpaths are closed (like for filling) or only closed ones (like for stroking).
+ * @param {function(number, number, number, number):boolean} callback Callback, gets segment coordinates and
+ *    returns true to stop iteration.
+ * @return {boolean} Whether the iteration was stopped.
+ * @private
+ */
+acgraph.utils.hitTesting.someSegment_ = function(outline, closeAll, callback) {
+  for (var i = 0; i < outline.subpaths.length; i++) {
+    var points = outline.subpaths[i];
+    var count = points.length / 2;
+    var segments = closeAll || outline.closed[i] ? count : count - 1;
+    for (var j = 0; j < segments; j++) {
+      var k = (j + 1) % count;
+      if (callback(points[j * 2], points[j * 2 + 1], points[k * 2], points[k * 2 + 1]))
+        return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Whether the point is inside the outline area by the fill rule.
+ * @param {!acgraph.utils.hitTesting.Outline} outline Outline.
+ * @param {boolean} evenOdd Whether the even-odd fill rule is used.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @return {boolean}
+ * @private
+ */
+acgraph.utils.hitTesting.isInside_ = function(outline, evenOdd, x, y) {
+  var winding = 0;
+  var crossings = 0;
+  acgraph.utils.hitTesting.someSegment_(outline, true, function(x0, y0, x1, y1) {
+    var side = (x1 - x0) * (y - y0) - (x - x0) * (y1 - y0);
+    if (y0 <= y) {
+      if (y1 > y && side > 0) {
+        winding++;
+        crossings++;
+      }
+    } else if (y1 <= y && side < 0) {
+      winding--;
+      crossings++;
+    }
+    return false;
+  });
+  return evenOdd ? !!(crossings % 2) : !!winding;
+};
+
+
+/**
+ * Returns squared distance from the point to the segment.
+ * @param {number} x Point X.
+ * @param {number} y Point Y.
+ * @param {number} x0 Segment start X.
+ * @param {number} y0 Segment start Y.
+ * @param {number} x1 Segment end X.
+ * @param {number} y1 Segment end Y.
+ * @return {number} Squared distance.
+ * @private
+ */
+acgraph.utils.hitTesting.segmentDistanceSquared_ = function(x, y, x0, y0, x1, y1) {
+  var dx = x1 - x0;
+  var dy = y1 - y0;
+  var lengthSquared = dx * dx + dy * dy;
+  var t = lengthSquared ? goog.math.clamp(((x - x0) * dx + (y - y0) * dy) / lengthSquared, 0, 1) : 0;
+  dx = x0 + t * dx - x;
+  dy = y0 + t * dy - y;
+  return dx * dx + dy * dy;
+};
+
+
+/**
+ * Whether the segments intersect.
+ * @param {number} ax0 .
+ * @param {number} ay0 .
+ * @param {number} ax1 .
+ * @param {number} ay1 .
+ * @param {number} bx0 .
+ * @param {number} by0 .
+ * @param {number} bx1 .
+ * @param {number} by1 .
+ * @return {boolean}
+ * @private
+ */
+acgraph.utils.hitTesting.segmentsIntersect_ = function(ax0, ay0, ax1, ay1, bx0, by0, bx1, by1) {
+  var cross = function(ox, oy, px, py, qx, qy) {
+    return (px - ox) * (qy - oy) - (py - oy) * (qx - ox);
+  };
+  var d1 = cross(bx0, by0, bx1, by1, ax0, ay0);
+  var d2 = cross(bx0, by0, bx1, by1, ax1, ay1);
+  var d3 = cross(ax0, ay0, ax1, ay1, bx0, by0);
+  var d4 = cross(ax0, ay0, ax1, ay1, bx1, by1);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+};
+
+
+/**
+ * Whether the segment intersects the rectangle.
+ * @param {!acgraph.math.Rect} rect Rectangle.
+ * @param {number} x0 Segment start X.
+ * @param {number} y0 Segment start Y.
+ * @param {number} x1 Segment end X.
+ * @param {number} y1 Segment end Y.
+ * @return {boolean}
+ * @private
+ */
+acgraph.utils.hitTesting.segmentIntersectsRect_ = function(rect, x0, y0, x1, y1) {
+  if (rect.contains(new goog.math.Coordinate(x0, y0)) || rect.contains(new goog.math.Coordinate(x1, y1)))
+    return true;
+  var left = rect.left, top = rect.top, right = rect.getRight(), bottom = rect.getBottom();
+  var intersect = acgraph.utils.hitTesting.segmentsIntersect_;
+  return intersect(x0, y0, x1, y1, left, top, right, top) ||
+      intersect(x0, y0, x1, y1, right, top, right, bottom) ||
+      intersect(x0, y0, x1, y1, right, bottom, left, bottom) ||
+      intersect(x0, y0, x1, y1, left, bottom, left, top);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Tests
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Whether the point hits the area.
+ * @param {!acgraph.utils.hitTesting.Area} area Area.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @return {boolean}
+ * @private
+ */
+acgraph.utils.hitTesting.containsPoint_ = function(area, x, y) {
+  if (area.fill && acgraph.utils.hitTesting.isInside_(area.outline, area.evenOdd, x, y))
+    return true;
+  if (area.strokeWidth > 0) {
+    var toleranceSquared = area.strokeWidth * area.strokeWidth;
+    return acgraph.utils.hitTesting.someSegment_(area.outline, false, function(x0, y0, x1, y1) {
+      return acgraph.utils.hitTesting.segmentDistanceSquared_(x, y, x0, y0, x1, y1) <= toleranceSquared;
+    });
+  }
+  return false;
+};
+
+
+/**
+ * Whether the area intersects the rectangle.
+ * @param {!acgraph.utils.hitTesting.Area} area Area.
+ * @param {!acgraph.math.Rect} rect Rectangle.
+ * @return {boolean}
+ * @private
+ */
+acgraph.utils.hitTesting.intersectsRect_ = function(area, rect) {
+  if (area.fill) {
+    // Area covers the rectangle or its boundary crosses the rectangle.
+    var inside = acgraph.utils.hitTesting.isInside_;
+    if (inside(area.outline, area.evenOdd, rect.left, rect.top) ||
+        acgraph.utils.hitTesting.someSegment_(area.outline, true, goog.partial(
+            acgraph.utils.hitTesting.segmentIntersectsRect_, rect)))
+      return true;
+  }
+  if (area.strokeWidth > 0) {
+    // Stroke is approximated by the outline with the rectangle inflated by the half of the stroke width.
+    var inflated = new acgraph.math.Rect(rect.left - area.strokeWidth, rect.top - area.strokeWidth,
+        rect.width + area.strokeWidth * 2, rect.height + area.strokeWidth * 2);
+    return acgraph.utils.hitTesting.someSegment_(area.outline, false, goog.partial(
+        acgraph.utils.hitTesting.segmentIntersectsRect_, inflated));
+  }
+  return false;
+};
@@ -0,0 +1,636 @@
+goog.provide('acgraph.utils.pathBoolean');
+goog.require('acgraph.math');
+goog.require('acgraph.vector');
+goog.require('acgraph.vector.PathBase');
+goog.require('goog.array');
+goog.require('goog.math');
+
+
+/**
+ * Boolean operations on paths. Paths are flattened to polygons and all edges of both polygons are split at their
+ * intersection points, so the edges meet at their ends only. Then the winding numbers of both paths are found on
+ * both sides of each edge, and the edge is kept if the result area is on one side of it only. It handles holes,
+ * self-intersections, touching and overlapping edges and both fill rules the same way. Kept edges are directed
+ * to have the result area on the left and linked into closed contours of the result path.
+ */
+
+
+/**
+ * Default maximum distance between curves and line segments they are flattened to.
+ * @type {number}
+ */
+acgraph.utils.pathBoolean.DEFAULT_TOLERANCE = 0.25;
+
+
+/**
+ * Ratio of the distance at which points are merged to the flattening tolerance.
+ * @type {number}
+ * @private
+ */
+acgraph.utils.pathBoolean.SNAP_RATIO_ = 1e-3;
+
+
+/**
+ * Path subpath flattened to a polyline. Points are coordinates [x0, y0, x1, y1, ...].
+ * @typedef {{points: !Array.<number>, closed: boolean}}
+ */
+acgraph.utils.pathBoolean.Contour;
+
+
+/**
+ * Polygon edge of one of the paths. Splits are parameters of the points where the segment is to be split,
+ * including its ends. Bounds are set before the intersection search.
+ * @typedef {{
+ *   x0: number, y0: number, x1: number, y1: number,
+ *   owner: number,
+ *   splits: !Array.<number>,
+ *   left: number, top: number, right: number, bottom: number
+ * }}
+ * @private
+ */
+acgraph.utils.pathBoolean.Segment_;
+
+
+/**
+ * Split edge of the polygons. Wind is the number of edges of each path going from a to b minus the number of edges
+ * going from b to a.
+ * @typedef {{
+ *   a: !acgraph.utils.pathBoolean.Vertex_,
+ *   b: !acgraph.utils.pathBoolean.Vertex_,
+ *   wind: !Array.<number>
+ * }}
+ * @private
+ */
+acgraph.utils.pathBoolean.Edge_;
+
+
+/**
+ * Edge of the result, directed to have the result area on the left.
+ * @typedef {{
+ *   from: !acgraph.utils.pathBoolean.Vertex_,
+ *   to: !acgraph.utils.pathBoolean.Vertex_,
+ *   used: boolean
+ * }}
+ * @private
+ */
+acgraph.utils.pathBoolean.DirectedEdge_;
+
+
+/**
+ * Polygons vertex. Points closer than the snap distance share the vertex.
+ * @typedef {{x: number, y: number, id: number}}
+ * @private
+ */
+acgraph.utils.pathBoolean.Vertex_;
+
+
+/**
+ * Edges bucketed by horizontal bands (rows) and vertical bands (columns) they cross, to find edges crossing
+ * horizontal and vertical rays quickly.
+ * @typedef {{
+ *   rows: !Array.<!Array.<!acgraph.utils.pathBoolean.Edge_>>,
+ *   columns: !Array.<!Array.<!acgraph.utils.pathBoolean.Edge_>>,
+ *   left: number, top: number, width: number, height: number
+ * }}
+ * @private
+ */
+acgraph.utils.pathBoolean.EdgeIndex_;
+
+
+/**
+ * Performs boolean operation on two paths and returns the result as a new unbound path. Paths are combined in
+ * their parent coordinates, so their own transformations are applied to the result geometry.
+ * @param {!acgraph.vector.PathBase} a The first path.
+ * @param {!acgraph.vector.PathBase} b The second path.
+ * @param {(acgraph.vector.PathOperation|string)} operation Operation.
+ * @param {acgraph.vector.PathOperationOptions=} opt_options Options.
+ * @return {!acgraph.vector.Path} Result path. Contains closed polygons only.
+ */
+acgraph.utils.pathBoolean.compute = function(a, b, operation, opt_options) {
+  var options = opt_options || {};
+  var tolerance = options['tolerance'] > 0 ? +options['tolerance'] : acgraph.utils.pathBoolean.DEFAULT_TOLERANCE;
+  var evenOdd = goog.array.map([a, b], function(path) {
+    return (options['fillRule'] || path.attr('fill-rule')) == acgraph.vector.ClipRule.EVENODD;
+  });
+  return acgraph.utils.pathBoolean.combinePolygons(
+      acgraph.utils.pathBoolean.getPolygons(a, tolerance, a.getSelfTransformation()),
+      acgraph.utils.pathBoolean.getPolygons(b, tolerance, b.getSelfTransformation()),
+      evenOdd, operation, tolerance);
+};
+
+
+/**
+ * Performs boolean operation on two sets of polygons and returns the result as a new unbound path.
+ * @param {!Array.<!Array.<number>>} a The first polygons.
+ * @param {!Array.<!Array.<number>>} b The second polygons.
+ * @param {!Array.<boolean>} evenOdd Whether the even-odd fill rule defines the area of the first and the second
+ *    polygons.
+ * @param {(acgraph.vector.PathOperation|string)} operation Operation.
+ * @param {number} tolerance Flattening tolerance, points closer than its small fraction are merged.
+ * @return {!acgraph.vector.Path} Result path. Contains closed polygons only.
+ */
+acgraph.utils.pathBoolean.combinePolygons = function(a, b, evenOdd, operation, tolerance) {
+  var snap = tolerance * acgraph.utils.pathBoolean.SNAP_RATIO_;
+  var combine = acgraph.utils.pathBoolean.getCombiner_(operation);
+
+  var segments = [];
+  goog.array.forEach([a, b], function(polygons, owner) {
+    goog.array.forEach(polygons, function(polygon) {
+      var count = polygon.length / 2;
+      for (var i = 0; i < count; i++) {
+        var j = (i + 1) % count;
+        segments.push({
+          x0: polygon[i * 2], y0: polygon[i * 2 + 1],
+          x1: polygon[j * 2], y1: polygon[j * 2 + 1],
+          owner: owner,
+          splits: [0, 1],
+          left: 0, top: 0, right: 0, bottom: 0
+        });
+      }
+    });
+  });
+
+  acgraph.utils.pathBoolean.splitSegments_(segments, snap);
+  var edges = acgraph.utils.pathBoolean.getEdges_(segments, snap);
+
+  var index = acgraph.utils.pathBoolean.createEdgeIndex_(edges);
+  var result = [];
+  goog.array.forEach(edges, function(edge) {
+    var right = acgraph.utils.pathBoolean.getWindingOnRight_(edge, index);
+    var insideRight = combine(
+        acgraph.utils.pathBoolean.isInside_(right[0], evenOdd[0]),
+        acgraph.utils.pathBoolean.isInside_(right[1], evenOdd[1]));
+    var insideLeft = combine(
+        acgraph.utils.pathBoolean.isInside_(right[0] + edge.wind[0], evenOdd[0]),
+        acgraph.utils.pathBoolean.isInside_(right[1] + edge.wind[1], evenOdd[1]));
+    if (insideLeft != insideRight)
+      result.push({from: insideLeft ? edge.a : edge.b, to: insideLeft ? edge.b : edge.a, used: false});
+  });
+
+  var path = acgraph.path();
+  goog.array.forEach(acgraph.utils.pathBoolean.linkContours_(result, snap), function(contour) {
+    path.moveTo(contour[0], contour[1]);
+    path.lineTo.apply(path, contour.slice(2));
+    path.close();
+  });
+  return path;
+};
+
+
+/**
+ * Returns function that tells if a point is in the result area by whether it is in the areas of the paths.
+ * @param {(acgraph.vector.PathOperation|string)} operation Operation.
+ * @return {function(boolean, boolean):boolean} Combiner.
+ * @private
+ */
+acgraph.utils.pathBoolean.getCombiner_ = function(operation) {
+  switch (operation) {
+    case acgraph.vector.PathOperation.INTERSECTION:
+      return function(a, b) {
+        return a && b;
+      };
+    case acgraph.vector.PathOperation.DIFFERENCE:
+      return function(a, b) {
+        return a && !b;
+      };
+    case acgraph.vector.PathOperation.XOR:
+      return function(a, b) {
+        return a != b;
+      };
+    default:
+      return function(a, b) {
+        return a || b;
+      };
+  }
+};
+
+
+/**
+ * Whether the winding number is inside the area by the fill rule.
+ * @param {number} winding Winding number.
+ * @param {boolean} evenOdd Whether the even-odd fill rule is used.
+ * @return {boolean}
+ * @private
+ */
+acgraph.utils.pathBoolean.isInside_ = function(winding, evenOdd) {
+  return evenOdd ? !!(winding % 2) : !!winding;
+};
+
+
+/**
+ * Flattens path to polygons. All subpaths are closed, like they are for filling.
+ * @param {!acgraph.vector.PathBase} path Path.
+ * @param {number} tolerance Flattening tolerance.
+ * @param {goog.graphics.AffineTransform=} opt_transform Transformation to apply to the polygons.
+ * @return {!Array.<!Array.<number>>} Polygons coordinates [x0, y0, x1, y1, ...].
+ */
+acgraph.utils.pathBoolean.getPolygons = function(path, tolerance, opt_transform) {
+  var contours = acgraph.utils.pathBoolean.getContours(path, tolerance, opt_transform);
+  var polygons = [];
+  goog.array.forEach(contours, function(contour) {
+    var polygon = contour.points;
+    var length = polygon.length;
+    // Closing point is dropped, polygons are closed anyway.
+    if (length > 2 && polygon[0] == polygon[length - 2] && polygon[1] == polygon[length - 1])
+      polygon.length = length -= 2;
+    if (length >= 6)
+      polygons.push(polygon);
+  });
+  return polygons;
+};
+
+
+/**
+ * Flattens path subpaths to polylines. Subpaths without segments are skipped, unless they are closed.
+ * @param {!acgraph.vector.PathBase} path Path.
+ * @param {number} tolerance Flattening tolerance.
+ * @param {goog.graphics.AffineTransform=} opt_transform Transformation to apply to the polylines.
+ * @return {!Array.<!acgraph.utils.pathBoolean.Contour>} Contours.
+ */
+acgraph.utils.pathBoolean.getContours = function(path, tolerance, opt_transform) {
+  var contours = [];
+  var current = null;
+  var x = 0, y = 0;
+  var addCurves = function(curves) {
+    for (var i = 0; i < curves.length; i += 6) {
+      Array.prototype.push.apply(current.points, acgraph.math.flattenCubicCurve(x, y, curves[i], curves[i + 1],
+          curves[i + 2], curves[i + 3], curves[i + 4], curves[i + 5], tolerance));
+      x = curves[i + 4];
+      y = curves[i + 5];
+    }
+  };
+  var moveTo = function(toX, toY) {
+    current = {points: [toX, toY], closed: false};
+    contours.push(current);
+    x = toX;
+    y = toY;
+  };
+
+  path.forEachSegment(function(segment, args) {
+    var i;
+    switch (segment) {
+      case acgraph.vector.PathBase.Segment.MOVETO:
+        moveTo(args[args.length - 2], args[args.length - 1]);
+        break;
+      case acgraph.vector.PathBase.Segment.LINETO:
+        for (i = 0; i < args.length; i += 2)
+          current.points.push(args[i], args[i + 1]);
+        x = args[args.length - 2];
+        y = args[args.length - 1];
+        break;
+      case acgraph.vector.PathBase.Segment.CURVETO:
+        addCurves(args);
+        break;
+      case acgraph.vector.PathBase.Segment.ARCTO:
+        for (i = 0; i < args.length; i += 6) {
+          var cx = x - goog.math.angleDx(args[i + 2], args[i]);
+          var cy = y - goog.math.angleDy(args[i + 2], args[i + 1]);
+          addCurves(acgraph.math.arcToBezier(cx, cy, args[i], args[i + 1], args[i + 2], args[i + 3]));
+          x = args[i + 4];
+          y = args[i + 5];
+        }
+        break;
+      case acgraph.vector.PathBase.Segment.CLOSE:
+        current.closed = true;
+        // Drawing goes on from the start of the closed subpath.
+        moveTo(current.points[0], current.points[1]);
+        break;
+    }
+  });
+
+  return goog.array.filter(contours, function(contour) {
+    if (contour.points.length < 4 && !contour.closed)
+      return false;
+    if (opt_transform)
+      opt_transform.transform(contour.points, 0, contour.points, 0, contour.points.length / 2);
+    return true;
+  });
+};
+
+
+/**
+ * Finds intersections of the segments and records them to the segments splits as parameters along the segments.
+ * Segments are swept by their left ends to test the segments overlapping by X only.
+ * @param {!Array.<!acgraph.utils.pathBoolean.Segment_>} segments Segments.
+ * @param {number} snap Distance at which points are considered equal.
+ * @private
+ */
+acgraph.utils.pathBoolean.splitSegments_ = function(segments, snap) {
+  goog.array.forEach(segments, function(s) {
+    s.left = Math.min(s.x0, s.x1);
+    s.right = Math.max(s.x0, s.x1);
+    s.top = Math.min(s.y0, s.y1);
+    s.bottom = Math.max(s.y0, s.y1);
+  });
+  var sorted = goog.array.clone(segments);
+  goog.array.sort(sorted, function(s1, s2) {
+    return s1.left - s2.left;
+  });
+
+  for (var i = 0; i < sorted.length; i++) {
+    var s = sorted[i];
+    for (var j = i + 1; j < sorted.length && sorted[j].left <= s.right + snap; j++) {
+      var t = sorted[j];
+      if (t.top > s.bottom + snap || t.bottom < s.top - snap)
+        continue;
+      acgraph.utils.pathBoolean.intersect_(s, t, snap);
+    }
+  }
+};
+
+
+/**
+ * Finds the intersection of two segments and adds it to the segments splits. Collinear overlapping segments are
+ * split at the ends of each other.
+ * @param {!acgraph.utils.pathBoolean.Segment_} s The first segment.
+ * @param {!acgraph.utils.pathBoolean.Segment_} t The second segment.
+ * @param {number} snap Distance at which points are considered equal.
+ * @private
+ */
+acgraph.utils.pathBoolean.intersect_ = function(s, t, snap) {
+  var sdx = s.x1 - s.x0, sdy = s.y1 - s.y0;
+  var tdx = t.x1 - t.x0, tdy = t.y1 - t.y0;
+  var sLength = Math.sqrt(sdx * sdx + sdy * sdy);
+  var tLength = Math.sqrt(tdx * tdx + tdy * tdy);
+  if (!sLength || !tLength)
+    return;
+
+  // Distances of the ends of t from the line of s.
+  var d0 = (sdx * (t.y0 - s.y0) - sdy * (t.x0 - s.x0)) / sLength;
+  var d1 = (sdx * (t.y1 - s.y0) - sdy * (t.x1 - s.x0)) / sLength;
+  var paramOnS = function(x, y) {
+    return ((x - s.x0) * sdx + (y - s.y0) * sdy) / (sLength * sLength);
+  };
+  var paramOnT = function(x, y) {
+    return ((x - t.x0) * tdx + (y - t.y0) * tdy) / (tLength * tLength);
+  };
+  var addSplit = function(segment, param, length) {
+    if (param * length > snap && (1 - param) * length > snap)
+      segment.splits.push(param);
+  };
+
+  if (Math.abs(d0) <= snap && Math.abs(d1) <= snap) {
+    addSplit(s, paramOnS(t.x0, t.y0), sLength);
+    addSplit(s, paramOnS(t.x1, t.y1), sLength);
+    addSplit(t, paramOnT(s.x0, s.y0), tLength);
+    addSplit(t, paramOnT(s.x1, s.y1), tLength);
+    return;
+  }
+
+  var denominator = sdx * tdy - sdy * tdx;
+  if (!denominator)
+    return;
+  var sParam = ((t.x0 - s.x0) * tdy - (t.y0 - s.y0) * tdx) / denominator;
+  var tParam = ((t.x0 - s.x0) * sdy - (t.y0 - s.y0) * sdx) / denominator;
+  var sMargin = snap / sLength;
+  var tMargin = snap / tLength;
+  if (sParam >= -sMargin && sParam <= 1 + sMargin && tParam >= -tMargin && tParam <= 1 + tMargin) {
+    addSplit(s, sParam, sLength);
+    addSplit(t, tParam, tLength);
+  }
+};
+
+
+/**
+ * Splits the segments at their splits into edges. Coincident parts of the segments are merged into one edge.
+ * @param {!Array.<!acgraph.utils.pathBoolean.Segment_>} segments Segments.
+ * @param {number} snap Distance at which points are considered equal.
+ * @return {!Array.<!acgraph.utils.pathBoolean.Edge_>} Edges.
+ * @private
+ */
+acgraph.utils.pathBoolean.getEdges_ = function(segments, snap) {
+  var getVertex = acgraph.utils.pathBoolean.createVertexPool_(snap);
+  var edges = {};
+  goog.array.forEach(segments, function(s) {
+    goog.array.sort(s.splits);
+    var prev = null;
+    for (var i = 0; i < s.splits.length; i++) {
+      var param = s.splits[i];
+      var vertex = getVertex(s.x0 + (s.x1 - s.x0) * param, s.y0 + (s.y1 - s.y0) * param);
+      if (prev && prev != vertex) {
+        var forward = prev.id < vertex.id;
+        var key = forward ? prev.id + '_' + vertex.id : vertex.id + '_' + prev.id;
+        var edge = edges[key] || (edges[key] = {a: forward ? prev : vertex, b: forward ? vertex : prev, wind: [0, 0]});
+        edge.wind[s.owner] += forward ? 1 : -1;
+      }
+      prev = vertex;
+    }
+  });
+
+  var result = [];
+  for (var key in edges) {
+    var edge = edges[key];
+    // Edges of the opposite directions cancel each other.
+    if (edge.wind[0] || edge.wind[1])
+      result.push(edge);
+  }
+  return result;
+};
+
+
+/**
+ * Creates function returning the vertex for the point. Points closer than the snap distance get the same vertex,
+ * vertices are looked up in the grid cells of the snap size.
+ * @param {number} snap Distance at which points are considered equal.
+ * @return {function(number, number):!acgraph.utils.pathBoolean.Vertex_} Function.
+ * @private
+ */
+acgraph.utils.pathBoolean.createVertexPool_ = function(snap) {
+  var cells = {};
+  var count = 0;
+  return function(x, y) {
+    var cx = Math.floor(x / snap);
+    var cy = Math.floor(y / snap);
+    for (var i = -1; i <= 1; i++) {
+      for (var j = -1; j <= 1; j++) {
+        var vertex = cells[(cx + i) + '_' + (cy + j)];
+        if (vertex && Math.abs(vertex.x - x) <= snap && Math.abs(vertex.y - y) <= snap)
+          return vertex;
+      }
+    }
+    return cells[cx + '_' + cy] = {x: x, y: y, id: count++};
+  };
+};
+
+
+/**
+ * Buckets edges by the rows and columns they cross. There are about as many rows and columns as the square root
+ * of the edges count, so a ray meets few edges besides the ones it crosses.
+ * @param {!Array.<!acgraph.utils.pathBoolean.Edge_>} edges Edges.
+ * @return {!acgraph.utils.pathBoolean.EdgeIndex_} Index.
+ * @private
+ */
+acgraph.utils.pathBoolean.createEdgeIndex_ = function(edges) {
+  var left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+  goog.array.forEach(edges, function(edge) {
+    left = Math.min(left, edge.a.x, edge.b.x);
+    right = Math.max(right, edge.a.x, edge.b.x);
+    top = Math.min(top, edge.a.y, edge.b.y);
+    bottom = Math.max(bottom, edge.a.y, edge.b.y);
+  });
+  var count = Math.max(Math.ceil(Math.sqrt(edges.length)), 1);
+  var index = {
+    rows: [],
+    columns: [],
+    left: left,
+    top: top,
+    width: (right - left) / count || 1,
+    height: (bottom - top) / count || 1
+  };
+  for (var i = 0; i < count; i++) {
+    index.rows.push([]);
+    index.columns.push([]);
+  }
+  goog.array.forEach(edges, function(edge) {
+    var i, last;
+    last = acgraph.utils.pathBoolean.getBand_(Math.max(edge.a.y, edge.b.y), top, index.height, count);
+    for (i = acgraph.utils.pathBoolean.getBand_(Math.min(edge.a.y, edge.b.y), top, index.height, count);
+         i <= last; i++)
+      index.rows[i].push(edge);
+    last = acgraph.utils.pathBoolean.getBand_(Math.max(edge.a.x, edge.b.x), left, index.width, count);
+    for (i = acgraph.utils.pathBoolean.getBand_(Math.min(edge.a.x, edge.b.x), left, index.width, count);
+         i <= last; i++)
+      index.columns[i].push(edge);
+  });
+  return index;
+};
+
+
+/**
+ * Returns band number of the coordinate.
+ * @param {number} value Coordinate.
+ * @param {number} start Coordinate of the first band start.
+ * @param {number} size Band size.
+ * @param {number} count Bands count.
+ * @return {number} Band number.
+ * @private
+ */
+acgraph.utils.pathBoolean.getBand_ = function(value, start, size, count) {
+  return goog.math.clamp(Math.floor((value - start) / size), 0, count - 1);
+};
+
+
+/**
+ * Returns winding numbers of both paths on the right of the edge. They are found by casting the ray from
+ * the middle of the edge to the right and counting the edges crossing it. Ray goes along the axis that is closer
+ * to the right normal of the edge, so that only the edges of one row or column are tested.
+ * @param {!acgraph.utils.pathBoolean.Edge_} edge Edge.
+ * @param {!acgraph.utils.pathBoolean.EdgeIndex_} index Index of all edges.
+ * @return {!Array.<number>} Winding numbers of both paths.
+ * @private
+ */
+acgraph.utils.pathBoolean.getWindingOnRight_ = function(edge, index) {
+  var mx = (edge.a.x + edge.b.x) / 2;
+  var my = (edge.a.y + edge.b.y) / 2;
+  // Ray direction, the axis direction closest to the right normal of the edge.
+  var nx = edge.b.y - edge.a.y;
+  var ny = edge.a.x - edge.b.x;
+  var edges;
+  if (Math.abs(nx) >= Math.abs(ny)) {
+    nx = nx > 0 ? 1 : -1;
+    ny = 0;
+    edges = index.rows[acgraph.utils.pathBoolean.getBand_(my, index.top, index.height, index.rows.length)];
+  } else {
+    nx = 0;
+    ny = ny > 0 ? 1 : -1;
+    edges = index.columns[acgraph.utils.pathBoolean.getBand_(mx, index.left, index.width, index.columns.length)];
+  }
+  var winding = [0, 0];
+  for (var i = 0; i < edges.length; i++) {
+    var other = edges[i];
+    if (other == edge)
+      continue;
+    // Coordinates in the system where the ray is the positive X-axis.
+    var ax = (other.a.x - mx) * nx + (other.a.y - my) * ny;
+    var ay = (other.a.y - my) * nx - (other.a.x - mx) * ny;
+    var bx = (other.b.x - mx) * nx + (other.b.y - my) * ny;
+    var by = (other.b.y - my) * nx - (other.b.x - mx) * ny;
+    var side = (bx - ax) * -ay + ax * (by - ay);
+    var crossing = 0;
+    if (ay <= 0) {
+      if (by > 0 && side > 0)
+        crossing = 1;
+    } else if (by <= 0 && side < 0) {
+      crossing = -1;
+    }
+    if (crossing) {
+      winding[0] += crossing * other.wind[0];
+      winding[1] += crossing * other.wind[1];
+    }
+  }
+  return winding;
+};
+
+
+/**
+ * Links directed edges into closed contours. At vertices with several outgoing edges the contour turns left
+ * as much as possible, so contours touching at a vertex are separated.
+ * @param {!Array.<!acgraph.utils.pathBoolean.DirectedEdge_>} edges Directed edges.
+ * @param {number} snap Distance at which points are considered equal.
+ * @return {!Array.<!Array.<number>>} Contours coordinates [x0, y0, x1, y1, ...].
+ * @private
+ */
+acgraph.utils.pathBoolean.linkContours_ = function(edges, snap) {
+  var outgoing = {};
+  goog.array.forEach(edges, function(edge) {
+    (outgoing[edge.from.id] || (outgoing[edge.from.id] = [])).push(edge);
+  });
+
+  var contours = [];
+  goog.array.forEach(edges, function(first) {
+    if (first.used)
+      return;
+    var vertices = [];
+    var edge = first;
+    while (edge) {
+      edge.used = true;
+      vertices.push(edge.from);
+      var from = edge.from, to = edge.to;
+      if (to == first.from)
+        break;
+      var dx = to.x - from.x, dy = to.y - from.y;
+      var best = null, bestTurn = -Infinity;
+      goog.array.forEach(outgoing[to.id], function(next) {
+        if (next.used)
+          return;
+        var nx = next.to.x - to.x, ny = next.to.y - to.y;
+        var turn = Math.atan2(dx * ny - dy * nx, dx * nx + dy * ny);
+        if (turn > bestTurn) {
+          bestTurn = turn;
+          best = next;
+        }
+      });
+      edge = best;
+    }
+    var contour = acgraph.utils.pathBoolean.removeCollinearPoints_(vertices, snap);
+    if (contour.length >= 6)
+      contours.push(contour);
+  });
+  return contours;
+};
+
+
+/**
+ * Removes vertices lying on the straight line between their neighbours.
+ * @param {!Array.<!acgraph.utils.pathBoolean.Vertex_>} vertices Contour vertices.
+ * @param {number} snap Distance at which points are considered equal.
+ * @return {!Array.<number>} Contour coordinates.
+ * @private
+ */
+acgraph.utils.pathBoolean.removeCollinearPoints_ = function(vertices, snap) {
+  var result = [];
+  var count = vertices.length;
+  for (var i = 0; i < count; i++) {
+    var prev = vertices[(i + count - 1) % count];
+    var vertex = vertices[i];
+    var next = vertices[(i + 1) % count];
+    var dx = next.x - prev.x, dy = next.y - prev.y;
+    var length = Math.sqrt(dx * dx + dy * dy);
+    var distance = length ? Math.abs(dx * (vertex.y - prev.y) - dy * (vertex.x - prev.x)) / length : Infinity;
+    var forward = (vertex.x - prev.x) * dx + (vertex.y - prev.y) * dy >= 0 &&
+        (next.x - vertex.x) * dx + (next.y - vertex.y) * dy >= 0;
+    if (distance > snap || !forward)
+      result.push(vertex.x, vertex.y);
+  }
+  return result;
+};
@@ -0,0 +1,297 @@
+goog.provide('acgraph.utils.pathOutline');
+goog.require('acgraph.utils.pathBoolean');
+goog.require('acgraph.vector');
+goog.require('goog.array');
+
+
+/**
+ * Outlining and offsetting of paths. Path is flattened to polylines, and the stroke of each polyline is built of
+ * simple pieces: a rectangle for each segment, a join shape for each vertex and a cap shape for each open end.
+ * All pieces are oriented the same way and united with the nonzero fill rule by the boolean operations.
+ */
+
+
+/**
+ * Miter limit the renderers draw strokes with. It is the default limit of SVG, canvas and VML.
+ * @type {number}
+ */
+acgraph.utils.pathOutline.DEFAULT_MITER_LIMIT = 4;
+
+
+/**
+ * Precision to compare directions of segments with.
+ * @type {number}
+ * @private
+ */
+acgraph.utils.pathOutline.EPSILON_ = 1e-9;
+
+
+/**
+ * Returns a new path with the area covered by the stroke of the passed path.
+ * @param {!acgraph.vector.PathBase} path Path.
+ * @param {acgraph.vector.Stroke} stroke Normalized stroke.
+ * @param {number=} opt_miterLimit Miter limit, {@link acgraph.utils.pathOutline.DEFAULT_MITER_LIMIT} by default.
+ * @return {!acgraph.vector.Path} Result path in the path parent coordinates.
+ */
+acgraph.utils.pathOutline.strokeToPath = function(path, stroke, opt_miterLimit) {
+  var tolerance = acgraph.utils.pathBoolean.DEFAULT_TOLERANCE;
+  var halfWidth = acgraph.vector.getThickness(stroke) / 2;
+  var lineJoin = goog.isString(stroke) ? null : stroke['lineJoin'];
+  var lineCap = goog.isString(stroke) ? null : stroke['lineCap'];
+  var miterLimit = acgraph.utils.pathOutline.getMiterLimit_(opt_miterLimit);
+
+  var pieces = [];
+  if (halfWidth > 0) {
+    goog.array.forEach(acgraph.utils.pathBoolean.getContours(path, tolerance), function(contour) {
+      acgraph.utils.pathOutline.getStrokePieces_(contour.points, contour.closed, halfWidth,
+          lineJoin, lineCap, miterLimit, tolerance, pieces);
+    });
+  }
+  acgraph.utils.pathOutline.transform_(pieces, path.getSelfTransformation());
+  return acgraph.utils.pathBoolean.combinePolygons(pieces, [], [false, false],
+      acgraph.vector.PathOperation.UNION, tolerance);
+};
+
+
+/**
+ * Returns a new path with the area of the passed path grown (or shrunk, if the distance is negative) by the distance.
+ * @param {!acgraph.vector.PathBase} path Path.
+ * @param {number} distance Offset distance.
+ * @param {?(acgraph.vector.StrokeLineJoin|string)=} opt_joinType Shape of the offset corners, miter by default.
+ * @param {number=} opt_miterLimit Miter limit, {@link acgraph.utils.pathOutline.DEFAULT_MITER_LIMIT} by default.
+ * @return {!acgraph.vector.Path} Result path in the path parent coordinates.
+ */
+acgraph.utils.pathOutline.offset = function(path, distance, opt_joinType, opt_miterLimit) {
+  var tolerance = acgraph.utils.pathBoolean.DEFAULT_TOLERANCE;
+  var evenOdd = path.attr('fill-rule') == acgraph.vector.ClipRule.EVENODD;
+  var miterLimit = acgraph.utils.pathOutline.getMiterLimit_(opt_miterLimit);
+  var tx = path.getSelfTransformation();
+
+  var area = acgraph.utils.pathBoolean.getPolygons(path, tolerance);
+  var pieces = [];
+  distance = +distance || 0;
+  if (distance) {
+    // Border of the offset area goes along the edges of the path area at the distance from them, so the area is
+    // grown by the stroke of its border, that is as thick as twice the distance, or shrunk by it.
+    goog.array.forEach(area, function(polygon) {
+      acgraph.utils.pathOutline.getStrokePieces_(polygon, true, Math.abs(distance),
+          opt_joinType || null, null, miterLimit, tolerance, pieces);
+    });
+  }
+  acgraph.utils.pathOutline.transform_(area, tx);
+  acgraph.utils.pathOutline.transform_(pieces, tx);
+  return acgraph.utils.pathBoolean.combinePolygons(area, pieces, [evenOdd, false],
+      distance < 0 ? acgraph.vector.PathOperation.DIFFERENCE : acgraph.vector.PathOperation.UNION, tolerance);
+};
+
+
+/**
+ * Returns valid miter limit.
+ * @param {number=} opt_value Miter limit to check.
+ * @return {number} Miter limit, not less than 1.
+ * @private
+ */
+acgraph.utils.pathOutline.getMiterLimit_ = function(opt_value) {
+  var value = +opt_value;
+  return isNaN(value) ? acgraph.utils.pathOutline.DEFAULT_MITER_LIMIT : Math.max(value, 1);
+};
+
+
+/**
+ * Applies transformation to polygons.
+ * @param {!Array.<!Array.<number>>} polygons Polygons.
+ * @param {goog.graphics.AffineTransform} tx Transformation.
+ * @private
+ */
+acgraph.utils.pathOutline.transform_ = function(polygons, tx) {
+  if (tx) {
+    goog.array.forEach(polygons, function(polygon) {
+      tx.transform(polygon, 0, polygon, 0, polygon.length / 2);
+    });
+  }
+};
+
+
+/**
+ * Builds pieces of the polyline stroke and adds them to the pieces array. All pieces are oriented the same way.
+ * @param {!Array.<number>} points Polyline coordinates [x0, y0, x1, y1, ...].
+ * @param {boolean} closed Whether polyline is closed.
+ * @param {number} halfWidth Half of the stroke thickness.
+ * @param {?string} lineJoin Line join.
+ * @param {?string} lineCap Line cap.
+ * @param {number} miterLimit Miter limit.
+ * @param {number} tolerance Flattening tolerance of the round joins and caps.
+ * @param {!Array.<!Array.<number>>} pieces Pieces array.
+ * @private
+ */
+acgraph.utils.pathOutline.getStrokePieces_ = function(points, closed, halfWidth, lineJoin, lineCap, miterLimit,
+    tolerance, pieces) {
+  var add = function(polygon) {
+    pieces.push(acgraph.utils.pathOutline.orient_(polygon));
+  };
+  var circle = function(x, y) {
+    add(acgraph.utils.pathOutline.getCirclePolygon_(x, y, halfWidth, tolerance));
+  };
+
+  var xs = [];
+  var ys = [];
+  var i, count;
+  for (i = 0; i < points.length; i += 2) {
+    count = xs.length;
+    if (!count || points[i] != xs[count - 1] || points[i + 1] != ys[count - 1]) {
+      xs.push(points[i]);
+      ys.push(points[i + 1]);
+    }
+  }
+  count = xs.length;
+  if (closed && count > 1 && xs[0] == xs[count - 1] && ys[0] == ys[count - 1]) {
+    xs.pop();
+    ys.pop();
+    count--;
+  }
+
+  // Zero length subpath is drawn by round and square caps only.
+  if (count == 1) {
+    if (lineCap == acgraph.vector.StrokeLineCap.ROUND)
+      circle(xs[0], ys[0]);
+    else if (lineCap == acgraph.vector.StrokeLineCap.SQUARE)
+      add([xs[0] - halfWidth, ys[0] - halfWidth, xs[0] + halfWidth, ys[0] - halfWidth,
+        xs[0] + halfWidth, ys[0] + halfWidth, xs[0] - halfWidth, ys[0] + halfWidth]);
+    return;
+  }
+
+  // Unit directions of the segments.
+  var segmentsCount = closed ? count : count - 1;
+  var dx = [];
+  var dy = [];
+  var j, length;
+  for (i = 0; i < segmentsCount; i++) {
+    j = (i + 1) % count;
+    length = Math.sqrt((xs[j] - xs[i]) * (xs[j] - xs[i]) + (ys[j] - ys[i]) * (ys[j] - ys[i]));
+    dx.push((xs[j] - xs[i]) / length);
+    dy.push((ys[j] - ys[i]) / length);
+    // Normal is (-dy, dx).
+    add([
+      xs[i] - dy[i] * halfWidth, ys[i] + dx[i] * halfWidth,
+      xs[j] - dy[i] * halfWidth, ys[j] + dx[i] * halfWidth,
+      xs[j] + dy[i] * halfWidth, ys[j] - dx[i] * halfWidth,
+      xs[i] + dy[i] * halfWidth, ys[i] - dx[i] * halfWidth
+    ]);
+  }
+
+  // Joins.
+  for (i = closed ? 0 : 1; i < count - (closed ? 0 : 1); i++) {
+    var prev = (i + segmentsCount - 1) % segmentsCount;
+    var cross = dx[prev] * dy[i] - dy[prev] * dx[i];
+    var dot = dx[prev] * dx[i] + dy[prev] * dy[i];
+    if (Math.abs(cross) < acgraph.utils.pathOutline.EPSILON_ && dot > 0)
+      continue;
+    if (lineJoin == acgraph.vector.StrokeLineJoin.ROUND) {
+      circle(xs[i], ys[i]);
+      continue;
+    }
+    // Segments turn back, miter is infinite and bevel is empty.
+    if (1 + dot < acgraph.utils.pathOutline.EPSILON_)
+      continue;
+    // The outer side of the turn.
+    var side = cross > 0 ? -halfWidth : halfWidth;
+    var join = [
+      xs[i], ys[i],
+      xs[i] - dy[prev] * side, ys[i] + dx[prev] * side,
+      xs[i] - dy[i] * side, ys[i] + dx[i] * side
+    ];
+    // Ratio of the miter length to the stroke thickness, same as the renderers compare with the limit.
+    var ratio = 1 / Math.sqrt((1 + dot) / 2);
+    if (lineJoin != acgraph.vector.StrokeLineJoin.BEVEL && ratio <= miterLimit) {
+      var bisectorX = -(dy[prev] + dy[i]);
+      var bisectorY = dx[prev] + dx[i];
+      length = Math.sqrt(bisectorX * bisectorX + bisectorY * bisectorY);
+      join.splice(4, 0,
+          xs[i] + bisectorX / length * side * ratio,
+          ys[i] + bisectorY / length * side * ratio);
+    }
+    add(join);
+  }
+
+  // Caps.
+  if (!closed) {
+    var last = segmentsCount - 1;
+    if (lineCap == acgraph.vector.StrokeLineCap.ROUND) {
+      circle(xs[0], ys[0]);
+      circle(xs[count - 1], ys[count - 1]);
+    } else if (lineCap == acgraph.vector.StrokeLineCap.SQUARE) {
+      add(acgraph.utils.pathOutline.getSquareCap_(xs[0], ys[0], -dx[0], -dy[0], halfWidth));
+      add(acgraph.utils.pathOutline.getSquareCap_(xs[count - 1], ys[count - 1], dx[last], dy[last], halfWidth));
+    }
+  }
+};
+
+
+/**
+ * Returns square cap polygon.
+ * @param {number} x End X.
+ * @param {number} y End Y.
+ * @param {number} dx Unit direction X the cap goes to.
+ * @param {number} dy Unit direction Y the cap goes to.
+ * @param {number} halfWidth Half of the stroke thickness.
+ * @return {!Array.<number>} Polygon coordinates.
+ * @private
+ */
+acgraph.utils.pathOutline.getSquareCap_ = function(x, y, dx, dy, halfWidth) {
+  var endX = x + dx * halfWidth;
+  var endY = y + dy * halfWidth;
+  return [
+    x - dy * halfWidth, y + dx * halfWidth,
+    endX - dy * halfWidth, endY + dx * halfWidth,
+    endX + dy * halfWidth, endY - dx * halfWidth,
+    x + dy * halfWidth, y - dx * halfWidth
+  ];
+};
+
+
+/**
+ * Returns polygon inscribed in the circle, that doesn't deviate from the circle more than the tolerance.
+ * @param {number} cx Center X.
+ * @param {number} cy Center Y.
+ * @param {number} r Radius.
+ * @param {number} tolerance Flattening tolerance.
+ * @return {!Array.<number>} Polygon coordinates.
+ * @private
+ */
+acgraph.utils.pathOutline.getCirclePolygon_ = function(cx, cy, r, tolerance) {
+  var count = tolerance < r ? Math.ceil(Math.PI / Math.acos(1 - tolerance / r)) : 0;
+  count = Math.min(Math.max(count, 8), 256);
+  var polygon = [];
+  for (var i = 0; i < count; i++) {
+    var angle = 2 * Math.PI * i / count;
+    polygon.push(cx + r * Math.cos(angle), cy + r * Math.sin(angle));
+  }
+  return polygon;
+};
+
+
+/**
+ * Reverses polygon if its signed area is negative, so that all pieces wind the same way.
+ * @param {!Array.<number>} polygon Polygon coordinates.
+ * @return {!Array.<number>} The same polygon.
+ * @private
+ */
+acgraph.utils.pathOutline.orient_ = function(polygon) {
+  var area = 0;
+  var length = polygon.length;
+  for (var i = 0; i < length; i += 2) {
+    var j = (i + 2) % length;
+    area += polygon[i] * polygon[j + 1] - polygon[j] * polygon[i + 1];
+  }
+  if (area < 0) {
+    for (i = 0; i < length / 2; i += 2) {
+      var x = polygon[i];
+      var y = polygon[i + 1];
+      polygon[i] = polygon[length - 2 - i];
+      polygon[i + 1] = polygon[length - 1 - i];
+      polygon[length - 2 - i] = x;
+      polygon[length - 1 - i] = y;
+    }
+  }
+  return polygon;
+};
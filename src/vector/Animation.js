@@ -0,0 +1,559 @@
+goog.provide('acgraph.vector.Animation');
+goog.provide('acgraph.vector.Animation.Easing');
+goog.provide('acgraph.vector.AnimationEvent');
+
+goog.require('acgraph.events');
+goog.require('acgraph.vector');
+goog.require('goog.array');
+goog.require('goog.color');
+goog.require('goog.events.Event');
+goog.require('goog.fx.Animation');
+goog.require('goog.fx.easing');
+goog.require('goog.math');
+goog.require('goog.object');
+
+
+
+/**
+ Property animation of an element.<br/>
+ Animates transformation matrix, opacity, fill and stroke colors (including gradient keys) and
+ geometry of primitives from their current values to the values passed in <code>props</code>.
+ Start values are captured when the animation starts, so chained animations continue from the
+ values the previous animation ended with.<br/>
+ <b>Do not invoke constructor directly.</b> Use {@link acgraph.vector.Element#animate}.
+ @see acgraph.vector.Element#animate
+ @name acgraph.vector.Animation
+ @param {!acgraph.vector.Element} element Element to animate.
+ @param {Object.<string, *>} props Target values hash.
+ @param {number} duration Animation duration in milliseconds.
+ @param {(acgraph.vector.Animation.Easing|string|function(number):number)=} opt_easing Easing.
+ @constructor
+ @extends {goog.fx.Animation}
+ */
+acgraph.vector.Animation = function(element, props, duration, opt_easing) {
+  goog.base(this, [0], [1], duration, acgraph.vector.Animation.getEasing(opt_easing));
+
+  /**
+   * Animated element.
+   * @type {acgraph.vector.Element}
+   * @private
+   */
+  this.element_ = element;
+
+  /**
+   * Target values.
+   * @type {Object.<string, *>}
+   * @private
+   */
+  this.props_ = props || {};
+
+  /**
+   * Values captured when animation begins.
+   * @type {Object.<string, *>}
+   * @private
+   */
+  this.startValues_ = null;
+
+  /**
+   * Normalized target values.
+   * @type {Object.<string, *>}
+   * @private
+   */
+  this.endValues_ = null;
+
+  /**
+   * Animators of properties that can't be interpolated by value.
+   * @type {Object.<string, function(number)>}
+   * @private
+   */
+  this.animators_ = null;
+
+  /**
+   * Animation that is played after this one finishes.
+   * @type {acgraph.vector.Animation}
+   * @private
+   */
+  this.next_ = null;
+
+  /**
+   * Whether the animation was stopped before it finished.
+   * @type {boolean}
+   * @private
+   */
+  this.canceled_ = false;
+};
+goog.inherits(acgraph.vector.Animation, goog.fx.Animation);
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Easing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Predefined easing functions.
+ @enum {string}
+ */
+acgraph.vector.Animation.Easing = {
+  LINEAR: 'linear',
+  EASE_IN: 'easeIn',
+  EASE_OUT: 'easeOut',
+  EASE_IN_OUT: 'easeInOut'
+};
+
+
+/**
+ * Returns easing function by its name.
+ * @param {(acgraph.vector.Animation.Easing|string|function(number):number)=} opt_easing Easing.
+ * @return {(function(number):number|undefined)} Easing function, undefined means linear.
+ */
+acgraph.vector.Animation.getEasing = function(opt_easing) {
+  if (goog.isFunction(opt_easing))
+    return /** @type {function(number):number} */(opt_easing);
+  switch (opt_easing) {
+    case acgraph.vector.Animation.Easing.EASE_IN:
+      return goog.fx.easing.easeIn;
+    case acgraph.vector.Animation.Easing.EASE_OUT:
+      return goog.fx.easing.easeOut;
+    case acgraph.vector.Animation.Easing.EASE_IN_OUT:
+      return goog.fx.easing.inAndOut;
+  }
+  return undefined;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Chaining and cancellation
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Returns animated element.
+ @return {acgraph.vector.Element} Element.
+ */
+acgraph.vector.Animation.prototype.getElement = function() {
+  return this.element_;
+};
+
+
+/**
+ Queues an animation of the same element that starts when this one finishes. If this animation is
+ stopped before it finishes, queued animations are not played.
+ @param {Object.<string, *>} props Target values hash.
+ @param {number} duration Animation duration in milliseconds.
+ @param {(acgraph.vector.Animation.Easing|string|function(number):number)=} opt_easing Easing.
+ @return {!acgraph.vector.Animation} Queued animation for method chaining.
+ */
+acgraph.vector.Animation.prototype.animate = function(props, duration, opt_easing) {
+  var last = this;
+  while (last.next_)
+    last = last.next_;
+  last.next_ = new acgraph.vector.Animation(/** @type {!acgraph.vector.Element} */(this.element_), props, duration,
+      opt_easing);
+  return last.next_;
+};
+
+
+/**
+ Stops the animation. Queued animations are not played.
+ @param {boolean=} opt_gotoEnd Whether to apply target values.
+ @return {!acgraph.vector.Animation} {@link acgraph.vector.Animation} instance for method chaining.
+ */
+acgraph.vector.Animation.prototype.cancel = function(opt_gotoEnd) {
+  if (!this.isStopped()) {
+    // Stopping with opt_gotoEnd sets progress to 1, so the animation is marked canceled before it stops.
+    this.canceled_ = true;
+    this.stop(opt_gotoEnd);
+  }
+  return this;
+};
+
+
+/**
+ Whether the animation was stopped before it finished.
+ @return {boolean} Canceled state.
+ */
+acgraph.vector.Animation.prototype.isCanceled = function() {
+  return this.canceled_;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Transition hooks
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Animation.prototype.onBegin = function() {
+  this.canceled_ = false;
+  this.startValues_ = {};
+  this.endValues_ = {};
+  this.animators_ = {};
+  for (var key in this.props_) {
+    var animator = this.element_.createPropertyAnimator(key, this.props_[key]);
+    if (animator) {
+      this.animators_[key] = animator;
+      continue;
+    }
+    var start = this.element_.getAnimatableValue(key);
+    if (goog.isDef(start)) {
+      this.startValues_[key] = acgraph.vector.Animation.normalizeValue_(key, start);
+      this.endValues_[key] = acgraph.vector.Animation.normalizeValue_(key, this.props_[key]);
+    }
+  }
+  this.element_.addAnimation(this);
+  goog.base(this, 'onBegin');
+  this.dispatchElementEvent_(acgraph.events.EventType.ANIMATION_START);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Animation.prototype.onAnimate = function() {
+  this.applyValues_(this.coords[0]);
+  goog.base(this, 'onAnimate');
+  this.dispatchElementEvent_(acgraph.events.EventType.ANIMATION_STEP);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Animation.prototype.onStop = function() {
+  this.canceled_ = this.canceled_ || this.progress < 1;
+  this.applyValues_(this.coords[0]);
+  goog.base(this, 'onStop');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Animation.prototype.onFinish = function() {
+  // goog.fx.Animation doesn't call onAnimate for the last frame.
+  this.applyValues_(this.coords[0]);
+  goog.base(this, 'onFinish');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Animation.prototype.onEnd = function() {
+  if (this.element_)
+    this.element_.removeAnimation(this);
+  goog.base(this, 'onEnd');
+  this.dispatchElementEvent_(acgraph.events.EventType.ANIMATION_END);
+  if (!this.canceled_ && this.next_ && this.element_ && !this.element_.isDisposed())
+    this.next_.play();
+};
+
+
+/**
+ * Applies values interpolated for the passed eased progress. Stage is suspended while values are applied,
+ * so all changes go to DOM in one render pass (async if stage is in async mode).
+ * @param {number} t Eased progress.
+ * @private
+ */
+acgraph.vector.Animation.prototype.applyValues_ = function(t) {
+  if (!this.startValues_ || !this.element_ || this.element_.isDisposed()) return;
+  var stage = this.element_.getStage();
+  if (stage) stage.suspend();
+  for (var key in this.startValues_) {
+    this.element_.setAnimatableValue(key,
+        acgraph.vector.Animation.interpolate_(key, this.startValues_[key], this.endValues_[key], t));
+  }
+  for (key in this.animators_)
+    this.animators_[key](t);
+  if (stage) stage.resume();
+};
+
+
+/**
+ * Dispatches animation event on the animated element.
+ * @param {string} type Event type.
+ * @private
+ */
+acgraph.vector.Animation.prototype.dispatchElementEvent_ = function(type) {
+  if (this.element_ && !this.element_.isDisposed())
+    this.element_.dispatchEvent(new acgraph.vector.AnimationEvent(type, this, this.progress, this.canceled_));
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Interpolation
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Normalizes value of the animated property.
+ * @param {string} key Property name.
+ * @param {*} value Value.
+ * @return {*} Normalized value.
+ * @private
+ */
+acgraph.vector.Animation.normalizeValue_ = function(key, value) {
+  switch (key) {
+    case 'fill':
+      return acgraph.vector.normalizeFill(/** @type {acgraph.vector.Fill} */(value));
+    case 'stroke':
+      return acgraph.vector.normalizeStroke(/** @type {acgraph.vector.Stroke} */(value));
+    case 'matrix':
+      return goog.array.slice(/** @type {Array.<number>} */(value), 0);
+  }
+  return parseFloat(value);
+};
+
+
+/**
+ * Interpolates property value.
+ * @param {string} key Property name.
+ * @param {*} from Start value.
+ * @param {*} to End value.
+ * @param {number} t Eased progress.
+ * @return {*} Interpolated value.
+ * @private
+ */
+acgraph.vector.Animation.interpolate_ = function(key, from, to, t) {
+  switch (key) {
+    case 'fill':
+    case 'stroke':
+      return acgraph.vector.Animation.interpolateColor_(from, to, t);
+    case 'matrix':
+      return acgraph.vector.Animation.interpolateMatrix(
+          /** @type {Array.<number>} */(from), /** @type {Array.<number>} */(to), t);
+  }
+  return isNaN(from) || isNaN(to) ? to : goog.math.lerp(from, to, t);
+};
+
+
+/**
+ Interpolates transformation matrices. Matrices are decomposed to translation, rotation, scale and skew,
+ which are interpolated separately, so rotation goes along the shortest arc.
+ @param {Array.<number>} from Start matrix [m00, m10, m01, m11, m02, m12].
+ @param {Array.<number>} to End matrix.
+ @param {number} t Progress.
+ @return {!Array.<number>} Interpolated matrix.
+ */
+acgraph.vector.Animation.interpolateMatrix = function(from, to, t) {
+  var a = acgraph.vector.Animation.decomposeMatrix_(from);
+  var b = acgraph.vector.Animation.decomposeMatrix_(to);
+  var dAngle = b[2] - a[2];
+  if (dAngle > Math.PI) dAngle -= 2 * Math.PI;
+  else if (dAngle < -Math.PI) dAngle += 2 * Math.PI;
+  var angle = a[2] + dAngle * t;
+  var sx = goog.math.lerp(a[3], b[3], t);
+  var sy = goog.math.lerp(a[4], b[4], t);
+  var skew = goog.math.lerp(a[5], b[5], t);
+  var cos = Math.cos(angle);
+  var sin = Math.sin(angle);
+  return [
+    sx * cos,
+    sx * sin,
+    skew * cos - sy * sin,
+    skew * sin + sy * cos,
+    goog.math.lerp(a[0], b[0], t),
+    goog.math.lerp(a[1], b[1], t)
+  ];
+};
+
+
+/**
+ * Decomposes matrix as translate * rotate * [[sx, skew], [0, sy]].
+ * @param {Array.<number>} m Matrix.
+ * @return {!Array.<number>} [tx, ty, angle, sx, sy, skew].
+ * @private
+ */
+acgraph.vector.Animation.decomposeMatrix_ = function(m) {
+  var sx = Math.sqrt(m[0] * m[0] + m[1] * m[1]);
+  var angle = sx ? Math.atan2(m[1], m[0]) : 0;
+  var cos = Math.cos(angle);
+  var sin = Math.sin(angle);
+  return [m[4], m[5], angle, sx, m[3] * cos - m[2] * sin, m[2] * cos + m[3] * sin];
+};
+
+
+/**
+ * Parses color to rgb array.
+ * @param {*} color Color string.
+ * @return {Array.<number>} Rgb array or null if it can't be parsed.
+ * @private
+ */
+acgraph.vector.Animation.parseRgb_ = function(color) {
+  if (!goog.isString(color)) return null;
+  try {
+    return goog.color.hexToRgb(goog.color.parse(color).hex);
+  } catch (e) {
+    return null;
+  }
+};
+
+
+/**
+ * Returns color keys of a normalized fill or stroke: single key for solid colors, gradient keys for gradients.
+ * @param {*} fill Normalized fill or stroke.
+ * @return {Array.<{offset: number, rgb: Array.<number>, opacity: number}>} Keys or null if not interpolable.
+ * @private
+ */
+acgraph.vector.Animation.getColorKeys_ = function(fill) {
+  var rgb;
+  if (goog.isString(fill)) {
+    rgb = acgraph.vector.Animation.parseRgb_(fill);
+    return rgb ? [{offset: 0, rgb: rgb, opacity: 1}] : null;
+  }
+  if (!goog.isObject(fill) || fill instanceof acgraph.vector.PatternFill) return null;
+  if ('keys' in fill) {
+    var keys = fill['keys'];
+    var result = [];
+    for (var i = 0; i < keys.length; i++) {
+      rgb = acgraph.vector.Animation.parseRgb_(keys[i]['color']);
+      if (!rgb) return null;
+      result.push({
+        offset: keys[i]['offset'],
+        rgb: rgb,
+        opacity: isNaN(keys[i]['opacity']) ? 1 : keys[i]['opacity']
+      });
+    }
+    return result;
+  }
+  rgb = acgraph.vector.Animation.parseRgb_(fill['color']);
+  return rgb ? [{offset: 0, rgb: rgb, opacity: isNaN(fill['opacity']) ? 1 : fill['opacity']}] : null;
+};
+
+
+/**
+ * Interpolates normalized fills or strokes. Solid colors, gradients with the same number of keys and
+ * solid color with gradient are interpolated, 'none' is treated as transparent color. Other
+ * combinations switch to the end value at the end of animation.
+ * @param {*} from Start value.
+ * @param {*} to End value.
+ * @param {number} t Progress.
+ * @return {*} Interpolated fill or stroke.
+ * @private
+ */
+acgraph.vector.Animation.interpolateColor_ = function(from, to, t) {
+  if (from == 'none' && to == 'none') return to;
+  var fromKeys = acgraph.vector.Animation.getColorKeys_(from);
+  var toKeys = acgraph.vector.Animation.getColorKeys_(to);
+  if (from == 'none' && toKeys) {
+    fromKeys = goog.array.map(toKeys, function(key) {
+      return {offset: key.offset, rgb: key.rgb, opacity: 0};
+    });
+    from = to;
+  } else if (to == 'none' && fromKeys) {
+    toKeys = goog.array.map(fromKeys, function(key) {
+      return {offset: key.offset, rgb: key.rgb, opacity: 0};
+    });
+    to = from;
+  }
+  if (!fromKeys || !toKeys) return t < 1 ? from : to;
+
+  if (fromKeys.length == 1 && toKeys.length > 1)
+    fromKeys = acgraph.vector.Animation.expandKeys_(fromKeys[0], toKeys);
+  else if (toKeys.length == 1 && fromKeys.length > 1)
+    toKeys = acgraph.vector.Animation.expandKeys_(toKeys[0], fromKeys);
+  if (fromKeys.length != toKeys.length) return t < 1 ? from : to;
+
+  var keys = [];
+  for (var i = 0; i < toKeys.length; i++) {
+    keys.push({
+      'offset': goog.math.lerp(fromKeys[i].offset, toKeys[i].offset, t),
+      'color': goog.color.rgbArrayToHex(goog.color.blend(toKeys[i].rgb, fromKeys[i].rgb, goog.math.clamp(t, 0, 1))),
+      'opacity': goog.math.clamp(goog.math.lerp(fromKeys[i].opacity, toKeys[i].opacity, t), 0, 1)
+    });
+  }
+
+  // Gradient or solid object of the end value is used as a template to keep other settings (mode, dash, etc).
+  var template = (goog.isObject(to) && (keys.length == 1 || 'keys' in to)) ? to :
+      (goog.isObject(from) && 'keys' in from) ? from : null;
+  var result = template ? goog.object.clone(template) : {};
+  if (keys.length > 1 || (template && 'keys' in template)) {
+    result['keys'] = keys;
+    var fromObj = goog.isObject(from) ? from : {};
+    goog.array.forEach(['angle', 'cx', 'cy', 'fx', 'fy', 'opacity'], function(name) {
+      if (goog.isNumber(fromObj[name]) && goog.isNumber(result[name]))
+        result[name] = goog.math.lerp(fromObj[name], result[name], t);
+    });
+    delete result['color'];
+  } else {
+    result['color'] = keys[0]['color'];
+    result['opacity'] = keys[0]['opacity'];
+  }
+  if (goog.isObject(from) && !isNaN(from['thickness']) && !isNaN(result['thickness']))
+    result['thickness'] = goog.math.lerp(from['thickness'], result['thickness'], t);
+  return result;
+};
+
+
+/**
+ * Creates gradient keys of the same color at the offsets of the passed keys.
+ * @param {{offset: number, rgb: Array.<number>, opacity: number}} key Solid color key.
+ * @param {Array.<{offset: number, rgb: Array.<number>, opacity: number}>} keys Keys to take offsets from.
+ * @return {Array.<{offset: number, rgb: Array.<number>, opacity: number}>} Keys.
+ * @private
+ */
+acgraph.vector.Animation.expandKeys_ = function(key, keys) {
+  return goog.array.map(keys, function(item) {
+    return {offset: item.offset, rgb: key.rgb, opacity: key.opacity};
+  });
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Disposing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Animation.prototype.disposeInternal = function() {
+  goog.dispose(this.next_);
+  this.next_ = null;
+  goog.base(this, 'disposeInternal');
+  this.element_ = null;
+  this.startValues_ = null;
+  this.endValues_ = null;
+  this.animators_ = null;
+};
+
+
+
+/**
+ * Object representing an animation event.
+ * @param {string} type Event type.
+ * @param {acgraph.vector.Animation} animation Animation initiating event.
+ * @param {number} progress Animation progress from 0 to 1.
+ * @param {boolean=} opt_canceled Whether the animation has been stopped before it finished.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+acgraph.vector.AnimationEvent = function(type, animation, progress, opt_canceled) {
+  goog.events.Event.call(this, type);
+
+  /**
+   * Reference to the animation for this event.
+   * @type {acgraph.vector.Animation}
+   */
+  this['animation'] = animation;
+
+  /**
+   * Animation progress from 0 to 1.
+   * @type {number}
+   */
+  this['progress'] = progress;
+
+  /**
+   * Whether animation was stopped before it finished.
+   * @type {boolean}
+   */
+  this['canceled'] = !!opt_canceled;
+};
+goog.inherits(acgraph.vector.AnimationEvent, goog.events.Event);
+
+
+//exports
+goog.exportSymbol('acgraph.vector.Animation.Easing.LINEAR', acgraph.vector.Animation.Easing.LINEAR);
+goog.exportSymbol('acgraph.vector.Animation.Easing.EASE_IN', acgraph.vector.Animation.Easing.EASE_IN);
+goog.exportSymbol('acgraph.vector.Animation.Easing.EASE_OUT', acgraph.vector.Animation.Easing.EASE_OUT);
+goog.exportSymbol('acgraph.vector.Animation.Easing.EASE_IN_OUT', acgraph.vector.Animation.Easing.EASE_IN_OUT);
+goog.exportSymbol('acgraph.vector.Animation.interpolateMatrix', acgraph.vector.Animation.interpolateMatrix);
+acgraph.vector.Animation.prototype['getElement'] = acgraph.vector.Animation.prototype.getElement;
+acgraph.vector.Animation.prototype['animate'] = acgraph.vector.Animation.prototype.animate;
+acgraph.vector.Animation.prototype['cancel'] = acgraph.vector.Animation.prototype.cancel;
+acgraph.vector.Animation.prototype['isCanceled'] = acgraph.vector.Animation.prototype.isCanceled;
+acgraph.vector.Animation.prototype['play'] = acgraph.vector.Animation.prototype.play;
+acgraph.vector.Animation.prototype['pause'] = acgraph.vector.Animation.prototype.pause;
+acgraph.vector.Animation.prototype['stop'] = acgraph.vector.Animation.prototype.stop;
+acgraph.vector.Animation.prototype['isPlaying'] = acgraph.vector.Animation.prototype.isPlaying;
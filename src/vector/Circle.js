@@ -47,6 +47,23 @@ acgraph.vector.Circle.prototype.radius = function(opt_value) {
 };
 
 
+/** @inheritDoc */
+acgraph.vector.Circle.prototype.getAnimatableValue = function(key) {
+  if (key == 'radius')
+    return this.radiusX();
+  return goog.base(this, 'getAnimatableValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Circle.prototype.setAnimatableValue = function(key, value) {
+  if (key == 'radius')
+    this.radius(/** @type {number} */(value));
+  else
+    goog.base(this, 'setAnimatableValue', key, value);
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  DOM element creation
@@ -54,7 +71,7 @@ acgraph.vector.Circle.prototype.radius = function(opt_value) {
 //----------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.Circle.prototype.createDomInternal = function() {
-  return acgraph.getRenderer().createCircleElement();
+  return this.getRenderer().createCircleElement();
 };
 
 
@@ -64,7 +81,7 @@ acgraph.vector.Circle.prototype.createDomInternal = function() {
  */
 acgraph.vector.Circle.prototype.renderData = function() {
   // Set circle parameters
-  acgraph.getRenderer().setCircleProperties(this);
+  this.getRenderer().setCircleProperties(this);
   // Reset flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.DATA);
 };
@@ -8,7 +8,10 @@ goog.require('goog.array');
 
 /**
  * Class representing independent clip, that can be applied to any element.
- * Used to set one clip to many elements, and updates only clip.
+ * Used to set one clip to many elements, and updates only clip.<br/>
+ * Clip can consist of several shapes combined by their modes (see {@link acgraph.vector.ClipMode}):
+ * clip area is the union of the main shape and all 'union' shapes, intersected with every 'intersect' shape and
+ * without every 'exclude' shape.
  * @param {acgraph.vector.Stage} stage Stage where clip is creating.
  * @param {(number|Array.<number>|acgraph.vector.Shape|acgraph.math.Rect|Object|null)=} opt_leftOrShape Left coordinate of bounds
  * or rect or array or object representing bounds.
@@ -58,11 +61,40 @@ acgraph.vector.Clip = function(stage, opt_leftOrShape, opt_top, opt_width, opt_h
    */
   this.shape_ = null;
 
+  /**
+   * Shapes added to the main shape.
+   * @type {!Array.<!acgraph.vector.Shape>}
+   * @private
+   */
+  this.shapes_ = [];
+
+  /**
+   * Modes of the added shapes by their uids.
+   * @type {!Object.<string, acgraph.vector.ClipMode>}
+   * @private
+   */
+  this.modes_ = {};
+
+  /**
+   * Clip rule.
+   * @type {?acgraph.vector.ClipRule}
+   * @private
+   */
+  this.clipRule_ = null;
+
   this.shape.apply(this, goog.array.slice(arguments, 1));
 };
 goog.inherits(acgraph.vector.Clip, goog.Disposable);
 
 
+/**
+ * Half size of the square area the excluded shapes are cut from. Renderers use it to turn an excluded shape into
+ * a clip: the square with the shape as a hole, filled by the 'evenodd' rule.
+ * @type {number}
+ */
+acgraph.vector.Clip.EXCLUDE_AREA_SIZE = 1e6;
+
+
 /**
  * Set stage.
  * @param {acgraph.vector.Stage=} opt_value
@@ -90,6 +122,9 @@ acgraph.vector.Clip.prototype.stage = function(opt_value) {
 acgraph.vector.Clip.prototype.shape = function(opt_leftOrShape, opt_top, opt_width, opt_height) {
   if (arguments.length) {
     if (opt_leftOrShape instanceof acgraph.vector.Shape) {
+      // Added shape becomes the main one.
+      if (goog.array.contains(this.shapes_, opt_leftOrShape))
+        opt_leftOrShape.parent(null);
       if (this.shape_) {
         var sameType = this.shape_ instanceof acgraph.vector.Rect && opt_leftOrShape instanceof acgraph.vector.Rect ||
             this.shape_ instanceof acgraph.vector.Circle && opt_leftOrShape instanceof acgraph.vector.Circle ||
@@ -108,28 +143,11 @@ acgraph.vector.Clip.prototype.shape = function(opt_leftOrShape, opt_top, opt_wid
         this.shape_.parent(this);
       }
     } else {
-      var left, top, width, height;
-      if (opt_leftOrShape instanceof acgraph.math.Rect) {
-        left = opt_leftOrShape.left;
-        top = opt_leftOrShape.top;
-        width = opt_leftOrShape.width;
-        height = opt_leftOrShape.height;
-      } else if (goog.isArray(opt_leftOrShape)) {
-        left = goog.isDefAndNotNull(opt_leftOrShape[0]) ? opt_leftOrShape[0] : 0;
-        top = goog.isDefAndNotNull(opt_leftOrShape[1]) ? opt_leftOrShape[1] : 0;
-        width = goog.isDefAndNotNull(opt_leftOrShape[2]) ? opt_leftOrShape[2] : 0;
-        height = goog.isDefAndNotNull(opt_leftOrShape[3]) ? opt_leftOrShape[3] : 0;
-      } else if (goog.isObject(opt_leftOrShape)) {
-        left = goog.isDefAndNotNull(opt_leftOrShape['left']) ? opt_leftOrShape['left'] : 0;
-        top = goog.isDefAndNotNull(opt_leftOrShape['top']) ? opt_leftOrShape['top'] : 0;
-        width = goog.isDefAndNotNull(opt_leftOrShape['width']) ? opt_leftOrShape['width'] : 0;
-        height = goog.isDefAndNotNull(opt_leftOrShape['height']) ? opt_leftOrShape['height'] : 0;
-      } else {
-        left = goog.isDefAndNotNull(opt_leftOrShape) ? opt_leftOrShape : 0;
-        top = goog.isDefAndNotNull(opt_top) ? opt_top : 0;
-        width = goog.isDefAndNotNull(opt_width) ? opt_width : 0;
-        height = goog.isDefAndNotNull(opt_height) ? opt_height : 0;
-      }
+      var bounds = acgraph.vector.Clip.normalizeBounds_(opt_leftOrShape, opt_top, opt_width, opt_height);
+      var left = bounds.left;
+      var top = bounds.top;
+      var width = bounds.width;
+      var height = bounds.height;
       if (this.shape_) {
         if (this.shape_ instanceof acgraph.vector.Rect) {
           this.shape_.setX(left).setY(top).setWidth(width).setHeight(height);
@@ -151,6 +169,163 @@ acgraph.vector.Clip.prototype.shape = function(opt_leftOrShape, opt_top, opt_wid
 };
 
 
+/**
+ * Normalizes bounds passed in any supported form to the rect.
+ * @param {(number|Array.<number>|acgraph.math.Rect|Object|null)=} opt_leftOrRect Left coordinate of bounds
+ * or rect or array or object representing bounds.
+ * @param {number=} opt_top Top coordinate.
+ * @param {number=} opt_width Width of the rect.
+ * @param {number=} opt_height Height of the rect.
+ * @return {!acgraph.math.Rect} Bounds.
+ * @private
+ */
+acgraph.vector.Clip.normalizeBounds_ = function(opt_leftOrRect, opt_top, opt_width, opt_height) {
+  var left, top, width, height;
+  if (opt_leftOrRect instanceof acgraph.math.Rect) {
+    left = opt_leftOrRect.left;
+    top = opt_leftOrRect.top;
+    width = opt_leftOrRect.width;
+    height = opt_leftOrRect.height;
+  } else if (goog.isArray(opt_leftOrRect)) {
+    left = goog.isDefAndNotNull(opt_leftOrRect[0]) ? opt_leftOrRect[0] : 0;
+    top = goog.isDefAndNotNull(opt_leftOrRect[1]) ? opt_leftOrRect[1] : 0;
+    width = goog.isDefAndNotNull(opt_leftOrRect[2]) ? opt_leftOrRect[2] : 0;
+    height = goog.isDefAndNotNull(opt_leftOrRect[3]) ? opt_leftOrRect[3] : 0;
+  } else if (goog.isObject(opt_leftOrRect)) {
+    left = goog.isDefAndNotNull(opt_leftOrRect['left']) ? opt_leftOrRect['left'] : 0;
+    top = goog.isDefAndNotNull(opt_leftOrRect['top']) ? opt_leftOrRect['top'] : 0;
+    width = goog.isDefAndNotNull(opt_leftOrRect['width']) ? opt_leftOrRect['width'] : 0;
+    height = goog.isDefAndNotNull(opt_leftOrRect['height']) ? opt_leftOrRect['height'] : 0;
+  } else {
+    left = goog.isDefAndNotNull(opt_leftOrRect) ? opt_leftOrRect : 0;
+    top = goog.isDefAndNotNull(opt_top) ? opt_top : 0;
+    width = goog.isDefAndNotNull(opt_width) ? opt_width : 0;
+    height = goog.isDefAndNotNull(opt_height) ? opt_height : 0;
+  }
+  return new acgraph.math.Rect(left, top, width, height);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Shapes combination
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Adds the shape to the clip. The shape is combined with the main shape (see {@link acgraph.vector.Clip#shape})
+ and other added shapes by the mode.
+ @param {(acgraph.vector.Shape|acgraph.math.Rect|Array.<number>|Object)} shapeOrRect Shape or rect or array or object
+    representing bounds of the rect shape.
+ @param {(acgraph.vector.ClipMode|string)=} opt_mode Mode of the shape, 'union' by default.
+ @return {!acgraph.vector.Clip} {@link acgraph.vector.Clip} instance for method chaining.
+ */
+acgraph.vector.Clip.prototype.addShape = function(shapeOrRect, opt_mode) {
+  var shape;
+  if (shapeOrRect instanceof acgraph.vector.Shape) {
+    shape = shapeOrRect;
+  } else {
+    var bounds = acgraph.vector.Clip.normalizeBounds_(shapeOrRect);
+    shape = acgraph.rect(bounds.left, bounds.top, bounds.width, bounds.height);
+  }
+  if (shape == this.shape_ || goog.array.contains(this.shapes_, shape))
+    return this.shapeMode(shape, opt_mode || acgraph.vector.ClipMode.UNION);
+
+  shape.parent(this);
+  this.shapes_.push(shape);
+  this.modes_[String(goog.getUid(shape))] = acgraph.vector.Clip.normalizeMode_(opt_mode);
+  this.needUpdateClip_();
+  return this;
+};
+
+
+/**
+ Removes the shape from the clip.
+ @param {acgraph.vector.Shape} shape Added shape or the main shape.
+ @return {!acgraph.vector.Clip} {@link acgraph.vector.Clip} instance for method chaining.
+ */
+acgraph.vector.Clip.prototype.removeShape = function(shape) {
+  if (shape && (shape == this.shape_ || goog.array.contains(this.shapes_, shape)))
+    shape.parent(null);
+  return this;
+};
+
+
+/**
+ Returns all shapes of the clip: the main shape first and then the added shapes in the order they were added.
+ @return {!Array.<!acgraph.vector.Shape>} Shapes.
+ */
+acgraph.vector.Clip.prototype.getShapes = function() {
+  return this.shape_ ? goog.array.concat(this.shape_, this.shapes_) : goog.array.clone(this.shapes_);
+};
+
+
+/**
+ Getter/setter for the mode of the clip shape. The main shape is always united.
+ @param {!acgraph.vector.Shape} shape Clip shape.
+ @param {(acgraph.vector.ClipMode|string)=} opt_value Mode.
+ @return {acgraph.vector.ClipMode|acgraph.vector.Clip} Mode or self for method chaining.
+ */
+acgraph.vector.Clip.prototype.shapeMode = function(shape, opt_value) {
+  var uid = String(goog.getUid(shape));
+  if (goog.isDef(opt_value)) {
+    var mode = acgraph.vector.Clip.normalizeMode_(opt_value);
+    if (uid in this.modes_ && this.modes_[uid] != mode) {
+      this.modes_[uid] = mode;
+      this.needUpdateClip_();
+    }
+    return this;
+  }
+  return this.modes_[uid] || acgraph.vector.ClipMode.UNION;
+};
+
+
+/**
+ Getter/setter for the clip rule. Rule is applied to all clip shapes, unless the shape has its own 'clip-rule'
+ attribute.
+ @param {(acgraph.vector.ClipRule|string)=} opt_value Clip rule.
+ @return {acgraph.vector.ClipRule|acgraph.vector.Clip} Clip rule or self for method chaining.
+ */
+acgraph.vector.Clip.prototype.clipRule = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    var rule = opt_value == acgraph.vector.ClipRule.EVENODD ?
+        acgraph.vector.ClipRule.EVENODD :
+        acgraph.vector.ClipRule.NONZERO;
+    if (rule != this.clipRule_) {
+      this.clipRule_ = rule;
+      this.needUpdateClip_();
+    }
+    return this;
+  }
+  return this.clipRule_ || acgraph.vector.ClipRule.NONZERO;
+};
+
+
+/**
+ * Returns the clip rule of the shape: its own 'clip-rule' attribute or the clip rule.
+ * @param {!acgraph.vector.Shape} shape Clip shape.
+ * @return {acgraph.vector.ClipRule} Clip rule.
+ */
+acgraph.vector.Clip.prototype.getShapeClipRule = function(shape) {
+  var rule = shape.attr('clip-rule');
+  if (rule == acgraph.vector.ClipRule.EVENODD || rule == acgraph.vector.ClipRule.NONZERO)
+    return /** @type {acgraph.vector.ClipRule} */ (rule);
+  return /** @type {acgraph.vector.ClipRule} */ (this.clipRule());
+};
+
+
+/**
+ * Normalizes clip mode.
+ * @param {*} value Mode.
+ * @return {acgraph.vector.ClipMode} Mode.
+ * @private
+ */
+acgraph.vector.Clip.normalizeMode_ = function(value) {
+  return value == acgraph.vector.ClipMode.INTERSECT || value == acgraph.vector.ClipMode.EXCLUDE ?
+      /** @type {acgraph.vector.ClipMode} */ (value) :
+      acgraph.vector.ClipMode.UNION;
+};
+
+
 /**
  * Shows if clip need be rendered.
  * @return {boolean} Whether clip need to be rendered.
@@ -194,7 +369,7 @@ acgraph.vector.Clip.prototype.render = function() {
 
   if (!this.id_)
     return;
-  acgraph.getRenderer().updateClip(this);
+  this.getRenderer().updateClip(this);
 };
 
 
@@ -230,7 +405,17 @@ acgraph.vector.Clip.prototype.getElements = function() {
  * @return {Object} Serialized Clip. JSON data.
  */
 acgraph.vector.Clip.prototype.serialize = function() {
-  return this.shape_.serialize();
+  var data = this.shape_ ? this.shape_.serialize() : {};
+  if (this.shapes_.length) {
+    data['shapes'] = goog.array.map(this.shapes_, function(shape) {
+      var shapeData = shape.serialize();
+      shapeData['clipMode'] = this.shapeMode(shape);
+      return shapeData;
+    }, this);
+  }
+  if (this.clipRule_)
+    data['clipRule'] = this.clipRule_;
+  return data;
 };
 
 
@@ -239,6 +424,31 @@ acgraph.vector.Clip.prototype.serialize = function() {
  * @param {Object} data Data for deserialization.
  */
 acgraph.vector.Clip.prototype.deserialize = function(data) {
+  var primitive = acgraph.vector.Clip.createShape_(data);
+  if (primitive)
+    this.shape(primitive);
+
+  goog.array.forEach(goog.array.clone(this.shapes_), function(shape) {
+    shape.dispose();
+  });
+  goog.array.forEach(data['shapes'] || [], function(shapeData) {
+    var shape = acgraph.vector.Clip.createShape_(shapeData);
+    if (shape)
+      this.addShape(shape, shapeData['clipMode']);
+  }, this);
+
+  if (data['clipRule'])
+    this.clipRule(data['clipRule']);
+};
+
+
+/**
+ * Creates the clip shape from the serialized data.
+ * @param {Object} data Serialized shape.
+ * @return {acgraph.vector.Shape} Shape or null if the shape type is not supported.
+ * @private
+ */
+acgraph.vector.Clip.createShape_ = function(data) {
   var type = data['type'];
   var primitive;
   switch (type) {
@@ -258,10 +468,9 @@ acgraph.vector.Clip.prototype.deserialize = function(data) {
       primitive = null;
       break;
   }
-  if (primitive) {
+  if (primitive)
     primitive.deserialize(data);
-    this.shape(primitive);
-  }
+  return primitive;
 };
 
 
@@ -287,10 +496,14 @@ acgraph.vector.Clip.prototype.addChild = function(child) {
  * @return {acgraph.vector.Element} Removed element or null.
  */
 acgraph.vector.Clip.prototype.removeChild = function(element) {
+  if (element == this.shape_)
+    this.shape_ = null;
+  else if (goog.array.remove(this.shapes_, element))
+    delete this.modes_[String(goog.getUid(element))];
   element.setParent(null);
   var dom = element.domElement();
   if (dom)
-    acgraph.getRenderer().removeNode(dom);
+    this.getRenderer().removeNode(dom);
   this.needUpdateClip_();
   return element;
 };
@@ -313,6 +526,13 @@ acgraph.vector.Clip.prototype.notifyRemoved = function(child) {
 };
 
 
+/**
+ * Clip updates itself when its shape changes, so it doesn't track bounds of the shape.
+ * @param {!acgraph.vector.Element} child .
+ */
+acgraph.vector.Clip.prototype.childBoundsChanged = goog.nullFunction;
+
+
 /**
  * @return {acgraph.vector.Stage} Stage (may be null).
  */
@@ -321,6 +541,16 @@ acgraph.vector.Clip.prototype.getStage = function() {
 };
 
 
+/**
+ * Returns renderer of the clip stage or the default renderer if the clip is not bound to a stage.
+ * @return {!acgraph.vector.Renderer} Renderer.
+ */
+acgraph.vector.Clip.prototype.getRenderer = function() {
+  var stage = this.getStage();
+  return stage ? stage.getRenderer() : acgraph.getRenderer();
+};
+
+
 /**
  * Sets dirty state.
  * @param {number} value States to be set.
@@ -346,15 +576,18 @@ acgraph.vector.Clip.prototype.dispose = function() {
 /** @inheritDoc */
 acgraph.vector.Clip.prototype.disposeInternal = function() {
   if (this.stage_) this.stage_.removeClipFromRender(this);
-  acgraph.getRenderer().disposeClip(this);
+  this.getRenderer().disposeClip(this);
 
-  this.shape_.dispose();
+  goog.disposeAll(this.shape_, goog.array.clone(this.shapes_));
 
   delete this.stage_;
   delete this.id_;
   delete this.elements;
   delete this.dirty_;
   delete this.shape_;
+  delete this.shapes_;
+  delete this.modes_;
+  delete this.clipRule_;
 
   goog.base(this, 'disposeInternal');
 };
@@ -362,4 +595,9 @@ acgraph.vector.Clip.prototype.disposeInternal = function() {
 
 //exports
 acgraph.vector.Clip.prototype['shape'] = acgraph.vector.Clip.prototype.shape;
+acgraph.vector.Clip.prototype['addShape'] = acgraph.vector.Clip.prototype.addShape;
+acgraph.vector.Clip.prototype['removeShape'] = acgraph.vector.Clip.prototype.removeShape;
+acgraph.vector.Clip.prototype['getShapes'] = acgraph.vector.Clip.prototype.getShapes;
+acgraph.vector.Clip.prototype['shapeMode'] = acgraph.vector.Clip.prototype.shapeMode;
+acgraph.vector.Clip.prototype['clipRule'] = acgraph.vector.Clip.prototype.clipRule;
 acgraph.vector.Clip.prototype['dispose'] = acgraph.vector.Clip.prototype.dispose;
@@ -1,7 +1,9 @@
 goog.provide('acgraph.vector.Defs');
 goog.require('acgraph.math.Rect');
+goog.require('acgraph.vector.Filter');
 goog.require('acgraph.vector.HatchFill');
 goog.require('acgraph.vector.LinearGradient');
+goog.require('acgraph.vector.Marker');
 goog.require('acgraph.vector.PatternFill');
 goog.require('acgraph.vector.RadialGradient');
 goog.require('goog.Disposable');
@@ -42,6 +44,18 @@ acgraph.vector.Defs = function(stage) {
    * @private
    */
   this.imageFills_ = {};
+  /**
+   * Existing filters.
+   * @type {Object.<string, !acgraph.vector.Filter>}
+   * @private
+   */
+  this.filters_ = {};
+  /**
+   * Existing markers.
+   * @type {Object.<string, !acgraph.vector.Marker>}
+   * @private
+   */
+  this.markers_ = {};
   /**
    * Stage.
    * @type {!acgraph.vector.Stage}
@@ -78,7 +92,7 @@ acgraph.vector.Defs.prototype.domElement = function() {
  * Creating DOM element.
  */
 acgraph.vector.Defs.prototype.createDom = function() {
-  this.domElement_ = acgraph.getRenderer().createDefsElement();
+  this.domElement_ = this.stage.getRenderer().createDefsElement();
 };
 
 
@@ -90,6 +104,8 @@ acgraph.vector.Defs.prototype.clear = function() {
   goog.object.clear(this.radialGradients_);
   goog.object.clear(this.hatchFills_);
   goog.object.clear(this.imageFills_);
+  goog.object.clear(this.filters_);
+  goog.object.clear(this.markers_);
   goog.dom.removeChildren(this.domElement_);
 };
 
@@ -171,7 +187,7 @@ acgraph.vector.Defs.prototype.getImageFill = function(src, bounds, opt_mode, opt
     }
     this.imageFills_[id] = pattern;
   }
-  acgraph.getRenderer().measuringImage(src, callback);
+  this.stage.getRenderer().measuringImage(src, callback);
   callback = null;
   return this.imageFills_[id];
 };
@@ -293,6 +309,54 @@ acgraph.vector.Defs.prototype.removeRadialGradient = function(element) {
 };
 
 
+/**
+ * Returns filter. If a filter with the given effects already exists - returns an existing object.
+ * @param {!Array.<acgraph.vector.FilterEffect>} effects Normalized filter effects.
+ * @return {!acgraph.vector.Filter} Filter object.
+ */
+acgraph.vector.Defs.prototype.getFilter = function(effects) {
+  var id = acgraph.vector.Filter.serialize(effects);
+  if (goog.object.containsKey(this.filters_, id)) return this.filters_[id];
+  return this.filters_[id] = new acgraph.vector.Filter(effects);
+};
+
+
+/**
+ * Remove filter from defs and DOM.
+ * @param {!acgraph.vector.Filter} element Filter to remove.
+ */
+acgraph.vector.Defs.prototype.removeFilter = function(element) {
+  var id = acgraph.vector.Filter.serialize(element.effects);
+  if (goog.object.containsKey(this.filters_, id)) goog.object.remove(this.filters_, id);
+  if (element.domElement)
+    this.stage.getRenderer().removeNode(element.domElement);
+};
+
+
+/**
+ * Returns marker. If a marker with the given appearance already exists - returns an existing object.
+ * @param {!acgraph.vector.Marker.Appearance} appearance Marker geometry and paint.
+ * @return {!acgraph.vector.Marker} Marker object.
+ */
+acgraph.vector.Defs.prototype.getMarker = function(appearance) {
+  var id = acgraph.vector.Marker.serialize(appearance);
+  if (goog.object.containsKey(this.markers_, id)) return this.markers_[id];
+  return this.markers_[id] = new acgraph.vector.Marker(appearance);
+};
+
+
+/**
+ * Remove marker from defs and DOM.
+ * @param {!acgraph.vector.Marker} element Marker to remove.
+ */
+acgraph.vector.Defs.prototype.removeMarker = function(element) {
+  var id = acgraph.vector.Marker.serialize(element.appearance);
+  if (goog.object.containsKey(this.markers_, id)) goog.object.remove(this.markers_, id);
+  if (element.domElement)
+    this.stage.getRenderer().removeNode(element.domElement);
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  Disposing
@@ -300,7 +364,7 @@ acgraph.vector.Defs.prototype.removeRadialGradient = function(element) {
 //----------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.Defs.prototype.disposeInternal = function() {
-  acgraph.getRenderer().removeNode(this.domElement_);
+  this.stage.getRenderer().removeNode(this.domElement_);
   this.domElement_ = null;
 
   this.linearGradients_ = null;
@@ -7,9 +7,13 @@ goog.require('acgraph.events.Dragger');
 goog.require('acgraph.math.Rect');
 goog.require('acgraph.utils.IdGenerator');
 goog.require('acgraph.vector');
+goog.require('acgraph.vector.Animation');
+goog.require('acgraph.vector.Filter');
+goog.require('goog.array');
 goog.require('goog.events.EventTarget');
 goog.require('goog.events.Listenable');
 goog.require('goog.graphics.AffineTransform');
+goog.require('goog.object');
 
 
 
@@ -167,6 +171,18 @@ acgraph.vector.Element.DirtyState = {
    * Needs to update attribute.
    */
   ATTRIBUTE: 1 << 18,
+  /**
+   * Mask state has changed.
+   */
+  MASK: 1 << 19,
+  /**
+   * Filter state has changed.
+   */
+  FILTER: 1 << 20,
+  /**
+   * Path markers have changed.
+   */
+  MARKERS: 1 << 21,
   /**
    * Need to update everything.
    */
@@ -256,6 +272,30 @@ acgraph.vector.Element.prototype.handler_;
 acgraph.vector.Element.prototype.clipElement_ = null;
 
 
+/**
+ * Mask instance.
+ * @type {acgraph.vector.Mask}
+ * @private
+ */
+acgraph.vector.Element.prototype.maskElement_ = null;
+
+
+/**
+ * Normalized filter effects.
+ * @type {Array.<acgraph.vector.FilterEffect>}
+ * @private
+ */
+acgraph.vector.Element.prototype.filter_ = null;
+
+
+/**
+ * Filter def the element is rendered with. Used by renderers that render filters to defs.
+ * @type {acgraph.vector.Filter}
+ * @private
+ */
+acgraph.vector.Element.prototype.filterDef_ = null;
+
+
 /**
  * Pointer events property. Specifies under what circumstances a given graphics element can be the target
  * element for a pointer event.
@@ -327,6 +367,8 @@ acgraph.vector.Element.prototype.SUPPORTED_DIRTY_STATES =
     acgraph.vector.Element.DirtyState.PARENT_TRANSFORMATION |
     acgraph.vector.Element.DirtyState.TRANSFORMATION |
     acgraph.vector.Element.DirtyState.CLIP |
+    acgraph.vector.Element.DirtyState.MASK |
+    acgraph.vector.Element.DirtyState.FILTER |
     acgraph.vector.Element.DirtyState.ID |
     acgraph.vector.Element.DirtyState.POINTER_EVENTS |
     acgraph.vector.Element.DirtyState.STROKE_SCALING |
@@ -390,6 +432,17 @@ acgraph.vector.Element.prototype.getStage = function() {
 };
 
 
+/**
+ * Returns renderer that renders the element. It is the renderer of the element stage or the default renderer
+ * if the element is not bound to a stage yet.
+ * @return {!acgraph.vector.Renderer} Renderer.
+ */
+acgraph.vector.Element.prototype.getRenderer = function() {
+  var stage = this.getStage();
+  return stage ? stage.getRenderer() : acgraph.getRenderer();
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  DOM.
@@ -436,6 +489,12 @@ acgraph.vector.Element.prototype.propagateVisualStatesToChildren_ = function() {
   var clip = this.clip();
   if (clip)
     clip.id(null);
+  if (this.maskElement_) {
+    this.maskElement_.id(null);
+    this.setDirtyState(acgraph.vector.Element.DirtyState.MASK);
+  }
+  if (this.filter_)
+    this.setDirtyState(acgraph.vector.Element.DirtyState.FILTER);
 
   if (this.numChildren && (numChildren = this.numChildren())) {
     for (var i = 0; i < numChildren; i++) {
@@ -489,6 +548,7 @@ acgraph.vector.Element.prototype.getFullChildrenCount = function() {
 acgraph.vector.Element.prototype.title = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (this.titleVal_ != opt_value) {
+      this.recordChange('title');
       this.titleVal_ = opt_value;
       this.setDirtyState(acgraph.vector.Element.DirtyState.TITLE);
     }
@@ -506,6 +566,7 @@ acgraph.vector.Element.prototype.title = function(opt_value) {
 acgraph.vector.Element.prototype.desc = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (this.descVal_ != opt_value) {
+      this.recordChange('desc');
       this.descVal_ = opt_value;
       this.setDirtyState(acgraph.vector.Element.DirtyState.DESC);
     }
@@ -533,7 +594,7 @@ acgraph.vector.Element.prototype.attr = function(key, opt_value) {
   if (key in this.attributes_)
     return this.attributes_[key];
   else
-    return acgraph.getRenderer().getAttribute(this.domElement_, key);
+    return this.getRenderer().getAttribute(this.domElement_, key);
 };
 
 
@@ -549,6 +610,8 @@ acgraph.vector.Element.prototype.attr = function(key, opt_value) {
  */
 acgraph.vector.Element.prototype.cursor = function(opt_value) {
   if (goog.isDef(opt_value)) {
+    if (this.cursor_ != opt_value)
+      this.recordChange('cursor');
     this.cursor_ = opt_value;
     this.cursorChanged();
     return this;
@@ -691,7 +754,7 @@ acgraph.vector.Element.prototype.transformationChanged = function() {
   this.fullTransform_ = null;
   this.dropBoundsCache();
   this.setDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
-  if (acgraph.getRenderer().needsReClipOnBoundsChange()) {
+  if (this.getRenderer().needsReClipOnBoundsChange()) {
     if (this.clipElement_)
       this.clipChanged();
     else if (this.parent_)
@@ -706,10 +769,12 @@ acgraph.vector.Element.prototype.transformationChanged = function() {
  */
 acgraph.vector.Element.prototype.parentTransformationChanged = function() {
   this.fullTransform_ = null;
-  this.dropBoundsCache();
-  if (acgraph.getRenderer().needsReRenderOnParentTransformationChange())
+  // Bounds in the parent coordinates stay the same, so the parent is not notified.
+  this.boundsCache = null;
+  this.absoluteBoundsCache = null;
+  if (this.getRenderer().needsReRenderOnParentTransformationChange())
     this.setDirtyState(acgraph.vector.Element.DirtyState.PARENT_TRANSFORMATION);
-  if (acgraph.getRenderer().needsReClipOnBoundsChange()) {
+  if (this.getRenderer().needsReClipOnBoundsChange()) {
     if (this.clipElement_)
       this.clipChanged();
     else if (this.parent_)
@@ -761,6 +826,7 @@ acgraph.vector.Element.prototype.getFullTransformation = function() {
  @return {!acgraph.vector.Element} {@link acgraph.vector.Element} instance for method chaining.
  */
 acgraph.vector.Element.prototype.rotate = function(degrees, opt_cx, opt_cy) {
+  this.recordChange('matrix');
   this.beforeTransformationChanged();
   var rotation = goog.graphics.AffineTransform.getRotateInstance(goog.math.toRadians(degrees), opt_cx || 0, opt_cy || 0);
   if (this.transformation) {
@@ -825,6 +891,7 @@ acgraph.vector.Element.prototype.setRotationByAnchor = function(degrees, opt_anc
  @return {!acgraph.vector.Element} {@link acgraph.vector.Element} instance for method chaining.
  */
 acgraph.vector.Element.prototype.translate = function(tx, ty) {
+  this.recordChange('matrix');
   this.beforeTransformationChanged();
   if (this.transformation)
     this.transformation.translate(tx, ty);
@@ -864,6 +931,7 @@ acgraph.vector.Element.prototype.setPosition = function(x, y) {
  * @return {!acgraph.vector.Element} {@link acgraph.vector.Element} instance for method chaining.
  */
 acgraph.vector.Element.prototype.setTranslation = function(x, y) {
+  this.recordChange('matrix');
   this.beforeTransformationChanged();
   if (this.transformation) {
     var oldX = this.transformation.getTranslateX();
@@ -887,6 +955,7 @@ acgraph.vector.Element.prototype.setTranslation = function(x, y) {
  @return {!acgraph.vector.Element} {@link acgraph.vector.Element} instance for method chaining.
  */
 acgraph.vector.Element.prototype.scale = function(sx, sy, opt_cx, opt_cy) {
+  this.recordChange('matrix');
   this.beforeTransformationChanged();
   if (!this.transformation)
     this.transformation = new goog.graphics.AffineTransform();
@@ -923,6 +992,7 @@ acgraph.vector.Element.prototype.scaleByAnchor = function(sx, sy, opt_anchor) {
  @return {!acgraph.vector.Element} {@link acgraph.vector.Element} instance for method chaining.
  */
 acgraph.vector.Element.prototype.appendTransformationMatrix = function(m00, m10, m01, m11, m02, m12) {
+  this.recordChange('matrix');
   this.beforeTransformationChanged();
   if (this.transformation)
     this.transformation.concatenate(new goog.graphics.AffineTransform(m00, m10, m01, m11, m02, m12));
@@ -948,6 +1018,7 @@ acgraph.vector.Element.prototype.appendTransformationMatrix = function(m00, m10,
  @return {!acgraph.vector.Element} {@link acgraph.vector.Element} instance for method chaining.
  */
 acgraph.vector.Element.prototype.setTransformationMatrix = function(m00, m10, m01, m11, m02, m12) {
+  this.recordChange('matrix');
   this.beforeTransformationChanged();
   if (this.transformation)
     this.transformation.setTransform(m00, m10, m01, m11, m02, m12);
@@ -1098,9 +1169,13 @@ acgraph.vector.Element.prototype.renderInternal = function() {
   }
   if (this.hasDirtyState(acgraph.vector.Element.DirtyState.CLIP))
     this.renderClip();
+  if (this.hasDirtyState(acgraph.vector.Element.DirtyState.MASK))
+    this.renderMask();
+  if (this.hasDirtyState(acgraph.vector.Element.DirtyState.FILTER))
+    this.renderFilter();
 
   if (this.hasDirtyState(acgraph.vector.Element.DirtyState.STROKE_SCALING)) {
-    acgraph.getRenderer().setDisableStrokeScaling(this, this.disableStrokeScaling_);
+    this.getRenderer().setDisableStrokeScaling(this, this.disableStrokeScaling_);
     this.clearDirtyState(acgraph.vector.Element.DirtyState.STROKE_SCALING);
   }
 
@@ -1122,7 +1197,7 @@ acgraph.vector.Element.prototype.renderInternal = function() {
  * @protected
  */
 acgraph.vector.Element.prototype.renderId = function() {
-  acgraph.getRenderer().setId(this, this.id_ || '');
+  this.getRenderer().setId(this, this.id_ || '');
   this.clearDirtyState(acgraph.vector.Element.DirtyState.ID);
 };
 
@@ -1133,7 +1208,7 @@ acgraph.vector.Element.prototype.renderId = function() {
  */
 acgraph.vector.Element.prototype.renderVisibility = function() {
   // Resolve visibility state
-  acgraph.getRenderer().setVisible(this);
+  this.getRenderer().setVisible(this);
   // Set sync flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.VISIBILITY);
 };
@@ -1145,7 +1220,7 @@ acgraph.vector.Element.prototype.renderVisibility = function() {
  */
 acgraph.vector.Element.prototype.renderTransformation = function() {
   // Resolve transformation state
-  acgraph.getRenderer().setTransformation(this);
+  this.getRenderer().setTransformation(this);
 
   // Set sync flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
@@ -1158,7 +1233,7 @@ acgraph.vector.Element.prototype.renderTransformation = function() {
  */
 acgraph.vector.Element.prototype.renderPointerEvents = function() {
   // Resolve events state
-  acgraph.getRenderer().setPointerEvents(this);
+  this.getRenderer().setPointerEvents(this);
   // Set sync flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.POINTER_EVENTS);
 };
@@ -1169,17 +1244,37 @@ acgraph.vector.Element.prototype.renderPointerEvents = function() {
  * @protected
  */
 acgraph.vector.Element.prototype.renderClip = function() {
-  acgraph.getRenderer().setClip(this);
+  this.getRenderer().setClip(this);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.CLIP);
 };
 
 
+/**
+ * Applies mask to the DOM element.
+ * @protected
+ */
+acgraph.vector.Element.prototype.renderMask = function() {
+  this.getRenderer().setMask(this);
+  this.clearDirtyState(acgraph.vector.Element.DirtyState.MASK);
+};
+
+
+/**
+ * Applies filter to the DOM element.
+ * @protected
+ */
+acgraph.vector.Element.prototype.renderFilter = function() {
+  this.getRenderer().setFilter(this);
+  this.clearDirtyState(acgraph.vector.Element.DirtyState.FILTER);
+};
+
+
 /**
  * Applies cursor setting to the DOM element.
  * @protected
  */
 acgraph.vector.Element.prototype.renderCursor = function() {
-  acgraph.getRenderer().setCursorProperties(this, this.cursor_ || this.parentCursor);
+  this.getRenderer().setCursorProperties(this, this.cursor_ || this.parentCursor);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.CURSOR);
 };
 
@@ -1189,7 +1284,7 @@ acgraph.vector.Element.prototype.renderCursor = function() {
  * @protected
  */
 acgraph.vector.Element.prototype.renderTitle = function() {
-  acgraph.getRenderer().setTitle(this, this.titleVal_);
+  this.getRenderer().setTitle(this, this.titleVal_);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.TITLE);
 };
 
@@ -1199,7 +1294,7 @@ acgraph.vector.Element.prototype.renderTitle = function() {
  * @protected
  */
 acgraph.vector.Element.prototype.renderDesc = function() {
-  acgraph.getRenderer().setDesc(this, this.descVal_);
+  this.getRenderer().setDesc(this, this.descVal_);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.DESC);
 };
 
@@ -1209,7 +1304,7 @@ acgraph.vector.Element.prototype.renderDesc = function() {
  * @protected
  */
 acgraph.vector.Element.prototype.renderAttributes = function() {
-  acgraph.getRenderer().setAttributes(this, this.attributes_);
+  this.getRenderer().setAttributes(this, this.attributes_);
   this.attributes_ = {};
   this.clearDirtyState(acgraph.vector.Element.DirtyState.ATTRIBUTE);
 };
@@ -1379,6 +1474,7 @@ acgraph.vector.Element.prototype.zIndex = function(opt_value) {
   if (goog.isDef(opt_value)) {
     var val = +opt_value || 0;
     if (this.zIndex_ != val) {
+      this.recordChange('zIndex');
       this.zIndex_ = val;
       if (this.parent_) // element can't change its own zIndex - parent children set changes.
         this.parent_.setDirtyState(acgraph.vector.Element.DirtyState.CHILDREN_SET);
@@ -1402,6 +1498,7 @@ acgraph.vector.Element.prototype.zIndex = function(opt_value) {
 acgraph.vector.Element.prototype.visible = function(opt_isVisible) {
   if (arguments.length == 0) return this.visible_;
   if (this.visible_ != opt_isVisible) {
+    this.recordChange('visible');
     this.visible_ = goog.isDefAndNotNull(opt_isVisible) ? opt_isVisible : true;
     // If visibility has changed - set sync flag
     this.setDirtyState(acgraph.vector.Element.DirtyState.VISIBILITY);
@@ -1478,6 +1575,95 @@ acgraph.vector.Element.prototype.clipChanged = function() {
 };
 
 
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Masking
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Gets/sets mask. Mask content is any layer or shape, including gradient filled ones; it is defined in the element
+ coordinates. Content which is already a content of some mask shares that mask.<br/>
+ Masks are rendered by the SVG renderers only, VML and canvas renderers ignore them and render the element
+ unmasked. Read more at: {@link acgraph.vector.Mask}.
+ @param {(acgraph.vector.Layer|acgraph.vector.Shape|acgraph.vector.Mask|string|null)=} opt_value Mask content or mask.
+    'none' or null removes the mask.
+ @return {acgraph.vector.Element|acgraph.vector.Mask} Mask or self for method chaining.
+ */
+acgraph.vector.Element.prototype.mask = function(opt_value) {
+  if (arguments.length == 0) return this.maskElement_;
+  var value = /** @type {acgraph.vector.Element|acgraph.vector.Mask} */ (opt_value == 'none' ? null : opt_value);
+  var mask;
+  if (value instanceof acgraph.vector.Element && value.hasParent() && value.parent() instanceof acgraph.vector.Mask) {
+    mask = /** @type {acgraph.vector.Mask} */ (value.parent());
+  } else if (value instanceof acgraph.vector.Element) {
+    if (this.maskElement_ && this.maskElement_.getElements().length == 1) {
+      // Mask used by this element only is updated instead of creating the new one.
+      this.maskElement_.element(value);
+      return this;
+    }
+    mask = acgraph.mask(/** @type {acgraph.vector.Layer|acgraph.vector.Shape} */ (value));
+  } else {
+    mask = /** @type {acgraph.vector.Mask} */ (value) || null;
+  }
+  if (mask == this.maskElement_)
+    return this;
+
+  if (this.maskElement_ && !this.maskElement_.isDisposed())
+    this.maskElement_.removeElement(this);
+  this.maskElement_ = mask;
+  if (mask)
+    mask.addElement(this);
+
+  this.setDirtyState(acgraph.vector.Element.DirtyState.MASK);
+  return this;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Filters
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Gets/sets filter effects. Effects are applied one after another, for example:
+ <code>element.filter([{type: 'dropShadow', dx: 3, dy: 3, blur: 2, color: '#333'}, {type: 'blur', radius: 1}])</code>
+ Read more about effects and their defaults at {@link acgraph.vector.FilterEffect}.<br/>
+ SVG renderers render all the effects. Canvas renderer renders them with the context filter, where browsers
+ support it. VML renderer renders the first drop shadow of the shape only and ignores the rest.
+ @param {(acgraph.vector.FilterEffect|Array.<acgraph.vector.FilterEffect>|string|null)=} opt_value Effect or effects.
+    'none' or null removes the filter.
+ @return {Array.<acgraph.vector.FilterEffect>|acgraph.vector.Element} Filter effects or self for method chaining.
+ */
+acgraph.vector.Element.prototype.filter = function(opt_value) {
+  if (arguments.length == 0) return this.filter_;
+  var effects = acgraph.vector.normalizeFilter(opt_value);
+  var key = effects ? acgraph.vector.Filter.serialize(effects) : '';
+  var oldKey = this.filter_ ? acgraph.vector.Filter.serialize(this.filter_) : '';
+  if (key != oldKey) {
+    this.recordChange('filter');
+    this.filter_ = effects;
+    this.setDirtyState(acgraph.vector.Element.DirtyState.FILTER);
+  }
+  return this;
+};
+
+
+/**
+ * Sets the filter def the element is rendered with. Filter defs are shared by elements with the same effects,
+ * so the previous def is disposed when no element uses it anymore.
+ * @param {acgraph.vector.Filter} filter Filter def or null.
+ */
+acgraph.vector.Element.prototype.setFilterDef = function(filter) {
+  var current = this.filterDef_;
+  if (current == filter) return;
+  if (filter)
+    filter.usages++;
+  this.filterDef_ = filter;
+  if (current && !--current.usages)
+    current.dispose();
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  Bounds
@@ -1624,12 +1810,13 @@ acgraph.vector.Element.prototype.getBoundsWithoutTransform = function() {
 
 
 /**
- * Drops bounds and absolute bounds caches.
+ * Drops bounds and absolute bounds caches and notifies the parent that the bounds have changed.
  * @protected
  */
 acgraph.vector.Element.prototype.dropBoundsCache = function() {
   this.boundsCache = null;
   this.absoluteBoundsCache = null;
+  if (this.parent_) this.parent_.childBoundsChanged(this);
 };
 
 
@@ -1649,7 +1836,12 @@ acgraph.vector.Element.prototype.drag = function(opt_value) {
     if (opt_value && !this.hasDirtyState(acgraph.vector.Element.DirtyState.DOM_MISSING)) {
       var isLimited = opt_value instanceof acgraph.math.Rect;
       var limit = isLimited ? this.draggable_ : null;
-      var dragger = this.dragger_ ? this.dragger_ : this.dragger_ = new acgraph.events.Dragger(this);
+      var dragger = this.dragger_;
+      if (!dragger) {
+        dragger = this.dragger_ = new acgraph.events.Dragger(this);
+        dragger.constraints(this.dragConstraints_);
+        dragger.showGuides(this.dragGuides_);
+      }
       dragger.enabled(true);
       dragger.setLimits(limit);
     } else if (this.dragger_)
@@ -1660,6 +1852,260 @@ acgraph.vector.Element.prototype.drag = function(opt_value) {
 };
 
 
+/**
+ * Drag constraints.
+ * @type {Array.<acgraph.events.Dragger.Constraint>}
+ * @private
+ */
+acgraph.vector.Element.prototype.dragConstraints_ = null;
+
+
+/**
+ * Whether guide lines of the drag constraints are shown.
+ * @type {boolean}
+ * @private
+ */
+acgraph.vector.Element.prototype.dragGuides_ = false;
+
+
+/**
+ Getter/setter for the drag constraints. Constraints correct the position of the dragged element in order, see
+ {@link acgraph.events.dragConstraints} for the built-in ones. Drag limits are applied after the constraints.
+ @param {Array.<acgraph.events.Dragger.Constraint>=} opt_value Constraints, null to remove constraints.
+ @return {!Array.<acgraph.events.Dragger.Constraint>|!acgraph.vector.Element} Constraints or self for method chaining.
+ */
+acgraph.vector.Element.prototype.dragConstraints = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    this.dragConstraints_ = opt_value ? goog.array.clone(opt_value) : null;
+    if (this.dragger_)
+      this.dragger_.constraints(this.dragConstraints_);
+    return this;
+  }
+  return this.dragConstraints_ ? goog.array.clone(this.dragConstraints_) : [];
+};
+
+
+/**
+ Getter/setter for the guide lines flag. If enabled, guide lines the drag constraints snapped to are shown on a
+ temporary layer while dragging.
+ @param {boolean=} opt_value Whether to show guide lines.
+ @return {boolean|!acgraph.vector.Element} Flag or self for method chaining.
+ */
+acgraph.vector.Element.prototype.dragGuides = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    this.dragGuides_ = !!opt_value;
+    if (this.dragger_)
+      this.dragger_.showGuides(this.dragGuides_);
+    return this;
+  }
+  return this.dragGuides_;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Animation
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Animations that are currently played.
+ * @type {Array.<acgraph.vector.Animation>}
+ * @private
+ */
+acgraph.vector.Element.prototype.animations_ = null;
+
+
+/**
+ Animates element properties from their current values to the passed ones.<br/>
+ Supported properties depend on element type: <code>matrix</code> for all elements,
+ <code>opacity</code>, <code>fill</code> and <code>stroke</code> (solid colors and gradient keys) for shapes,
+ <code>x</code>, <code>y</code>, <code>width</code>, <code>height</code> for rectangles,
+ <code>centerX</code>, <code>centerY</code>, <code>radiusX</code>, <code>radiusY</code> for ellipses and
+ <code>radius</code> for circles and <code>path</code> (target path to morph into) for paths.
+ Unsupported properties are ignored.<br/>
+ Element dispatches {@link acgraph.events.EventType.ANIMATION_START}, {@link acgraph.events.EventType.ANIMATION_STEP}
+ and {@link acgraph.events.EventType.ANIMATION_END} events.
+ @param {Object.<string, *>} props Target values hash.
+ @param {number} duration Animation duration in milliseconds.
+ @param {(acgraph.vector.Animation.Easing|string|function(number):number)=} opt_easing Easing.
+ @return {!acgraph.vector.Animation} Started animation. Use its animate() method to chain animations.
+ */
+acgraph.vector.Element.prototype.animate = function(props, duration, opt_easing) {
+  var animation = new acgraph.vector.Animation(this, props, duration, opt_easing);
+  animation.play();
+  return animation;
+};
+
+
+/**
+ Stops all animations of the element.
+ @param {boolean=} opt_gotoEnd Whether to apply target values of stopped animations.
+ @return {!acgraph.vector.Element} {@link acgraph.vector.Element} instance for method chaining.
+ */
+acgraph.vector.Element.prototype.stopAnimations = function(opt_gotoEnd) {
+  if (this.animations_) {
+    var animations = goog.array.clone(this.animations_);
+    for (var i = 0; i < animations.length; i++)
+      animations[i].cancel(opt_gotoEnd);
+  }
+  return this;
+};
+
+
+/**
+ * Registers an animation that is being played.
+ * @param {acgraph.vector.Animation} animation Animation.
+ */
+acgraph.vector.Element.prototype.addAnimation = function(animation) {
+  if (!this.animations_) this.animations_ = [];
+  goog.array.insert(this.animations_, animation);
+};
+
+
+/**
+ * Unregisters an animation.
+ * @param {acgraph.vector.Animation} animation Animation.
+ */
+acgraph.vector.Element.prototype.removeAnimation = function(animation) {
+  if (this.animations_)
+    goog.array.remove(this.animations_, animation);
+};
+
+
+/**
+ * Returns the current value of an animatable property. Descendants add their own properties.
+ * @param {string} key Property name.
+ * @return {*} Value or undefined if property is not animatable.
+ */
+acgraph.vector.Element.prototype.getAnimatableValue = function(key) {
+  if (key == 'matrix')
+    return this.getTransformationMatrix();
+  return undefined;
+};
+
+
+/**
+ * Sets a value of an animatable property.
+ * @param {string} key Property name.
+ * @param {*} value Value.
+ */
+acgraph.vector.Element.prototype.setAnimatableValue = function(key, value) {
+  if (key == 'matrix')
+    this.setTransformationMatrix.apply(this, /** @type {Array.<number>} */(value));
+};
+
+
+/**
+ * Creates a function that applies a property value for the passed animation progress. Used for properties
+ * that can't be animated by interpolating values (e.g. path geometry). Descendants add their own animators.
+ * @param {string} key Property name.
+ * @param {*} value Target value.
+ * @return {?function(number)} Animator or null if property is animated by value interpolation.
+ */
+acgraph.vector.Element.prototype.createPropertyAnimator = function(key, value) {
+  return null;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  History
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Whether changes of the element and its descendants are not recorded to the stage history.
+ * @type {boolean}
+ * @private
+ */
+acgraph.vector.Element.prototype.disableHistory_ = false;
+
+
+/**
+ Getter/setter for excluding the element and its descendants from the stage history (see
+ {@link acgraph.vector.Stage#history}), e.g. for helper elements that are not a part of the edited drawing.
+ @param {boolean=} opt_value Whether changes of the element are not recorded.
+ @return {boolean|!acgraph.vector.Element} Flag or self for method chaining.
+ */
+acgraph.vector.Element.prototype.disableHistory = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    this.disableHistory_ = !!opt_value;
+    return this;
+  }
+  return this.disableHistory_;
+};
+
+
+/**
+ * Records the change of the property to the stage history. Must be called by setters before the property is changed.
+ * @param {string} key Property name, see {@link acgraph.vector.Element#getHistoryValue}.
+ * @protected
+ */
+acgraph.vector.Element.prototype.recordChange = function(key) {
+  var stage = this.getStage();
+  if (stage)
+    stage.recordChange(this, key);
+};
+
+
+/**
+ * Returns the current value of a property recorded to the history. Value must not change when the element changes,
+ * so mutable values are copied. Descendants add their own properties.
+ * @param {string} key Property name.
+ * @return {*} Value.
+ */
+acgraph.vector.Element.prototype.getHistoryValue = function(key) {
+  switch (key) {
+    case 'matrix':
+      return this.getTransformationMatrix();
+    case 'visible':
+      return this.visible_;
+    case 'zIndex':
+      return this.zIndex_;
+    case 'cursor':
+      return this.cursor_;
+    case 'filter':
+      return this.filter_;
+    case 'title':
+      return this.titleVal_;
+    case 'desc':
+      return this.descVal_;
+  }
+  return undefined;
+};
+
+
+/**
+ * Sets a value of a property recorded to the history, when the change is undone or redone.
+ * @param {string} key Property name.
+ * @param {*} value Value returned by {@link acgraph.vector.Element#getHistoryValue}.
+ */
+acgraph.vector.Element.prototype.setHistoryValue = function(key, value) {
+  switch (key) {
+    case 'matrix':
+      this.setTransformationMatrix.apply(this, /** @type {Array.<number>} */(value));
+      break;
+    case 'visible':
+      this.visible(/** @type {boolean} */(value));
+      break;
+    case 'zIndex':
+      this.zIndex(/** @type {number} */(value));
+      break;
+    case 'cursor':
+      this.cursor(/** @type {?acgraph.vector.Cursor} */(value));
+      break;
+    case 'filter':
+      this.filter(/** @type {Array.<acgraph.vector.FilterEffect>} */(value));
+      break;
+    case 'title':
+      this.title(/** @type {?string} */(value));
+      break;
+    case 'desc':
+      this.desc(/** @type {?string} */(value));
+      break;
+  }
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  Serialize
@@ -1678,6 +2124,13 @@ acgraph.vector.Element.prototype.deserialize = function(data) {
     clip.deserialize(data['clip']);
     this.clip(clip);
   }
+  if ('mask' in data) {
+    var mask = acgraph.mask();
+    mask.deserialize(data['mask']);
+    this.mask(mask);
+  }
+  if ('filter' in data)
+    this.filter(data['filter']);
   if ('drag' in data) {
     var drag = data['drag'];
     this.drag(goog.isBoolean(drag) ? drag : new acgraph.math.Rect(drag.left, drag.top, drag.width, drag.height));
@@ -1702,6 +2155,10 @@ acgraph.vector.Element.prototype.serialize = function() {
   if (clip) {
     data['clip'] = clip.serialize();
   }
+  if (this.maskElement_)
+    data['mask'] = this.maskElement_.serialize();
+  if (this.filter_)
+    data['filter'] = goog.array.map(this.filter_, goog.object.clone);
 
   var cursor = this.cursor();
   if (cursor) data['cursor'] = cursor;
@@ -1730,6 +2187,8 @@ acgraph.vector.Element.prototype.dispose = function() {
 
 /** @inheritDoc */
 acgraph.vector.Element.prototype.disposeInternal = function() {
+  this.stopAnimations();
+  this.setFilterDef(null);
   if (this.hasParent())
     this.remove();
   else
@@ -1753,7 +2212,11 @@ acgraph.vector.Element.prototype.finalizeDisposing = function() {
   acgraph.unregister(this);
   this.domElement_ = null;
   this.skew = null;
+  this.shadow = null;
   this.clipElement_ = null;
+  if (this.maskElement_ && !this.maskElement_.isDisposed())
+    this.maskElement_.removeElement(this);
+  this.maskElement_ = null;
 
   this.transformation = null;
   this.logicalTransformation = null;
@@ -1789,6 +2252,8 @@ acgraph.vector.Element.prototype['setTransformationMatrix'] = acgraph.vector.Ele
 acgraph.vector.Element.prototype['getRotationAngle'] = acgraph.vector.Element.prototype.getRotationAngle;
 acgraph.vector.Element.prototype['getTransformationMatrix'] = acgraph.vector.Element.prototype.getTransformationMatrix;
 acgraph.vector.Element.prototype['clip'] = acgraph.vector.Element.prototype.clip;
+acgraph.vector.Element.prototype['mask'] = acgraph.vector.Element.prototype.mask;
+acgraph.vector.Element.prototype['filter'] = acgraph.vector.Element.prototype.filter;
 acgraph.vector.Element.prototype['zIndex'] = acgraph.vector.Element.prototype.zIndex;
 acgraph.vector.Element.prototype['getX'] = acgraph.vector.Element.prototype.getX;
 acgraph.vector.Element.prototype['getY'] = acgraph.vector.Element.prototype.getY;
@@ -1806,4 +2271,9 @@ acgraph.vector.Element.prototype['unlisten'] = acgraph.vector.Element.prototype.
 acgraph.vector.Element.prototype['unlistenByKey'] = acgraph.vector.Element.prototype.unlistenByKey;
 acgraph.vector.Element.prototype['removeAllListeners'] = acgraph.vector.Element.prototype.removeAllListeners;
 acgraph.vector.Element.prototype['drag'] = acgraph.vector.Element.prototype.drag;
+acgraph.vector.Element.prototype['dragConstraints'] = acgraph.vector.Element.prototype.dragConstraints;
+acgraph.vector.Element.prototype['dragGuides'] = acgraph.vector.Element.prototype.dragGuides;
+acgraph.vector.Element.prototype['disableHistory'] = acgraph.vector.Element.prototype.disableHistory;
+acgraph.vector.Element.prototype['animate'] = acgraph.vector.Element.prototype.animate;
+acgraph.vector.Element.prototype['stopAnimations'] = acgraph.vector.Element.prototype.stopAnimations;
 acgraph.vector.Element.prototype['dispose'] = acgraph.vector.Element.prototype.dispose;
@@ -78,6 +78,7 @@ acgraph.vector.Ellipse.prototype.getElementTypePrefix = function() {
 acgraph.vector.Ellipse.prototype.centerX = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (this.center_.x != opt_value) {
+      this.recordChange('geometry');
       this.center_.x = opt_value;
       this.dropBoundsCache();
       this.setDirtyState(acgraph.vector.Element.DirtyState.DATA);
@@ -96,6 +97,7 @@ acgraph.vector.Ellipse.prototype.centerX = function(opt_value) {
 acgraph.vector.Ellipse.prototype.centerY = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (this.center_.y != opt_value) {
+      this.recordChange('geometry');
       this.center_.y = opt_value;
       this.dropBoundsCache();
       this.setDirtyState(acgraph.vector.Element.DirtyState.DATA);
@@ -114,6 +116,7 @@ acgraph.vector.Ellipse.prototype.centerY = function(opt_value) {
 acgraph.vector.Ellipse.prototype.center = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (!acgraph.math.Coordinate.equals(this.center_, opt_value)) {
+      this.recordChange('geometry');
       // clone is not used to avoid creating new objects
       this.center_.x = opt_value.x;
       this.center_.y = opt_value.y;
@@ -134,6 +137,7 @@ acgraph.vector.Ellipse.prototype.center = function(opt_value) {
 acgraph.vector.Ellipse.prototype.radiusX = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (this.radiusX_ != opt_value) {
+      this.recordChange('geometry');
       this.radiusX_ = opt_value;
       this.dropBoundsCache();
       this.setDirtyState(acgraph.vector.Element.DirtyState.DATA);
@@ -152,6 +156,7 @@ acgraph.vector.Ellipse.prototype.radiusX = function(opt_value) {
 acgraph.vector.Ellipse.prototype.radiusY = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (this.radiusY_ != opt_value) {
+      this.recordChange('geometry');
       this.radiusY_ = opt_value;
       this.dropBoundsCache();
       this.setDirtyState(acgraph.vector.Element.DirtyState.DATA);
@@ -175,6 +180,76 @@ acgraph.vector.Ellipse.prototype.setRadius = function(rx, ry) {
 };
 
 
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Animation
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Ellipse.prototype.getAnimatableValue = function(key) {
+  switch (key) {
+    case 'centerX':
+      return this.center_.x;
+    case 'centerY':
+      return this.center_.y;
+    case 'radiusX':
+      return this.radiusX_;
+    case 'radiusY':
+      return this.radiusY_;
+  }
+  return goog.base(this, 'getAnimatableValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Ellipse.prototype.setAnimatableValue = function(key, value) {
+  switch (key) {
+    case 'centerX':
+      this.centerX(/** @type {number} */(value));
+      break;
+    case 'centerY':
+      this.centerY(/** @type {number} */(value));
+      break;
+    case 'radiusX':
+      this.radiusX(/** @type {number} */(value));
+      break;
+    case 'radiusY':
+      this.radiusY(/** @type {number} */(value));
+      break;
+    default:
+      goog.base(this, 'setAnimatableValue', key, value);
+  }
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  History
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Ellipse.prototype.getHistoryValue = function(key) {
+  if (key == 'geometry')
+    return [this.center_.x, this.center_.y, this.radiusX_, this.radiusY_];
+  return goog.base(this, 'getHistoryValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Ellipse.prototype.setHistoryValue = function(key, value) {
+  if (key == 'geometry') {
+    this.center_.x = value[0];
+    this.center_.y = value[1];
+    this.radiusX_ = value[2];
+    this.radiusY_ = value[3];
+    this.dropBoundsCache();
+    this.setDirtyState(acgraph.vector.Element.DirtyState.DATA);
+  } else {
+    goog.base(this, 'setHistoryValue', key, value);
+  }
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  Bounds
@@ -225,7 +300,7 @@ acgraph.vector.Ellipse.prototype.getBoundsWithTransform = function(transform) {
 //----------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.Ellipse.prototype.createDomInternal = function() {
-  return acgraph.getRenderer().createEllipseElement();
+  return this.getRenderer().createEllipseElement();
 };
 
 
@@ -251,7 +326,7 @@ acgraph.vector.Ellipse.prototype.renderInternal = function() {
 /** @inheritDoc */
 acgraph.vector.Ellipse.prototype.renderTransformation = function() {
   // Resolve transformation state
-  acgraph.getRenderer().setEllipseTransformation(this);
+  this.getRenderer().setEllipseTransformation(this);
   // Set flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.PARENT_TRANSFORMATION);
@@ -263,7 +338,7 @@ acgraph.vector.Ellipse.prototype.renderTransformation = function() {
  */
 acgraph.vector.Ellipse.prototype.renderData = function() {
   // Apply data to the DOM element
-  acgraph.getRenderer().setEllipseProperties(this);
+  this.getRenderer().setEllipseProperties(this);
   // Set flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.DATA);
 };
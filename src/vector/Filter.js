@@ -0,0 +1,132 @@
+goog.provide('acgraph.vector.Filter');
+goog.require('acgraph.utils.IdGenerator');
+goog.require('goog.Disposable');
+goog.require('goog.array');
+
+
+
+/**
+ * Filter. Chain of filter effects (drop shadow, blur, glow) applied to a shape or a layer.
+ * Filters with the same effects are shared by elements of the stage, see {@link acgraph.vector.Defs#getFilter}.
+ * @param {!Array.<acgraph.vector.FilterEffect>} effects Normalized filter effects
+ *    (see {@link acgraph.vector.normalizeFilter}).
+ * @constructor
+ * @extends {goog.Disposable}
+ */
+acgraph.vector.Filter = function(effects) {
+  goog.base(this);
+  /**
+   * Filter effects.
+   * @type {!Array.<acgraph.vector.FilterEffect>}
+   */
+  this.effects = effects;
+};
+goog.inherits(acgraph.vector.Filter, goog.Disposable);
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Static members
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Static method, which returns filter as string that identifies filter.
+ * @param {Array.<acgraph.vector.FilterEffect>} effects Normalized filter effects.
+ * @return {string} String id.
+ */
+acgraph.vector.Filter.serialize = function(effects) {
+  /** @type {Array.<string>} */
+  var result = [];
+  goog.array.forEach(effects, function(effect) {
+    result.push([effect['type'], effect['dx'], effect['dy'], effect['blur'], effect['radius'], effect['color'],
+      effect['opacity']].join(','));
+  });
+  return result.join(';');
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Properties
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Is rendering finished or not.
+ * @type {boolean}
+ */
+acgraph.vector.Filter.prototype.rendered = false;
+
+
+/**
+ * Number of elements rendered with the filter, see {@link acgraph.vector.Element#setFilterDef}.
+ * @type {number}
+ */
+acgraph.vector.Filter.prototype.usages = 0;
+
+
+/**
+ * Filter DOM element in defs, it is kept to remove the filter from defs of any stage, attached to the document or not.
+ * @type {Element}
+ */
+acgraph.vector.Filter.prototype.domElement = null;
+
+
+/**
+ * If filter is rendered - we need Defs instance here, so we could remove filter in a valid way.
+ * @type {acgraph.vector.Defs}
+ */
+acgraph.vector.Filter.prototype.defs = null;
+
+
+/**
+ * Filter id.
+ * @type {string}
+ */
+acgraph.vector.Filter.prototype.id_;
+
+
+/**
+ * Returns auto-generated filter id.
+ * @return {!string} Returns filter id.
+ */
+acgraph.vector.Filter.prototype.id = function() {
+  return this.id_ || (this.id_ = acgraph.utils.IdGenerator.getInstance().generateId(this));
+};
+
+
+/**
+ * Returns type prefix.
+ * @return {acgraph.utils.IdGenerator.ElementTypePrefix} Type prefix.
+ */
+acgraph.vector.Filter.prototype.getElementTypePrefix = function() {
+  return acgraph.utils.IdGenerator.ElementTypePrefix.FILTER;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Disposing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Disposes filter completely, removes it from defs and DOM structure.
+ */
+acgraph.vector.Filter.prototype.dispose = function() {
+  goog.base(this, 'dispose');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Filter.prototype.disposeInternal = function() {
+  if (this.defs) {
+    this.defs.removeFilter(this);
+    this.defs = null;
+  }
+  this.domElement = null;
+  delete this.effects;
+  goog.base(this, 'disposeInternal');
+};
+
+
+//exports
+acgraph.vector.Filter.prototype['dispose'] = acgraph.vector.Filter.prototype.dispose;
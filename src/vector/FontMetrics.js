@@ -0,0 +1,230 @@
+goog.provide('acgraph.vector.FontMetrics');
+goog.require('acgraph.math.Rect');
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('goog.string');
+
+
+
+/**
+ Font metrics measure texts by font width tables (like the ones taken from AFM or TTF files) instead of
+ the browser DOM. They are used to measure texts where no DOM is available (see {@link acgraph.vector.headless.Stage})
+ or to get the same text layout in all browsers (see {@link acgraph.fontMetrics}).<br/>
+ Metrics of Helvetica (regular and bold) are registered by default and used for all unknown font families.
+ @constructor
+ */
+acgraph.vector.FontMetrics = function() {
+  /**
+   * Registered fonts by lower case family name. Each family contains faces by face key.
+   * @type {!Object.<string, !Object.<string, !acgraph.vector.FontMetrics.Face_>>}
+   * @private
+   */
+  this.fonts_ = {};
+
+  /**
+   * Family that is used for unknown font families.
+   * @type {string}
+   * @private
+   */
+  this.defaultFamily_ = 'helvetica';
+
+  this.addFont('Helvetica', {
+    'ascent': 905,
+    'descent': -212,
+    'defaultWidth': 556,
+    'widths': acgraph.vector.FontMetrics.HELVETICA_WIDTHS_
+  });
+  this.addFont('Helvetica', {
+    'ascent': 905,
+    'descent': -212,
+    'defaultWidth': 611,
+    'widths': acgraph.vector.FontMetrics.HELVETICA_BOLD_WIDTHS_
+  }, 'bold');
+};
+goog.addSingletonGetter(acgraph.vector.FontMetrics);
+
+
+/**
+ Font metrics.<br/>
+ <b>unitsPerEm</b> - Units all other values are given in. Defaults to 1000 like in AFM files.<br/>
+ <b>ascent</b> - Ascent of the font, a positive value.<br/>
+ <b>descent</b> - Descent of the font, a negative value like in AFM files.<br/>
+ <b>widths</b> - Advance widths of glyphs as a map by character or as an array of widths of characters that go one
+ by one starting with the <b>firstChar</b> char code (32 by default).<br/>
+ <b>defaultWidth</b> - Width of characters missing in the widths table. Defaults to the half of unitsPerEm.<br/>
+ <b>kerning</b> - Kerning adjustments by pair of characters, like {'AV': -70}.
+ @typedef {{
+   unitsPerEm: (number|undefined),
+   ascent: number,
+   descent: number,
+   widths: (Object.<string, number>|Array.<number>),
+   firstChar: (number|undefined),
+   defaultWidth: (number|undefined),
+   kerning: (Object.<string, number>|undefined)
+ }}
+ */
+acgraph.vector.FontMetrics.Font;
+
+
+/**
+ * Normalized font face.
+ * @typedef {{
+ *   unitsPerEm: number,
+ *   ascent: number,
+ *   descent: number,
+ *   widths: !Object.<string, number>,
+ *   defaultWidth: number,
+ *   kerning: !Object.<string, number>
+ * }}
+ * @private
+ */
+acgraph.vector.FontMetrics.Face_;
+
+
+/**
+ * Helvetica advance widths of characters from 32 (space) to 126 (tilde).
+ * @type {!Array.<number>}
+ * @private
+ */
+acgraph.vector.FontMetrics.HELVETICA_WIDTHS_ = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+
+/**
+ * Helvetica Bold advance widths of characters from 32 (space) to 126 (tilde).
+ * @type {!Array.<number>}
+ * @private
+ */
+acgraph.vector.FontMetrics.HELVETICA_BOLD_WIDTHS_ = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+
+/**
+ * Returns key of the font face.
+ * @param {*} weight Font weight.
+ * @param {*} style Font style.
+ * @return {string} Face key.
+ * @private
+ */
+acgraph.vector.FontMetrics.getFaceKey_ = function(weight, style) {
+  var bold = weight == 'bold' || weight == 'bolder' || parseInt(weight, 10) >= 600;
+  var italic = style == 'italic' || style == 'oblique';
+  return (bold ? 'bold' : 'normal') + (italic ? ' italic' : '');
+};
+
+
+/**
+ Registers metrics of the font face. Metrics of the same family are used to measure all its faces,
+ if there are no metrics of the exact face.
+ @param {string} family Font family.
+ @param {acgraph.vector.FontMetrics.Font} metrics Font metrics.
+ @param {(string|number)=} opt_weight Font weight of the face, like 'bold' or 700.
+ @param {string=} opt_style Font style of the face, like 'italic'.
+ @return {!acgraph.vector.FontMetrics} {@link acgraph.vector.FontMetrics} instance for method chaining.
+ */
+acgraph.vector.FontMetrics.prototype.addFont = function(family, metrics, opt_weight, opt_style) {
+  var unitsPerEm = metrics['unitsPerEm'] || 1000;
+  var widths = {};
+  if (goog.isArray(metrics['widths'])) {
+    var firstChar = goog.isDef(metrics['firstChar']) ? metrics['firstChar'] : 32;
+    goog.array.forEach(metrics['widths'], function(width, i) {
+      widths[String.fromCharCode(firstChar + i)] = width;
+    });
+  } else if (goog.isObject(metrics['widths'])) {
+    widths = goog.object.clone(metrics['widths']);
+  }
+
+  var familyKey = family.toLowerCase();
+  var faces = this.fonts_[familyKey] || (this.fonts_[familyKey] = {});
+  faces[acgraph.vector.FontMetrics.getFaceKey_(opt_weight, opt_style)] = {
+    unitsPerEm: unitsPerEm,
+    ascent: +metrics['ascent'] || 0,
+    descent: +metrics['descent'] || 0,
+    widths: widths,
+    defaultWidth: goog.isDef(metrics['defaultWidth']) ? metrics['defaultWidth'] : unitsPerEm / 2,
+    kerning: metrics['kerning'] || {}
+  };
+  return this;
+};
+
+
+/**
+ Getter/setter for the font family that is used to measure texts of unknown font families.
+ @param {string=} opt_value Font family. It should be registered with {@link acgraph.vector.FontMetrics#addFont}.
+ @return {string|!acgraph.vector.FontMetrics} Font family or {@link acgraph.vector.FontMetrics} instance for
+ method chaining.
+ */
+acgraph.vector.FontMetrics.prototype.defaultFamily = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    this.defaultFamily_ = opt_value.toLowerCase();
+    return this;
+  }
+  return this.defaultFamily_;
+};
+
+
+/**
+ * Returns face metrics for the text style.
+ * @param {Object} style Text style.
+ * @return {acgraph.vector.FontMetrics.Face_} Face or null if there are no fonts.
+ * @private
+ */
+acgraph.vector.FontMetrics.prototype.getFace_ = function(style) {
+  var faces = null;
+  // Font family is a list of families, the first registered one is used.
+  var families = String(style['fontFamily'] || '').split(',');
+  for (var i = 0; i < families.length && !faces; i++) {
+    var family = goog.string.stripQuotes(goog.string.trim(families[i]), '"\'').toLowerCase();
+    faces = this.fonts_[family] || null;
+  }
+  faces = faces || this.fonts_[this.defaultFamily_];
+  if (!faces) return null;
+
+  var key = acgraph.vector.FontMetrics.getFaceKey_(style['fontWeight'], style['fontStyle']);
+  return faces[key] || faces[key.split(' ')[0]] || faces['normal'] || goog.object.getAnyValue(faces) || null;
+};
+
+
+/**
+ Measures text. Bounds are calculated like the text is placed at (0, 0), so the top is negative and equals
+ the font ascent, just like the browser measures SVG texts.
+ @param {string} text Text to measure.
+ @param {Object} style Text style, font family, size, weight, style and letter spacing are used.
+ @return {!acgraph.math.Rect} Text bounds.
+ */
+acgraph.vector.FontMetrics.prototype.measure = function(text, style) {
+  var face = this.getFace_(style);
+  var fontSize = parseFloat(style['fontSize']) || 0;
+  if (!face || !fontSize) return new acgraph.math.Rect(0, 0, 0, 0);
+
+  var width = 0;
+  for (var i = 0; i < text.length; i++) {
+    var ch = text.charAt(i);
+    width += face.widths.hasOwnProperty(ch) ? face.widths[ch] : face.defaultWidth;
+    if (i) width += face.kerning[text.charAt(i - 1) + ch] || 0;
+  }
+
+  var scale = fontSize / face.unitsPerEm;
+  var letterSpacing = parseFloat(style['letterSpacing']) || 0;
+  return new acgraph.math.Rect(0, -face.ascent * scale, width * scale + letterSpacing * text.length,
+      (face.ascent - face.descent) * scale);
+};
+
+
+//exports
+goog.exportSymbol('acgraph.vector.FontMetrics', acgraph.vector.FontMetrics);
+acgraph.vector.FontMetrics.prototype['addFont'] = acgraph.vector.FontMetrics.prototype.addFont;
+acgraph.vector.FontMetrics.prototype['defaultFamily'] = acgraph.vector.FontMetrics.prototype.defaultFamily;
+acgraph.vector.FontMetrics.prototype['measure'] = acgraph.vector.FontMetrics.prototype.measure;
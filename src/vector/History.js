@@ -0,0 +1,565 @@
+goog.provide('acgraph.vector.History');
+goog.provide('acgraph.vector.HistoryEvent');
+
+goog.require('acgraph.events');
+goog.require('goog.array');
+goog.require('goog.async.nextTick');
+goog.require('goog.events.Event');
+goog.require('goog.events.EventHandler');
+goog.require('goog.events.EventTarget');
+goog.require('goog.object');
+
+
+
+/**
+ Undo/redo history of the stage changes.<br/>
+ History is disabled by default, while it is enabled it records changes of the stage elements:
+ <ul>
+   <li>transformations, visibility, z-index, cursor, filter, title and description of elements;</li>
+   <li>fill and stroke of shapes;</li>
+   <li>text, html text, style, position and path of texts;</li>
+   <li>geometry and markers of paths;</li>
+   <li>children of layers: added, removed and swapped elements.</li>
+ </ul>
+ Changes made in one go (in one event handler or script) are undone as a single transaction. Changes spanning several
+ events are grouped with {@link acgraph.vector.History#begin} and {@link acgraph.vector.History#end}; drags,
+ animations and transformations made with a transformer or the stage selection are grouped automatically.<br/>
+ Only elements bound to the stage are recorded, elements with {@link acgraph.vector.Element#disableHistory} set
+ are skipped with their descendants. Disposing of an element can't be undone: changes of disposed elements are
+ skipped on undo and redo.<br/>
+ History dispatches {@link acgraph.events.EventType.HISTORY_CHANGE} events, which bubble to the stage.<br/>
+ <b>Do not invoke constructor directly.</b> Use {@link acgraph.vector.Stage#history}.
+ @param {!acgraph.vector.Stage} stage Stage.
+ @constructor
+ @extends {goog.events.EventTarget}
+ */
+acgraph.vector.History = function(stage) {
+  goog.base(this);
+
+  /**
+   * Stage.
+   * @type {acgraph.vector.Stage}
+   * @private
+   */
+  this.stage_ = stage;
+
+  /**
+   * Whether changes are recorded.
+   * @type {boolean}
+   * @private
+   */
+  this.enabled_ = false;
+
+  /**
+   * Maximum number of transactions that can be undone.
+   * @type {number}
+   * @private
+   */
+  this.limit_ = acgraph.vector.History.LIMIT;
+
+  /**
+   * Transactions that can be undone, the last one is undone first.
+   * @type {!Array.<!acgraph.vector.History.Transaction_>}
+   * @private
+   */
+  this.undoStack_ = [];
+
+  /**
+   * Transactions that can be redone, the last one is redone first.
+   * @type {!Array.<!acgraph.vector.History.Transaction_>}
+   * @private
+   */
+  this.redoStack_ = [];
+
+  /**
+   * Transaction which records changes now, null if there is no one.
+   * @type {?acgraph.vector.History.Transaction_}
+   * @private
+   */
+  this.transaction_ = null;
+
+  /**
+   * Number of not ended {@link acgraph.vector.History#begin} calls.
+   * @type {number}
+   * @private
+   */
+  this.depth_ = 0;
+
+  /**
+   * Whether the history is applying changes now, so they must not be recorded.
+   * @type {boolean}
+   * @private
+   */
+  this.applying_ = false;
+
+  /**
+   * Handler of the stage events that group changes.
+   * @type {goog.events.EventHandler}
+   * @private
+   */
+  this.eventHandler_ = new goog.events.EventHandler(this);
+  this.registerDisposable(this.eventHandler_);
+
+  this.setParentEventTarget(stage);
+};
+goog.inherits(acgraph.vector.History, goog.events.EventTarget);
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Static members
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Default maximum number of transactions that can be undone.
+ * @type {number}
+ */
+acgraph.vector.History.LIMIT = 100;
+
+
+/**
+ * History actions, the action that caused the history change.
+ * @enum {string}
+ */
+acgraph.vector.History.Action = {
+  RECORD: 'record',
+  UNDO: 'undo',
+  REDO: 'redo',
+  CLEAR: 'clear'
+};
+
+
+/**
+ * Change of the element property: the property values before and after the transaction.
+ * @typedef {{
+ *   element: !acgraph.vector.Element,
+ *   key: string,
+ *   before: *,
+ *   after: *
+ * }}
+ * @private
+ */
+acgraph.vector.History.Change_;
+
+
+/**
+ * Transaction: its name and changes in the order they were made.
+ * @typedef {{
+ *   name: ?string,
+ *   changes: !Array.<!acgraph.vector.History.Change_>
+ * }}
+ * @private
+ */
+acgraph.vector.History.Transaction_;
+
+
+/**
+ * Pairs of events that start and end changes which are grouped automatically.
+ * @type {!Array.<!Array.<string>>}
+ * @private
+ */
+acgraph.vector.History.GROUPING_EVENTS_ = [
+  [acgraph.events.EventType.DRAG_START, acgraph.events.EventType.DRAG_END],
+  [acgraph.events.EventType.ANIMATION_START, acgraph.events.EventType.ANIMATION_END],
+  [acgraph.events.EventType.TRANSFORM_START, acgraph.events.EventType.TRANSFORM_END]
+];
+
+
+/**
+ * Compares property values. Transformation matrices and other arrays are compared by items, plain objects like
+ * normalized fills and strokes are compared by fields.
+ * @param {*} value1 First value.
+ * @param {*} value2 Second value.
+ * @return {boolean} Whether values are equal.
+ * @private
+ */
+acgraph.vector.History.equals_ = function(value1, value2) {
+  if (goog.isArray(value1) && goog.isArray(value2))
+    return goog.array.equals(value1, value2, acgraph.vector.History.equals_);
+  if (goog.isObject(value1) && goog.isObject(value2) && value1.constructor == Object && value2.constructor == Object) {
+    var keys = goog.object.getKeys(value1);
+    return keys.length == goog.object.getCount(value2) && goog.array.every(keys, function(key) {
+      return key in value2 && acgraph.vector.History.equals_(value1[key], value2[key]);
+    });
+  }
+  return value1 === value2;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Properties
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Getter/setter for recording of changes. Transaction in progress is ended when the history is disabled, recorded
+ transactions are kept.
+ @param {boolean=} opt_value Whether changes are recorded.
+ @return {boolean|!acgraph.vector.History} Flag or self for method chaining.
+ */
+acgraph.vector.History.prototype.enabled = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    opt_value = !!opt_value;
+    if (this.enabled_ != opt_value) {
+      this.enabled_ = opt_value;
+      if (opt_value) {
+        goog.array.forEach(acgraph.vector.History.GROUPING_EVENTS_, function(types) {
+          this.eventHandler_.listen(this.stage_, types[0], this.handleGroupStart_);
+          this.eventHandler_.listen(this.stage_, types[1], this.handleGroupEnd_);
+        }, this);
+      } else {
+        this.eventHandler_.removeAll();
+        this.commit_();
+      }
+    }
+    return this;
+  }
+  return this.enabled_;
+};
+
+
+/**
+ Getter/setter for the maximum number of transactions that can be undone. The oldest transactions are forgotten.
+ @param {number=} opt_value Limit.
+ @return {number|!acgraph.vector.History} Limit or self for method chaining.
+ */
+acgraph.vector.History.prototype.limit = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    this.limit_ = Math.max(+opt_value || 0, 1);
+    this.trim_();
+    return this;
+  }
+  return this.limit_;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Transactions
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Starts a transaction: changes made until the matching {@link acgraph.vector.History#end} call are undone at once.
+ Transactions can be nested, the outer one records all changes.
+ @param {string=} opt_name Transaction name, e.g. 'Move' to show it in the editor menu.
+ @return {!acgraph.vector.History} Self for method chaining.
+ */
+acgraph.vector.History.prototype.begin = function(opt_name) {
+  if (!this.depth_) {
+    // Changes made in one go before the transaction are a separate transaction.
+    this.commit_();
+    this.transaction_ = {name: opt_name || null, changes: []};
+  } else if (opt_name && !this.transaction_.name) {
+    this.transaction_.name = opt_name;
+  }
+  this.depth_++;
+  return this;
+};
+
+
+/**
+ Ends the transaction started with {@link acgraph.vector.History#begin}.
+ @return {!acgraph.vector.History} Self for method chaining.
+ */
+acgraph.vector.History.prototype.end = function() {
+  if (this.depth_ && !--this.depth_)
+    this.commit_();
+  return this;
+};
+
+
+/**
+ * Records the change of the element property, must be called before the property is changed. The value before
+ * the change is taken now, the value after the change is taken when the transaction ends. Changes made outside of
+ * {@link acgraph.vector.History#begin} and {@link acgraph.vector.History#end} calls are recorded to a transaction
+ * which ends asynchronously, when the current script finishes.
+ * @param {!acgraph.vector.Element} element Changed element.
+ * @param {string} key Property name, see {@link acgraph.vector.Element#getHistoryValue}.
+ */
+acgraph.vector.History.prototype.record = function(element, key) {
+  if (!this.enabled_ || this.applying_ || !this.isRecordable_(element))
+    return;
+
+  if (!this.transaction_) {
+    var transaction = {name: null, changes: []};
+    this.transaction_ = transaction;
+    goog.async.nextTick(function() {
+      if (this.transaction_ == transaction && !this.isDisposed())
+        this.commit_();
+    }, this);
+  }
+  var recorded = goog.array.some(this.transaction_.changes, function(change) {
+    return change.element == element && change.key == key;
+  });
+  if (!recorded)
+    this.transaction_.changes.push({element: element, key: key, before: element.getHistoryValue(key), after: null});
+};
+
+
+/**
+ * Whether changes of the element are recorded: history is not disabled for the element or its ancestors.
+ * @param {!acgraph.vector.Element} element Element.
+ * @return {boolean} Whether changes are recorded.
+ * @private
+ */
+acgraph.vector.History.prototype.isRecordable_ = function(element) {
+  for (var node = element; node instanceof acgraph.vector.Element; node = node.parent()) {
+    if (node.disableHistory())
+      return false;
+  }
+  return true;
+};
+
+
+/**
+ * Ends the current transaction: takes the values after the changes and pushes the transaction to the undo stack,
+ * if anything has changed.
+ * @private
+ */
+acgraph.vector.History.prototype.commit_ = function() {
+  var transaction = this.transaction_;
+  this.transaction_ = null;
+  this.depth_ = 0;
+  if (!transaction) return;
+
+  transaction.changes = goog.array.filter(transaction.changes, function(change) {
+    if (change.element.isDisposed())
+      return false;
+    change.after = change.element.getHistoryValue(change.key);
+    return !acgraph.vector.History.equals_(change.before, change.after);
+  });
+  if (!transaction.changes.length) return;
+
+  this.undoStack_.push(transaction);
+  this.redoStack_.length = 0;
+  this.trim_();
+  this.dispatchChange_(acgraph.vector.History.Action.RECORD, transaction);
+};
+
+
+/**
+ * Forgets the oldest transactions over the limit.
+ * @private
+ */
+acgraph.vector.History.prototype.trim_ = function() {
+  if (this.undoStack_.length > this.limit_)
+    this.undoStack_.splice(0, this.undoStack_.length - this.limit_);
+};
+
+
+/**
+ * Starts the transaction of the changes which are grouped automatically.
+ * @param {goog.events.Event} e Event that starts the changes.
+ * @private
+ */
+acgraph.vector.History.prototype.handleGroupStart_ = function(e) {
+  // Prevented start cancels the changes, so they won't end.
+  if (!e.defaultPrevented)
+    this.begin();
+};
+
+
+/**
+ * Ends the transaction of the changes which are grouped automatically.
+ * @param {goog.events.Event} e Event that ends the changes.
+ * @private
+ */
+acgraph.vector.History.prototype.handleGroupEnd_ = function(e) {
+  this.end();
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Undo and redo
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Whether there is a transaction to undo.
+ @return {boolean} Whether undo is possible.
+ */
+acgraph.vector.History.prototype.canUndo = function() {
+  return !!this.undoStack_.length || !!(this.transaction_ && this.transaction_.changes.length);
+};
+
+
+/**
+ Whether there is a transaction to redo.
+ @return {boolean} Whether redo is possible.
+ */
+acgraph.vector.History.prototype.canRedo = function() {
+  return !!this.redoStack_.length && !(this.transaction_ && this.transaction_.changes.length);
+};
+
+
+/**
+ Undoes the last transaction. Transaction in progress is ended first.
+ @return {!acgraph.vector.History} Self for method chaining.
+ */
+acgraph.vector.History.prototype.undo = function() {
+  this.commit_();
+  var transaction = this.undoStack_.pop();
+  if (transaction) {
+    this.apply_(transaction, true);
+    this.redoStack_.push(transaction);
+    this.dispatchChange_(acgraph.vector.History.Action.UNDO, transaction);
+  }
+  return this;
+};
+
+
+/**
+ Redoes the last undone transaction. Transaction in progress is ended first, if it has changes, there is nothing
+ to redo.
+ @return {!acgraph.vector.History} Self for method chaining.
+ */
+acgraph.vector.History.prototype.redo = function() {
+  this.commit_();
+  var transaction = this.redoStack_.pop();
+  if (transaction) {
+    this.apply_(transaction, false);
+    this.undoStack_.push(transaction);
+    this.dispatchChange_(acgraph.vector.History.Action.REDO, transaction);
+  }
+  return this;
+};
+
+
+/**
+ Forgets all transactions, including the one in progress.
+ @return {!acgraph.vector.History} Self for method chaining.
+ */
+acgraph.vector.History.prototype.clear = function() {
+  this.transaction_ = null;
+  this.depth_ = 0;
+  if (this.undoStack_.length || this.redoStack_.length) {
+    this.undoStack_.length = 0;
+    this.redoStack_.length = 0;
+    this.dispatchChange_(acgraph.vector.History.Action.CLEAR, null);
+  }
+  return this;
+};
+
+
+/**
+ * Sets the property values of the transaction changes without recording them.
+ * @param {!acgraph.vector.History.Transaction_} transaction Transaction.
+ * @param {boolean} undo Whether values before the changes are set, in the reverse order.
+ * @private
+ */
+acgraph.vector.History.prototype.apply_ = function(transaction, undo) {
+  this.applying_ = true;
+  this.stage_.suspend();
+  var changes = transaction.changes;
+  for (var i = 0; i < changes.length; i++) {
+    var change = changes[undo ? changes.length - 1 - i : i];
+    if (!change.element.isDisposed())
+      change.element.setHistoryValue(change.key, undo ? change.before : change.after);
+  }
+  this.stage_.resume();
+  this.applying_ = false;
+};
+
+
+/**
+ * Dispatches the history change event.
+ * @param {acgraph.vector.History.Action} action Action that changed the history.
+ * @param {?acgraph.vector.History.Transaction_} transaction Recorded, undone or redone transaction.
+ * @private
+ */
+acgraph.vector.History.prototype.dispatchChange_ = function(action, transaction) {
+  var event = new acgraph.vector.HistoryEvent(acgraph.events.EventType.HISTORY_CHANGE, this, action);
+  if (transaction) {
+    event['name'] = transaction.name;
+    event['elements'] = goog.array.map(transaction.changes, function(change) {
+      return change.element;
+    });
+    goog.array.removeDuplicates(event['elements']);
+  }
+  this.dispatchEvent(event);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Disposing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.History.prototype.disposeInternal = function() {
+  this.transaction_ = null;
+  this.undoStack_.length = 0;
+  this.redoStack_.length = 0;
+  this.stage_ = null;
+  goog.base(this, 'disposeInternal');
+};
+
+
+
+/**
+ * Object representing a history event.
+ * @param {string} type Event type.
+ * @param {acgraph.vector.History} history History initiating event.
+ * @param {acgraph.vector.History.Action} action Action that changed the history.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+acgraph.vector.HistoryEvent = function(type, history, action) {
+  goog.events.Event.call(this, type);
+
+  /**
+   * Reference to the history for this event.
+   * @type {acgraph.vector.History}
+   */
+  this['history'] = history;
+
+  /**
+   * Action that changed the history.
+   * @type {acgraph.vector.History.Action}
+   */
+  this['action'] = action;
+
+  /**
+   * Name of the recorded, undone or redone transaction, null if it has no name.
+   * @type {?string}
+   */
+  this['name'] = null;
+
+  /**
+   * Elements changed by the recorded, undone or redone transaction.
+   * @type {!Array.<acgraph.vector.Element>}
+   */
+  this['elements'] = [];
+
+  /**
+   * Whether there is a transaction to undo.
+   * @type {boolean}
+   */
+  this['canUndo'] = history.canUndo();
+
+  /**
+   * Whether there is a transaction to redo.
+   * @type {boolean}
+   */
+  this['canRedo'] = history.canRedo();
+};
+goog.inherits(acgraph.vector.HistoryEvent, goog.events.Event);
+
+
+//exports
+goog.exportSymbol('acgraph.vector.History.Action.RECORD', acgraph.vector.History.Action.RECORD);
+goog.exportSymbol('acgraph.vector.History.Action.UNDO', acgraph.vector.History.Action.UNDO);
+goog.exportSymbol('acgraph.vector.History.Action.REDO', acgraph.vector.History.Action.REDO);
+goog.exportSymbol('acgraph.vector.History.Action.CLEAR', acgraph.vector.History.Action.CLEAR);
+acgraph.vector.History.prototype['enabled'] = acgraph.vector.History.prototype.enabled;
+acgraph.vector.History.prototype['limit'] = acgraph.vector.History.prototype.limit;
+acgraph.vector.History.prototype['begin'] = acgraph.vector.History.prototype.begin;
+acgraph.vector.History.prototype['end'] = acgraph.vector.History.prototype.end;
+acgraph.vector.History.prototype['canUndo'] = acgraph.vector.History.prototype.canUndo;
+acgraph.vector.History.prototype['canRedo'] = acgraph.vector.History.prototype.canRedo;
+acgraph.vector.History.prototype['undo'] = acgraph.vector.History.prototype.undo;
+acgraph.vector.History.prototype['redo'] = acgraph.vector.History.prototype.redo;
+acgraph.vector.History.prototype['clear'] = acgraph.vector.History.prototype.clear;
+acgraph.vector.History.prototype['listen'] = acgraph.vector.History.prototype.listen;
+acgraph.vector.History.prototype['listenOnce'] = acgraph.vector.History.prototype.listenOnce;
+acgraph.vector.History.prototype['unlisten'] = acgraph.vector.History.prototype.unlisten;
@@ -345,7 +345,7 @@ acgraph.vector.Image.prototype.getBoundsWithTransform = function(transform) {
 //----------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.Image.prototype.createDomInternal = function() {
-  return acgraph.getRenderer().createImageElement();
+  return this.getRenderer().createImageElement();
 };
 
 
@@ -358,7 +358,7 @@ acgraph.vector.Image.prototype.createDomInternal = function() {
 acgraph.vector.Image.prototype.renderInternal = function() {
   // If data unsynced - update
   if (this.hasDirtyState(acgraph.vector.Element.DirtyState.DATA)) {
-    if (acgraph.getRenderer().needsReRenderOnParentTransformationChange())
+    if (this.getRenderer().needsReRenderOnParentTransformationChange())
       this.setDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
     this.renderData();
   }
@@ -370,7 +370,7 @@ acgraph.vector.Image.prototype.renderInternal = function() {
 /** @inheritDoc */
 acgraph.vector.Image.prototype.renderTransformation = function() {
   // Resolve transformation state
-  acgraph.getRenderer().setImageTransformation(this);
+  this.getRenderer().setImageTransformation(this);
   // Set flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.PARENT_TRANSFORMATION);
@@ -382,7 +382,7 @@ acgraph.vector.Image.prototype.renderTransformation = function() {
  */
 acgraph.vector.Image.prototype.renderData = function() {
   // Apply data to the DOM element
-  acgraph.getRenderer().setImageProperties(this);
+  this.getRenderer().setImageProperties(this);
   // Set flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.DATA);
 };
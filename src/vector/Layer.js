@@ -3,8 +3,12 @@ goog.provide('acgraph.vector.Layer');
 goog.require('acgraph.error');
 goog.require('acgraph.math.Rect');
 goog.require('acgraph.utils.IdGenerator');
+goog.require('acgraph.utils.RTree');
+goog.require('acgraph.vector');
 goog.require('acgraph.vector.Element');
 goog.require('acgraph.vector.ILayer');
+goog.require('acgraph.vector.Shape');
+goog.require('goog.object');
 
 
 
@@ -83,6 +87,8 @@ acgraph.vector.Layer.prototype.setDirtyState = function(value) {
       acgraph.vector.Element.DirtyState.CHILDREN_SET))) {
     this.dropBoundsCache();
   }
+  if (!!(value & acgraph.vector.Element.DirtyState.CHILDREN_SET))
+    this.childOrder_ = null;
 };
 
 
@@ -123,6 +129,7 @@ All DOM changes will happen instantly, except
 acgraph.vector.Layer.prototype.addChildAt = function(element, index) {
   // If element has the parent, tell it, so it can update children list
   element.remove();
+  this.recordChange('children');
 
   // Level to [0, number_of_children] segment, because that's how
   // it happens in DOM.
@@ -142,6 +149,7 @@ acgraph.vector.Layer.prototype.addChildAt = function(element, index) {
   this.setDirtyState(acgraph.vector.Element.DirtyState.CHILDREN_SET);
 
   element.parentTransformationChanged();
+  this.childBoundsChanged(element);
   if (this.cursor() || this.parentCursor) {
     element.parentCursorChanged();
     element.parentCursor = /** @type {?acgraph.vector.Cursor} */ (this.cursor() || this.parentCursor);
@@ -201,6 +209,7 @@ acgraph.vector.Layer.prototype.removeChildAt = function(index) {
     if (this.isDisposed()) {
       element = this.children[index];
     } else {
+      this.recordChange('children');
       // IF so - remove from children arreay and get a reference
       element = goog.array.splice(this.children, index, 1)[0];
 
@@ -208,6 +217,7 @@ acgraph.vector.Layer.prototype.removeChildAt = function(index) {
 
     // Tell poor element he is an orphan now. He is Oliver Twist now.
     element.setParent(null);
+    this.childBoundsChanged(element);
 
     // Set flag to a layer that children list changed
     this.setDirtyState(acgraph.vector.Element.DirtyState.CHILDREN_SET);
@@ -221,6 +231,8 @@ acgraph.vector.Layer.prototype.removeChildAt = function(index) {
  @return {!Array.<acgraph.vector.Element>} Array of removed elements.
  */
 acgraph.vector.Layer.prototype.removeChildren = function() {
+  if (!this.isDisposed())
+    this.recordChange('children');
   for (var i = 0; i < this.numChildren(); i++) {
     var element = this.children[i];
     // Tell element he is orphaned.
@@ -231,6 +243,10 @@ acgraph.vector.Layer.prototype.removeChildren = function() {
   var result = this.children;
   if (!this.isDisposed())
     this.children = [];
+  if (this.spatialIndex_) {
+    this.spatialIndex_.clear();
+    this.staleChildren_ = {};
+  }
   // Set flag to a layer that children list changed
   this.setDirtyState(acgraph.vector.Element.DirtyState.CHILDREN_SET);
   return result;
@@ -262,6 +278,7 @@ acgraph.vector.Layer.prototype.swapChildrenAt = function(index1, index2) {
 
   // And they are not the same (can not swap to self)
   if (index1 != index2) {
+    this.recordChange('children');
     var element = this.children[index1];
     this.children[index1] = this.children[index2];
     this.children[index2] = element;
@@ -798,7 +815,7 @@ acgraph.vector.Layer.prototype.donut = function(cx, cy, outerR, innerR, start, e
 //---------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.Layer.prototype.createDomInternal = function() {
-  return acgraph.getRenderer().createLayerElement();
+  return this.getRenderer().createLayerElement();
 };
 
 
@@ -926,7 +943,7 @@ acgraph.vector.Layer.prototype.renderChildrenDom = function(maxChanges) {
   // array of removed children. contains indices from this.domChildren which were removed.
   var removings = [];
   // renderer for add() and remove() functions closure
-  var renderer = acgraph.getRenderer();
+  var renderer = this.getRenderer();
   // closed function add(), it adds a child to DOM, if it is possible and sets flagSuccess in case of failure
   // returns boolean - adding success or failure.
   var add = function(child) {
@@ -1050,7 +1067,7 @@ acgraph.vector.Layer.prototype.notifyRemoved = function(child) {
  */
 acgraph.vector.Layer.prototype.renderData = function() {
   // Set attributes to layer DOM element
-  acgraph.getRenderer().setLayerSize(this);
+  this.getRenderer().setLayerSize(this);
   // Clear DATA flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.DATA);
 };
@@ -1063,13 +1080,235 @@ acgraph.vector.Layer.prototype.renderData = function() {
 acgraph.vector.Layer.prototype.renderTransformation = function() {
   // clear unsync flag
   if (this.hasDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION))
-    acgraph.getRenderer().setLayerTransformation(this);
+    this.getRenderer().setLayerTransformation(this);
   // remove unsync flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.PARENT_TRANSFORMATION);
 };
 
 
+//endregion
+//region --- Section Spatial index ---
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Spatial index
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * R-tree of children by their bounds in the layer coordinates. Null if the index is disabled.
+ * @type {acgraph.utils.RTree}
+ * @private
+ */
+acgraph.vector.Layer.prototype.spatialIndex_ = null;
+
+
+/**
+ * Children which bounds have changed since the last index update, by uid.
+ * @type {Object.<string, !acgraph.vector.Element>}
+ * @private
+ */
+acgraph.vector.Layer.prototype.staleChildren_ = null;
+
+
+/**
+ * Maximal half of the stroke thickness among indexed children. Children bounds don't include strokes,
+ * so queries, that need strokes, are extended by this margin.
+ * @type {number}
+ * @private
+ */
+acgraph.vector.Layer.prototype.indexMargin_ = 0;
+
+
+/**
+ * Indexes of children by uid to sort query results, built on demand.
+ * @type {Object.<string, number>}
+ * @private
+ */
+acgraph.vector.Layer.prototype.childOrder_ = null;
+
+
+/**
+ Getter/setter for the spatial index of layer children.<br/>
+ By default layer iterates all its children to get its bounds and to find children at a point or in a rectangle.
+ Indexed layer keeps children in the R-tree by their bounds, so these queries take logarithmic time. Index is
+ updated lazily, when children change their bounds or transformation, so it is useful for layers with
+ thousands of children, like markers of a big series. Index is used by {@link acgraph.vector.Layer#getBounds},
+ {@link acgraph.vector.Layer#getChildrenInRect}, {@link acgraph.vector.Stage#getElementsAtPoint},
+ {@link acgraph.vector.Stage#getElementsInRect} and by the Canvas renderer to skip children outside the canvas
+ and to find the element under the mouse.
+ @param {boolean=} opt_value Whether the index is enabled.
+ @return {boolean|!acgraph.vector.Layer} Whether the index is enabled or {@link acgraph.vector.Layer} instance
+    for method chaining.
+ */
+acgraph.vector.Layer.prototype.spatialIndex = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    if (!!opt_value != !!this.spatialIndex_) {
+      this.spatialIndex_ = opt_value ? new acgraph.utils.RTree() : null;
+      this.staleChildren_ = {};
+      this.indexMargin_ = 0;
+      this.childOrder_ = null;
+      if (opt_value) {
+        for (var i = 0; i < this.children.length; i++)
+          this.staleChildren_[String(goog.getUid(this.children[i]))] = this.children[i];
+      }
+    }
+    return this;
+  }
+  return !!this.spatialIndex_;
+};
+
+
+/**
+ * Notifies layer that bounds of the child in the layer coordinates have changed (or the child was added or
+ * removed), so the child is reindexed on the next query.
+ * @param {!acgraph.vector.Element} child Child.
+ */
+acgraph.vector.Layer.prototype.childBoundsChanged = function(child) {
+  if (!this.spatialIndex_) return;
+  this.staleChildren_[String(goog.getUid(child))] = child;
+  this.dropBoundsCache();
+};
+
+
+/**
+ * Reindexes children from the stale list. Index is rebuilt from scratch, if most of children are stale.
+ * @private
+ */
+acgraph.vector.Layer.prototype.updateSpatialIndex_ = function() {
+  var stale = this.staleChildren_;
+  var index = this.spatialIndex_;
+  var staleCount = goog.object.getCount(stale);
+  if (!staleCount) return;
+  this.staleChildren_ = {};
+
+  var i, child, bounds;
+  if (staleCount > index.getCount() / 2) {
+    var items = [];
+    var rects = [];
+    this.indexMargin_ = 0;
+    for (i = 0; i < this.children.length; i++) {
+      child = this.children[i];
+      bounds = acgraph.vector.Layer.getIndexBounds_(child);
+      if (bounds) {
+        items.push(child);
+        rects.push(bounds);
+        this.indexMargin_ = Math.max(this.indexMargin_, acgraph.vector.Layer.getStrokeMargin_(child));
+      }
+    }
+    index.load(items, rects);
+  } else {
+    for (var uid in stale) {
+      child = stale[uid];
+      bounds = child.parent() == this ? acgraph.vector.Layer.getIndexBounds_(child) : null;
+      if (bounds) {
+        index.insert(child, bounds);
+        this.indexMargin_ = Math.max(this.indexMargin_, acgraph.vector.Layer.getStrokeMargin_(child));
+      } else {
+        index.remove(child);
+      }
+    }
+  }
+};
+
+
+/**
+ * Returns bounds of the child to index.
+ * @param {!acgraph.vector.Element} child Child.
+ * @return {acgraph.math.Rect} Bounds in the layer coordinates or null, if the child has no valid bounds.
+ * @private
+ */
+acgraph.vector.Layer.getIndexBounds_ = function(child) {
+  if (child.isDisposed()) return null;
+  var bounds = child.getBounds();
+  return isNaN(bounds.left) || isNaN(bounds.top) || isNaN(bounds.width) || isNaN(bounds.height) ? null : bounds;
+};
+
+
+/**
+ * Returns half of the stroke thickness of the element in its parent coordinates. For layers it is the maximal
+ * margin of their children.
+ * @param {!acgraph.vector.Element} element Element.
+ * @return {number} Margin.
+ * @private
+ */
+acgraph.vector.Layer.getStrokeMargin_ = function(element) {
+  var margin = 0;
+  if (element instanceof acgraph.vector.Shape) {
+    margin = acgraph.vector.getThickness(/** @type {acgraph.vector.Stroke} */ (element.stroke())) / 2;
+    // Stroke of a shape with disabled scaling has the same thickness at any scale.
+    if (element.disableStrokeScaling()) return margin;
+  } else if (element instanceof acgraph.vector.Layer) {
+    if (element.spatialIndex_) {
+      element.updateSpatialIndex_();
+      margin = element.indexMargin_;
+    } else {
+      for (var i = 0; i < element.children.length; i++)
+        margin = Math.max(margin, acgraph.vector.Layer.getStrokeMargin_(element.children[i]));
+    }
+  }
+  var tx = element.getSelfTransformation();
+  if (margin && tx)
+    margin *= Math.sqrt(Math.abs(tx.getDeterminant()));
+  return margin;
+};
+
+
+/**
+ * Returns children in the order of the layer children list.
+ * @param {!Array.<!acgraph.vector.Element>} children Children of the layer.
+ * @return {!Array.<!acgraph.vector.Element>} Sorted children.
+ * @private
+ */
+acgraph.vector.Layer.prototype.sortChildren_ = function(children) {
+  if (!this.childOrder_) {
+    this.childOrder_ = {};
+    for (var i = 0; i < this.children.length; i++)
+      this.childOrder_[String(goog.getUid(this.children[i]))] = i;
+  }
+  var order = this.childOrder_;
+  goog.array.sort(children, function(a, b) {
+    return order[String(goog.getUid(a))] - order[String(goog.getUid(b))];
+  });
+  return children;
+};
+
+
+/**
+ Returns children which bounds intersect the rectangle. Uses the spatial index, if it is enabled
+ (see {@link acgraph.vector.Layer#spatialIndex}), so it can be used for viewport culling of big layers.
+ @param {!acgraph.math.Rect} rect Rectangle in the layer coordinates (the layer own transformation is not applied).
+ @param {boolean=} opt_withStroke Whether children bounds are extended by half of their stroke thickness,
+    like for hit testing. Indexed layer extends the rectangle by the maximal stroke instead, so the result may
+    contain children that are a bit farther than their strokes.
+ @return {!Array.<!acgraph.vector.Element>} Children in the order of the layer children.
+ */
+acgraph.vector.Layer.prototype.getChildrenInRect = function(rect, opt_withStroke) {
+  var result;
+  if (this.spatialIndex_) {
+    this.updateSpatialIndex_();
+    var margin = opt_withStroke ? this.indexMargin_ : 0;
+    var query = new acgraph.math.Rect(rect.left - margin, rect.top - margin,
+        rect.width + margin * 2, rect.height + margin * 2);
+    result = this.sortChildren_(/** @type {!Array.<!acgraph.vector.Element>} */ (this.spatialIndex_.search(query)));
+  } else {
+    result = [];
+    for (var i = 0; i < this.children.length; i++) {
+      var child = this.children[i];
+      var bounds = acgraph.vector.Layer.getIndexBounds_(child);
+      if (!bounds) continue;
+      if (opt_withStroke) {
+        var childMargin = acgraph.vector.Layer.getStrokeMargin_(child);
+        bounds = new acgraph.math.Rect(bounds.left - childMargin, bounds.top - childMargin,
+            bounds.width + childMargin * 2, bounds.height + childMargin * 2);
+      }
+      if (bounds.intersects(rect))
+        result.push(child);
+    }
+  }
+  return result;
+};
+
+
 //endregion
 //region --- Section Bounds ---
 //----------------------------------------------------------------------------------------------------------------------
@@ -1088,17 +1327,26 @@ acgraph.vector.Layer.prototype.getBoundsWithTransform = function(transform) {
   else {
     /** @type {acgraph.math.Rect} */
     var bounds = null;
-    for (var i = 0, len = this.children.length; i < len; i++) {
-      /** @type {acgraph.vector.Element} */
-      var child = this.children[i];
-      /** @type {!acgraph.math.Rect} */
-      var childBounds = child.getBoundsWithTransform(acgraph.math.concatMatrixes(transform,
-          child.getSelfTransformation()));
-      if (!isNaN(childBounds.left) && !isNaN(childBounds.top) && !isNaN(childBounds.width) && !isNaN(childBounds.height))
-        if (bounds)
-          bounds.boundingRect(childBounds);
-        else
-          bounds = childBounds;
+    // Union of the indexed bounds stays exact under transformations without rotation and skew.
+    if (this.spatialIndex_ && (!transform || (!transform.getShearX() && !transform.getShearY()))) {
+      this.updateSpatialIndex_();
+      bounds = this.spatialIndex_.getBounds();
+      if (bounds)
+        bounds = acgraph.math.getBoundsOfRectWithTransform(bounds, transform);
+    } else {
+      for (var i = 0, len = this.children.length; i < len; i++) {
+        /** @type {acgraph.vector.Element} */
+        var child = this.children[i];
+        /** @type {!acgraph.math.Rect} */
+        var childBounds = child.getBoundsWithTransform(acgraph.math.concatMatrixes(transform,
+            child.getSelfTransformation()));
+        if (!isNaN(childBounds.left) && !isNaN(childBounds.top) &&
+            !isNaN(childBounds.width) && !isNaN(childBounds.height))
+          if (bounds)
+            bounds.boundingRect(childBounds);
+          else
+            bounds = childBounds;
+      }
     }
     if (!bounds)
       bounds = acgraph.math.getBoundsOfRectWithTransform(new acgraph.math.Rect(0, 0, 0, 0), transform);
@@ -1148,7 +1396,7 @@ acgraph.vector.Layer.prototype.propagateTransform = function() {
  * Notifief layer that clipping rectangle of a chilc changed.
  */
 acgraph.vector.Layer.prototype.childClipChanged = function() {
-  if (acgraph.getRenderer().needsReClipOnBoundsChange()) {
+  if (this.getRenderer().needsReClipOnBoundsChange()) {
     this.setDirtyState(acgraph.vector.Element.DirtyState.CLIP);
     if (this.hasParent()) this.parent().childClipChanged();
   }
@@ -1217,6 +1465,47 @@ acgraph.vector.Layer.prototype.serialize = function() {
 
 
 //endregion
+//region --- Section History ---
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  History
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Layer.prototype.getHistoryValue = function(key) {
+  if (key == 'children') {
+    // Helper elements excluded from the history don't make changes.
+    return goog.array.filter(this.children, function(child) {
+      return !child.disableHistory();
+    });
+  }
+  return goog.base(this, 'getHistoryValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Layer.prototype.setHistoryValue = function(key, value) {
+  if (key != 'children') {
+    goog.base(this, 'setHistoryValue', key, value);
+    return;
+  }
+  var children = goog.array.filter(/** @type {!Array.<acgraph.vector.Element>} */(value), function(child) {
+    return !child.isDisposed();
+  });
+  for (var i = this.children.length; i--;) {
+    var child = this.children[i];
+    if (!child.disableHistory() && !goog.array.contains(children, child))
+      this.removeChildAt(i);
+  }
+  // Children are put after each other, helper elements stay where they are.
+  for (i = 0; i < children.length; i++) {
+    var index = i ? this.indexOfChild(children[i - 1]) + 1 : 0;
+    if (this.children[index] != children[i])
+      this.addChildAt(children[i], index);
+  }
+};
+
+
 //region --- Section Disposing ---
 //----------------------------------------------------------------------------------------------------------------------
 //
@@ -1234,6 +1523,8 @@ acgraph.vector.Layer.prototype.disposeInternal = function() {
   }
 
   this.dropBoundsCache();
+  this.spatialIndex_ = null;
+  this.staleChildren_ = null;
 
   goog.base(this, 'disposeInternal');
 };
@@ -1272,6 +1563,8 @@ acgraph.vector.Layer.prototype['hasChild'] = acgraph.vector.Layer.prototype.hasC
 acgraph.vector.Layer.prototype['forEachChild'] = acgraph.vector.Layer.prototype.forEachChild;
 acgraph.vector.Layer.prototype['indexOfChild'] = acgraph.vector.Layer.prototype.indexOfChild;
 acgraph.vector.Layer.prototype['numChildren'] = acgraph.vector.Layer.prototype.numChildren;
+acgraph.vector.Layer.prototype['spatialIndex'] = acgraph.vector.Layer.prototype.spatialIndex;
+acgraph.vector.Layer.prototype['getChildrenInRect'] = acgraph.vector.Layer.prototype.getChildrenInRect;
 acgraph.vector.Layer.prototype['circle'] = acgraph.vector.Layer.prototype.circle;
 acgraph.vector.Layer.prototype['layer'] = acgraph.vector.Layer.prototype.layer;
 acgraph.vector.Layer.prototype['unmanagedLayer'] = acgraph.vector.Layer.prototype.unmanagedLayer;
@@ -0,0 +1,332 @@
+goog.provide('acgraph.vector.Marker');
+goog.require('acgraph.utils.IdGenerator');
+goog.require('acgraph.vector');
+goog.require('acgraph.vector.Ellipse');
+goog.require('acgraph.vector.PathBase');
+goog.require('acgraph.vector.primitives');
+goog.require('goog.Disposable');
+goog.require('goog.array');
+goog.require('goog.graphics.AffineTransform');
+goog.require('goog.math');
+
+
+
+/**
+ * Marker. Symbol drawn at the vertices of a path (see {@link acgraph.vector.Path#markerStart}).
+ * Markers with the same geometry and paint are shared by paths of the stage, see {@link acgraph.vector.Defs#getMarker}.
+ * @param {!acgraph.vector.Marker.Appearance} appearance Marker geometry and paint.
+ * @constructor
+ * @extends {goog.Disposable}
+ */
+acgraph.vector.Marker = function(appearance) {
+  goog.base(this);
+  /**
+   * Marker geometry and paint.
+   * @type {!acgraph.vector.Marker.Appearance}
+   */
+  this.appearance = appearance;
+};
+goog.inherits(acgraph.vector.Marker, goog.Disposable);
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Static members
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Marker positions on the path.
+ * @enum {string}
+ */
+acgraph.vector.Marker.Position = {
+  START: 'start',
+  MID: 'mid',
+  END: 'end'
+};
+
+
+/**
+ * Everything needed to render a marker: its geometry as SVG path data in the marker coordinates, solid fill and
+ * solid stroke. Colors are 'none' if there is no fill or stroke.
+ * @typedef {{
+ *   path: string,
+ *   fill: string,
+ *   fillOpacity: number,
+ *   stroke: string,
+ *   strokeOpacity: number,
+ *   thickness: number
+ * }}
+ */
+acgraph.vector.Marker.Appearance;
+
+
+/**
+ * Static method, which returns marker as string that identifies marker.
+ * @param {!acgraph.vector.Marker.Appearance} appearance Marker geometry and paint.
+ * @return {string} String id.
+ */
+acgraph.vector.Marker.serialize = function(appearance) {
+  return [appearance.path, appearance.fill, appearance.fillOpacity, appearance.stroke, appearance.strokeOpacity,
+    appearance.thickness].join(';');
+};
+
+
+/**
+ * Returns the marker of the path at the position.
+ * @param {!acgraph.vector.Path} path Path.
+ * @param {acgraph.vector.Marker.Position} position Position.
+ * @return {acgraph.vector.PathMarker} Marker or null.
+ */
+acgraph.vector.Marker.getPathMarker = function(path, position) {
+  switch (position) {
+    case acgraph.vector.Marker.Position.START:
+      return /** @type {acgraph.vector.PathMarker} */ (path.markerStart());
+    case acgraph.vector.Marker.Position.MID:
+      return /** @type {acgraph.vector.PathMarker} */ (path.markerMid());
+    default:
+      return /** @type {acgraph.vector.PathMarker} */ (path.markerEnd());
+  }
+};
+
+
+/**
+ * Draws the marker geometry to a new unbound path, in the marker coordinates: the vertex is the origin and the path
+ * goes along the X axis. Built-in markers are drawn by the primitives, geometry of custom paths and rects is copied,
+ * ellipses and circles are drawn with arcs.
+ * @param {!acgraph.vector.PathMarker} marker Marker.
+ * @param {boolean} reverse Whether the marker is at the path start, where arrows point backwards.
+ * @return {!acgraph.vector.Path} Marker geometry.
+ */
+acgraph.vector.Marker.getGeometry = function(marker, reverse) {
+  var shape = marker['shape'];
+  var path = acgraph.path();
+  if (shape instanceof acgraph.vector.PathBase) {
+    path.setHistoryValue('path', shape.getHistoryValue('path'));
+    return path;
+  }
+  if (shape instanceof acgraph.vector.Ellipse) {
+    path.circularArc(/** @type {number} */ (shape.centerX()), /** @type {number} */ (shape.centerY()),
+        /** @type {number} */ (shape.radiusX()), /** @type {number} */ (shape.radiusY()), 0, 360).close();
+    return path;
+  }
+
+  var radius = marker['size'] / 2;
+  if (!radius) return path;
+  switch (marker['type']) {
+    case acgraph.vector.MarkerType.ARROW:
+      // The tip of the triangle is at the vertex.
+      if (reverse)
+        acgraph.vector.primitives.triangleLeft(path, radius, 0, radius);
+      else
+        acgraph.vector.primitives.triangleRight(path, -radius, 0, radius);
+      break;
+    case acgraph.vector.MarkerType.CIRCLE:
+      path.circularArc(0, 0, radius, radius, 0, 360).close();
+      break;
+    case acgraph.vector.MarkerType.SQUARE:
+      acgraph.vector.primitives.star(path, 0, 0, radius * Math.SQRT2, radius, 4, 45);
+      break;
+    case acgraph.vector.MarkerType.DIAMOND:
+      acgraph.vector.primitives.diamond(path, 0, 0, radius);
+      break;
+  }
+  return path;
+};
+
+
+/**
+ * Returns geometry and paint of the path marker at the position. Built-in markers are filled with the path stroke,
+ * custom markers are painted with their own fill and stroke. Gradients are replaced with their first color.
+ * @param {!acgraph.vector.Path} path Path.
+ * @param {acgraph.vector.Marker.Position} position Position.
+ * @return {acgraph.vector.Marker.Appearance} Marker appearance or null, if there is no marker at the position.
+ */
+acgraph.vector.Marker.getAppearance = function(path, position) {
+  var marker = acgraph.vector.Marker.getPathMarker(path, position);
+  if (!marker) return null;
+  var shape = marker['shape'];
+  var fill = acgraph.vector.Marker.getSolidPaint_(shape ? shape.fill() : path.stroke());
+  var stroke = acgraph.vector.Marker.getSolidPaint_(shape ? shape.stroke() : 'none');
+  var geometry = acgraph.vector.Marker.getGeometry(marker, position == acgraph.vector.Marker.Position.START);
+  var pathData = geometry.toSvgPathData();
+  goog.dispose(geometry);
+  return {
+    path: pathData,
+    fill: fill.color,
+    fillOpacity: fill.opacity,
+    stroke: stroke.color,
+    strokeOpacity: stroke.opacity,
+    thickness: shape ? acgraph.vector.getThickness(/** @type {acgraph.vector.Stroke} */ (shape.stroke())) : 0
+  };
+};
+
+
+/**
+ * Draws the path markers at the position to the target path, in the path coordinates. This is the way markers are
+ * drawn by renderers that have no markers of their own.
+ * @param {!acgraph.vector.Path} path Path.
+ * @param {acgraph.vector.Marker.Position} position Position.
+ * @param {!acgraph.vector.Path} target Path to draw markers to.
+ * @param {?goog.graphics.AffineTransform=} opt_transform Transformation to apply to the markers.
+ */
+acgraph.vector.Marker.drawMarkers = function(path, position, target, opt_transform) {
+  var marker = acgraph.vector.Marker.getPathMarker(path, position);
+  if (!marker) return;
+  var vertices = path.getVertices();
+  if (!vertices.length) return;
+  switch (position) {
+    case acgraph.vector.Marker.Position.START:
+      vertices = [vertices[0]];
+      break;
+    case acgraph.vector.Marker.Position.MID:
+      vertices = goog.array.slice(vertices, 1, vertices.length - 1);
+      break;
+    default:
+      vertices = [goog.array.peek(vertices)];
+      break;
+  }
+
+  var geometry = acgraph.vector.Marker.getGeometry(marker, position == acgraph.vector.Marker.Position.START);
+  geometry.simplify();
+  goog.array.forEach(vertices, function(vertex) {
+    var tx = goog.graphics.AffineTransform.getTranslateInstance(vertex.x, vertex.y);
+    tx.rotate(goog.math.toRadians(vertex.angle), 0, 0);
+    if (opt_transform)
+      tx.preConcatenate(opt_transform);
+    geometry.forEachSegment(function(segment, args) {
+      var points = [];
+      tx.transform(args, 0, points, 0, args.length / 2);
+      switch (segment) {
+        case acgraph.vector.PathBase.Segment.MOVETO:
+          target.moveTo(points[0], points[1]);
+          break;
+        case acgraph.vector.PathBase.Segment.LINETO:
+          target.lineTo.apply(target, points);
+          break;
+        case acgraph.vector.PathBase.Segment.CURVETO:
+          target.curveTo.apply(target, points);
+          break;
+        case acgraph.vector.PathBase.Segment.CLOSE:
+          target.close();
+          break;
+      }
+    });
+  });
+  goog.dispose(geometry);
+};
+
+
+/**
+ * Returns solid color and opacity of the fill or stroke.
+ * @param {*} paint Normalized fill or stroke.
+ * @return {{color: string, opacity: number}} Color and opacity, color is 'none' if there is no color.
+ * @private
+ */
+acgraph.vector.Marker.getSolidPaint_ = function(paint) {
+  var color = 'none';
+  var opacity = 1;
+  if (goog.isString(paint)) {
+    color = paint;
+  } else if (goog.isObject(paint) && !(paint instanceof acgraph.vector.PatternFill)) {
+    if (goog.isNumber(paint['opacity']) && !isNaN(paint['opacity']))
+      opacity = paint['opacity'];
+    var key = goog.isArray(paint['keys']) ? paint['keys'][0] : null;
+    if (goog.isString(key)) {
+      color = key;
+    } else if (goog.isObject(key)) {
+      color = key['color'] || 'none';
+      if (goog.isNumber(key['opacity']) && !isNaN(key['opacity']))
+        opacity = key['opacity'];
+    } else if (goog.isString(paint['color'])) {
+      color = paint['color'];
+    }
+  }
+  return {color: color, opacity: opacity};
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Properties
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Is rendering finished or not.
+ * @type {boolean}
+ */
+acgraph.vector.Marker.prototype.rendered = false;
+
+
+/**
+ * Number of paths rendered with the marker, see {@link acgraph.vector.Path#setMarkerDef}.
+ * @type {number}
+ */
+acgraph.vector.Marker.prototype.usages = 0;
+
+
+/**
+ * If marker is rendered - we need Defs instance here, so we could remove marker in a valid way.
+ * @type {acgraph.vector.Defs}
+ */
+acgraph.vector.Marker.prototype.defs = null;
+
+
+/**
+ * Marker DOM element in defs, it is kept to remove the marker from defs of any stage, attached to the document or not.
+ * @type {Element}
+ */
+acgraph.vector.Marker.prototype.domElement = null;
+
+
+/**
+ * Marker id.
+ * @type {string}
+ */
+acgraph.vector.Marker.prototype.id_;
+
+
+/**
+ * Returns auto-generated marker id.
+ * @return {!string} Returns marker id.
+ */
+acgraph.vector.Marker.prototype.id = function() {
+  return this.id_ || (this.id_ = acgraph.utils.IdGenerator.getInstance().generateId(this));
+};
+
+
+/**
+ * Returns type prefix.
+ * @return {acgraph.utils.IdGenerator.ElementTypePrefix} Type prefix.
+ */
+acgraph.vector.Marker.prototype.getElementTypePrefix = function() {
+  return acgraph.utils.IdGenerator.ElementTypePrefix.MARKER;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Disposing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Disposes marker completely, removes it from defs and DOM structure.
+ */
+acgraph.vector.Marker.prototype.dispose = function() {
+  goog.base(this, 'dispose');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Marker.prototype.disposeInternal = function() {
+  if (this.defs) {
+    this.defs.removeMarker(this);
+    this.defs = null;
+  }
+  this.domElement = null;
+  delete this.appearance;
+  goog.base(this, 'disposeInternal');
+};
+
+
+//exports
+acgraph.vector.Marker.prototype['dispose'] = acgraph.vector.Marker.prototype.dispose;
@@ -0,0 +1,388 @@
+goog.provide('acgraph.vector.Mask');
+goog.require('acgraph.vector.ILayer');
+goog.require('goog.Disposable');
+goog.require('goog.array');
+
+
+
+/**
+ * Class representing independent soft mask, that can be applied to any element.
+ * Mask content is any layer or shape, including gradient filled ones. Luminance mask makes the element as opaque
+ * as the content is light, alpha mask makes it as opaque as the content is.<br/>
+ * Masks are rendered by the SVG renderers only. VML has no soft masks, so VML renderer ignores them and the masked
+ * element is rendered as is, canvas renderer ignores them too.
+ * @param {acgraph.vector.Stage} stage Stage where mask is creating.
+ * @param {(acgraph.vector.Layer|acgraph.vector.Shape)=} opt_element Mask content.
+ * @param {(acgraph.vector.MaskType|string)=} opt_type Mask type, 'luminance' by default.
+ * @constructor
+ * @extends {goog.Disposable}
+ * @implements {acgraph.vector.ILayer}
+ */
+acgraph.vector.Mask = function(stage, opt_element, opt_type) {
+  goog.base(this);
+
+  /**
+   * Stage.
+   * @type {acgraph.vector.Stage}
+   * @private
+   */
+  this.stage_ = stage;
+
+  /**
+   * Flag shows that mask should be rendered on render phase.
+   * @type {boolean}
+   * @private
+   */
+  this.dirty_ = false;
+
+  /**
+   * Array of elements that are masked by this mask.
+   * @type {Array.<!acgraph.vector.Element>}
+   * @protected
+   */
+  this.elements = [];
+
+  /**
+   * Id of mask element.
+   * Also shows if mask was rendered and exists in DOM structure.
+   * @type {?string}
+   * @private
+   */
+  this.id_ = null;
+
+  /**
+   * Mask content.
+   * @type {acgraph.vector.Element}
+   * @private
+   */
+  this.element_ = null;
+
+  /**
+   * Mask type.
+   * @type {acgraph.vector.MaskType}
+   * @private
+   */
+  this.type_ = acgraph.vector.MaskType.LUMINANCE;
+
+  if (opt_element)
+    this.element(opt_element);
+  if (goog.isDef(opt_type))
+    this.type(opt_type);
+};
+goog.inherits(acgraph.vector.Mask, goog.Disposable);
+
+
+/**
+ * Half size of the square mask region. Region doesn't depend on the content bounds, so it is never updated.
+ * @type {number}
+ */
+acgraph.vector.Mask.REGION_SIZE = 1e6;
+
+
+/**
+ * Set stage.
+ * @param {acgraph.vector.Stage=} opt_value
+ * @return {acgraph.vector.Stage|acgraph.vector.Mask}
+ */
+acgraph.vector.Mask.prototype.stage = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    this.stage_ = opt_value;
+    if (this.dirty_) this.stage_.addMaskForRender(this);
+    return this;
+  }
+  return this.stage_;
+};
+
+
+/**
+ Getter/setter for the mask content.
+ @param {(acgraph.vector.Layer|acgraph.vector.Shape|null)=} opt_value Layer or shape.
+ @return {acgraph.vector.Element|acgraph.vector.Mask} Mask content or self for method chaining.
+ */
+acgraph.vector.Mask.prototype.element = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    if (opt_value != this.element_) {
+      if (this.element_)
+        this.element_.parent(null);
+      if (opt_value)
+        opt_value.parent(this);
+      this.element_ = opt_value || null;
+      this.needUpdateMask_();
+    }
+    return this;
+  }
+  return this.element_;
+};
+
+
+/**
+ Getter/setter for the mask type.
+ @param {(acgraph.vector.MaskType|string)=} opt_value Mask type.
+ @return {acgraph.vector.MaskType|acgraph.vector.Mask} Mask type or self for method chaining.
+ */
+acgraph.vector.Mask.prototype.type = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    var type = opt_value == acgraph.vector.MaskType.ALPHA ?
+        acgraph.vector.MaskType.ALPHA :
+        acgraph.vector.MaskType.LUMINANCE;
+    if (type != this.type_) {
+      this.type_ = type;
+      this.needUpdateMask_();
+    }
+    return this;
+  }
+  return this.type_;
+};
+
+
+/**
+ * Shows if mask need be rendered.
+ * @return {boolean} Whether mask need to be rendered.
+ */
+acgraph.vector.Mask.prototype.isDirty = function() {
+  return this.dirty_;
+};
+
+
+/**
+ * Tells stage that mask should be updated on render.
+ * @private
+ */
+acgraph.vector.Mask.prototype.needUpdateMask_ = function() {
+  if (!this.dirty_) {
+    this.dirty_ = true;
+    if (this.stage_) this.stage_.addMaskForRender(this);
+  }
+};
+
+
+/**
+ * Getter/setter for mask id setting.
+ * @param {?string=} opt_value Id to set.
+ * @return {string|acgraph.vector.Mask} Mask id or self for chaining.
+ */
+acgraph.vector.Mask.prototype.id = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    this.id_ = opt_value;
+    return this;
+  }
+  return this.id_;
+};
+
+
+/**
+ * Updates mask element for elements.
+ */
+acgraph.vector.Mask.prototype.render = function() {
+  this.dirty_ = false;
+
+  if (!this.id_)
+    return;
+  this.getRenderer().updateMask(this);
+};
+
+
+/**
+ * Adds element to managing by this mask.
+ * @param {acgraph.vector.Element} element
+ */
+acgraph.vector.Mask.prototype.addElement = function(element) {
+  goog.array.insert(this.elements, element);
+};
+
+
+/**
+ * Removes element from managing by current mask. Mask element is removed from defs when the last element
+ * lets go of the mask.
+ * @param {!acgraph.vector.Element} element
+ */
+acgraph.vector.Mask.prototype.removeElement = function(element) {
+  goog.array.remove(this.elements, element);
+  if (!this.elements.length && this.id_)
+    this.getRenderer().removeMask(this);
+};
+
+
+/**
+ * Getter for elements.
+ * @return {Array.<!acgraph.vector.Element>} Elements.
+ */
+acgraph.vector.Mask.prototype.getElements = function() {
+  return this.elements;
+};
+
+
+/**
+ * Serialize Mask object to JSON data.
+ * @return {Object} Serialized Mask. JSON data.
+ */
+acgraph.vector.Mask.prototype.serialize = function() {
+  var data = {};
+  data['type'] = this.type_;
+  if (this.element_)
+    data['element'] = this.element_.serialize();
+  return data;
+};
+
+
+/**
+ * Deserialize JSON data to Mask object.
+ * @param {Object} data Data for deserialization.
+ */
+acgraph.vector.Mask.prototype.deserialize = function(data) {
+  var elementData = data['element'];
+  var primitive;
+  switch (elementData ? elementData['type'] : null) {
+    case 'layer':
+      primitive = acgraph.layer();
+      break;
+    case 'rect':
+      primitive = acgraph.rect();
+      break;
+    case 'circle':
+      primitive = acgraph.circle();
+      break;
+    case 'ellipse':
+      primitive = acgraph.ellipse();
+      break;
+    case 'path':
+      primitive = acgraph.path();
+      break;
+    default:
+      primitive = null;
+      break;
+  }
+  if (primitive) {
+    primitive.deserialize(elementData);
+    this.element(primitive);
+  }
+  if (data['type'])
+    this.type(data['type']);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  ILayer members
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * @param {!acgraph.vector.Element} child .
+ * @return {!acgraph.vector.ILayer} .
+ */
+acgraph.vector.Mask.prototype.addChild = function(child) {
+  child.remove();
+  child.setParent(this);
+  this.needUpdateMask_();
+  return this;
+};
+
+
+/**
+ * @param {acgraph.vector.Element} element Element to be removed.
+ * @return {acgraph.vector.Element} Removed element or null.
+ */
+acgraph.vector.Mask.prototype.removeChild = function(element) {
+  if (element == this.element_)
+    this.element_ = null;
+  element.setParent(null);
+  var dom = element.domElement();
+  if (dom)
+    this.getRenderer().removeNode(dom);
+  this.needUpdateMask_();
+  return element;
+};
+
+
+/**
+ * Returns full transformation (self and parent transformations combined).
+ * @return {goog.graphics.AffineTransform} Full transformation.
+ */
+acgraph.vector.Mask.prototype.getFullTransformation = function() {
+  return null;
+};
+
+
+/**
+ * @param {acgraph.vector.Element} child .
+ */
+acgraph.vector.Mask.prototype.notifyRemoved = function(child) {
+
+};
+
+
+/**
+ * Mask content is not clipped by the mask, so the mask doesn't track its clip.
+ */
+acgraph.vector.Mask.prototype.childClipChanged = goog.nullFunction;
+
+
+/**
+ * Mask updates itself when its content changes, so it doesn't track bounds of the content.
+ * @param {!acgraph.vector.Element} child .
+ */
+acgraph.vector.Mask.prototype.childBoundsChanged = goog.nullFunction;
+
+
+/**
+ * @return {acgraph.vector.Stage} Stage (may be null).
+ */
+acgraph.vector.Mask.prototype.getStage = function() {
+  return /** @type {acgraph.vector.Stage} */(this.stage());
+};
+
+
+/**
+ * Returns renderer of the mask stage or the default renderer if the mask is not bound to a stage.
+ * @return {!acgraph.vector.Renderer} Renderer.
+ */
+acgraph.vector.Mask.prototype.getRenderer = function() {
+  var stage = this.getStage();
+  return stage ? stage.getRenderer() : acgraph.getRenderer();
+};
+
+
+/**
+ * Sets dirty state.
+ * @param {number} value States to be set.
+ */
+acgraph.vector.Mask.prototype.setDirtyState = function(value) {
+  this.needUpdateMask_();
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Disposing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Disposes mask. Removes it and its content from defs, clears mask for managed elements.
+ */
+acgraph.vector.Mask.prototype.dispose = function() {
+  goog.base(this, 'dispose');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Mask.prototype.disposeInternal = function() {
+  if (this.stage_) this.stage_.removeMaskFromRender(this);
+  this.getRenderer().disposeMask(this);
+
+  goog.dispose(this.element_);
+
+  delete this.stage_;
+  delete this.id_;
+  delete this.elements;
+  delete this.dirty_;
+  delete this.element_;
+  delete this.type_;
+
+  goog.base(this, 'disposeInternal');
+};
+
+
+//exports
+acgraph.vector.Mask.prototype['element'] = acgraph.vector.Mask.prototype.element;
+acgraph.vector.Mask.prototype['type'] = acgraph.vector.Mask.prototype.type;
+acgraph.vector.Mask.prototype['dispose'] = acgraph.vector.Mask.prototype.dispose;
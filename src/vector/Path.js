@@ -1,6 +1,13 @@
 goog.provide('acgraph.vector.Path');
 
+goog.require('acgraph.error');
+goog.require('acgraph.math');
+goog.require('acgraph.utils.pathBoolean');
+goog.require('acgraph.utils.pathOutline');
 goog.require('acgraph.vector.PathBase');
+goog.require('acgraph.vector.PathInterpolator');
+goog.require('goog.math');
+goog.require('goog.object');
 
 
 
@@ -21,16 +28,54 @@ goog.require('acgraph.vector.PathBase');
  @extends {acgraph.vector.PathBase}
  */
 acgraph.vector.Path = function() {
+  /**
+   * Marker at the path start.
+   * @type {acgraph.vector.PathMarker}
+   * @private
+   */
+  this.markerStart_ = null;
+
+  /**
+   * Marker at the path vertices between the start and the end.
+   * @type {acgraph.vector.PathMarker}
+   * @private
+   */
+  this.markerMid_ = null;
+
+  /**
+   * Marker at the path end.
+   * @type {acgraph.vector.PathMarker}
+   * @private
+   */
+  this.markerEnd_ = null;
+
+  /**
+   * Marker defs the path is rendered with, by marker position. Used by renderers that render markers to defs.
+   * @type {!Object.<string, acgraph.vector.Marker>}
+   * @private
+   */
+  this.markerDefs_ = {};
+
   goog.base(this);
 };
 goog.inherits(acgraph.vector.Path, acgraph.vector.PathBase);
 
 
+/**
+ * Supported states. Inherited from PathBase and markers added.
+ * @type {number}
+ */
+acgraph.vector.Path.prototype.SUPPORTED_DIRTY_STATES =
+    acgraph.vector.PathBase.prototype.SUPPORTED_DIRTY_STATES |
+        acgraph.vector.Element.DirtyState.MARKERS;
+
+
 /**
  Resets all path operations.
  @return {!acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
  */
 acgraph.vector.Path.prototype.clear = function() {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (this.clearInternal());
 };
 
@@ -43,6 +88,7 @@ acgraph.vector.Path.prototype.clear = function() {
  @return {!acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
  */
 acgraph.vector.Path.prototype.moveTo = function(x, y) {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (this.moveToInternal(x, y));
 };
 
@@ -55,6 +101,7 @@ acgraph.vector.Path.prototype.moveTo = function(x, y) {
  @return {!acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
  */
 acgraph.vector.Path.prototype.lineTo = function(x, y, var_args) {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (acgraph.vector.PathBase.prototype.lineToInternal.apply(this, arguments));
 };
 
@@ -72,6 +119,7 @@ acgraph.vector.Path.prototype.lineTo = function(x, y, var_args) {
  @return {!acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
  */
 acgraph.vector.Path.prototype.curveTo = function(control1X, control1Y, control2X, control2Y, endX, endY, var_args) {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (acgraph.vector.PathBase.prototype.curveToInternal.apply(this, arguments));
 };
 
@@ -87,6 +135,7 @@ acgraph.vector.Path.prototype.curveTo = function(control1X, control1Y, control2X
  @return {!acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
  */
 acgraph.vector.Path.prototype.quadraticCurveTo = function(controlX, controlY, endX, endY, var_args) {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (acgraph.vector.PathBase.prototype.quadraticCurveToInternal.apply(this, arguments));
 };
 
@@ -104,6 +153,7 @@ acgraph.vector.Path.prototype.quadraticCurveTo = function(controlX, controlY, en
  * @return {acgraph.vector.Path} Path with predefined data (emulate circle arc).
  */
 acgraph.vector.Path.prototype.circularArc = function(cx, cy, rx, ry, from, sweep, opt_lineTo) {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (this.circularArcInternal(cx, cy, rx, ry, from, sweep, opt_lineTo));
 };
 
@@ -121,6 +171,7 @@ acgraph.vector.Path.prototype.circularArc = function(cx, cy, rx, ry, from, sweep
  @return {acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
  */
 acgraph.vector.Path.prototype.arcToByEndPoint = function(x, y, rx, ry, largeArc, clockwiseArc) {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (this.arcToByEndPointInternal(x, y, rx, ry, largeArc, clockwiseArc));
 };
 
@@ -136,6 +187,7 @@ acgraph.vector.Path.prototype.arcToByEndPoint = function(x, y, rx, ry, largeArc,
  @return {!acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
 */
 acgraph.vector.Path.prototype.arcTo = function(rx, ry, fromAngle, extent) {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (this.arcToInternal(rx, ry, fromAngle, extent));
 };
 
@@ -153,6 +205,7 @@ acgraph.vector.Path.prototype.arcTo = function(rx, ry, fromAngle, extent) {
  @return {!acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
  */
 acgraph.vector.Path.prototype.arcToAsCurves = function(rx, ry, fromAngle, extent) {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (this.arcToAsCurvesInternal(rx, ry, fromAngle, extent));
 };
 
@@ -162,6 +215,7 @@ acgraph.vector.Path.prototype.arcToAsCurves = function(rx, ry, fromAngle, extent
  @return {!acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
  */
 acgraph.vector.Path.prototype.close = function() {
+  this.recordChange('path');
   return /** @type {!acgraph.vector.Path} */ (this.closeInternal());
 };
 
@@ -175,6 +229,620 @@ acgraph.vector.Path.prototype.getCurrentPoint = function() {
 };
 
 
+/**
+ Replaces path data with the commands parsed from an SVG path data string
+ (the value of the <b>d</b> attribute of the SVG path element).<br/>
+ The full SVG path grammar is supported: absolute and relative commands, horizontal and vertical lines,
+ smooth cubic and quadratic curves (S/T) and elliptical arcs. Arcs without X-axis rotation are added as
+ arc segments, rotated arcs are approximated by Bézier curves.<br/>
+ {@link http://www.w3.org/TR/SVG/paths.html#PathData}
+ @param {string} d SVG path data, e.g. "M10 10 L20 20 h10 a5 5 0 0 1 5 5 z".
+ @return {!acgraph.vector.Path} {@link acgraph.vector.Path} instance for method chaining.
+ */
+acgraph.vector.Path.prototype.fromSvgPathData = function(d) {
+  this.recordChange('path');
+  var commands = acgraph.vector.Path.parseSvgPathData_(d);
+  var x = 0, y = 0;
+  var startX = 0, startY = 0;
+  // The control point of the previous curve, used to reflect it for smooth curves.
+  var controlX = 0, controlY = 0;
+  var prevType = null;
+  var i, j, command, type, args, relative, x1, y1, x2, y2;
+
+  this.clearInternal();
+  for (i = 0; i < commands.length; i++) {
+    command = commands[i];
+    type = command[0].toUpperCase();
+    relative = type != command[0];
+    args = command.slice(1);
+
+    if (type == 'Z') {
+      this.closeInternal();
+      x = startX;
+      y = startY;
+      prevType = type;
+      continue;
+    }
+
+    var argsCount = acgraph.vector.Path.SVG_ARGS_COUNT_[type];
+    for (j = 0; j < args.length; j += argsCount) {
+      var dx = relative ? x : 0;
+      var dy = relative ? y : 0;
+      switch (type) {
+        case 'M':
+          x = args[j] + dx;
+          y = args[j + 1] + dy;
+          // Subsequent pairs of coordinates are treated as implicit lineto commands.
+          if (j) {
+            this.lineToInternal(x, y);
+          } else {
+            this.moveToInternal(x, y);
+            startX = x;
+            startY = y;
+          }
+          break;
+        case 'L':
+          x = args[j] + dx;
+          y = args[j + 1] + dy;
+          this.lineToInternal(x, y);
+          break;
+        case 'H':
+          x = args[j] + dx;
+          this.lineToInternal(x, y);
+          break;
+        case 'V':
+          y = args[j] + dy;
+          this.lineToInternal(x, y);
+          break;
+        case 'C':
+        case 'S':
+          var offset = j;
+          if (type == 'C') {
+            x1 = args[offset++] + dx;
+            y1 = args[offset++] + dy;
+          } else if (prevType == 'C' || prevType == 'S') {
+            x1 = 2 * x - controlX;
+            y1 = 2 * y - controlY;
+          } else {
+            x1 = x;
+            y1 = y;
+          }
+          controlX = args[offset] + dx;
+          controlY = args[offset + 1] + dy;
+          x = args[offset + 2] + dx;
+          y = args[offset + 3] + dy;
+          this.curveToInternal(x1, y1, controlX, controlY, x, y);
+          break;
+        case 'Q':
+        case 'T':
+          if (type == 'Q') {
+            controlX = args[j] + dx;
+            controlY = args[j + 1] + dy;
+            x2 = args[j + 2] + dx;
+            y2 = args[j + 3] + dy;
+          } else {
+            if (prevType == 'Q' || prevType == 'T') {
+              controlX = 2 * x - controlX;
+              controlY = 2 * y - controlY;
+            } else {
+              controlX = x;
+              controlY = y;
+            }
+            x2 = args[j] + dx;
+            y2 = args[j + 1] + dy;
+          }
+          this.quadraticCurveToInternal(controlX, controlY, x2, y2);
+          x = x2;
+          y = y2;
+          break;
+        case 'A':
+          x2 = args[j + 5] + dx;
+          y2 = args[j + 6] + dy;
+          var rx = args[j], ry = args[j + 1], rotation = args[j + 2] % 180;
+          if (!rx || !ry || !rotation) {
+            this.arcToByEndPointInternal(x2, y2, rx, ry, !!args[j + 3], !!args[j + 4]);
+          } else {
+            var curves = acgraph.vector.Path.rotatedArcToCurves_(x, y, rx, ry, rotation, !!args[j + 3], !!args[j + 4],
+                x2, y2);
+            if (curves.length)
+              this.curveToInternal.apply(this, curves);
+          }
+          x = x2;
+          y = y2;
+          break;
+      }
+      prevType = type;
+    }
+  }
+  return this;
+};
+
+
+/**
+ Returns path data as an SVG path data string, which can be used as the value of the <b>d</b> attribute
+ of the SVG path element or passed to {@link acgraph.vector.Path#fromSvgPathData}.<br/>
+ All commands are absolute, arcs are represented by SVG elliptical arc commands.
+ @return {string} SVG path data. Empty string if the path is empty.
+ */
+acgraph.vector.Path.prototype.toSvgPathData = function() {
+  var list = [];
+  this.forEachSegment(function(segment, args) {
+    switch (segment) {
+      case acgraph.vector.PathBase.Segment.MOVETO:
+        list.push('M');
+        Array.prototype.push.apply(list, args);
+        break;
+      case acgraph.vector.PathBase.Segment.LINETO:
+        list.push('L');
+        Array.prototype.push.apply(list, args);
+        break;
+      case acgraph.vector.PathBase.Segment.CURVETO:
+        list.push('C');
+        Array.prototype.push.apply(list, args);
+        break;
+      case acgraph.vector.PathBase.Segment.ARCTO:
+        var extent = args[3];
+        list.push('A', args[0], args[1],
+            0, Math.abs(extent) > 180 ? 1 : 0, extent > 0 ? 1 : 0,
+            args[4], args[5]);
+        break;
+      case acgraph.vector.PathBase.Segment.CLOSE:
+        list.push('Z');
+        break;
+    }
+  });
+  return list.join(' ');
+};
+
+
+/**
+ Returns a new path with the area of this path and the passed one.<br/>
+ Curves and arcs are flattened to line segments, so the result consists of closed polygons. Paths are combined in
+ their parent coordinates, their transformations are applied to the result geometry.
+ @param {!acgraph.vector.PathBase} path The path to unite with.
+ @param {acgraph.vector.PathOperationOptions=} opt_options Fill rule and flattening tolerance.
+ @return {!acgraph.vector.Path} New unbound path.
+ */
+acgraph.vector.Path.prototype.union = function(path, opt_options) {
+  return acgraph.utils.pathBoolean.compute(this, path, acgraph.vector.PathOperation.UNION, opt_options);
+};
+
+
+/**
+ Returns a new path with the area common to this path and the passed one.
+ Read more at {@link acgraph.vector.Path#union}.
+ @param {!acgraph.vector.PathBase} path The path to intersect with.
+ @param {acgraph.vector.PathOperationOptions=} opt_options Fill rule and flattening tolerance.
+ @return {!acgraph.vector.Path} New unbound path.
+ */
+acgraph.vector.Path.prototype.intersection = function(path, opt_options) {
+  return acgraph.utils.pathBoolean.compute(this, path, acgraph.vector.PathOperation.INTERSECTION, opt_options);
+};
+
+
+/**
+ Returns a new path with the area of this path that is out of the passed one.
+ Read more at {@link acgraph.vector.Path#union}.
+ @param {!acgraph.vector.PathBase} path The path to subtract.
+ @param {acgraph.vector.PathOperationOptions=} opt_options Fill rule and flattening tolerance.
+ @return {!acgraph.vector.Path} New unbound path.
+ */
+acgraph.vector.Path.prototype.difference = function(path, opt_options) {
+  return acgraph.utils.pathBoolean.compute(this, path, acgraph.vector.PathOperation.DIFFERENCE, opt_options);
+};
+
+
+/**
+ Returns a new path with the area of exactly one of this path and the passed one.
+ Read more at {@link acgraph.vector.Path#union}.
+ @param {!acgraph.vector.PathBase} path The path to combine with.
+ @param {acgraph.vector.PathOperationOptions=} opt_options Fill rule and flattening tolerance.
+ @return {!acgraph.vector.Path} New unbound path.
+ */
+acgraph.vector.Path.prototype.xor = function(path, opt_options) {
+  return acgraph.utils.pathBoolean.compute(this, path, acgraph.vector.PathOperation.XOR, opt_options);
+};
+
+
+/**
+ Returns a new path with the area of this path grown by the distance, or shrunk by it if the distance is negative.<br/>
+ Corners the area grows around are shaped by the join type, miter corners that are too long are beveled, like they
+ are for strokes. Curves and arcs are flattened to line segments, the path transformation is applied to the result
+ geometry, read more at {@link acgraph.vector.Path#union}.
+ @param {number} distance Offset distance.
+ @param {(acgraph.vector.StrokeLineJoin|string)=} opt_joinType Corners shape, 'miter' by default.
+ @param {number=} opt_miterLimit Limit of the ratio of the miter length to the doubled distance, 4 by default.
+ @return {!acgraph.vector.Path} New unbound path.
+ */
+acgraph.vector.Path.prototype.offset = function(distance, opt_joinType, opt_miterLimit) {
+  return acgraph.utils.pathOutline.offset(this, distance, opt_joinType, opt_miterLimit);
+};
+
+
+/**
+ Returns a new path with the area covered by the stroke of this path, so it can be filled, clipped or combined with
+ other paths.<br/>
+ Stroke thickness, line join and line cap are respected, miter joins are beveled when the miter is longer than four
+ thicknesses, like renderers do. Dashes are not taken into account. Curves and arcs are flattened to line segments,
+ the path transformation is applied to the result geometry, read more at {@link acgraph.vector.Path#union}.
+ @param {(acgraph.vector.Stroke|string)=} opt_stroke Stroke to outline, the path stroke by default.
+ @return {!acgraph.vector.Path} New unbound path.
+ */
+acgraph.vector.Path.prototype.strokeToPath = function(opt_stroke) {
+  var stroke = goog.isDef(opt_stroke) ?
+      acgraph.vector.normalizeStroke(opt_stroke) :
+      /** @type {acgraph.vector.Stroke} */(this.stroke());
+  return acgraph.utils.pathOutline.strokeToPath(this, stroke);
+};
+
+
+/**
+ Getter/setter for the marker at the path start.<br/>
+ Markers are turned along the path automatically. Built-in markers are filled with the path stroke color, arrow
+ at the start points backwards. Custom marker is any path, rect, circle or ellipse drawn in the coordinates where
+ the vertex is the origin and the X axis goes along the path, it is painted with its own fill and stroke, later
+ changes of the shape are applied when the marker is set again. The shape transformation is not applied.
+ Gradients are replaced with their first color.<br/>
+ SVG markers are rendered to defs and are drawn by the browser. VML has no markers, so the marker geometry is added
+ to the path geometry and is painted with the path fill and stroke.
+ @param {(acgraph.vector.MarkerType|string|acgraph.vector.Shape|null)=} opt_typeOrShape Built-in marker type or
+    custom marker shape, 'none' or null to remove the marker.
+ @param {number=} opt_size Built-in marker size, the diameter of the circle it fits in, 10 by default.
+ @return {(acgraph.vector.PathMarker|!acgraph.vector.Path)} Marker or self for method chaining.
+ */
+acgraph.vector.Path.prototype.markerStart = function(opt_typeOrShape, opt_size) {
+  if (goog.isDef(opt_typeOrShape)) {
+    this.recordChange('markers');
+    var marker = acgraph.vector.normalizeMarker(opt_typeOrShape, opt_size);
+    var changed = acgraph.vector.Path.isMarkerChanged_(this.markerStart_, marker);
+    this.markerStart_ = marker;
+    if (changed)
+      this.setDirtyState(acgraph.vector.Element.DirtyState.MARKERS);
+    return this;
+  }
+  return this.markerStart_;
+};
+
+
+/**
+ Getter/setter for the marker at every path vertex except the start and the end.
+ The marker is turned along the bisector of the path directions before and after the vertex.
+ Read more at {@link acgraph.vector.Path#markerStart}.
+ @param {(acgraph.vector.MarkerType|string|acgraph.vector.Shape|null)=} opt_typeOrShape Built-in marker type or
+    custom marker shape, 'none' or null to remove the marker.
+ @param {number=} opt_size Built-in marker size, the diameter of the circle it fits in, 10 by default.
+ @return {(acgraph.vector.PathMarker|!acgraph.vector.Path)} Marker or self for method chaining.
+ */
+acgraph.vector.Path.prototype.markerMid = function(opt_typeOrShape, opt_size) {
+  if (goog.isDef(opt_typeOrShape)) {
+    this.recordChange('markers');
+    var marker = acgraph.vector.normalizeMarker(opt_typeOrShape, opt_size);
+    var changed = acgraph.vector.Path.isMarkerChanged_(this.markerMid_, marker);
+    this.markerMid_ = marker;
+    if (changed)
+      this.setDirtyState(acgraph.vector.Element.DirtyState.MARKERS);
+    return this;
+  }
+  return this.markerMid_;
+};
+
+
+/**
+ Getter/setter for the marker at the path end.
+ Read more at {@link acgraph.vector.Path#markerStart}.
+ @param {(acgraph.vector.MarkerType|string|acgraph.vector.Shape|null)=} opt_typeOrShape Built-in marker type or
+    custom marker shape, 'none' or null to remove the marker.
+ @param {number=} opt_size Built-in marker size, the diameter of the circle it fits in, 10 by default.
+ @return {(acgraph.vector.PathMarker|!acgraph.vector.Path)} Marker or self for method chaining.
+ */
+acgraph.vector.Path.prototype.markerEnd = function(opt_typeOrShape, opt_size) {
+  if (goog.isDef(opt_typeOrShape)) {
+    this.recordChange('markers');
+    var marker = acgraph.vector.normalizeMarker(opt_typeOrShape, opt_size);
+    var changed = acgraph.vector.Path.isMarkerChanged_(this.markerEnd_, marker);
+    this.markerEnd_ = marker;
+    if (changed)
+      this.setDirtyState(acgraph.vector.Element.DirtyState.MARKERS);
+    return this;
+  }
+  return this.markerEnd_;
+};
+
+
+/**
+ * Whether the new marker differs from the current one.
+ * @param {acgraph.vector.PathMarker} current Current marker.
+ * @param {acgraph.vector.PathMarker} marker New normalized marker.
+ * @return {boolean} Whether the markers should be rendered again.
+ * @private
+ */
+acgraph.vector.Path.isMarkerChanged_ = function(current, marker) {
+  // Custom shape could be changed since it was set, so it is always updated.
+  return marker ?
+      !current || !!marker['shape'] || marker['type'] != current['type'] || marker['size'] != current['size'] :
+      !!current;
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Path.prototype.renderInternal = function() {
+  // Built-in markers are painted with the stroke, so they are updated with it.
+  var markersChanged = this.hasDirtyState(acgraph.vector.Element.DirtyState.MARKERS) ||
+      this.hasDirtyState(acgraph.vector.Element.DirtyState.STROKE);
+
+  goog.base(this, 'renderInternal');
+
+  if (markersChanged)
+    this.renderMarkers();
+};
+
+
+/**
+ * Applies markers to DOM element.
+ * @protected
+ */
+acgraph.vector.Path.prototype.renderMarkers = function() {
+  this.getRenderer().setPathMarkers(this);
+  this.clearDirtyState(acgraph.vector.Element.DirtyState.MARKERS);
+};
+
+
+/**
+ * Sets the marker def the path is rendered with at the position. Marker defs are shared by paths with the same
+ * markers, so the previous def is disposed when no path uses it anymore.
+ * @param {acgraph.vector.Marker.Position} position Marker position.
+ * @param {acgraph.vector.Marker} marker Marker def or null.
+ */
+acgraph.vector.Path.prototype.setMarkerDef = function(position, marker) {
+  var current = this.markerDefs_[position] || null;
+  if (current == marker) return;
+  if (marker)
+    marker.usages++;
+  this.markerDefs_[position] = marker;
+  if (current && !--current.usages)
+    current.dispose();
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Path.prototype.createPropertyAnimator = function(key, value) {
+  if (key == 'path' && value instanceof acgraph.vector.PathBase) {
+    var interpolator = new acgraph.vector.PathInterpolator(this, value);
+    return goog.bind(function(t) {
+      interpolator.interpolate(t, this);
+    }, this);
+  }
+  return goog.base(this, 'createPropertyAnimator', key, value);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Path.prototype.getHistoryValue = function(key) {
+  if (key == 'markers')
+    return [this.markerStart_, this.markerMid_, this.markerEnd_];
+  return goog.base(this, 'getHistoryValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Path.prototype.setHistoryValue = function(key, value) {
+  if (key == 'markers') {
+    this.markerStart_ = value[0];
+    this.markerMid_ = value[1];
+    this.markerEnd_ = value[2];
+    this.setDirtyState(acgraph.vector.Element.DirtyState.MARKERS);
+  } else {
+    goog.base(this, 'setHistoryValue', key, value);
+  }
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Path.prototype.disposeInternal = function() {
+  goog.object.forEach(this.markerDefs_, function(marker, position) {
+    this.setMarkerDef(/** @type {acgraph.vector.Marker.Position} */(position), null);
+  }, this);
+  goog.base(this, 'disposeInternal');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Path.prototype.deserialize = function(data) {
+  goog.object.forEach({'markerStart': this.markerStart, 'markerMid': this.markerMid, 'markerEnd': this.markerEnd},
+      function(setter, key) {
+        var marker = data[key];
+        if (!marker) return;
+        var shape = null;
+        switch (marker['shape'] ? marker['shape']['type'] : null) {
+          case 'rect':
+            shape = acgraph.rect();
+            break;
+          case 'circle':
+            shape = acgraph.circle();
+            break;
+          case 'ellipse':
+            shape = acgraph.ellipse();
+            break;
+          case 'path':
+            shape = acgraph.path();
+            break;
+        }
+        if (shape)
+          shape.deserialize(marker['shape']);
+        setter.call(this, shape || marker['type'], marker['size']);
+      }, this);
+  goog.base(this, 'deserialize', data);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Path.prototype.serialize = function() {
+  var data = goog.base(this, 'serialize');
+  goog.object.forEach({'markerStart': this.markerStart_, 'markerMid': this.markerMid_, 'markerEnd': this.markerEnd_},
+      function(marker, key) {
+        if (marker)
+          data[key] = marker['shape'] ?
+              {'shape': marker['shape'].serialize(), 'size': marker['size']} :
+              {'type': marker['type'], 'size': marker['size']};
+      });
+  return data;
+};
+
+
+/**
+ * Number of arguments of each SVG path command.
+ * @type {Object.<string, number>}
+ * @private
+ */
+acgraph.vector.Path.SVG_ARGS_COUNT_ = {
+  'M': 2,
+  'L': 2,
+  'H': 1,
+  'V': 1,
+  'C': 6,
+  'S': 4,
+  'Q': 4,
+  'T': 2,
+  'A': 7,
+  'Z': 0
+};
+
+
+/**
+ * Regular expression matching a number in SVG path data.
+ * @type {RegExp}
+ * @private
+ */
+acgraph.vector.Path.SVG_NUMBER_RE_ = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+
+/**
+ * Splits SVG path data into commands. Each command is represented by an array containing the command letter
+ * followed by its numeric arguments. Arc flags are read as single digits, since they can be written
+ * without separators (e.g. "a1 1 0 005 5").
+ * @param {string} d SVG path data.
+ * @return {!Array.<!Array.<(string|number)>>} Commands.
+ * @private
+ */
+acgraph.vector.Path.parseSvgPathData_ = function(d) {
+  var error = acgraph.error.getErrorMessage(acgraph.error.Code.INVALID_PATH_DATA);
+  var re = acgraph.vector.Path.SVG_NUMBER_RE_;
+  var commands = [];
+  var command = null;
+  var argsCount = 0;
+  var i = 0;
+  var len = d.length;
+  while (true) {
+    while (i < len && /[\s,]/.test(d.charAt(i))) i++;
+    if (i >= len) break;
+
+    var ch = d.charAt(i);
+    var type = ch.toUpperCase();
+    if (type in acgraph.vector.Path.SVG_ARGS_COUNT_) {
+      if (command && (command.length == 1 ? argsCount : (command.length - 1) % argsCount))
+        throw error;
+      argsCount = acgraph.vector.Path.SVG_ARGS_COUNT_[type];
+      command = [ch];
+      commands.push(command);
+      i++;
+      continue;
+    }
+    if (!argsCount)
+      throw error;
+
+    var argIndex = (command.length - 1) % argsCount;
+    if (command[0].toUpperCase() == 'A' && (argIndex == 3 || argIndex == 4)) {
+      if (ch != '0' && ch != '1')
+        throw error;
+      command.push(+ch);
+      i++;
+    } else {
+      re.lastIndex = i;
+      var match = re.exec(d);
+      if (!match || match.index != i)
+        throw error;
+      command.push(parseFloat(match[0]));
+      i = re.lastIndex;
+    }
+  }
+  if (command && (command.length == 1 ? argsCount : (command.length - 1) % argsCount))
+    throw error;
+  return commands;
+};
+
+
+/**
+ * Approximates an elliptical arc with rotated X-axis by cubic Bézier curves.
+ * {@link http://www.w3.org/TR/SVG/implnote.html#ArcConversionEndpointToCenter}
+ * @param {number} x0 The X-coordinate of the arc start.
+ * @param {number} y0 The Y-coordinate of the arc start.
+ * @param {number} rx The X-axis radius of the ellipse.
+ * @param {number} ry The Y-axis radius of the ellipse.
+ * @param {number} rotation The X-axis rotation of the ellipse in degrees.
+ * @param {boolean} largeArc Large arc flag.
+ * @param {boolean} clockwiseArc Sweep flag.
+ * @param {number} x The X-coordinate of the arc end.
+ * @param {number} y The Y-coordinate of the arc end.
+ * @return {!Array.<number>} Curves coordinates in sets of 6. Empty if the arc start and end coincide.
+ * @private
+ */
+acgraph.vector.Path.rotatedArcToCurves_ = function(x0, y0, rx, ry, rotation, largeArc, clockwiseArc, x, y) {
+  if (x0 == x && y0 == y)
+    return [];
+
+  var angle = goog.math.toRadians(rotation);
+  var cos = Math.cos(angle);
+  var sin = Math.sin(angle);
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+
+  // Start point in the coordinate system of the ellipse.
+  var xMid = cos * (x0 - x) / 2 + sin * (y0 - y) / 2;
+  var yMid = -sin * (x0 - x) / 2 + cos * (y0 - y) / 2;
+  var sqrXMid = xMid * xMid;
+  var sqrYMid = yMid * yMid;
+
+  var lambda = sqrXMid / (rx * rx) + sqrYMid / (ry * ry);
+  if (lambda > 1) {
+    lambda = Math.sqrt(lambda);
+    rx *= lambda;
+    ry *= lambda;
+  }
+  var sqrRx = rx * rx;
+  var sqrRy = ry * ry;
+
+  var k = (sqrRx * sqrRy - sqrRx * sqrYMid - sqrRy * sqrXMid) / (sqrRx * sqrYMid + sqrRy * sqrXMid);
+  k = Math.sqrt(Math.max(k, 0));
+  if (largeArc == clockwiseArc)
+    k = -k;
+
+  var cxNormalized = k * rx * yMid / ry;
+  var cyNormalized = -k * ry * xMid / rx;
+  var cx = cos * cxNormalized - sin * cyNormalized + (x0 + x) / 2;
+  var cy = sin * cxNormalized + cos * cyNormalized + (y0 + y) / 2;
+
+  var startAngle = acgraph.math.angleBetweenVectors(1, 0, (xMid - cxNormalized) / rx, (yMid - cyNormalized) / ry);
+  var extent = acgraph.math.angleBetweenVectors((xMid - cxNormalized) / rx, (yMid - cyNormalized) / ry,
+      (-xMid - cxNormalized) / rx, (-yMid - cyNormalized) / ry) % 360;
+  if (!clockwiseArc && extent > 0)
+    extent -= 360;
+  else if (clockwiseArc && extent < 0)
+    extent += 360;
+
+  var points = acgraph.math.arcToBezier(0, 0, rx, ry, startAngle, extent);
+  for (var i = 0; i < points.length; i += 2) {
+    var px = points[i];
+    var py = points[i + 1];
+    points[i] = cx + cos * px - sin * py;
+    points[i + 1] = cy + sin * px + cos * py;
+  }
+  // Avoiding accumulated error at the end point.
+  points[points.length - 2] = x;
+  points[points.length - 1] = y;
+  return points;
+};
+
+
 //exports
 goog.exportSymbol('acgraph.vector.Path', acgraph.vector.Path);
 acgraph.vector.Path.prototype['moveTo'] = acgraph.vector.Path.prototype.moveTo;
@@ -188,3 +856,14 @@ acgraph.vector.Path.prototype['circularArc'] = acgraph.vector.Path.prototype.cir
 acgraph.vector.Path.prototype['close'] = acgraph.vector.Path.prototype.close;
 acgraph.vector.Path.prototype['clear'] = acgraph.vector.Path.prototype.clear;
 acgraph.vector.Path.prototype['getCurrentPoint'] = acgraph.vector.Path.prototype.getCurrentPoint;
+acgraph.vector.Path.prototype['fromSvgPathData'] = acgraph.vector.Path.prototype.fromSvgPathData;
+acgraph.vector.Path.prototype['toSvgPathData'] = acgraph.vector.Path.prototype.toSvgPathData;
+acgraph.vector.Path.prototype['union'] = acgraph.vector.Path.prototype.union;
+acgraph.vector.Path.prototype['intersection'] = acgraph.vector.Path.prototype.intersection;
+acgraph.vector.Path.prototype['difference'] = acgraph.vector.Path.prototype.difference;
+acgraph.vector.Path.prototype['xor'] = acgraph.vector.Path.prototype.xor;
+acgraph.vector.Path.prototype['offset'] = acgraph.vector.Path.prototype.offset;
+acgraph.vector.Path.prototype['strokeToPath'] = acgraph.vector.Path.prototype.strokeToPath;
+acgraph.vector.Path.prototype['markerStart'] = acgraph.vector.Path.prototype.markerStart;
+acgraph.vector.Path.prototype['markerMid'] = acgraph.vector.Path.prototype.markerMid;
+acgraph.vector.Path.prototype['markerEnd'] = acgraph.vector.Path.prototype.markerEnd;
@@ -906,6 +906,423 @@ acgraph.vector.PathBase.prototype.calcBounds_ = function(transform, calcMap, all
 //endregion
 
 
+//region --- Geometry ---
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Geometry
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Parametric piece of the path: line, cubic curve or arc. Point and derivative are functions of the parameter
+ * from 0 to 1, length is the length of the piece. First piece of each subpath is marked, as well as the closing
+ * line of the closed subpath.
+ * @typedef {{
+ *   point: function(number):!Array.<number>,
+ *   derivative: function(number):!Array.<number>,
+ *   linear: boolean,
+ *   length: number,
+ *   first: boolean,
+ *   closing: boolean
+ * }}
+ * @private
+ */
+acgraph.vector.PathBase.Piece_;
+
+
+/**
+ * Vertex of the path with the direction of the path at it in degrees.
+ * @typedef {{x: number, y: number, angle: number}}
+ */
+acgraph.vector.PathBase.Vertex;
+
+
+/**
+ * Abscissae and weights of the 5-point Gauss-Legendre quadrature on [-1, 1].
+ * @type {!Array.<!Array.<number>>}
+ * @private
+ */
+acgraph.vector.PathBase.GAUSS_LEGENDRE_ = [
+  [0, 0.5688888888888889],
+  [-0.5384693101056831, 0.4786286704993665],
+  [0.5384693101056831, 0.4786286704993665],
+  [-0.9061798459386640, 0.2369268850561891],
+  [0.9061798459386640, 0.2369268850561891]
+];
+
+
+/**
+ * Number of intervals the parameter range of curves and arcs is split to for integration and nearest point search.
+ * @type {number}
+ * @private
+ */
+acgraph.vector.PathBase.PIECE_INTERVALS_ = 16;
+
+
+/**
+ * Precision of the parameter of the point found on a piece.
+ * @type {number}
+ * @private
+ */
+acgraph.vector.PathBase.PARAM_PRECISION_ = 1e-9;
+
+
+/**
+ * Splits the path to parametric pieces. Move segments have no pieces, close segments are lines.
+ * @return {!Array.<!acgraph.vector.PathBase.Piece_>} Pieces.
+ * @private
+ */
+acgraph.vector.PathBase.prototype.getPieces_ = function() {
+  var pieces = [];
+  var x = 0, y = 0;
+  var first = true;
+  var add = function(piece) {
+    piece.first = first;
+    piece.closing = false;
+    first = false;
+    pieces.push(piece);
+  };
+  var addLine = function(x1, y1) {
+    var x0 = x, y0 = y;
+    add({
+      point: function(t) {
+        return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+      },
+      derivative: function(t) {
+        return [x1 - x0, y1 - y0];
+      },
+      linear: true,
+      length: Math.sqrt((x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0))
+    });
+    x = x1;
+    y = y1;
+  };
+  var addCurve = function(x1, y1, x2, y2, x3, y3) {
+    var x0 = x, y0 = y;
+    add({
+      point: function(t) {
+        var mt = 1 - t;
+        var a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, d = t * t * t;
+        return [a * x0 + b * x1 + c * x2 + d * x3, a * y0 + b * y1 + c * y2 + d * y3];
+      },
+      derivative: function(t) {
+        var mt = 1 - t;
+        var a = 3 * mt * mt, b = 6 * mt * t, c = 3 * t * t;
+        return [a * (x1 - x0) + b * (x2 - x1) + c * (x3 - x2), a * (y1 - y0) + b * (y2 - y1) + c * (y3 - y2)];
+      },
+      linear: false,
+      length: 0
+    });
+    x = x3;
+    y = y3;
+  };
+  var addArc = function(rx, ry, fromAngle, extent, x1, y1) {
+    var cx = x - goog.math.angleDx(fromAngle, rx);
+    var cy = y - goog.math.angleDy(fromAngle, ry);
+    var from = goog.math.toRadians(fromAngle);
+    var sweep = goog.math.toRadians(extent);
+    add({
+      point: function(t) {
+        var angle = from + sweep * t;
+        return [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+      },
+      derivative: function(t) {
+        var angle = from + sweep * t;
+        return [-rx * Math.sin(angle) * sweep, ry * Math.cos(angle) * sweep];
+      },
+      linear: false,
+      length: 0
+    });
+    x = x1;
+    y = y1;
+  };
+
+  this.forEachSegment(function(segment, args) {
+    var i;
+    switch (segment) {
+      case acgraph.vector.PathBase.Segment.MOVETO:
+        x = args[args.length - 2];
+        y = args[args.length - 1];
+        first = true;
+        break;
+      case acgraph.vector.PathBase.Segment.LINETO:
+        for (i = 0; i < args.length; i += 2)
+          addLine(args[i], args[i + 1]);
+        break;
+      case acgraph.vector.PathBase.Segment.CLOSE:
+        addLine(args[0], args[1]);
+        pieces[pieces.length - 1].closing = true;
+        // Drawing goes on from the start of the closed subpath, but it is a new subpath.
+        first = true;
+        break;
+      case acgraph.vector.PathBase.Segment.CURVETO:
+        for (i = 0; i < args.length; i += 6)
+          addCurve(args[i], args[i + 1], args[i + 2], args[i + 3], args[i + 4], args[i + 5]);
+        break;
+      case acgraph.vector.PathBase.Segment.ARCTO:
+        for (i = 0; i < args.length; i += 6)
+          addArc(args[i], args[i + 1], args[i + 2], args[i + 3], args[i + 4], args[i + 5]);
+        break;
+    }
+  });
+
+  goog.array.forEach(pieces, function(piece) {
+    if (!piece.linear)
+      piece.length = acgraph.vector.PathBase.getPieceLength_(piece, 1);
+  });
+  return pieces;
+};
+
+
+/**
+ * Returns the length of the piece from its start to the parameter. Curves and arcs are integrated by intervals
+ * with the Gauss-Legendre quadrature.
+ * @param {!acgraph.vector.PathBase.Piece_} piece Piece.
+ * @param {number} t Parameter.
+ * @return {number} Length.
+ * @private
+ */
+acgraph.vector.PathBase.getPieceLength_ = function(piece, t) {
+  if (piece.linear)
+    return piece.length * t;
+  var nodes = acgraph.vector.PathBase.GAUSS_LEGENDRE_;
+  var intervals = Math.max(1, Math.ceil(acgraph.vector.PathBase.PIECE_INTERVALS_ * t));
+  var step = t / intervals;
+  var length = 0;
+  for (var i = 0; i < intervals; i++) {
+    var middle = (i + 0.5) * step;
+    for (var j = 0; j < nodes.length; j++) {
+      var d = piece.derivative(middle + nodes[j][0] * step / 2);
+      length += nodes[j][1] * Math.sqrt(d[0] * d[0] + d[1] * d[1]) * step / 2;
+    }
+  }
+  return length;
+};
+
+
+/**
+ * Returns the direction of the piece at the parameter in degrees.
+ * @param {!acgraph.vector.PathBase.Piece_} piece Piece.
+ * @param {number} t Parameter.
+ * @return {number} Direction.
+ * @private
+ */
+acgraph.vector.PathBase.getPieceAngle_ = function(piece, t) {
+  var d = piece.derivative(t);
+  if (!d[0] && !d[1]) {
+    // Curves have zero derivative at ends with coincident control points, direction is taken by points nearby.
+    var delta = 1e-6;
+    var a = piece.point(Math.max(0, t - delta));
+    var b = piece.point(Math.min(1, t + delta));
+    d = [b[0] - a[0], b[1] - a[1]];
+  }
+  return goog.math.toDegrees(Math.atan2(d[1], d[0]));
+};
+
+
+/**
+ * Finds the piece containing the point at the length along the path and the parameter of the point on the piece.
+ * Parameter of curves and arcs is found with Newton's method guarded by bisection.
+ * @param {number} length Length along the path. Clamped to the path length.
+ * @return {?{piece: !acgraph.vector.PathBase.Piece_, t: number}} Piece and parameter or null if the path has no pieces.
+ * @private
+ */
+acgraph.vector.PathBase.prototype.getPieceAtLength_ = function(length) {
+  var pieces = this.getPieces_();
+  if (!pieces.length)
+    return null;
+  var piece;
+  var i = 0;
+  length = Math.max(0, length || 0);
+  // Zero length pieces are skipped, they have no direction.
+  while ((piece = pieces[i]) && (length > piece.length || !piece.length) && i < pieces.length - 1) {
+    length -= piece.length;
+    i++;
+  }
+  if (!piece.length)
+    return {piece: piece, t: 0};
+  if (length >= piece.length)
+    return {piece: piece, t: 1};
+  if (piece.linear)
+    return {piece: piece, t: length / piece.length};
+
+  var low = 0, high = 1;
+  var t = length / piece.length;
+  for (var iteration = 0; iteration < 50 && high - low > acgraph.vector.PathBase.PARAM_PRECISION_; iteration++) {
+    var difference = acgraph.vector.PathBase.getPieceLength_(piece, t) - length;
+    if (Math.abs(difference) < acgraph.vector.PathBase.PARAM_PRECISION_)
+      break;
+    if (difference > 0)
+      high = t;
+    else
+      low = t;
+    var d = piece.derivative(t);
+    var speed = Math.sqrt(d[0] * d[0] + d[1] * d[1]);
+    var next = speed ? t - difference / speed : NaN;
+    t = next > low && next < high ? next : (low + high) / 2;
+  }
+  return {piece: piece, t: t};
+};
+
+
+/**
+ Returns the total length of the path. Lines, curves and arcs are measured from the path data, so the result
+ doesn't depend on the renderer. The path transformation is not applied.
+ @return {number} Path length.
+ */
+acgraph.vector.PathBase.prototype.getTotalLength = function() {
+  var length = 0;
+  goog.array.forEach(this.getPieces_(), function(piece) {
+    length += piece.length;
+  });
+  return length;
+};
+
+
+/**
+ Returns the point at the given length along the path, in the path coordinates.
+ @param {number} length Length along the path. Values out of [0, total length] are clamped.
+ @return {acgraph.math.Coordinate} Point or null if the path has no segments to measure.
+ */
+acgraph.vector.PathBase.prototype.getPointAtLength = function(length) {
+  var position = this.getPieceAtLength_(length);
+  if (!position)
+    return null;
+  var point = position.piece.point(position.t);
+  return new acgraph.math.Coordinate(point[0], point[1]);
+};
+
+
+/**
+ Returns the tangent direction of the path at the given length, e.g. to rotate an arrowhead or a label along
+ the path.
+ @param {number} length Length along the path. Values out of [0, total length] are clamped.
+ @return {?number} Angle between the X-axis and the direction of the path in degrees, measured clockwise, or null
+    if the path has no segments to measure.
+ */
+acgraph.vector.PathBase.prototype.getTangentAtLength = function(length) {
+  var position = this.getPieceAtLength_(length);
+  if (!position)
+    return null;
+  return acgraph.vector.PathBase.getPieceAngle_(position.piece, position.t);
+};
+
+
+/**
+ Returns the point of the path nearest to the given one, e.g. to snap a cursor to a series line.
+ Coordinates are in the path coordinates.
+ @param {number} x The X-coordinate of the point.
+ @param {number} y The Y-coordinate of the point.
+ @return {acgraph.vector.PathPoint} Nearest point of the path, its length along the path and the distance
+    to it or null if the path has no segments to measure.
+ */
+acgraph.vector.PathBase.prototype.getNearestPoint = function(x, y) {
+  var pieces = this.getPieces_();
+  var distanceTo = function(piece, t) {
+    var point = piece.point(t);
+    return (point[0] - x) * (point[0] - x) + (point[1] - y) * (point[1] - y);
+  };
+  var result = null;
+  var offset = 0;
+  goog.array.forEach(pieces, function(piece) {
+    var t, distance;
+    if (piece.linear) {
+      var d = piece.derivative(0);
+      var start = piece.point(0);
+      var sqrLength = d[0] * d[0] + d[1] * d[1];
+      t = sqrLength ? goog.math.clamp(((x - start[0]) * d[0] + (y - start[1]) * d[1]) / sqrLength, 0, 1) : 0;
+      distance = distanceTo(piece, t);
+    } else {
+      // The best of the samples is refined by the search with the halving step.
+      var step = 1 / acgraph.vector.PathBase.PIECE_INTERVALS_;
+      t = 0;
+      distance = distanceTo(piece, 0);
+      for (var s = step; s <= 1; s += step) {
+        var sampleDistance = distanceTo(piece, s);
+        if (sampleDistance < distance) {
+          distance = sampleDistance;
+          t = s;
+        }
+      }
+      while (step > acgraph.vector.PathBase.PARAM_PRECISION_) {
+        var low = Math.max(0, t - step);
+        var high = Math.min(1, t + step);
+        var lowDistance = distanceTo(piece, low);
+        var highDistance = distanceTo(piece, high);
+        if (lowDistance < distance && lowDistance <= highDistance) {
+          distance = lowDistance;
+          t = low;
+        } else if (highDistance < distance) {
+          distance = highDistance;
+          t = high;
+        } else {
+          step /= 2;
+        }
+      }
+    }
+    if (!result || distance < result.distance) {
+      var point = piece.point(t);
+      result = {
+        'x': point[0],
+        'y': point[1],
+        'length': offset + acgraph.vector.PathBase.getPieceLength_(piece, t),
+        'distance': distance
+      };
+    }
+    offset += piece.length;
+  });
+  if (result)
+    result['distance'] = Math.sqrt(result['distance']);
+  return /** @type {acgraph.vector.PathPoint} */ (result);
+};
+
+
+/**
+ * Returns vertices of the path, the starts and the ends of its segments, in the path coordinates. The direction
+ * at the vertex is the bisector of the incoming and the outgoing directions, at the ends of open subpaths it is
+ * the direction of the only segment there. Closed subpaths start and end at the same vertex, it is listed twice.
+ * This is the way SVG orients markers.
+ * @return {!Array.<!acgraph.vector.PathBase.Vertex>} Vertices.
+ */
+acgraph.vector.PathBase.prototype.getVertices = function() {
+  var vertices = [];
+  var subpath = [];
+  var addSubpath = function() {
+    var count = subpath.length;
+    var closed = subpath[count - 1].closing;
+    for (var i = 0; i <= count; i++) {
+      var incoming = i ? subpath[i - 1] : closed ? subpath[count - 1] : null;
+      var outgoing = i < count ? subpath[i] : closed ? subpath[0] : null;
+      var point = i < count ? subpath[i].point(0) : subpath[count - 1].point(1);
+      var angle;
+      if (incoming && outgoing) {
+        angle = acgraph.vector.PathBase.getPieceAngle_(incoming, 1);
+        angle += goog.math.angleDifference(angle, acgraph.vector.PathBase.getPieceAngle_(outgoing, 0)) / 2;
+      } else {
+        angle = incoming ?
+            acgraph.vector.PathBase.getPieceAngle_(incoming, 1) :
+            acgraph.vector.PathBase.getPieceAngle_(/** @type {!acgraph.vector.PathBase.Piece_} */ (outgoing), 0);
+      }
+      vertices.push({x: point[0], y: point[1], angle: goog.math.standardAngle(angle)});
+    }
+    subpath = [];
+  };
+
+  goog.array.forEach(this.getPieces_(), function(piece) {
+    if (piece.first && subpath.length)
+      addSubpath();
+    // Closing line of zero length only marks the subpath as closed, it has no direction.
+    if (piece.closing && !piece.length && subpath.length)
+      goog.array.peek(subpath).closing = true;
+    else
+      subpath.push(piece);
+  });
+  if (subpath.length)
+    addSubpath();
+  return vertices;
+};
+//endregion
+
+
 /**
  Returns the last coordinates added to the path.
  @return {acgraph.math.Coordinate} The current coordinates of the cursor.
@@ -934,6 +1351,41 @@ acgraph.vector.PathBase.prototype.getClosePoint = function() {
 };
 
 
+/** @inheritDoc */
+acgraph.vector.PathBase.prototype.getHistoryValue = function(key) {
+  if (key == 'path')
+    return {
+      segments: this.segments_.slice(),
+      count: this.count_.slice(),
+      args: this.arguments_.slice(),
+      closePoint: this.closePoint_,
+      currentPoint: this.currentPoint_,
+      simple: this.simple_,
+      hasCurves: this.hasCurves_
+    };
+  return goog.base(this, 'getHistoryValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.PathBase.prototype.setHistoryValue = function(key, value) {
+  if (key == 'path') {
+    this.clearInternal_();
+    // Copies are set, so the value stays the same when the path changes.
+    goog.array.extend(this.segments_, value.segments);
+    goog.array.extend(this.count_, value.count);
+    goog.array.extend(this.arguments_, value.args);
+    this.closePoint_ = value.closePoint;
+    this.currentPoint_ = value.currentPoint;
+    this.simple_ = value.simple;
+    this.hasCurves_ = value.hasCurves;
+    this.setDirtyState(acgraph.vector.Element.DirtyState.DATA);
+  } else {
+    goog.base(this, 'setHistoryValue', key, value);
+  }
+};
+
+
 /** @inheritDoc */
 acgraph.vector.PathBase.prototype.transformationChanged = function() {
   goog.base(this, 'transformationChanged');
@@ -951,7 +1403,7 @@ acgraph.vector.PathBase.prototype.parentTransformationChanged = function() {
 /** @inheritDoc */
 acgraph.vector.PathBase.prototype.renderTransformation = function() {
   // Resolve transformation unsync
-  acgraph.getRenderer().setPathTransformation(this);
+  this.getRenderer().setPathTransformation(this);
   // Set sync flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.PARENT_TRANSFORMATION);
@@ -965,7 +1417,7 @@ acgraph.vector.PathBase.prototype.renderTransformation = function() {
 //----------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.PathBase.prototype.createDomInternal = function() {
-  return acgraph.getRenderer().createPathElement();
+  return this.getRenderer().createPathElement();
 };
 
 
@@ -994,7 +1446,7 @@ acgraph.vector.PathBase.prototype.renderInternal = function() {
  */
 acgraph.vector.PathBase.prototype.renderPath = function() {
   // Apply to DOM element
-  acgraph.getRenderer().setPathProperties(this);
+  this.getRenderer().setPathProperties(this);
   // Clear unsync flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.DATA);
 };
@@ -1120,3 +1572,10 @@ acgraph.vector.PathBase.prototype.clearInternal_ = function() {
   delete this.simple_;
   return this;
 };
+
+
+//exports
+acgraph.vector.PathBase.prototype['getTotalLength'] = acgraph.vector.PathBase.prototype.getTotalLength;
+acgraph.vector.PathBase.prototype['getPointAtLength'] = acgraph.vector.PathBase.prototype.getPointAtLength;
+acgraph.vector.PathBase.prototype['getTangentAtLength'] = acgraph.vector.PathBase.prototype.getTangentAtLength;
+acgraph.vector.PathBase.prototype['getNearestPoint'] = acgraph.vector.PathBase.prototype.getNearestPoint;
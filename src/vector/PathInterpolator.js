@@ -0,0 +1,262 @@
+goog.provide('acgraph.vector.PathInterpolator');
+
+goog.require('acgraph.math');
+goog.require('acgraph.vector.PathBase');
+goog.require('goog.math');
+
+
+
+/**
+ Path interpolator. Allows to morph one path into another even if they have different number of segments.<br/>
+ Both paths are normalized to cubic Bézier curves (lines are turned into curves, arcs are approximated
+ the way {@link acgraph.vector.PathBase#simplify} does, source paths are not changed), then subpaths are matched,
+ curves of shorter subpaths are subdivided until both subpaths have the same number of curves and start points
+ of closed subpaths are aligned.<br/>
+ Paths geometry is captured when interpolator is created, so it is safe to write interpolation results
+ to one of the source paths.
+ @param {!acgraph.vector.PathBase} from Start path.
+ @param {!acgraph.vector.PathBase} to End path.
+ @constructor
+ */
+acgraph.vector.PathInterpolator = function(from, to) {
+  var fromContours = acgraph.vector.PathInterpolator.getContours(from);
+  var toContours = acgraph.vector.PathInterpolator.getContours(to);
+
+  // Missing subpaths grow from (or collapse to) the center of their counterpart.
+  var i;
+  for (i = fromContours.length; i < toContours.length; i++)
+    fromContours.push(acgraph.vector.PathInterpolator.createDegenerateContour_(toContours[i]));
+  for (i = toContours.length; i < fromContours.length; i++)
+    toContours.push(acgraph.vector.PathInterpolator.createDegenerateContour_(fromContours[i]));
+
+  for (i = 0; i < fromContours.length; i++) {
+    var a = fromContours[i];
+    var b = toContours[i];
+    var aCount = (a.points.length - 2) / 6;
+    var bCount = (b.points.length - 2) / 6;
+    if (aCount < bCount)
+      acgraph.vector.PathInterpolator.subdivide_(a, bCount);
+    else if (bCount < aCount)
+      acgraph.vector.PathInterpolator.subdivide_(b, aCount);
+    if (a.closed && b.closed)
+      acgraph.vector.PathInterpolator.alignStart_(a, b);
+  }
+
+  /**
+   * Normalized start contours.
+   * @type {!Array.<acgraph.vector.PathInterpolator.Contour>}
+   * @private
+   */
+  this.from_ = fromContours;
+
+  /**
+   * Normalized end contours.
+   * @type {!Array.<acgraph.vector.PathInterpolator.Contour>}
+   * @private
+   */
+  this.to_ = toContours;
+};
+
+
+/**
+ * Subpath normalized to cubic curves. Points array contains the initial point followed by sets
+ * of 3 pairs of coordinates for each curve.
+ * @typedef {{points: !Array.<number>, closed: boolean}}
+ */
+acgraph.vector.PathInterpolator.Contour;
+
+
+/**
+ * Converts path to the list of subpaths normalized to cubic curves.
+ * @param {!acgraph.vector.PathBase} path Path.
+ * @return {!Array.<acgraph.vector.PathInterpolator.Contour>} Subpaths. Subpaths without curves are skipped.
+ */
+acgraph.vector.PathInterpolator.getContours = function(path) {
+  var contours = [];
+  var contour = null;
+  var copy = null;
+  var x = 0, y = 0, i;
+  var ensureContour = function() {
+    if (!contour) {
+      contour = {points: [x, y], closed: false};
+      contours.push(contour);
+    }
+  };
+  var lineTo = function(toX, toY) {
+    contour.points.push(x + (toX - x) / 3, y + (toY - y) / 3, x + (toX - x) * 2 / 3, y + (toY - y) * 2 / 3, toX, toY);
+    x = toX;
+    y = toY;
+  };
+
+  if (!path.isSimple()) {
+    // Arcs are turned into curves on a copy of the geometry, so the path itself is left as it is.
+    copy = new acgraph.vector.PathBase();
+    copy.setHistoryValue('path', path.getHistoryValue('path'));
+    path = copy.simplify();
+  }
+  path.forEachSegment(function(segment, args) {
+    switch (segment) {
+      case acgraph.vector.PathBase.Segment.MOVETO:
+        x = args[args.length - 2];
+        y = args[args.length - 1];
+        contour = null;
+        break;
+      case acgraph.vector.PathBase.Segment.LINETO:
+        ensureContour();
+        for (i = 0; i < args.length; i += 2)
+          lineTo(args[i], args[i + 1]);
+        break;
+      case acgraph.vector.PathBase.Segment.CURVETO:
+        ensureContour();
+        for (i = 0; i < args.length; i += 6)
+          contour.points.push(args[i], args[i + 1], args[i + 2], args[i + 3], args[i + 4], args[i + 5]);
+        x = args[args.length - 2];
+        y = args[args.length - 1];
+        break;
+      case acgraph.vector.PathBase.Segment.CLOSE:
+        if (contour) {
+          if (x != args[0] || y != args[1])
+            lineTo(args[0], args[1]);
+          contour.closed = true;
+        }
+        x = args[0];
+        y = args[1];
+        contour = null;
+        break;
+    }
+  });
+  if (copy)
+    copy.dispose();
+  return contours;
+};
+
+
+/**
+ * Creates a contour collapsed into the center of the passed one, with the same number of curves.
+ * @param {acgraph.vector.PathInterpolator.Contour} contour Contour.
+ * @return {acgraph.vector.PathInterpolator.Contour} Degenerate contour.
+ * @private
+ */
+acgraph.vector.PathInterpolator.createDegenerateContour_ = function(contour) {
+  var points = contour.points;
+  var minX = points[0], maxX = points[0], minY = points[1], maxY = points[1];
+  for (var i = 2; i < points.length; i += 2) {
+    minX = Math.min(minX, points[i]);
+    maxX = Math.max(maxX, points[i]);
+    minY = Math.min(minY, points[i + 1]);
+    maxY = Math.max(maxY, points[i + 1]);
+  }
+  var cx = (minX + maxX) / 2;
+  var cy = (minY + maxY) / 2;
+  var result = [];
+  for (i = 0; i < points.length; i += 2)
+    result.push(cx, cy);
+  return {points: result, closed: contour.closed};
+};
+
+
+/**
+ * Subdivides the longest curves of the contour in halves until it contains the required number of curves.
+ * @param {acgraph.vector.PathInterpolator.Contour} contour Contour.
+ * @param {number} count Required number of curves.
+ * @private
+ */
+acgraph.vector.PathInterpolator.subdivide_ = function(contour, count) {
+  var points = contour.points;
+  var lengths = [];
+  var i;
+  for (i = 0; i < points.length - 2; i += 6)
+    lengths.push(acgraph.vector.PathInterpolator.getControlPolygonLength_(points, i));
+
+  while (lengths.length < count) {
+    var index = 0;
+    for (i = 1; i < lengths.length; i++) {
+      if (lengths[i] > lengths[index])
+        index = i;
+    }
+    var offset = index * 6;
+    var split = acgraph.math.splitCubicCurve.apply(null, points.slice(offset, offset + 8).concat(0.5));
+    // Replacing control points and the endpoint of the curve with two curves.
+    Array.prototype.splice.apply(points, [offset + 2, 6].concat(split.slice(2)));
+    lengths.splice(index, 1, lengths[index] / 2, lengths[index] / 2);
+  }
+};
+
+
+/**
+ * Returns the length of the control polygon of the curve, which is used as a cheap estimation of the curve length.
+ * @param {!Array.<number>} points Contour points.
+ * @param {number} offset Index of the initial point of the curve.
+ * @return {number} Length.
+ * @private
+ */
+acgraph.vector.PathInterpolator.getControlPolygonLength_ = function(points, offset) {
+  var length = 0;
+  for (var i = offset; i < offset + 6; i += 2)
+    length += Math.sqrt(Math.pow(points[i + 2] - points[i], 2) + Math.pow(points[i + 3] - points[i + 1], 2));
+  return length;
+};
+
+
+/**
+ * Rotates curves of the closed end contour so that its curve endpoints are as close to the endpoints of
+ * the start contour as possible. It prevents closed shapes from twisting during the morph.
+ * @param {acgraph.vector.PathInterpolator.Contour} from Start contour.
+ * @param {acgraph.vector.PathInterpolator.Contour} to End contour. Modified.
+ * @private
+ */
+acgraph.vector.PathInterpolator.alignStart_ = function(from, to) {
+  var a = from.points;
+  var b = to.points;
+  var count = (b.length - 2) / 6;
+  if (count < 2) return;
+
+  var best = 0, bestDistance = Infinity;
+  for (var shift = 0; shift < count; shift++) {
+    var distance = 0;
+    for (var i = 0; i < count; i++) {
+      var ai = 2 + i * 6 + 4;
+      var bi = 2 + ((i + shift) % count) * 6 + 4;
+      distance += Math.pow(a[ai] - b[bi], 2) + Math.pow(a[ai + 1] - b[bi + 1], 2);
+    }
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = shift;
+    }
+  }
+  if (!best) return;
+
+  var curves = b.slice(2);
+  curves = curves.slice(best * 6).concat(curves.slice(0, best * 6));
+  to.points = [curves[curves.length - 2], curves[curves.length - 1]].concat(curves);
+};
+
+
+/**
+ Returns an interpolated path for the passed progress.
+ @param {number} t Progress from 0 (start path) to 1 (end path).
+ @param {acgraph.vector.PathBase=} opt_path Path to write the result to. New path is created if not passed.
+ @return {!acgraph.vector.PathBase} Interpolated path.
+ */
+acgraph.vector.PathInterpolator.prototype.interpolate = function(t, opt_path) {
+  var path = opt_path || acgraph.path();
+  path.clearInternal();
+  for (var i = 0; i < this.from_.length; i++) {
+    var from = this.from_[i];
+    var to = this.to_[i];
+    var points = [];
+    for (var j = 0; j < from.points.length; j++)
+      points.push(goog.math.lerp(from.points[j], to.points[j], t));
+    path.moveToInternal(points[0], points[1]);
+    if (points.length > 2)
+      path.curveToInternal.apply(path, points.slice(2));
+    if (t < 0.5 ? from.closed : to.closed)
+      path.closeInternal();
+  }
+  return path;
+};
+
+
+//exports
+goog.exportSymbol('acgraph.vector.PathInterpolator', acgraph.vector.PathInterpolator);
+acgraph.vector.PathInterpolator.prototype['interpolate'] = acgraph.vector.PathInterpolator.prototype.interpolate;
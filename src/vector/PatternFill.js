@@ -99,7 +99,7 @@ acgraph.vector.PatternFill.prototype.getBoundsWithTransform = function(transform
 
 /** @inheritDoc */
 acgraph.vector.PatternFill.prototype.createDomInternal = function() {
-  return acgraph.getRenderer().createFillPatternElement();
+  return this.getRenderer().createFillPatternElement();
 };
 
 
@@ -109,7 +109,7 @@ acgraph.vector.PatternFill.prototype.createDomInternal = function() {
  */
 acgraph.vector.PatternFill.prototype.renderData = function() {
   // Set attributes to DOM element
-  acgraph.getRenderer().setFillPatternProperties(this);
+  this.getRenderer().setFillPatternProperties(this);
   // Clear DATA flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.DATA);
 };
@@ -130,7 +130,7 @@ acgraph.vector.PatternFill.prototype.renderInternal = function() {
 acgraph.vector.PatternFill.prototype.renderTransformation = function() {
   // Resolve transformation unsync
   if (this.hasDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION))
-    acgraph.getRenderer().setPatternTransformation(this);
+    this.getRenderer().setPatternTransformation(this);
   // Remove unsync flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
 };
@@ -166,7 +166,7 @@ acgraph.vector.PatternFill.prototype.serialize = function() {
 //----------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.PatternFill.prototype.disposeInternal = function() {
-  acgraph.getRenderer().removeNode(this.domElement());
+  this.getRenderer().removeNode(this.domElement());
   this.bounds_ = null;
   goog.base(this, 'disposeInternal');
 };
@@ -85,6 +85,7 @@ acgraph.vector.Rect.prototype.getElementTypePrefix = function() {
  */
 acgraph.vector.Rect.prototype.setX = function(value) {
   if (value != this.rect_.left) {
+    this.recordChange('geometry');
     this.rect_.left = value;
     this.drawRect_();
   }
@@ -99,6 +100,7 @@ acgraph.vector.Rect.prototype.setX = function(value) {
  */
 acgraph.vector.Rect.prototype.setY = function(value) {
   if (value != this.rect_.top) {
+    this.recordChange('geometry');
     this.rect_.top = value;
     this.drawRect_();
   }
@@ -113,6 +115,7 @@ acgraph.vector.Rect.prototype.setY = function(value) {
  */
 acgraph.vector.Rect.prototype.setWidth = function(value) {
   if (this.rect_.width != value) {
+    this.recordChange('geometry');
     this.rect_.width = value;
     this.drawRect_();
   }
@@ -127,6 +130,7 @@ acgraph.vector.Rect.prototype.setWidth = function(value) {
  */
 acgraph.vector.Rect.prototype.setHeight = function(value) {
   if (this.rect_.height != value) {
+    this.recordChange('geometry');
     this.rect_.height = value;
     this.drawRect_();
   }
@@ -141,6 +145,7 @@ acgraph.vector.Rect.prototype.setHeight = function(value) {
  */
 acgraph.vector.Rect.prototype.setBounds = function(value) {
   if (!acgraph.math.Rect.equals(this.rect_, value)) {
+    this.recordChange('geometry');
     // clone is not used to avoid extra object creation
     this.rect_.left = value.left;
     this.rect_.top = value.top;
@@ -171,6 +176,7 @@ acgraph.vector.Rect.CornerType = {
  * @private
  */
 acgraph.vector.Rect.prototype.setCornerSettings_ = function(type, var_args) {
+  this.recordChange('geometry');
   var topLeft, topRight, bottomRight, bottomLeft, radiusArr;
   var args = goog.array.slice(arguments, 1);
   var arg1 = args[0];
@@ -334,6 +340,78 @@ acgraph.vector.Rect.prototype.cut = function(radiusAllOrLeftTop, opt_radiusRight
 };
 
 
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Animation
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Rect.prototype.getAnimatableValue = function(key) {
+  switch (key) {
+    case 'x':
+      return this.rect_.left;
+    case 'y':
+      return this.rect_.top;
+    case 'width':
+      return this.rect_.width;
+    case 'height':
+      return this.rect_.height;
+  }
+  return goog.base(this, 'getAnimatableValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Rect.prototype.setAnimatableValue = function(key, value) {
+  switch (key) {
+    case 'x':
+      this.setX(/** @type {number} */(value));
+      break;
+    case 'y':
+      this.setY(/** @type {number} */(value));
+      break;
+    case 'width':
+      this.setWidth(/** @type {number} */(value));
+      break;
+    case 'height':
+      this.setHeight(/** @type {number} */(value));
+      break;
+    default:
+      goog.base(this, 'setAnimatableValue', key, value);
+  }
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  History
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Rect.prototype.getHistoryValue = function(key) {
+  if (key == 'geometry')
+    return [this.rect_.left, this.rect_.top, this.rect_.width, this.rect_.height,
+      goog.array.clone(this.cornerTypes_), goog.array.clone(this.cornerSizes_)];
+  return goog.base(this, 'getHistoryValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Rect.prototype.setHistoryValue = function(key, value) {
+  if (key == 'geometry') {
+    this.rect_.left = value[0];
+    this.rect_.top = value[1];
+    this.rect_.width = value[2];
+    this.rect_.height = value[3];
+    this.cornerTypes_ = goog.array.clone(value[4]);
+    this.cornerSizes_ = goog.array.clone(value[5]);
+    this.drawRect_();
+  } else {
+    goog.base(this, 'setHistoryValue', key, value);
+  }
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  Serialize
@@ -1,5 +1,6 @@
 goog.provide('acgraph.vector.Renderer');
 goog.require('acgraph.math.Rect');
+goog.require('acgraph.vector.FontMetrics');
 goog.require('goog.dom');
 goog.require('goog.net.ImageLoader');
 
@@ -16,6 +17,13 @@ acgraph.vector.Renderer = function() {
 
   /** @type {Array.<string>} */
   this.settingsAffectingSize = ['fontStyle', 'fontVariant', 'fontFamily', 'fontSize', 'fontWeight', 'letterSpacing', 'decoration'];
+
+  /**
+   * Font metrics to measure texts with instead of the DOM.
+   * @type {acgraph.vector.FontMetrics}
+   * @private
+   */
+  this.fontMetrics_ = null;
 };
 goog.addSingletonGetter(acgraph.vector.Renderer);
 
@@ -35,8 +43,8 @@ acgraph.vector.Renderer.prototype.getSpaceBounds = function(style) {
   if (this.isInBoundsCache(' ', style)) {
     bounds = this.textBounds(' ', style);
   } else {
-    var boundsStringWithSpace = this.measure('a a', style);
-    var boundsStringWithoutSpace = this.measure('aa', style);
+    var boundsStringWithSpace = this.measureText('a a', style);
+    var boundsStringWithoutSpace = this.measureText('aa', style);
     var width = boundsStringWithSpace.width - boundsStringWithoutSpace.width;
     bounds = new acgraph.math.Rect(0, boundsStringWithSpace.top, width, boundsStringWithSpace.height);
     this.textBounds(' ', style, bounds);
@@ -55,7 +63,7 @@ acgraph.vector.Renderer.prototype.getEmptyStringBounds = function(style) {
   if (this.isInBoundsCache('', style)) {
     bounds = this.textBounds('', style);
   } else {
-    var boundsStringWithSpace = this.measure('a', style);
+    var boundsStringWithSpace = this.measureText('a', style);
     bounds = new acgraph.math.Rect(0, boundsStringWithSpace.top, 0, boundsStringWithSpace.height);
     this.textBounds('', style, bounds);
   }
@@ -99,7 +107,36 @@ acgraph.vector.Renderer.prototype.textBounds = function(text, style, opt_bounds)
 
   return textBoundsCache ?
       textBoundsCache :
-      styleCache[text] = opt_bounds ? opt_bounds : this.measure(text, style);
+      styleCache[text] = opt_bounds ? opt_bounds : this.measureText(text, style);
+};
+
+
+/**
+ * Getter/setter for font metrics. If font metrics are set, texts are measured with them instead of the DOM.
+ * @param {acgraph.vector.FontMetrics=} opt_value Font metrics or null to measure texts with the DOM.
+ * @return {acgraph.vector.FontMetrics|acgraph.vector.Renderer} Font metrics or self for method chaining.
+ */
+acgraph.vector.Renderer.prototype.fontMetrics = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    if (this.fontMetrics_ != opt_value) {
+      this.fontMetrics_ = opt_value;
+      // Bounds measured with other metrics are useless.
+      this.textBoundsCache = {};
+    }
+    return this;
+  }
+  return this.fontMetrics_;
+};
+
+
+/**
+ * Measures text with the font metrics, if they are set, or with the renderer (see {@link #measure}).
+ * @param {string} text The text to measure.
+ * @param {Object} style The style of text.
+ * @return {acgraph.math.Rect} Text bounds.
+ */
+acgraph.vector.Renderer.prototype.measureText = function(text, style) {
+  return this.fontMetrics_ ? this.fontMetrics_.measure(text, style) : this.measure(text, style);
 };
 
 
@@ -470,6 +507,14 @@ acgraph.vector.Renderer.prototype.setTextSegmentPosition = goog.abstractMethod;
 acgraph.vector.Renderer.prototype.setTextSegmentProperties = goog.abstractMethod;
 
 
+/**
+ * Lays the rendered text segments along the text path (see {@link acgraph.vector.Text#path}), or removes
+ * the text path if the text has no path.
+ * @param {!acgraph.vector.Text} element Text element.
+ */
+acgraph.vector.Renderer.prototype.setTextPath = goog.abstractMethod;
+
+
 /**
  * Sets the cursor properties to the primitive DOM element. If cursor is null - cursor properties will be removed from
  * dom element style.
@@ -672,6 +717,34 @@ acgraph.vector.Renderer.prototype.setClip = goog.abstractMethod;
 acgraph.vector.Renderer.prototype.setLayerClip = goog.abstractMethod;
 
 
+/**
+ * Sets mask to element.
+ * @param {!acgraph.vector.Element} element Element.
+ */
+acgraph.vector.Renderer.prototype.setMask = goog.abstractMethod;
+
+
+/**
+ * Removes mask definition when the mask is not used anymore.
+ * @param {!acgraph.vector.Mask} mask Mask.
+ */
+acgraph.vector.Renderer.prototype.removeMask = goog.abstractMethod;
+
+
+/**
+ * Sets filter to element.
+ * @param {!acgraph.vector.Element} element Element.
+ */
+acgraph.vector.Renderer.prototype.setFilter = goog.abstractMethod;
+
+
+/**
+ * Sets markers to path.
+ * @param {!acgraph.vector.Path} path Path.
+ */
+acgraph.vector.Renderer.prototype.setPathMarkers = goog.abstractMethod;
+
+
 /**
  * Tells element if it needs to rerender clipping if parent bounds has changed.
  * @return {boolean} Rerender or not.
@@ -0,0 +1,669 @@
+goog.provide('acgraph.vector.Selection');
+goog.provide('acgraph.vector.SelectionEvent');
+
+goog.require('acgraph.events');
+goog.require('acgraph.math.Rect');
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.events.Event');
+goog.require('goog.events.EventHandler');
+goog.require('goog.events.EventTarget');
+
+
+
+/**
+ Selection of the stage elements.<br/>
+ Selectable elements are children of the selection scope layer, the stage root layer by default. Elements are selected
+ with {@link acgraph.vector.Selection#add}, {@link acgraph.vector.Selection#remove},
+ {@link acgraph.vector.Selection#toggle} and {@link acgraph.vector.Selection#select} or with the mouse, if
+ {@link acgraph.vector.Selection#enabled} is set:
+ <ul>
+   <li>click on an element selects it, shift+click adds it to the selection, ctrl+click (cmd+click on Mac) toggles it;</li>
+   <li>drag on the empty area selects elements that intersect the marquee rectangle, with the same modifiers;</li>
+   <li>drag of a selected element moves all selected elements. If the element is draggable itself (see
+   {@link acgraph.vector.Element#drag}), its {@link acgraph.events.EventType.DRAG_START} is prevented, so the element
+   is moved with the selection and its drag constraints are not applied.</li>
+ </ul>
+ Selection dispatches {@link acgraph.events.EventType.SELECTION_CHANGE} events. Moving of the selected elements with the
+ mouse is a single transformation: it dispatches {@link acgraph.events.EventType.TRANSFORM_START} (preventing it cancels
+ the moving), {@link acgraph.events.EventType.TRANSFORM} and {@link acgraph.events.EventType.TRANSFORM_END} events.
+ Events of the selection bubble to the stage.<br/>
+ <b>Do not invoke constructor directly.</b> Use {@link acgraph.vector.Stage#selection}.
+ @param {!acgraph.vector.Stage} stage Stage.
+ @constructor
+ @extends {goog.events.EventTarget}
+ */
+acgraph.vector.Selection = function(stage) {
+  goog.base(this);
+
+  /**
+   * Stage.
+   * @type {acgraph.vector.Stage}
+   * @private
+   */
+  this.stage_ = stage;
+
+  /**
+   * Selected elements in the order of selection.
+   * @type {!Array.<acgraph.vector.Element>}
+   * @private
+   */
+  this.elements_ = [];
+
+  /**
+   * Layer which children are selectable, null means the stage root layer.
+   * @type {acgraph.vector.Layer}
+   * @private
+   */
+  this.scope_ = null;
+
+  /**
+   * Whether elements are selected with the mouse.
+   * @type {boolean}
+   * @private
+   */
+  this.enabled_ = false;
+
+  /**
+   * Handler of the stage mouse down events.
+   * @type {goog.events.EventHandler}
+   * @private
+   */
+  this.eventHandler_ = new goog.events.EventHandler(this);
+  this.registerDisposable(this.eventHandler_);
+
+  /**
+   * Handler of the document events during a drag.
+   * @type {goog.events.EventHandler}
+   * @private
+   */
+  this.dragHandler_ = new goog.events.EventHandler(this);
+  this.registerDisposable(this.dragHandler_);
+
+  /**
+   * Current mouse action, null if there is no one.
+   * @type {?acgraph.vector.Selection.Action_}
+   * @private
+   */
+  this.action_ = null;
+
+  /**
+   * How the marquee changes selection.
+   * @type {acgraph.vector.Selection.Mode_}
+   * @private
+   */
+  this.mode_ = acgraph.vector.Selection.Mode_.REPLACE;
+
+  /**
+   * Mouse position at drag start in the stage coordinates.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.startPoint_ = null;
+
+  /**
+   * Movement of the elements applied during the current drag, in the stage coordinates.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.offset_ = null;
+
+  /**
+   * Whether the mouse has moved far enough to consider the action a drag.
+   * @type {boolean}
+   * @private
+   */
+  this.dragging_ = false;
+
+  /**
+   * Temporary layer with the marquee rectangle.
+   * @type {acgraph.vector.Layer}
+   * @private
+   */
+  this.marqueeLayer_ = null;
+
+  /**
+   * Marquee rectangle.
+   * @type {acgraph.vector.Rect}
+   * @private
+   */
+  this.marquee_ = null;
+
+  this.setParentEventTarget(stage);
+};
+goog.inherits(acgraph.vector.Selection, goog.events.EventTarget);
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Static members
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Distance in pixels the mouse should move before a press is considered a drag.
+ * @type {number}
+ */
+acgraph.vector.Selection.DRAG_THRESHOLD = 3;
+
+
+/**
+ * Color of the marquee rectangle.
+ * @type {string}
+ */
+acgraph.vector.Selection.COLOR = '#1e88e5';
+
+
+/**
+ * Mouse actions.
+ * @enum {string}
+ * @private
+ */
+acgraph.vector.Selection.Action_ = {
+  MOVE: 'move',
+  MARQUEE: 'marquee'
+};
+
+
+/**
+ * How elements picked with the mouse change selection.
+ * @enum {string}
+ * @private
+ */
+acgraph.vector.Selection.Mode_ = {
+  REPLACE: 'replace',
+  ADD: 'add',
+  TOGGLE: 'toggle'
+};
+
+
+/**
+ * Returns how elements picked with the mouse change selection, by the keyboard modifiers of the event.
+ * @param {goog.events.BrowserEvent} e Mouse event.
+ * @return {acgraph.vector.Selection.Mode_} Mode.
+ * @private
+ */
+acgraph.vector.Selection.getMode_ = function(e) {
+  if (e.platformModifierKey)
+    return acgraph.vector.Selection.Mode_.TOGGLE;
+  return e.shiftKey ? acgraph.vector.Selection.Mode_.ADD : acgraph.vector.Selection.Mode_.REPLACE;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Selection
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Returns selected elements in the order of selection.
+ @return {!Array.<acgraph.vector.Element>} Elements.
+ */
+acgraph.vector.Selection.prototype.getElements = function() {
+  return goog.array.clone(this.elements_);
+};
+
+
+/**
+ Returns whether the element is selected.
+ @param {acgraph.vector.Element} element Element.
+ @return {boolean} Whether the element is selected.
+ */
+acgraph.vector.Selection.prototype.has = function(element) {
+  return goog.array.contains(this.elements_, element);
+};
+
+
+/**
+ Adds elements to the selection.
+ @param {(acgraph.vector.Element|Array.<acgraph.vector.Element>)} elements Element or elements.
+ @return {!acgraph.vector.Selection} {@link acgraph.vector.Selection} instance for method chaining.
+ */
+acgraph.vector.Selection.prototype.add = function(elements) {
+  this.change_(acgraph.vector.Selection.toArray_(elements), []);
+  return this;
+};
+
+
+/**
+ Removes elements from the selection.
+ @param {(acgraph.vector.Element|Array.<acgraph.vector.Element>)} elements Element or elements.
+ @return {!acgraph.vector.Selection} {@link acgraph.vector.Selection} instance for method chaining.
+ */
+acgraph.vector.Selection.prototype.remove = function(elements) {
+  this.change_([], acgraph.vector.Selection.toArray_(elements));
+  return this;
+};
+
+
+/**
+ Selects elements that are not selected and deselects selected ones.
+ @param {(acgraph.vector.Element|Array.<acgraph.vector.Element>)} elements Element or elements.
+ @return {!acgraph.vector.Selection} {@link acgraph.vector.Selection} instance for method chaining.
+ */
+acgraph.vector.Selection.prototype.toggle = function(elements) {
+  elements = acgraph.vector.Selection.toArray_(elements);
+  var added = goog.array.filter(elements, function(element) {
+    return !this.has(element);
+  }, this);
+  var removed = goog.array.filter(elements, this.has, this);
+  this.change_(added, removed);
+  return this;
+};
+
+
+/**
+ Replaces the selection with the elements.
+ @param {(acgraph.vector.Element|Array.<acgraph.vector.Element>)} elements Element or elements.
+ @return {!acgraph.vector.Selection} {@link acgraph.vector.Selection} instance for method chaining.
+ */
+acgraph.vector.Selection.prototype.select = function(elements) {
+  elements = acgraph.vector.Selection.toArray_(elements);
+  var removed = goog.array.filter(this.elements_, function(element) {
+    return !goog.array.contains(elements, element);
+  });
+  this.change_(elements, removed);
+  return this;
+};
+
+
+/**
+ Deselects all elements.
+ @return {!acgraph.vector.Selection} {@link acgraph.vector.Selection} instance for method chaining.
+ */
+acgraph.vector.Selection.prototype.clear = function() {
+  this.change_([], this.elements_);
+  return this;
+};
+
+
+/**
+ * Normalizes the argument of the selection methods.
+ * @param {(acgraph.vector.Element|Array.<acgraph.vector.Element>)} elements Element or elements.
+ * @return {!Array.<acgraph.vector.Element>} Elements.
+ * @private
+ */
+acgraph.vector.Selection.toArray_ = function(elements) {
+  if (goog.isArray(elements))
+    return goog.array.clone(elements);
+  return elements ? [elements] : [];
+};
+
+
+/**
+ * Changes the selection and dispatches the change event, if anything has changed.
+ * @param {!Array.<acgraph.vector.Element>} added Elements to add.
+ * @param {!Array.<acgraph.vector.Element>} removed Elements to remove.
+ * @private
+ */
+acgraph.vector.Selection.prototype.change_ = function(added, removed) {
+  removed = goog.array.filter(removed, this.has, this);
+  goog.array.forEach(removed, function(element) {
+    goog.array.remove(this.elements_, element);
+  }, this);
+  added = goog.array.filter(added, function(element, index) {
+    return !!element && !this.has(element) && goog.array.indexOf(added, element) == index;
+  }, this);
+  goog.array.extend(this.elements_, added);
+
+  if (added.length || removed.length) {
+    var event = new acgraph.vector.SelectionEvent(acgraph.events.EventType.SELECTION_CHANGE, this);
+    event['added'] = added;
+    event['removed'] = removed;
+    this.dispatchEvent(event);
+  }
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Properties
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Getter/setter for the selection scope: layer which children are selectable with the mouse.
+ @param {acgraph.vector.Layer=} opt_value Layer, null means the stage root layer.
+ @return {acgraph.vector.Layer|!acgraph.vector.Selection} Scope layer or self for method chaining.
+ */
+acgraph.vector.Selection.prototype.scope = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    this.scope_ = opt_value;
+    return this;
+  }
+  return this.scope_ || this.stage_.getRootLayer();
+};
+
+
+/**
+ Getter/setter for selecting elements with the mouse.
+ @param {boolean=} opt_value Whether elements are selected with the mouse.
+ @return {boolean|!acgraph.vector.Selection} Flag or self for method chaining.
+ */
+acgraph.vector.Selection.prototype.enabled = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    opt_value = !!opt_value;
+    if (this.enabled_ != opt_value) {
+      this.enabled_ = opt_value;
+      var domElement = this.stage_.domElement();
+      if (opt_value) {
+        // Capture phase, so the moving starts before the drag of the element under the mouse.
+        this.eventHandler_.listen(domElement, acgraph.events.EventType.MOUSEDOWN, this.handleMouseDown_, true);
+        this.eventHandler_.listen(this.stage_, acgraph.events.EventType.DRAG_START, this.handleDragStart_);
+      } else {
+        this.eventHandler_.removeAll();
+        this.endAction_();
+      }
+    }
+    return this;
+  }
+  return this.enabled_;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Mouse
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns the mouse position in the stage coordinates.
+ * @param {goog.events.BrowserEvent} e Mouse event.
+ * @return {!Array.<number>} Position as [x, y].
+ * @private
+ */
+acgraph.vector.Selection.prototype.getStagePoint_ = function(e) {
+  var rect = this.stage_.domElement().getBoundingClientRect();
+  return [e.clientX - rect.left, e.clientY - rect.top];
+};
+
+
+/**
+ * Returns the child of the scope layer that contains the element.
+ * @param {acgraph.vector.Element} element Element.
+ * @return {acgraph.vector.Element} Scope child or null if the element is out of the scope.
+ * @private
+ */
+acgraph.vector.Selection.prototype.getScopeChild_ = function(element) {
+  var scope = this.scope();
+  while (element instanceof acgraph.vector.Element) {
+    var parent = element.parent();
+    if (parent == scope)
+      return element.disablePointerEvents() ? null : element;
+    element = parent;
+  }
+  return null;
+};
+
+
+/**
+ * Picks the element under the mouse or starts the marquee.
+ * @param {goog.events.BrowserEvent} e Mouse down event.
+ * @private
+ */
+acgraph.vector.Selection.prototype.handleMouseDown_ = function(e) {
+  if (this.action_ || !e.isMouseActionButton()) return;
+  var point = this.getStagePoint_(e);
+  var element = this.getScopeChild_(this.stage_.getElementsAtPoint(point[0], point[1])[0] || null);
+  var mode = acgraph.vector.Selection.getMode_(e);
+
+  if (element) {
+    if (mode == acgraph.vector.Selection.Mode_.TOGGLE)
+      this.toggle(element);
+    else if (mode == acgraph.vector.Selection.Mode_.ADD)
+      this.add(element);
+    else if (!this.has(element))
+      this.select(element);
+    if (!this.has(element)) return;
+    this.action_ = acgraph.vector.Selection.Action_.MOVE;
+  } else {
+    this.action_ = acgraph.vector.Selection.Action_.MARQUEE;
+    this.mode_ = mode;
+  }
+  e.preventDefault();
+
+  this.startPoint_ = point;
+  this.offset_ = [0, 0];
+  this.dragging_ = false;
+  var doc = goog.dom.getOwnerDocument(this.stage_.domElement());
+  this.dragHandler_.listen(doc, acgraph.events.EventType.MOUSEMOVE, this.handleMouseMove_);
+  this.dragHandler_.listen(doc, acgraph.events.EventType.MOUSEUP, this.handleMouseUp_);
+};
+
+
+/**
+ * Prevents the drag of a selected element while the selection is moved.
+ * @param {acgraph.events.DragEvent} e Drag start event.
+ * @private
+ */
+acgraph.vector.Selection.prototype.handleDragStart_ = function(e) {
+  if (this.action_ == acgraph.vector.Selection.Action_.MOVE && this.has(this.getScopeChild_(e.dragger.acelement)))
+    e.preventDefault();
+};
+
+
+/**
+ * Moves the selected elements or the marquee.
+ * @param {goog.events.BrowserEvent} e Mouse move event.
+ * @private
+ */
+acgraph.vector.Selection.prototype.handleMouseMove_ = function(e) {
+  var point = this.getStagePoint_(e);
+  var dx = point[0] - this.startPoint_[0];
+  var dy = point[1] - this.startPoint_[1];
+  if (!this.dragging_) {
+    var threshold = acgraph.vector.Selection.DRAG_THRESHOLD;
+    if (dx * dx + dy * dy <= threshold * threshold) return;
+    this.dragging_ = true;
+    if (this.action_ == acgraph.vector.Selection.Action_.MOVE &&
+        !this.dispatchTransformEvent_(acgraph.events.EventType.TRANSFORM_START)) {
+      this.endAction_();
+      return;
+    }
+  }
+  e.preventDefault();
+
+  if (this.action_ == acgraph.vector.Selection.Action_.MOVE)
+    this.move_(dx, dy);
+  else
+    this.drawMarquee_(this.getMarqueeRect_(point));
+};
+
+
+/**
+ * Finishes moving or selects elements in the marquee.
+ * @param {goog.events.BrowserEvent} e Mouse up event.
+ * @private
+ */
+acgraph.vector.Selection.prototype.handleMouseUp_ = function(e) {
+  var action = this.action_;
+  var dragging = this.dragging_;
+  var point = this.getStagePoint_(e);
+  this.endAction_();
+
+  if (action == acgraph.vector.Selection.Action_.MOVE) {
+    if (dragging)
+      this.dispatchTransformEvent_(acgraph.events.EventType.TRANSFORM_END);
+  } else if (dragging) {
+    var elements = [];
+    goog.array.forEach(this.stage_.getElementsInRect(this.getMarqueeRect_(point)), function(element) {
+      element = this.getScopeChild_(element);
+      if (element)
+        goog.array.insert(elements, element);
+    }, this);
+    if (this.mode_ == acgraph.vector.Selection.Mode_.TOGGLE)
+      this.toggle(elements);
+    else if (this.mode_ == acgraph.vector.Selection.Mode_.ADD)
+      this.add(elements);
+    else
+      this.select(elements);
+  } else if (this.mode_ == acgraph.vector.Selection.Mode_.REPLACE) {
+    // Click on the empty area.
+    this.clear();
+  }
+};
+
+
+/**
+ * Stops listening to the document and removes the marquee.
+ * @private
+ */
+acgraph.vector.Selection.prototype.endAction_ = function() {
+  this.dragHandler_.removeAll();
+  this.action_ = null;
+  this.dragging_ = false;
+  if (this.marqueeLayer_)
+    this.marqueeLayer_.remove();
+};
+
+
+/**
+ * Moves the selected elements so that they are moved by the mouse offset since drag start.
+ * @param {number} dx Mouse offset X in the stage coordinates.
+ * @param {number} dy Mouse offset Y in the stage coordinates.
+ * @private
+ */
+acgraph.vector.Selection.prototype.move_ = function(dx, dy) {
+  var x = dx - this.offset_[0];
+  var y = dy - this.offset_[1];
+  this.offset_ = [dx, dy];
+  this.stage_.suspend();
+  goog.array.forEach(this.elements_, function(element) {
+    // Offset is converted to the parent coordinates of each element.
+    var parent = element.parent();
+    var tx = parent ? parent.getFullTransformation() : null;
+    var offset = [x, y, 0, 0];
+    if (tx)
+      tx.createInverse().transform(offset, 0, offset, 0, 2);
+    element.setPosition(element.getX() + offset[0] - offset[2], element.getY() + offset[1] - offset[3]);
+  });
+  this.stage_.resume();
+  this.dispatchTransformEvent_(acgraph.events.EventType.TRANSFORM);
+};
+
+
+/**
+ * Dispatches the transform event with the current movement of the selected elements.
+ * @param {string} type Event type.
+ * @return {boolean} False if the event was prevented.
+ * @private
+ */
+acgraph.vector.Selection.prototype.dispatchTransformEvent_ = function(type) {
+  var event = new acgraph.vector.SelectionEvent(type, this);
+  event['dx'] = this.offset_[0];
+  event['dy'] = this.offset_[1];
+  return this.dispatchEvent(event);
+};
+
+
+/**
+ * Returns the marquee rectangle from the drag start to the point.
+ * @param {!Array.<number>} point Mouse position in the stage coordinates.
+ * @return {!acgraph.math.Rect} Rectangle.
+ * @private
+ */
+acgraph.vector.Selection.prototype.getMarqueeRect_ = function(point) {
+  var start = this.startPoint_;
+  return new acgraph.math.Rect(Math.min(start[0], point[0]), Math.min(start[1], point[1]),
+      Math.abs(point[0] - start[0]), Math.abs(point[1] - start[1]));
+};
+
+
+/**
+ * Draws the marquee rectangle on the temporary layer on top of the stage.
+ * @param {!acgraph.math.Rect} rect Rectangle in the stage coordinates.
+ * @private
+ */
+acgraph.vector.Selection.prototype.drawMarquee_ = function(rect) {
+  if (!this.marqueeLayer_) {
+    this.marqueeLayer_ = acgraph.layer();
+    this.marqueeLayer_.disablePointerEvents(true).disableHistory(true);
+    this.marquee_ = this.marqueeLayer_.rect();
+    this.marquee_.fill(acgraph.vector.Selection.COLOR, 0.1).stroke(acgraph.vector.Selection.COLOR);
+  }
+  this.stage_.suspend();
+  if (this.marqueeLayer_.getStage() != this.stage_)
+    this.stage_.addChild(this.marqueeLayer_);
+  this.marquee_.setBounds(rect);
+  this.stage_.resume();
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Disposing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Selection.prototype.disposeInternal = function() {
+  this.endAction_();
+  goog.dispose(this.marqueeLayer_);
+  this.marqueeLayer_ = null;
+  this.marquee_ = null;
+  this.elements_.length = 0;
+  this.stage_ = null;
+  goog.base(this, 'disposeInternal');
+};
+
+
+
+/**
+ * Object representing a selection event.
+ * @param {string} type Event type.
+ * @param {acgraph.vector.Selection} selection Selection initiating event.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+acgraph.vector.SelectionEvent = function(type, selection) {
+  goog.events.Event.call(this, type);
+
+  /**
+   * Reference to the selection for this event.
+   * @type {acgraph.vector.Selection}
+   */
+  this['selection'] = selection;
+
+  /**
+   * Selected elements.
+   * @type {!Array.<acgraph.vector.Element>}
+   */
+  this['elements'] = selection.getElements();
+
+  /**
+   * Elements added to the selection, for the change event.
+   * @type {!Array.<acgraph.vector.Element>}
+   */
+  this['added'] = [];
+
+  /**
+   * Elements removed from the selection, for the change event.
+   * @type {!Array.<acgraph.vector.Element>}
+   */
+  this['removed'] = [];
+
+  /**
+   * Horizontal movement of the selected elements since drag start in the stage coordinates, for the transform events.
+   * @type {number}
+   */
+  this['dx'] = 0;
+
+  /**
+   * Vertical movement of the selected elements since drag start in the stage coordinates, for the transform events.
+   * @type {number}
+   */
+  this['dy'] = 0;
+};
+goog.inherits(acgraph.vector.SelectionEvent, goog.events.Event);
+
+
+//exports
+acgraph.vector.Selection.prototype['getElements'] = acgraph.vector.Selection.prototype.getElements;
+acgraph.vector.Selection.prototype['has'] = acgraph.vector.Selection.prototype.has;
+acgraph.vector.Selection.prototype['add'] = acgraph.vector.Selection.prototype.add;
+acgraph.vector.Selection.prototype['remove'] = acgraph.vector.Selection.prototype.remove;
+acgraph.vector.Selection.prototype['toggle'] = acgraph.vector.Selection.prototype.toggle;
+acgraph.vector.Selection.prototype['select'] = acgraph.vector.Selection.prototype.select;
+acgraph.vector.Selection.prototype['clear'] = acgraph.vector.Selection.prototype.clear;
+acgraph.vector.Selection.prototype['scope'] = acgraph.vector.Selection.prototype.scope;
+acgraph.vector.Selection.prototype['enabled'] = acgraph.vector.Selection.prototype.enabled;
+acgraph.vector.Selection.prototype['listen'] = acgraph.vector.Selection.prototype.listen;
+acgraph.vector.Selection.prototype['listenOnce'] = acgraph.vector.Selection.prototype.listenOnce;
+acgraph.vector.Selection.prototype['unlisten'] = acgraph.vector.Selection.prototype.unlisten;
@@ -2,6 +2,8 @@ goog.provide('acgraph.vector.Shape');
 goog.require('acgraph.math.Rect');
 goog.require('acgraph.utils');
 goog.require('acgraph.vector.Element');
+goog.require('goog.math');
+goog.require('goog.object');
 
 
 
@@ -72,6 +74,7 @@ acgraph.vector.Shape.prototype.fill = function(opt_fillOrColorOrKeys, opt_opacit
 
   // TODO(Anton Saukh): comparison must be more complex here
   if (this.fill_ != newFill) {
+    this.recordChange('fill');
     this.fill_ = newFill;
     // Flag to show that fill changed
     this.setDirtyState(acgraph.vector.Element.DirtyState.FILL);
@@ -97,9 +100,12 @@ acgraph.vector.Shape.prototype.stroke = function(opt_strokeOrFill, opt_thickness
 
   // TODO(Anton Saukh): comparison must be more complex here
   if (this.stroke_ != newStroke) {
+    this.recordChange('stroke');
     this.stroke_ = /** @type {acgraph.vector.Stroke} */(newStroke);
     // set flag that stroke has changed
     this.setDirtyState(acgraph.vector.Element.DirtyState.STROKE);
+    // Stroke is a part of the hit area of the shape, that the parent spatial index should know about.
+    this.dropBoundsCache();
   }
   return this;
 };
@@ -112,6 +118,7 @@ acgraph.vector.Shape.prototype.stroke = function(opt_strokeOrFill, opt_thickness
  */
 acgraph.vector.Shape.prototype.strokeThickness = function(opt_value) {
   if (goog.isDef(opt_value)) {
+    this.recordChange('stroke');
     if (goog.isString(this.stroke_)) {
       this.stroke_ = /** @type {acgraph.vector.Stroke} */({
         'color': this.stroke_,
@@ -122,6 +129,7 @@ acgraph.vector.Shape.prototype.strokeThickness = function(opt_value) {
       this.stroke_['thickness'] = isNaN(opt_value) ? 1 : +opt_value;
       this.setDirtyState(acgraph.vector.Element.DirtyState.STROKE);
     }
+    this.dropBoundsCache();
     return this;
   } else if (goog.isString(this.stroke_)) {
     return 1;
@@ -153,10 +161,99 @@ acgraph.vector.Shape.prototype.renderInternal = function() {
  * @return {undefined}
  */
 acgraph.vector.Shape.prototype.renderFillAndStroke = function() {
-  acgraph.getRenderer().applyFillAndStroke(this);
+  this.getRenderer().applyFillAndStroke(this);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.FILL);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.STROKE);
 };
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Animation
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Shape.prototype.getAnimatableValue = function(key) {
+  switch (key) {
+    case 'fill':
+      return this.fill_;
+    case 'stroke':
+      return this.stroke_;
+    case 'opacity':
+      var opacity = goog.isObject(this.fill_) ? this.fill_['opacity'] : NaN;
+      return isNaN(opacity) ? 1 : opacity;
+  }
+  return goog.base(this, 'getAnimatableValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Shape.prototype.setAnimatableValue = function(key, value) {
+  switch (key) {
+    case 'fill':
+      this.fill(/** @type {acgraph.vector.Fill} */(value));
+      break;
+    case 'stroke':
+      this.stroke(/** @type {acgraph.vector.Stroke} */(value));
+      break;
+    case 'opacity':
+      var fill = acgraph.vector.Shape.applyOpacity_(this.fill_, /** @type {number} */(value));
+      var stroke = acgraph.vector.Shape.applyOpacity_(this.stroke_, /** @type {number} */(value));
+      if (fill != this.fill_) this.fill(/** @type {acgraph.vector.Fill} */(fill));
+      if (stroke != this.stroke_) this.stroke(/** @type {acgraph.vector.Stroke} */(stroke));
+      break;
+    default:
+      goog.base(this, 'setAnimatableValue', key, value);
+  }
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Shape.prototype.getHistoryValue = function(key) {
+  switch (key) {
+    case 'fill':
+      return this.fill_;
+    case 'stroke':
+      // Stroke thickness is changed in place. Color strokes are stored as objects, so a stroke that only gets
+      // the default thickness set equals the previous one.
+      if (goog.isObject(this.stroke_))
+        return goog.object.clone(this.stroke_);
+      return this.stroke_ == 'none' ? this.stroke_ : {'color': this.stroke_, 'thickness': 1};
+  }
+  return goog.base(this, 'getHistoryValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Shape.prototype.setHistoryValue = function(key, value) {
+  switch (key) {
+    case 'fill':
+      this.fill(/** @type {acgraph.vector.Fill} */(value));
+      break;
+    case 'stroke':
+      this.stroke(/** @type {acgraph.vector.Stroke} */(value));
+      break;
+    default:
+      goog.base(this, 'setHistoryValue', key, value);
+  }
+};
+
+
+/**
+ * Returns a copy of a normalized fill or stroke with the opacity set.
+ * @param {acgraph.vector.Fill|acgraph.vector.Stroke} color Fill or stroke.
+ * @param {number} opacity Opacity.
+ * @return {acgraph.vector.Fill|acgraph.vector.Stroke} Fill or stroke with opacity, or the same object if
+ *    opacity can't be applied (none or pattern fill).
+ * @private
+ */
+acgraph.vector.Shape.applyOpacity_ = function(color, opacity) {
+  if (color == 'none' || color instanceof acgraph.vector.PatternFill || !goog.isDefAndNotNull(color))
+    return color;
+  var result = goog.isString(color) ? {'color': color} : goog.object.clone(color);
+  result['opacity'] = goog.math.clamp(opacity, 0, 1);
+  return /** @type {acgraph.vector.Fill|acgraph.vector.Stroke} */(result);
+};
 //region --- Section Utility methods ---
 
 
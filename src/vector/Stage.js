@@ -2,21 +2,27 @@ goog.provide('acgraph.vector.Stage');
 
 goog.require('acgraph.error');
 goog.require('acgraph.events.BrowserEvent');
+goog.require('acgraph.events.GestureRecognizer');
 goog.require('acgraph.math.Rect');
 goog.require('acgraph.utils.HelperElement');
 goog.require('acgraph.utils.IdGenerator');
+goog.require('acgraph.utils.PdfWriter');
 goog.require('acgraph.utils.exporting');
+goog.require('acgraph.utils.hitTesting');
 goog.require('acgraph.vector.Circle');
 goog.require('acgraph.vector.Clip');
 goog.require('acgraph.vector.Defs');
 goog.require('acgraph.vector.Ellipse');
 goog.require('acgraph.vector.HatchFill');
+goog.require('acgraph.vector.History');
 goog.require('acgraph.vector.ILayer');
 goog.require('acgraph.vector.Image');
 goog.require('acgraph.vector.Layer');
+goog.require('acgraph.vector.Mask');
 goog.require('acgraph.vector.Path');
 goog.require('acgraph.vector.PatternFill');
 goog.require('acgraph.vector.Rect');
+goog.require('acgraph.vector.Selection');
 goog.require('acgraph.vector.Text');
 goog.require('acgraph.vector.UnmanagedLayer');
 goog.require('goog.Uri.QueryData');
@@ -27,6 +33,8 @@ goog.require('goog.events.EventHandler');
 goog.require('goog.events.EventTarget');
 goog.require('goog.events.Listenable');
 goog.require('goog.net.XhrIo');
+goog.require('goog.object');
+goog.require('goog.string');
 goog.require('goog.structs.Map');
 goog.require('goog.style');
 
@@ -148,6 +156,13 @@ acgraph.vector.Stage = function(opt_container, opt_width, opt_height) {
    */
   this.clipsToRender_ = [];
 
+  /**
+   * Array of masks that should be rendered when stage is rendering.
+   * @type {Array.<acgraph.vector.Mask>}
+   * @private
+   */
+  this.masksToRender_ = [];
+
   /**
    * Async rendering method. We create it here and not in prototype
    * because we need to encapsulate it in Stage to pass to setTimeout().
@@ -165,7 +180,7 @@ acgraph.vector.Stage = function(opt_container, opt_width, opt_height) {
     if (!goog.dom.getParentElement(this.domElement()) || this.container() != goog.dom.getParentElement(this.domElement())) {
       // Then add DOM element into an actual container.
       // If container is changed then move DOM element to new container (don't remove from DOM)
-      acgraph.getRenderer().appendChild(/** @type {Element} */ (this.container()), this.domElement());
+      this.getRenderer().appendChild(/** @type {Element} */ (this.container()), this.domElement());
     }
     // If state is still dirty, make browser handle the sequence of events and call again.
     if (this.isDirty())
@@ -176,8 +191,8 @@ acgraph.vector.Stage = function(opt_container, opt_width, opt_height) {
         this.startResizeMonitor();
       this.dispatchRenderEvent(acgraph.vector.Stage.EventType.RENDER_FINISH);
 
-      var imageLoader = acgraph.getRenderer().getImageLoader();
-      var isImageLoading = acgraph.getRenderer().isImageLoading();
+      var imageLoader = this.getRenderer().getImageLoader();
+      var isImageLoading = this.getRenderer().isImageLoading();
       if (imageLoader && isImageLoading) {
         if (!this.imageLoadingListener_)
           this.imageLoadingListener_ = goog.events.listenOnce(imageLoader, goog.net.EventType.COMPLETE, function(e) {
@@ -209,7 +224,7 @@ acgraph.vector.Stage = function(opt_container, opt_width, opt_height) {
    */
   this.defs_ = this.createDefs();
   this.defs_.createDom();
-  acgraph.getRenderer().appendChild(this.domElement(), this.defs_.domElement());
+  this.getRenderer().appendChild(this.domElement(), this.defs_.domElement());
 
   /**
    * Root layer for Stage. All layer and elements added to stage go in this layer.
@@ -219,7 +234,7 @@ acgraph.vector.Stage = function(opt_container, opt_width, opt_height) {
    */
   this.rootLayer_ = new acgraph.vector.Layer();
   this.rootLayer_.setParent(this).render();
-  acgraph.getRenderer().appendChild(this.domElement(), this.rootLayer_.domElement());
+  this.getRenderer().appendChild(this.domElement(), this.rootLayer_.domElement());
 
   this.eventHandler_.listen(this.domElement(), [
     goog.events.EventType.MOUSEDOWN,
@@ -232,11 +247,20 @@ acgraph.vector.Stage = function(opt_container, opt_width, opt_height) {
     goog.events.EventType.TOUCHCANCEL,
     goog.events.EventType.MSPOINTERDOWN,
     goog.events.EventType.MSPOINTERUP,
+    goog.events.EventType.MSPOINTERCANCEL,
     goog.events.EventType.POINTERDOWN,
     goog.events.EventType.POINTERUP,
+    goog.events.EventType.POINTERCANCEL,
     goog.events.EventType.CONTEXTMENU
   ], this.handleMouseEvent_, false);
 
+  /**
+   * Recognizer of the touch gestures.
+   * @type {acgraph.events.GestureRecognizer}
+   * @private
+   */
+  this.gestureRecognizer_ = new acgraph.events.GestureRecognizer(this);
+
   this.resume();
 };
 goog.inherits(acgraph.vector.Stage, goog.events.EventTarget);
@@ -315,13 +339,24 @@ acgraph.vector.Stage.EventType = {
 acgraph.vector.Stage.HANDLED_EVENT_TYPES_CAPTURE_SHIFT = 12;
 
 
+/**
+ * Wraps browser event and resolves its target elements.
+ * @param {goog.events.BrowserEvent} e Browser event.
+ * @return {!acgraph.events.BrowserEvent} Event to dispatch on the target element.
+ * @protected
+ */
+acgraph.vector.Stage.prototype.createBrowserEvent = function(e) {
+  return new acgraph.events.BrowserEvent(e, this);
+};
+
+
 /**
  * Events redispatcher.
  * @param {goog.events.BrowserEvent} e
  * @private
  */
 acgraph.vector.Stage.prototype.handleMouseEvent_ = function(e) {
-  var event = new acgraph.events.BrowserEvent(e, this);
+  var event = this.createBrowserEvent(e);
   if (event['target'] instanceof acgraph.vector.Element) {
     var el = /** @type {acgraph.vector.Element} */(event['target']);
     el.dispatchEvent(event);
@@ -343,21 +378,51 @@ acgraph.vector.Stage.prototype.handleMouseEvent_ = function(e) {
     } else if (event['type'] == acgraph.events.EventType.MOUSEUP) {
       this.eventHandler_.unlisten(goog.dom.getDocument(), acgraph.events.EventType.MOUSEUP, this.handleMouseEvent_,
           false);
-    } else if (event['type'] == acgraph.events.EventType.TOUCHSTART) {
-      this.eventHandler_.listen(goog.dom.getDocument(), acgraph.events.EventType.TOUCHMOVE, this.handleMouseEvent_,
-          false);
-    } else if (event['type'] == acgraph.events.EventType.TOUCHEND) {
-      this.eventHandler_.unlisten(goog.dom.getDocument(), acgraph.events.EventType.TOUCHMOVE, this.handleMouseEvent_,
-          false);
-    } else if (event['type'] == goog.events.EventType.POINTERDOWN) {
-      this.eventHandler_.listen(goog.dom.getDocument(), goog.events.EventType.POINTERMOVE, this.handleMouseEvent_,
-          false);
-    } else if (event['type'] == goog.events.EventType.POINTERUP) {
-      this.eventHandler_.unlisten(goog.dom.getDocument(), goog.events.EventType.POINTERMOVE, this.handleMouseEvent_,
-          false);
     }
   }
+
+  // Gestures are tracked on the stage background too, so moves are listened to while any touch is down.
+  if (this.isDisposed()) return;
+  this.gestureRecognizer_.handleEvent(e, event['target']);
+  var moveType = acgraph.vector.Stage.MOVE_EVENTS_[event['type']];
+  if (moveType) {
+    var isDown = goog.array.contains(acgraph.vector.Stage.DOWN_EVENTS_, event['type']);
+    if (this.gestureRecognizer_.isTracking() || (isDown && event['target'] instanceof acgraph.vector.Element))
+      this.eventHandler_.listen(goog.dom.getDocument(), moveType, this.handleMouseEvent_, false);
+    else if (!isDown)
+      this.eventHandler_.unlisten(goog.dom.getDocument(), moveType, this.handleMouseEvent_, false);
+  }
 };
+
+
+/**
+ * Events which put the touch or the pointer down.
+ * @type {!Array.<string>}
+ * @private
+ */
+acgraph.vector.Stage.DOWN_EVENTS_ = [
+  goog.events.EventType.TOUCHSTART,
+  goog.events.EventType.POINTERDOWN,
+  goog.events.EventType.MSPOINTERDOWN
+];
+
+
+/**
+ * Move events listened to on the document while the touch or the pointer is down, by the down, up and cancel events.
+ * @type {!Object.<string, string>}
+ * @private
+ */
+acgraph.vector.Stage.MOVE_EVENTS_ = goog.object.create(
+    goog.events.EventType.TOUCHSTART, goog.events.EventType.TOUCHMOVE,
+    goog.events.EventType.TOUCHEND, goog.events.EventType.TOUCHMOVE,
+    goog.events.EventType.TOUCHCANCEL, goog.events.EventType.TOUCHMOVE,
+    goog.events.EventType.POINTERDOWN, goog.events.EventType.POINTERMOVE,
+    goog.events.EventType.POINTERUP, goog.events.EventType.POINTERMOVE,
+    goog.events.EventType.POINTERCANCEL, goog.events.EventType.POINTERMOVE,
+    goog.events.EventType.MSPOINTERDOWN, goog.events.EventType.MSPOINTERMOVE,
+    goog.events.EventType.MSPOINTERUP, goog.events.EventType.MSPOINTERMOVE,
+    goog.events.EventType.MSPOINTERCANCEL, goog.events.EventType.MSPOINTERMOVE
+);
 //endregion
 
 
@@ -864,6 +929,16 @@ acgraph.vector.Stage.prototype.getDefs = function() {
 };
 
 
+/**
+ * Returns renderer used to render the stage and its elements. By default, it is the renderer
+ * supported by the current browser (see {@link acgraph.getRenderer}).
+ * @return {!acgraph.vector.Renderer} Renderer.
+ */
+acgraph.vector.Stage.prototype.getRenderer = function() {
+  return acgraph.getRenderer();
+};
+
+
 /**
  TODO: We need to create method to clear SVG because there is no sence to clear defs only.<br/>
  Destroy all content (e.g. gradients, some fill and etc.) in defs node.
@@ -885,7 +960,7 @@ acgraph.vector.Stage.prototype.clearDefs = function() {
  * @protected
  */
 acgraph.vector.Stage.prototype.createDomElement = function() {
-  return acgraph.getRenderer().createStageElement();
+  return this.getRenderer().createStageElement();
 };
 
 
@@ -899,7 +974,7 @@ acgraph.vector.Stage.prototype.id = function(opt_value) {
     var id = opt_value || '';
     if (this.id_ !== id) {
       this.id_ = id;
-      acgraph.getRenderer().setId(this, this.id_);
+      this.getRenderer().setId(this, this.id_);
     }
     return this;
   }
@@ -915,7 +990,7 @@ acgraph.vector.Stage.prototype.id = function(opt_value) {
  * @protected
  */
 acgraph.vector.Stage.prototype.createInternal = function() {
-  acgraph.getRenderer().setStageSize(this.domElement(), '100%', '100%');
+  this.getRenderer().setStageSize(this.domElement(), '100%', '100%');
 };
 
 
@@ -1052,8 +1127,8 @@ acgraph.vector.Stage.prototype.render = function() {
 
   this.dispatchRenderEvent(acgraph.vector.Stage.EventType.RENDER_FINISH);
 
-  var imageLoader = acgraph.getRenderer().getImageLoader();
-  var isImageLoading = acgraph.getRenderer().isImageLoading();
+  var imageLoader = this.getRenderer().getImageLoader();
+  var isImageLoading = this.getRenderer().isImageLoading();
   if (imageLoader && isImageLoading) {
     if (!this.imageLoadingListener_)
       this.imageLoadingListener_ = goog.events.listenOnce(imageLoader, goog.net.EventType.COMPLETE, function(e) {
@@ -1080,6 +1155,15 @@ acgraph.vector.Stage.prototype.renderInternal = function() {
     this.clipsToRender_.length = 0;
   }
 
+  if (this.masksToRender_ && this.masksToRender_.length) {
+    for (var j = 0; j < this.masksToRender_.length; j++) {
+      var mask = this.masksToRender_[j];
+      if (mask.isDirty())
+        mask.render();
+    }
+    this.masksToRender_.length = 0;
+  }
+
   if (this.rootLayer_.isDirty())
     this.rootLayer_.render();
 
@@ -1282,9 +1366,14 @@ acgraph.vector.Stage.prototype.addPngData_ = function(data, opt_width, opt_heigh
 acgraph.vector.Stage.prototype.shareAsPng = function(onSuccess, opt_onError, opt_asBase64, opt_width, opt_height, opt_quality, opt_filename) {
   var type = acgraph.type();
   if (type == acgraph.StageType.SVG) {
-    var data = {};
-    this.addPngData_(data, opt_width, opt_height, opt_quality, opt_filename);
-    this.shareUrl_(acgraph.vector.Stage.ExportType.PNG, data, !!opt_asBase64, true, onSuccess, opt_onError);
+    if (acgraph.exportServer) {
+      var data = {};
+      this.addPngData_(data, opt_width, opt_height, opt_quality, opt_filename);
+      this.shareUrl_(acgraph.vector.Stage.ExportType.PNG, data, !!opt_asBase64, true, onSuccess, opt_onError);
+    } else {
+      this.rasterizeToString_(acgraph.vector.Stage.ExportType.PNG, !!opt_asBase64, onSuccess, opt_onError,
+          opt_width, opt_height, opt_quality);
+    }
   } else {
     alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
   }
@@ -1326,9 +1415,14 @@ acgraph.vector.Stage.prototype.addJpgData_ = function(data, opt_width, opt_heigh
 acgraph.vector.Stage.prototype.shareAsJpg = function(onSuccess, opt_onError, opt_asBase64, opt_width, opt_height, opt_quality, opt_forceTransparentWhite, opt_filename) {
   var type = acgraph.type();
   if (type == acgraph.StageType.SVG) {
-    var data = {};
-    this.addJpgData_(data, opt_width, opt_height, opt_quality, opt_forceTransparentWhite, opt_filename);
-    this.shareUrl_(acgraph.vector.Stage.ExportType.JPG, data, !!opt_asBase64, true, onSuccess, opt_onError);
+    if (acgraph.exportServer) {
+      var data = {};
+      this.addJpgData_(data, opt_width, opt_height, opt_quality, opt_forceTransparentWhite, opt_filename);
+      this.shareUrl_(acgraph.vector.Stage.ExportType.JPG, data, !!opt_asBase64, true, onSuccess, opt_onError);
+    } else {
+      this.rasterizeToString_(acgraph.vector.Stage.ExportType.JPG, !!opt_asBase64, onSuccess, opt_onError,
+          opt_width, opt_height, opt_quality, opt_forceTransparentWhite);
+    }
   } else {
     alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
   }
@@ -1438,9 +1532,13 @@ acgraph.vector.Stage.prototype.addPdfData_ = function(data, opt_paperSizeOrWidth
 acgraph.vector.Stage.prototype.shareAsPdf = function(onSuccess, opt_onError, opt_asBase64, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y, opt_filename) {
   var type = acgraph.type();
   if (type == acgraph.StageType.SVG) {
-    var data = {};
-    this.addPdfData_(data, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y, opt_filename);
-    this.shareUrl_(acgraph.vector.Stage.ExportType.PDF, data, !!opt_asBase64, true, onSuccess, opt_onError);
+    if (acgraph.exportServer) {
+      var data = {};
+      this.addPdfData_(data, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y, opt_filename);
+      this.shareUrl_(acgraph.vector.Stage.ExportType.PDF, data, !!opt_asBase64, true, onSuccess, opt_onError);
+    } else {
+      this.pdfToString_(!!opt_asBase64, onSuccess, opt_onError, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y);
+    }
   } else {
     alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
   }
@@ -1458,9 +1556,14 @@ acgraph.vector.Stage.prototype.shareAsPdf = function(onSuccess, opt_onError, opt
 acgraph.vector.Stage.prototype.getPngBase64String = function(onSuccess, opt_onError, opt_width, opt_height, opt_quality) {
   var type = acgraph.type();
   if (type == acgraph.StageType.SVG) {
-    var data = {};
-    this.addPngData_(data, opt_width, opt_height, opt_quality);
-    this.shareUrl_(acgraph.vector.Stage.ExportType.PNG, data, true, false, onSuccess, opt_onError);
+    if (acgraph.exportServer) {
+      var data = {};
+      this.addPngData_(data, opt_width, opt_height, opt_quality);
+      this.shareUrl_(acgraph.vector.Stage.ExportType.PNG, data, true, false, onSuccess, opt_onError);
+    } else {
+      this.rasterizeToString_(acgraph.vector.Stage.ExportType.PNG, true, onSuccess, opt_onError,
+          opt_width, opt_height, opt_quality);
+    }
   } else {
     alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
   }
@@ -1479,9 +1582,14 @@ acgraph.vector.Stage.prototype.getPngBase64String = function(onSuccess, opt_onEr
 acgraph.vector.Stage.prototype.getJpgBase64String = function(onSuccess, opt_onError, opt_width, opt_height, opt_quality, opt_forceTransparentWhite) {
   var type = acgraph.type();
   if (type == acgraph.StageType.SVG) {
-    var data = {};
-    this.addJpgData_(data, opt_width, opt_height, opt_quality, opt_forceTransparentWhite);
-    this.shareUrl_(acgraph.vector.Stage.ExportType.JPG, data, true, false, onSuccess, opt_onError);
+    if (acgraph.exportServer) {
+      var data = {};
+      this.addJpgData_(data, opt_width, opt_height, opt_quality, opt_forceTransparentWhite);
+      this.shareUrl_(acgraph.vector.Stage.ExportType.JPG, data, true, false, onSuccess, opt_onError);
+    } else {
+      this.rasterizeToString_(acgraph.vector.Stage.ExportType.JPG, true, onSuccess, opt_onError,
+          opt_width, opt_height, opt_quality, opt_forceTransparentWhite);
+    }
   } else {
     alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
   }
@@ -1519,13 +1627,145 @@ acgraph.vector.Stage.prototype.getSvgBase64String = function(onSuccess, opt_onEr
 acgraph.vector.Stage.prototype.getPdfBase64String = function(onSuccess, opt_onError, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y) {
   var type = acgraph.type();
   if (type == acgraph.StageType.SVG) {
-    var data = {};
-    this.addPdfData_(data, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y);
-    this.shareUrl_(acgraph.vector.Stage.ExportType.PDF, data, true, false, onSuccess, opt_onError);
+    if (acgraph.exportServer) {
+      var data = {};
+      this.addPdfData_(data, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y);
+      this.shareUrl_(acgraph.vector.Stage.ExportType.PDF, data, true, false, onSuccess, opt_onError);
+    } else {
+      this.pdfToString_(true, onSuccess, opt_onError, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y);
+    }
   } else {
     alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
   }
 };
+
+
+/**
+ Renders the stage into an image in the browser, without the export server. External images are inlined
+ beforehand, so the result is not tainted by cross-origin content.<br/>
+ This method is used by PNG and JPG exporting methods when the export server address is empty
+ (see {@link acgraph.server}).
+ @param {function((string|Blob))} onSuccess Function that will be called with the data URL or Blob of the image.
+ @param {function(string)=} opt_onError Function that will be called with the error message.
+ @param {string=} opt_type Image type, 'png' (default) or 'jpg'.
+ @param {number=} opt_width Image width. Proportional to the height, if only the height is set.
+ @param {number=} opt_height Image height. Proportional to the width, if only the width is set.
+ @param {number=} opt_quality Image quality in ratio 0-1 (for JPG).
+ @param {boolean=} opt_asBlob Whether to return Blob instead of data URL.
+ @param {boolean=} opt_forceTransparentWhite Whether to paint transparent areas of JPG image white.
+ */
+acgraph.vector.Stage.prototype.rasterize = function(onSuccess, opt_onError, opt_type, opt_width, opt_height,
+    opt_quality, opt_asBlob, opt_forceTransparentWhite) {
+  acgraph.utils.exporting.rasterize(this.toSvg(), opt_type || acgraph.vector.Stage.ExportType.PNG, onSuccess,
+      opt_onError, opt_width, opt_height, opt_quality, opt_asBlob, opt_forceTransparentWhite);
+};
+
+
+/**
+ * Rasterizes stage in the browser and returns data URL or base64 string.
+ * @param {acgraph.vector.Stage.ExportType} type Image type.
+ * @param {boolean} asBase64 Whether to return base64 string without data URL header.
+ * @param {function(string)} onSuccess Function that will be called on success.
+ * @param {function(string)=} opt_onError Function that will be called on error.
+ * @param {number=} opt_width Image width.
+ * @param {number=} opt_height Image height.
+ * @param {number=} opt_quality Image quality in ratio 0-1.
+ * @param {boolean=} opt_forceTransparentWhite Whether to paint transparent areas of JPG image white.
+ * @private
+ */
+acgraph.vector.Stage.prototype.rasterizeToString_ = function(type, asBase64, onSuccess, opt_onError, opt_width,
+    opt_height, opt_quality, opt_forceTransparentWhite) {
+  this.rasterize(function(dataUrl) {
+    dataUrl = /** @type {string} */ (dataUrl);
+    onSuccess(asBase64 ? dataUrl.substr(dataUrl.indexOf(',') + 1) : dataUrl);
+  }, opt_onError, type, opt_width, opt_height, opt_quality, false, opt_forceTransparentWhite);
+};
+
+
+/**
+ * Rasterizes stage in the browser and saves it as a file.
+ * @param {acgraph.vector.Stage.ExportType} type Image type.
+ * @param {number=} opt_width Image width.
+ * @param {number=} opt_height Image height.
+ * @param {number=} opt_quality Image quality in ratio 0-1.
+ * @param {string=} opt_filename File name to save.
+ * @param {boolean=} opt_forceTransparentWhite Whether to paint transparent areas of JPG image white.
+ * @private
+ */
+acgraph.vector.Stage.prototype.saveRaster_ = function(type, opt_width, opt_height, opt_quality, opt_filename,
+    opt_forceTransparentWhite) {
+  var filename = opt_filename || 'acgraph';
+  if (!goog.string.endsWith(filename.toLowerCase(), '.' + type))
+    filename += '.' + type;
+  this.rasterize(function(blob) {
+    acgraph.utils.exporting.saveBlob(/** @type {!Blob} */ (blob), filename);
+  }, function(message) {
+    alert(message);
+  }, type, opt_width, opt_height, opt_quality, true, opt_forceTransparentWhite);
+};
+
+
+/**
+ Writes the stage into a vector PDF document in the browser, without the export server. Images are embedded
+ only if they are loaded from the same origin or CORS-enabled.<br/>
+ This method is used by PDF exporting methods when the export server address is empty (see {@link acgraph.server}).
+ Read more about supported features at {@link acgraph.utils.PdfWriter}.
+ @param {function((string|Blob))} onSuccess Function that will be called with the data URL or Blob of the document.
+ @param {function(string)=} opt_onError Function that will be called with the error message.
+ @param {(number|string)=} opt_paperSizeOrWidth Any paper format like 'a0', 'tabloid', 'b4', etc. or page width.
+ @param {(number|boolean)=} opt_landscapeOrWidth Define, is landscape, or page height.
+ @param {number=} opt_x Offset X.
+ @param {number=} opt_y Offset Y.
+ @param {boolean=} opt_asBlob Whether to return Blob instead of data URL.
+ */
+acgraph.vector.Stage.prototype.toPdf = function(onSuccess, opt_onError, opt_paperSizeOrWidth, opt_landscapeOrWidth,
+    opt_x, opt_y, opt_asBlob) {
+  var writer = new acgraph.utils.PdfWriter(this, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y);
+  writer.write(function(data) {
+    var dataUrl = 'data:application/pdf;base64,' + goog.global['btoa'](data);
+    onSuccess(opt_asBlob ? acgraph.utils.exporting.dataUrlToBlob(dataUrl) : dataUrl);
+  }, opt_onError);
+};
+
+
+/**
+ * Writes stage into PDF in the browser and returns data URL or base64 string.
+ * @param {boolean} asBase64 Whether to return base64 string without data URL header.
+ * @param {function(string)} onSuccess Function that will be called on success.
+ * @param {function(string)=} opt_onError Function that will be called on error.
+ * @param {(number|string)=} opt_paperSizeOrWidth Paper size or page width.
+ * @param {(number|boolean)=} opt_landscapeOrWidth Define, is landscape, or page height.
+ * @param {number=} opt_x Offset X.
+ * @param {number=} opt_y Offset Y.
+ * @private
+ */
+acgraph.vector.Stage.prototype.pdfToString_ = function(asBase64, onSuccess, opt_onError, opt_paperSizeOrWidth,
+    opt_landscapeOrWidth, opt_x, opt_y) {
+  this.toPdf(function(dataUrl) {
+    dataUrl = /** @type {string} */ (dataUrl);
+    onSuccess(asBase64 ? dataUrl.substr(dataUrl.indexOf(',') + 1) : dataUrl);
+  }, opt_onError, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y);
+};
+
+
+/**
+ * Writes stage into PDF in the browser and saves it as a file.
+ * @param {(number|string)=} opt_paperSizeOrWidth Paper size or page width.
+ * @param {(number|boolean)=} opt_landscapeOrWidth Define, is landscape, or page height.
+ * @param {number=} opt_x Offset X.
+ * @param {number=} opt_y Offset Y.
+ * @param {string=} opt_filename File name to save.
+ * @private
+ */
+acgraph.vector.Stage.prototype.savePdf_ = function(opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y,
+    opt_filename) {
+  var filename = opt_filename || 'acgraph';
+  if (!goog.string.endsWith(filename.toLowerCase(), '.' + acgraph.vector.Stage.ExportType.PDF))
+    filename += '.' + acgraph.vector.Stage.ExportType.PDF;
+  this.toPdf(function(blob) {
+    acgraph.utils.exporting.saveBlob(/** @type {!Blob} */ (blob), filename);
+  }, undefined, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y, true);
+};
 //endregion
 
 
@@ -1539,9 +1779,13 @@ acgraph.vector.Stage.prototype.getPdfBase64String = function(onSuccess, opt_onEr
 acgraph.vector.Stage.prototype.saveAsPng = function(opt_width, opt_height, opt_quality, opt_filename) {
   var type = acgraph.type();
   if (type == acgraph.StageType.SVG) {
-    var options = {};
-    this.addPngData_(options, opt_width, opt_height, opt_quality, opt_filename);
-    this.getHelperElement().sendRequestToExportServer(acgraph.exportServer + '/png', options);
+    if (acgraph.exportServer) {
+      var options = {};
+      this.addPngData_(options, opt_width, opt_height, opt_quality, opt_filename);
+      this.getHelperElement().sendRequestToExportServer(acgraph.exportServer + '/png', options);
+    } else {
+      this.saveRaster_(acgraph.vector.Stage.ExportType.PNG, opt_width, opt_height, opt_quality, opt_filename);
+    }
   } else {
     alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
   }
@@ -1559,9 +1803,14 @@ acgraph.vector.Stage.prototype.saveAsPng = function(opt_width, opt_height, opt_q
 acgraph.vector.Stage.prototype.saveAsJpg = function(opt_width, opt_height, opt_quality, opt_forceTransparentWhite, opt_filename) {
   var type = acgraph.type();
   if (type == acgraph.StageType.SVG) {
-    var options = {};
-    this.addJpgData_(options, opt_width, opt_height, opt_quality, opt_forceTransparentWhite, opt_filename);
-    this.getHelperElement().sendRequestToExportServer(acgraph.exportServer + '/jpg', options);
+    if (acgraph.exportServer) {
+      var options = {};
+      this.addJpgData_(options, opt_width, opt_height, opt_quality, opt_forceTransparentWhite, opt_filename);
+      this.getHelperElement().sendRequestToExportServer(acgraph.exportServer + '/jpg', options);
+    } else {
+      this.saveRaster_(acgraph.vector.Stage.ExportType.JPG, opt_width, opt_height, opt_quality, opt_filename,
+          opt_forceTransparentWhite);
+    }
   } else {
     alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
   }
@@ -1579,9 +1828,13 @@ acgraph.vector.Stage.prototype.saveAsJpg = function(opt_width, opt_height, opt_q
 acgraph.vector.Stage.prototype.saveAsPdf = function(opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y, opt_filename) {
   var type = acgraph.type();
   if (type == acgraph.StageType.SVG) {
-    var options = {};
-    this.addPdfData_(options, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y, opt_filename);
-    this.getHelperElement().sendRequestToExportServer(acgraph.exportServer + '/pdf', options);
+    if (acgraph.exportServer) {
+      var options = {};
+      this.addPdfData_(options, opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y, opt_filename);
+      this.getHelperElement().sendRequestToExportServer(acgraph.exportServer + '/pdf', options);
+    } else {
+      this.savePdf_(opt_paperSizeOrWidth, opt_landscapeOrWidth, opt_x, opt_y, opt_filename);
+    }
   } else {
     alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
   }
@@ -1607,8 +1860,12 @@ acgraph.vector.Stage.prototype.saveAsSvg = function(opt_paperSizeOrWidth, opt_la
 
 
 /**
- * Print stage.
- * @param {(string|number)=} opt_paperSizeOrWidth Paper Size or width.
+ * Print stage.<br/>
+ * Print options object can be passed instead of the paper size to set page margins, header and footer templates,
+ * watermark and fit mode (see {@link acgraph.utils.exporting.PrintOptions}):
+ * <code>stage.print({paperSize: 'a4', landscape: true, footer: 'Page {page} of {pages}', watermark: 'Draft'});</code>
+ * @param {(string|number|acgraph.utils.exporting.PrintOptions)=} opt_paperSizeOrWidth Paper Size, width or
+ *    print options.
  * @param {(boolean|string)=} opt_landscapeOrHeight Landscape or height.
  */
 acgraph.vector.Stage.prototype.print = function(opt_paperSizeOrWidth, opt_landscapeOrHeight) {
@@ -1616,6 +1873,30 @@ acgraph.vector.Stage.prototype.print = function(opt_paperSizeOrWidth, opt_landsc
 };
 
 
+/**
+ Prints the stage on a grid of pages at a fixed scale, for stages that are too large to fit one sheet.
+ Neighbouring pages can overlap to glue them together, crop marks and page numbers can be added to the margins.
+ @param {acgraph.utils.exporting.TileOptions=} opt_options Paper size, scale or grid size, margins and marks.
+ */
+acgraph.vector.Stage.prototype.printTiled = function(opt_options) {
+  if (acgraph.type() == acgraph.StageType.SVG)
+    acgraph.utils.exporting.tiledPrint(this, opt_options);
+  else
+    alert(acgraph.error.getErrorMessage(acgraph.error.Code.FEATURE_NOT_SUPPORTED_IN_VML));
+};
+
+
+/**
+ Splits the stage into a grid of pages like {@link acgraph.vector.Stage#printTiled} does and returns SVG markup
+ of each page, e.g. to rasterize or to send them to the export server.
+ @param {acgraph.utils.exporting.TileOptions=} opt_options Paper size, scale or grid size, margins and marks.
+ @return {!Array.<string>} Markup of pages by rows, from the top left one.
+ */
+acgraph.vector.Stage.prototype.toTiledSvg = function(opt_options) {
+  return acgraph.utils.exporting.tiledSvg(this, opt_options);
+};
+
+
 /**
  * Returns SVG string if type of content SVG otherwise returns empty string.
  * @param {(string|number)=} opt_paperSizeOrWidth Paper Size or width.
@@ -1640,7 +1921,7 @@ acgraph.vector.Stage.prototype.toSvg = function(opt_paperSizeOrWidth, opt_landsc
     this.render();
 
     //take svg with
-    acgraph.getRenderer().setStageSize(this.domElement(),
+    this.getRenderer().setStageSize(this.domElement(),
         /** @type {number|string} */(this.width()),
         /** @type {number|string} */(this.height()));
     result = this.serializeToString_(this.domElement());
@@ -1651,11 +1932,11 @@ acgraph.vector.Stage.prototype.toSvg = function(opt_paperSizeOrWidth, opt_landsc
     this.updateSizeFromContainer();
     this.render();
   } else {
-    acgraph.getRenderer().setStageSize(this.domElement(),
+    this.getRenderer().setStageSize(this.domElement(),
         /** @type {number|string} */(this.width()),
         /** @type {number|string} */(this.height()));
     result = this.serializeToString_(this.domElement());
-    acgraph.getRenderer().setStageSize(this.domElement(), this.originalWidth, this.originalHeight);
+    this.getRenderer().setStageSize(this.domElement(), this.originalWidth, this.originalHeight);
   }
 
   return result;
@@ -2224,7 +2505,7 @@ acgraph.vector.Stage.prototype.forEachChild = function(callback, opt_this) {
  @return {!acgraph.vector.Stage} {@link acgraph.vector.Stage} for method chaining.
  */
 acgraph.vector.Stage.prototype.remove = function() {
-  acgraph.getRenderer().removeNode(this.domElement());
+  this.getRenderer().removeNode(this.domElement());
   return this;
 };
 
@@ -2244,6 +2525,13 @@ acgraph.vector.Stage.prototype.notifyRemoved = function(child) {
 acgraph.vector.Stage.prototype.childClipChanged = goog.nullFunction;
 
 
+/**
+ * Tell layer that child bounds have changed. Stage has no spatial index, so there is nothing to do.
+ * @param {!acgraph.vector.Element} child Child.
+ */
+acgraph.vector.Stage.prototype.childBoundsChanged = goog.nullFunction;
+
+
 /**
  * Gets/sets element's title value.
  * @param {(string|null)=} opt_value - Value to be set.
@@ -2253,7 +2541,7 @@ acgraph.vector.Stage.prototype.title = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (this.titleVal_ != opt_value) {
       this.titleVal_ = opt_value;
-      acgraph.getRenderer().setTitle(this, this.titleVal_);
+      this.getRenderer().setTitle(this, this.titleVal_);
     }
     return this;
   } else {
@@ -2271,7 +2559,7 @@ acgraph.vector.Stage.prototype.desc = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (this.descVal_ != opt_value) {
       this.descVal_ = opt_value;
-      acgraph.getRenderer().setDesc(this, this.descVal_);
+      this.getRenderer().setDesc(this, this.descVal_);
     }
     return this;
   } else {
@@ -2280,6 +2568,104 @@ acgraph.vector.Stage.prototype.desc = function(opt_value) {
 };
 
 
+//region --- Section Hit testing ---
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Hit testing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Returns stage elements under the point. Elements are tested by their geometry, not by the browser:
+ shapes by their fill (the fill rule is taken from the 'fill-rule' attribute) and stroke, texts and images
+ by their bounds. Full transformations and clips of elements are taken into account, invisible elements
+ are skipped.
+ @param {number} x X in the stage coordinates.
+ @param {number} y Y in the stage coordinates.
+ @return {!Array.<!acgraph.vector.Element>} Elements in z-order, the topmost first.
+ */
+acgraph.vector.Stage.prototype.getElementsAtPoint = function(x, y) {
+  return acgraph.utils.hitTesting.getElementsAtPoint(this.getRootLayer(), x, y);
+};
+
+
+/**
+ Returns stage elements that intersect the rectangle. Elements are tested like in
+ {@link acgraph.vector.Stage#getElementsAtPoint}, elements with clips that don't intersect the rectangle are skipped.
+ @param {!(acgraph.math.Rect|{left: number, top: number, width: number, height: number})} rect Rectangle in
+    the stage coordinates.
+ @return {!Array.<!acgraph.vector.Element>} Elements in z-order, the topmost first.
+ */
+acgraph.vector.Stage.prototype.getElementsInRect = function(rect) {
+  var normalized = rect instanceof acgraph.math.Rect ? rect :
+      new acgraph.math.Rect(rect['left'], rect['top'], rect['width'], rect['height']);
+  return acgraph.utils.hitTesting.getElementsInRect(this.getRootLayer(), normalized);
+};
+//endregion
+
+//region --- Section Selection ---
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Selection
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Stage selection, created on demand.
+ * @type {acgraph.vector.Selection}
+ * @private
+ */
+acgraph.vector.Stage.prototype.selection_ = null;
+
+
+/**
+ Returns the stage selection. Selection with the mouse is disabled by default, see
+ {@link acgraph.vector.Selection#enabled}.
+ @return {!acgraph.vector.Selection} Selection.
+ */
+acgraph.vector.Stage.prototype.selection = function() {
+  if (!this.selection_)
+    this.selection_ = new acgraph.vector.Selection(this);
+  return this.selection_;
+};
+//endregion
+
+//region --- Section History ---
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  History
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Stage history, created on demand.
+ * @type {acgraph.vector.History}
+ * @private
+ */
+acgraph.vector.Stage.prototype.history_ = null;
+
+
+/**
+ Returns the undo/redo history of the stage. Recording of changes is disabled by default, see
+ {@link acgraph.vector.History#enabled}.
+ @return {!acgraph.vector.History} History.
+ */
+acgraph.vector.Stage.prototype.history = function() {
+  if (!this.history_)
+    this.history_ = new acgraph.vector.History(this);
+  return this.history_;
+};
+
+
+/**
+ * Records the change of the element property to the stage history, if there is one. Must be called before the
+ * property is changed.
+ * @param {!acgraph.vector.Element} element Changed element.
+ * @param {string} key Property name, see {@link acgraph.vector.Element#getHistoryValue}.
+ */
+acgraph.vector.Stage.prototype.recordChange = function(element, key) {
+  if (this.history_)
+    this.history_.record(element, key);
+};
+//endregion
+
 //region --- Section Bounds ---
 //----------------------------------------------------------------------------------------------------------------------
 //
@@ -2556,6 +2942,58 @@ acgraph.vector.Stage.prototype.removeClipFromRender = function(clip) {
 };
 
 
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Mask
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Masks a stage.
+ Read more at: {@link acgraph.vector.Element#mask}.
+ @param {(acgraph.vector.Layer|acgraph.vector.Shape|acgraph.vector.Mask|string|null)=} opt_value Mask content
+    or mask.
+ @return {acgraph.vector.Element|acgraph.vector.Mask} {@link acgraph.vector.Stage} for method chaining or mask.
+ */
+acgraph.vector.Stage.prototype.mask = function(opt_value) {
+  if (arguments.length == 0) return this.rootLayer_.mask();
+  this.rootLayer_.mask(opt_value);
+  return this;
+};
+
+
+/**
+ * Creates a mask.
+ * @param {(acgraph.vector.Layer|acgraph.vector.Shape)=} opt_element Mask content.
+ * @param {(acgraph.vector.MaskType|string)=} opt_type Mask type.
+ * @return {acgraph.vector.Mask} Mask.
+ */
+acgraph.vector.Stage.prototype.createMask = function(opt_element, opt_type) {
+  return new acgraph.vector.Mask(this, opt_element, opt_type);
+};
+
+
+/**
+ * Updates mask or add to array to update on render.
+ * @param {acgraph.vector.Mask} mask Mask to update or mask that should be updated on render.
+ */
+acgraph.vector.Stage.prototype.addMaskForRender = function(mask) {
+  if (!this.isSuspended()) {
+    mask.render();
+  } else {
+    this.masksToRender_.push(mask);
+  }
+};
+
+
+/**
+ * Removes mask from the masks to be updated on render.
+ * @param {acgraph.vector.Mask} mask Mask that should be updated on render.
+ */
+acgraph.vector.Stage.prototype.removeMaskFromRender = function(mask) {
+  goog.array.remove(this.masksToRender_, mask);
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  Events
@@ -2732,6 +3170,15 @@ acgraph.vector.Stage.prototype.disposeInternal = function() {
   goog.dispose(this.helperElement_);
   this.helperElement_ = null;
 
+  goog.dispose(this.selection_);
+  this.selection_ = null;
+
+  goog.dispose(this.history_);
+  this.history_ = null;
+
+  goog.dispose(this.gestureRecognizer_);
+  this.gestureRecognizer_ = null;
+
   this.eventHandler_.removeAll();
   goog.dispose(this.eventHandler_);
   this.eventHandler_ = null;
@@ -2805,7 +3252,11 @@ acgraph.vector.Stage.prototype['getJpgBase64String'] = acgraph.vector.Stage.prot
 acgraph.vector.Stage.prototype['getSvgBase64String'] = acgraph.vector.Stage.prototype.getSvgBase64String;
 acgraph.vector.Stage.prototype['getPdfBase64String'] = acgraph.vector.Stage.prototype.getPdfBase64String;
 acgraph.vector.Stage.prototype['print'] = acgraph.vector.Stage.prototype.print;
+acgraph.vector.Stage.prototype['printTiled'] = acgraph.vector.Stage.prototype.printTiled;
+acgraph.vector.Stage.prototype['toTiledSvg'] = acgraph.vector.Stage.prototype.toTiledSvg;
 acgraph.vector.Stage.prototype['toSvg'] = acgraph.vector.Stage.prototype.toSvg;
+acgraph.vector.Stage.prototype['rasterize'] = acgraph.vector.Stage.prototype.rasterize;
+acgraph.vector.Stage.prototype['toPdf'] = acgraph.vector.Stage.prototype.toPdf;
 acgraph.vector.Stage.prototype['pattern'] = acgraph.vector.Stage.prototype.pattern;
 acgraph.vector.Stage.prototype['hatchFill'] = acgraph.vector.Stage.prototype.hatchFill;
 acgraph.vector.Stage.prototype['clearDefs'] = acgraph.vector.Stage.prototype.clearDefs;
@@ -2826,6 +3277,10 @@ acgraph.vector.Stage.prototype['getY'] = acgraph.vector.Stage.prototype.getY;
 acgraph.vector.Stage.prototype['width'] = acgraph.vector.Stage.prototype.width;
 acgraph.vector.Stage.prototype['height'] = acgraph.vector.Stage.prototype.height;
 acgraph.vector.Stage.prototype['getBounds'] = acgraph.vector.Stage.prototype.getBounds;
+acgraph.vector.Stage.prototype['getElementsAtPoint'] = acgraph.vector.Stage.prototype.getElementsAtPoint;
+acgraph.vector.Stage.prototype['getElementsInRect'] = acgraph.vector.Stage.prototype.getElementsInRect;
+acgraph.vector.Stage.prototype['selection'] = acgraph.vector.Stage.prototype.selection;
+acgraph.vector.Stage.prototype['history'] = acgraph.vector.Stage.prototype.history;
 acgraph.vector.Stage.prototype['resize'] = acgraph.vector.Stage.prototype.resize;
 acgraph.vector.Stage.prototype['asyncMode'] = acgraph.vector.Stage.prototype.asyncMode;
 acgraph.vector.Stage.prototype['resume'] = acgraph.vector.Stage.prototype.resume;
@@ -2849,6 +3304,8 @@ acgraph.vector.Stage.prototype['getRotationAngle'] = acgraph.vector.Stage.protot
 acgraph.vector.Stage.prototype['getTransformationMatrix'] = acgraph.vector.Stage.prototype.getTransformationMatrix;
 acgraph.vector.Stage.prototype['clip'] = acgraph.vector.Stage.prototype.clip;
 acgraph.vector.Stage.prototype['createClip'] = acgraph.vector.Stage.prototype.createClip;
+acgraph.vector.Stage.prototype['mask'] = acgraph.vector.Stage.prototype.mask;
+acgraph.vector.Stage.prototype['createMask'] = acgraph.vector.Stage.prototype.createMask;
 acgraph.vector.Stage.prototype['parent'] = acgraph.vector.Stage.prototype.parent;
 acgraph.vector.Stage.prototype['getStage'] = acgraph.vector.Stage.prototype.getStage;
 acgraph.vector.Stage.prototype['listen'] = acgraph.vector.Stage.prototype.listen;
@@ -7,6 +7,8 @@ goog.require('acgraph.utils.HTMLParser');
 goog.require('acgraph.utils.IdGenerator');
 goog.require('acgraph.vector.Element');
 goog.require('acgraph.vector.TextSegment');
+goog.require('goog.math');
+goog.require('goog.object');
 
 
 
@@ -198,6 +200,26 @@ acgraph.vector.Text = function(opt_x, opt_y) {
    */
   this.stopAddSegments_ = false;
 
+  /**
+   * Path the text is laid along.
+   * @type {acgraph.vector.Path}
+   * @private
+   */
+  this.path_ = null;
+
+  /**
+   * Offset of the text anchor along the path, in pixels or in percents of the path length.
+   * @type {number|string}
+   * @private
+   */
+  this.startOffset_ = 0;
+
+  /**
+   * DOM element of the path geometry referenced by the text on a path. It is managed by the renderer.
+   * @type {Element}
+   */
+  this.pathDomElement = null;
+
   /**
    * Default style for text.
    * @type {?acgraph.vector.TextStyle}
@@ -430,6 +452,7 @@ acgraph.vector.Text.prototype.text_ = null;
 acgraph.vector.Text.prototype.x = function(opt_value) {
   if (goog.isDefAndNotNull(opt_value)) {
     if (this.x_ != opt_value) {
+      this.recordChange('x');
       this.x_ = opt_value;
       if (this.defragmented) this.calculateX();
       this.bounds.left = opt_value;
@@ -450,6 +473,7 @@ acgraph.vector.Text.prototype.x = function(opt_value) {
 acgraph.vector.Text.prototype.y = function(opt_value) {
   if (goog.isDefAndNotNull(opt_value)) {
     if (this.y_ != opt_value) {
+      this.recordChange('y');
       this.y_ = opt_value;
       if (this.defragmented) this.calculateY();
       this.bounds.top = opt_value;
@@ -475,6 +499,7 @@ acgraph.vector.Text.prototype.y = function(opt_value) {
 acgraph.vector.Text.prototype.setStyleProperty = function(prop, opt_value) {
   if (goog.isDef(opt_value)) {
     if (opt_value !== this.style_[prop]) {
+      this.recordChange('style');
       var stageSuspended = !this.getStage() || this.getStage().isSuspended();
       if (!stageSuspended) this.getStage().suspend();
       this.style_[prop] = opt_value;
@@ -497,7 +522,7 @@ acgraph.vector.Text.prototype.setStyleProperty = function(prop, opt_value) {
  * @protected
  */
 acgraph.vector.Text.prototype.transformAfterChange = function() {
-  if (acgraph.getRenderer().needsReRenderOnParentTransformationChange()) {
+  if (this.getRenderer().needsReRenderOnParentTransformationChange()) {
     var tx = this.getFullTransformation();
     if (tx && !tx.isIdentity()) {
       this.setDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
@@ -545,6 +570,7 @@ acgraph.vector.Text.prototype.height = function(opt_value) {
  */
 acgraph.vector.Text.prototype.opacity = function(opt_value) {
   if (goog.isDefAndNotNull(opt_value)) {
+    this.recordChange('style');
     this.style_['opacity'] = opt_value;
     this.setDirtyState(acgraph.vector.Element.DirtyState.STYLE);
     return this;
@@ -560,6 +586,7 @@ acgraph.vector.Text.prototype.opacity = function(opt_value) {
  */
 acgraph.vector.Text.prototype.color = function(opt_value) {
   if (goog.isDefAndNotNull(opt_value)) {
+    this.recordChange('style');
     this.style_['color'] = opt_value;
     this.setDirtyState(acgraph.vector.Element.DirtyState.STYLE);
     return this;
@@ -769,6 +796,7 @@ acgraph.vector.Text.prototype.selectable = function(opt_value) {
  */
 acgraph.vector.Text.prototype.style = function(opt_value) {
   if (goog.isDefAndNotNull(opt_value)) {
+    this.recordChange('style');
     if (opt_value) goog.object.extend(this.style_, opt_value);
 
     this.width_ = parseFloat(this.style_['width']) || 0;
@@ -838,6 +866,7 @@ acgraph.vector.Text.prototype.style = function(opt_value) {
 acgraph.vector.Text.prototype.text = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (opt_value != this.text_) {
+      this.recordChange('text');
       this.text_ = String(opt_value);
       this.htmlOn_ = false;
       var stageSuspended = !this.getStage() || this.getStage().isSuspended();
@@ -863,6 +892,7 @@ acgraph.vector.Text.prototype.text = function(opt_value) {
 acgraph.vector.Text.prototype.htmlText = function(opt_value) {
   if (goog.isDef(opt_value)) {
     if (opt_value != this.text_) {
+      this.recordChange('text');
       this.text_ = String(opt_value);
       this.htmlOn_ = true;
       var stageSuspended = !this.getStage() || this.getStage().isSuspended();
@@ -880,6 +910,69 @@ acgraph.vector.Text.prototype.htmlText = function(opt_value) {
 };
 
 
+/**
+ Getter/setter for the path the text is laid along.<br/>
+ Text on a path is a single line: line breaks are rendered as spaces and text is not wrapped. Text segments follow
+ each other along the path and are styled as usual. The start offset is the anchor of the text: <b>hAlign</b> aligns
+ the text relative to it and <b>vAlign</b> aligns the text relative to the path, the baseline is on the path if
+ vAlign is not set. If the text doesn't fit the path, it is cut and completed with the text overflow string. X and Y
+ of the text are not used.<br/>
+ The path doesn't need to be rendered, its geometry is taken in the text coordinates and its transformation is not
+ applied. Text is laid out when the path is set, so set the path again after its geometry is changed.
+ @param {acgraph.vector.Path=} opt_path Path or null to lay out the text as usual.
+ @param {(number|string)=} opt_startOffset Start offset along the path in pixels or in percents of the path length,
+    e.g. '50%'.
+ @return {acgraph.vector.Path|acgraph.vector.Text} Path or self for method chaining.
+ */
+acgraph.vector.Text.prototype.path = function(opt_path, opt_startOffset) {
+  if (goog.isDef(opt_path)) {
+    this.recordChange('path');
+    this.path_ = opt_path instanceof acgraph.vector.Path ? opt_path : null;
+    if (goog.isDefAndNotNull(opt_startOffset))
+      this.startOffset_ = opt_startOffset;
+    this.layoutChanged_();
+    return this;
+  }
+  return this.path_;
+};
+
+
+/**
+ Getter/setter for the start offset of the text on a path (see {@link acgraph.vector.Text#path}). Offset is
+ clamped to the path length.
+ @param {(number|string)=} opt_value Offset along the path in pixels or in percents of the path length, e.g. '50%'.
+ @return {number|string|acgraph.vector.Text} Start offset or self for method chaining.
+ */
+acgraph.vector.Text.prototype.startOffset = function(opt_value) {
+  if (goog.isDefAndNotNull(opt_value)) {
+    if (opt_value != this.startOffset_) {
+      this.recordChange('path');
+      this.startOffset_ = opt_value;
+      if (this.path_) this.layoutChanged_();
+    }
+    return this;
+  }
+  return this.startOffset_;
+};
+
+
+/**
+ * Tells the text to be laid out again on render.
+ * @private
+ */
+acgraph.vector.Text.prototype.layoutChanged_ = function() {
+  var stageSuspended = !this.getStage() || this.getStage().isSuspended();
+  if (!stageSuspended) this.getStage().suspend();
+  this.defragmented = false;
+  this.setDirtyState(acgraph.vector.Element.DirtyState.STYLE);
+  this.setDirtyState(acgraph.vector.Element.DirtyState.DATA);
+  this.setDirtyState(acgraph.vector.Element.DirtyState.POSITION);
+  this.transformAfterChange();
+  this.dropBoundsCache();
+  if (!stageSuspended) this.getStage().resume();
+};
+
+
 /**
  * Initialize.
  * @private
@@ -973,7 +1066,7 @@ acgraph.vector.Text.prototype.getBoundsWithTransform = function(transform) {
 acgraph.vector.Text.prototype.getOriginalBounds = function() {
   if (goog.isDefAndNotNull(this.text_)) {
     //Patches bounds because measure() method returns bbox's bounds.
-    var measure = /** @type {acgraph.math.Rect} */ (acgraph.getRenderer().measure(this.text(), this.style()));
+    var measure = /** @type {acgraph.math.Rect} */ (this.getRenderer().measureText(this.text(), this.style()));
     measure.left = this.x_;
     measure.top = this.y_;
     return measure;
@@ -998,7 +1091,7 @@ acgraph.vector.Text.prototype.isHtml = function() {
  * @private
  */
 acgraph.vector.Text.prototype.mergeStyles_ = function(var_args) {
-  var settingsAffectingSize = acgraph.getRenderer().settingsAffectingSize;
+  var settingsAffectingSize = this.getRenderer().settingsAffectingSize;
   var styles = arguments;
   var style = {};
 
@@ -1028,7 +1121,7 @@ acgraph.vector.Text.prototype.mergeStyles_ = function(var_args) {
  */
 acgraph.vector.Text.prototype.getTextBounds = function(text, segmentStyle) {
   var style = this.mergeStyles_(this.style_, segmentStyle);
-  return acgraph.getRenderer().textBounds(text, style);
+  return this.getRenderer().textBounds(text, style);
 };
 
 
@@ -1071,7 +1164,7 @@ acgraph.vector.Text.prototype.cutTextSegment_ = function(text, style, a, b, segm
   var cutTextWidth = segmentBounds.width - subSegmentBounds.width;
   var bounds = segmentBounds.clone();
   bounds.width = cutTextWidth;
-  acgraph.getRenderer().textBounds(cutText, resultStatus, bounds);
+  this.getRenderer().textBounds(cutText, resultStatus, bounds);
 
   return pos;
 };
@@ -1236,6 +1329,11 @@ acgraph.vector.Text.prototype.applyTextOverflow_ = function() {
  * Added break line.
  */
 acgraph.vector.Text.prototype.addBreak = function() {
+  // Text on a path is a single line, so breaks are rendered as spaces.
+  if (this.path_) {
+    this.addSegment(' ');
+    return;
+  }
   if (this.currentLineEmpty_) {
     this.addSegment('');
   }
@@ -1271,7 +1369,7 @@ acgraph.vector.Text.prototype.addSegment = function(text, opt_style) {
   var shift = this.segments_.length == 0 ? this.textIndent_ : 0;
 
   // If text width and textWrap are set - start putting a segement into the given bounds.
-  if (this.style_['width']) {
+  if (this.style_['width'] && !this.path_) {
     // if a new segment, with all segment already in place and offsets, doesnt' fit:
     // cut characters.
 
@@ -1341,7 +1439,7 @@ acgraph.vector.Text.prototype.finalizeTextLine = function() {
         parseInt(this.lineHeight_, 0) + this.currentLineHeight_ :
         this.lineHeight_ * this.currentLineHeight_;
 
-    if (acgraph.getRenderer().needsAnotherBehaviourForCalcText()) {
+    if (this.getRenderer().needsAnotherBehaviourForCalcText()) {
       var shift, i, len, segment;
       var startPosition = (this.rtl && this.style_['hAlign'] == acgraph.vector.Text.HAlign.END) ||
           (!this.rtl && this.style_['hAlign'] == acgraph.vector.Text.HAlign.START) ||
@@ -1480,6 +1578,11 @@ acgraph.vector.Text.prototype.textDefragmentation = function() {
   var text, i;
   if (this.text_ == null) return;
 
+  if (this.path_) {
+    this.pathDefragmentation_();
+    return;
+  }
+
   if (this.htmlOn_) {
     acgraph.utils.HTMLParser.getInstance().parseText(this);
   } else {
@@ -1529,6 +1632,176 @@ acgraph.vector.Text.prototype.textDefragmentation = function() {
 };
 
 
+/**
+ * Parsing text to segments of a single line and laying them along the path. Defining final bounds of the text.
+ * For the text on a path, X of a segment is its start along the path and Y is the offset of its baseline from the
+ * path along the normal.
+ * @private
+ */
+acgraph.vector.Text.prototype.pathDefragmentation_ = function() {
+  var i, segment;
+  if (this.htmlOn_) {
+    acgraph.utils.HTMLParser.getInstance().parseText(this);
+  } else {
+    this.text_ = goog.string.canonicalizeNewlines(goog.string.normalizeSpaces(this.text_));
+    this.addSegment(this.text_.replace(/\n/g, ' '));
+    this.finalizeTextLine();
+  }
+
+  var length = this.path_.getTotalLength();
+  var offset = goog.isString(this.startOffset_) && goog.string.endsWith(this.startOffset_, '%') ?
+      parseFloat(this.startOffset_) * length / 100 :
+      parseFloat(this.startOffset_) || 0;
+  offset = goog.math.clamp(offset, 0, length);
+  var anchor = this.getPathAnchor_();
+  var available = anchor == 0 ? length - offset : anchor == 1 ? offset : Math.min(offset, length - offset) * 2;
+  if (this.getSegmentsWidth_() > available)
+    this.cutToPath_(available);
+
+  var width = this.getSegmentsWidth_();
+  var height = 0;
+  var baseLine = 0;
+  for (i = 0; i < this.segments_.length; i++) {
+    segment = this.segments_[i];
+    height = Math.max(height, segment.height);
+    baseLine = Math.max(baseLine, segment.baseLine);
+  }
+
+  var vAlign = this.style_['vAlign'];
+  var shift = vAlign == acgraph.vector.Text.VAlign.TOP ? baseLine :
+      vAlign == acgraph.vector.Text.VAlign.MIDDLE ? baseLine - height / 2 :
+      vAlign == acgraph.vector.Text.VAlign.BOTTOM ? baseLine - height :
+      0;
+
+  var start = offset - width * anchor;
+  var x = start;
+  for (i = 0; i < this.segments_.length; i++) {
+    segment = this.segments_[i];
+    segment.x = x;
+    segment.y = shift;
+    segment.dx = 0;
+    segment.dy = i ? 0 : shift;
+    segment.firstInLine = false;
+    x += segment.width;
+  }
+
+  this.realWidth = width;
+  this.realHeigth = height;
+  this.bounds = this.getPathTextBounds_(start, width, shift - baseLine, shift - baseLine + height);
+  this.defragmented = true;
+};
+
+
+/**
+ * Returns the total width of the text segments.
+ * @return {number} Width.
+ * @private
+ */
+acgraph.vector.Text.prototype.getSegmentsWidth_ = function() {
+  var width = 0;
+  for (var i = 0; i < this.segments_.length; i++)
+    width += this.segments_[i].width;
+  return width;
+};
+
+
+/**
+ * Returns the anchor of the text on a path: the part of the text width that is before the start offset.
+ * @return {number} 0, 0.5 or 1.
+ * @private
+ */
+acgraph.vector.Text.prototype.getPathAnchor_ = function() {
+  var hAlign = this.style_['hAlign'];
+  return hAlign == acgraph.vector.Text.HAlign.CENTER ? 0.5 :
+      (hAlign == acgraph.vector.Text.HAlign.RIGHT ||
+      (hAlign == acgraph.vector.Text.HAlign.END && !this.rtl) ||
+      (hAlign == acgraph.vector.Text.HAlign.START && this.rtl)) ? 1 : 0;
+};
+
+
+/**
+ * Cuts the text on a path to fit the given length and completes it with the text overflow string.
+ * @param {number} available Length of the path available for the text.
+ * @private
+ */
+acgraph.vector.Text.prototype.cutToPath_ = function(available) {
+  var segments = this.segments_;
+  var style = goog.array.peek(segments).getStyle();
+  var ellipsis = this.ellipsis_ || '';
+  var ellipsisBounds = this.getTextBounds(ellipsis, style);
+  if (ellipsisBounds.width > available)
+    ellipsis = '';
+  var right = ellipsis ? available - ellipsisBounds.width : available;
+
+  var left = 0;
+  var index = 0;
+  while (index < segments.length - 1 && left + segments[index].width <= right) {
+    left += segments[index].width;
+    index++;
+  }
+  var segment = segments[index];
+  style = segment.getStyle();
+  var pos = this.cutTextSegment_(segment.text, style, left, right, this.getTextBounds(segment.text, style));
+  var text = segment.text.substring(0, pos);
+  var bounds = this.getTextBounds(text, style);
+  if (left + bounds.width > right) {
+    text = '';
+    bounds = this.getTextBounds(text, style);
+  }
+  segment.text = text;
+  segment.width = bounds.width;
+  goog.array.splice(segments, index + 1, segments.length - index - 1);
+
+  if (ellipsis) {
+    var segmentEllipsis = new acgraph.vector.TextSegment(ellipsis, style);
+    segmentEllipsis.baseLine = -ellipsisBounds.top;
+    segmentEllipsis.height = ellipsisBounds.height;
+    segmentEllipsis.width = ellipsisBounds.width;
+    segmentEllipsis.parent(this);
+    segments.push(segmentEllipsis);
+  }
+  this.textLines_ = [goog.array.clone(segments)];
+};
+
+
+/**
+ * Calculates bounds of the text on a path by the text box sampled along the path.
+ * @param {number} start Start of the text along the path.
+ * @param {number} width Text width.
+ * @param {number} top Offset of the text top from the path along the normal.
+ * @param {number} bottom Offset of the text bottom from the path along the normal.
+ * @return {!acgraph.math.Rect} Text bounds.
+ * @private
+ */
+acgraph.vector.Text.prototype.getPathTextBounds_ = function(start, width, top, bottom) {
+  var left = Infinity;
+  var right = -Infinity;
+  var minY = Infinity;
+  var maxY = -Infinity;
+  // Samples are about a quarter of the text height apart.
+  var count = goog.math.clamp(Math.ceil(width * 4 / Math.max(bottom - top, 1)), 1, 256);
+  for (var i = 0; i <= count; i++) {
+    var length = start + width * i / count;
+    var point = this.path_.getPointAtLength(length);
+    if (!point) break;
+    var angle = goog.math.toRadians(/** @type {number} */ (this.path_.getTangentAtLength(length)));
+    var normalX = -Math.sin(angle);
+    var normalY = Math.cos(angle);
+    goog.array.forEach([top, bottom], function(offset) {
+      var x = point.x + normalX * offset;
+      var y = point.y + normalY * offset;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    });
+  }
+  return left <= right ?
+      new acgraph.math.Rect(left, minY, right - left, maxY - minY) :
+      new acgraph.math.Rect(0, 0, 0, 0);
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  DOM element creation
@@ -1536,7 +1809,7 @@ acgraph.vector.Text.prototype.textDefragmentation = function() {
 //----------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.Text.prototype.createDomInternal = function() {
-  return acgraph.getRenderer().createTextElement();
+  return this.getRenderer().createTextElement();
 };
 
 
@@ -1570,7 +1843,7 @@ acgraph.vector.Text.prototype.renderPosition = function() {
   for (var i = 0, len = this.segments_.length; i < len; i++) {
     this.segments_[i].setTextSegmentPosition();
   }
-  acgraph.getRenderer().setTextPosition(this);
+  this.getRenderer().setTextPosition(this);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.POSITION);
 };
 
@@ -1580,7 +1853,7 @@ acgraph.vector.Text.prototype.renderPosition = function() {
  */
 acgraph.vector.Text.prototype.renderStyle = function() {
   // Apply data to DOM element
-  acgraph.getRenderer().setTextProperties(this);
+  this.getRenderer().setTextProperties(this);
   // Set unsync data flag
   this.clearDirtyState(acgraph.vector.Element.DirtyState.STYLE);
 };
@@ -1596,20 +1869,90 @@ acgraph.vector.Text.prototype.renderData = function() {
   for (var i = 0, len = this.segments_.length; i < len; i++) {
     this.segments_[i].renderData();
   }
+  this.getRenderer().setTextPath(this);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.DATA);
 };
 
 
+/**
+ * Removes the path geometry from defs when the text is removed from the stage DOM, it is created again if the text
+ * is added back.
+ * @param {boolean} doCry True, if the element should tell the previous parent to seek and remove itself from DOM cache.
+ * @return {!acgraph.vector.Element} Self.
+ * @override
+ */
+acgraph.vector.Text.prototype.notifyPrevParent = function(doCry) {
+  if (this.pathDomElement && !this.hasParent() && !this.isDisposed()) {
+    this.getRenderer().removeNode(this.pathDomElement);
+    this.pathDomElement = null;
+    this.setDirtyState(acgraph.vector.Element.DirtyState.DATA);
+  }
+  return goog.base(this, 'notifyPrevParent', doCry);
+};
+
+
 /** @inheritDoc */
 acgraph.vector.Text.prototype.renderTransformation = function() {
   // Resolve transformation unsync
-  acgraph.getRenderer().setTextTransformation(this);
+  this.getRenderer().setTextTransformation(this);
 
   this.clearDirtyState(acgraph.vector.Element.DirtyState.TRANSFORMATION);
   this.clearDirtyState(acgraph.vector.Element.DirtyState.PARENT_TRANSFORMATION);
 };
 
 
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  History
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Text.prototype.getHistoryValue = function(key) {
+  switch (key) {
+    case 'x':
+      return this.x_;
+    case 'y':
+      return this.y_;
+    case 'text':
+      return [this.text_, this.htmlOn_];
+    case 'style':
+      // Style is changed in place.
+      return goog.object.clone(this.style_);
+    case 'path':
+      return [this.path_, this.startOffset_];
+  }
+  return goog.base(this, 'getHistoryValue', key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.Text.prototype.setHistoryValue = function(key, value) {
+  switch (key) {
+    case 'x':
+      this.x(/** @type {number} */(value));
+      break;
+    case 'y':
+      this.y(/** @type {number} */(value));
+      break;
+    case 'text':
+      this.text_ = value[0];
+      this.htmlOn_ = value[1];
+      this.layoutChanged_();
+      break;
+    case 'style':
+      this.style_ = /** @type {acgraph.vector.TextStyle} */(goog.object.clone(/** @type {Object} */(value)));
+      // Applies the style to the fields derived from it.
+      this.style({});
+      break;
+    case 'path':
+      this.path(/** @type {acgraph.vector.Path} */(value[0]), /** @type {number|string} */(value[1]));
+      break;
+    default:
+      goog.base(this, 'setHistoryValue', key, value);
+  }
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  Serialize
@@ -1618,6 +1961,11 @@ acgraph.vector.Text.prototype.renderTransformation = function() {
 /** @inheritDoc */
 acgraph.vector.Text.prototype.deserialize = function(data) {
   this.x(data['x']).y(data['y']).style(data['style']);
+  if (data['path']) {
+    var path = acgraph.path();
+    path.deserialize(data['path']);
+    this.path(path, data['startOffset']);
+  }
   data['html'] ? this.htmlText(data['text']) : this.text(data['text']);
   goog.base(this, 'deserialize', data);
 };
@@ -1632,6 +1980,10 @@ acgraph.vector.Text.prototype.serialize = function() {
   data['html'] = this.htmlOn_;
   data['text'] = this.text();
   data['style'] = this.style();
+  if (this.path_) {
+    data['path'] = this.path_.serialize();
+    data['startOffset'] = this.startOffset_;
+  }
   return data;
 };
 
@@ -1643,6 +1995,10 @@ acgraph.vector.Text.prototype.serialize = function() {
 //----------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.Text.prototype.disposeInternal = function() {
+  if (this.pathDomElement) {
+    this.getRenderer().removeNode(this.pathDomElement);
+    this.pathDomElement = null;
+  }
   goog.disposeAll(this.segments_);
   delete this.segments_;
   delete this.textLines_;
@@ -1678,6 +2034,8 @@ acgraph.vector.Text.prototype['height'] = acgraph.vector.Text.prototype.height;
 acgraph.vector.Text.prototype['textWrap'] = acgraph.vector.Text.prototype.textWrap;
 acgraph.vector.Text.prototype['textOverflow'] = acgraph.vector.Text.prototype.textOverflow;
 acgraph.vector.Text.prototype['selectable'] = acgraph.vector.Text.prototype.selectable;
+acgraph.vector.Text.prototype['path'] = acgraph.vector.Text.prototype.path;
+acgraph.vector.Text.prototype['startOffset'] = acgraph.vector.Text.prototype.startOffset;
 goog.exportSymbol('acgraph.vector.Text.TextWrap.NO_WRAP', acgraph.vector.Text.TextWrap.NO_WRAP);
 goog.exportSymbol('acgraph.vector.Text.TextWrap.BY_LETTER', acgraph.vector.Text.TextWrap.BY_LETTER);
 goog.exportSymbol('acgraph.vector.Text.TextOverflow.CLIP', acgraph.vector.Text.TextOverflow.CLIP);
@@ -162,7 +162,7 @@ acgraph.vector.TextSegment.prototype.setStyle = function(value) {
  * Set position for text segment.
  */
 acgraph.vector.TextSegment.prototype.setTextSegmentPosition = function() {
-  if (this.domElement_) acgraph.getRenderer().setTextSegmentPosition(this);
+  if (this.domElement_) this.parent_.getRenderer().setTextSegmentPosition(this);
 };
 
 
@@ -170,7 +170,7 @@ acgraph.vector.TextSegment.prototype.setTextSegmentPosition = function() {
  * Set style, events and others properties for text segment.
  */
 acgraph.vector.TextSegment.prototype.setTextSegmentProperties = function() {
-  if (this.domElement_) acgraph.getRenderer().setTextSegmentProperties(this);
+  if (this.domElement_) this.parent_.getRenderer().setTextSegmentProperties(this);
 };
 
 
@@ -179,7 +179,7 @@ acgraph.vector.TextSegment.prototype.setTextSegmentProperties = function() {
  */
 acgraph.vector.TextSegment.prototype.renderData = function() {
   if (this.text == '') return;
-  this.domElement_ = acgraph.getRenderer().createTextSegmentElement();
+  this.domElement_ = this.parent_.getRenderer().createTextSegmentElement();
   this.setTextSegmentProperties();
   goog.dom.appendChild(this.parent_.domElement(), this.domElement_);
 };
@@ -0,0 +1,825 @@
+goog.provide('acgraph.vector.Transformer');
+goog.provide('acgraph.vector.Transformer.Action');
+goog.provide('acgraph.vector.TransformerEvent');
+
+goog.require('acgraph.events');
+goog.require('acgraph.math.Rect');
+goog.require('acgraph.vector');
+goog.require('goog.array');
+goog.require('goog.events.Event');
+goog.require('goog.events.EventTarget');
+goog.require('goog.graphics.AffineTransform');
+goog.require('goog.math');
+goog.require('goog.object');
+
+
+
+/**
+ Interactive transformer of elements.<br/>
+ Draws a selection frame with eight resize handles and a rotation handle around the target elements. Dragging the frame
+ moves the targets, dragging a resize handle scales them relative to the opposite anchor of the frame and dragging the
+ rotation handle rotates them around the frame center. The frame of a single target follows its rotation, the frame
+ of several targets is aligned with the axes of their parent.<br/>
+ All targets should have the same parent, they are transformed in its coordinate system.<br/>
+ Transformer dispatches {@link acgraph.events.EventType.TRANSFORM_START}, {@link acgraph.events.EventType.TRANSFORM}
+ and {@link acgraph.events.EventType.TRANSFORM_END} events (see {@link acgraph.vector.TransformerEvent}), preventing
+ the TRANSFORM_START event cancels the transformation.<br/>
+ <b>Note:</b> The frame is drawn on a layer on top of the stage of the targets. Call
+ {@link acgraph.vector.Transformer#update} after the targets are changed from code, and remove targets before
+ serializing the stage.
+ @param {(acgraph.vector.Element|Array.<acgraph.vector.Element>)=} opt_elements Elements to transform.
+ @constructor
+ @extends {goog.events.EventTarget}
+ */
+acgraph.vector.Transformer = function(opt_elements) {
+  goog.base(this);
+
+  /**
+   * Elements to transform.
+   * @type {!Array.<acgraph.vector.Element>}
+   * @private
+   */
+  this.elements_ = [];
+
+  /**
+   * Transformer options.
+   * @type {!acgraph.vector.Transformer.Options}
+   * @private
+   */
+  this.options_ = {
+    'keepRatio': false,
+    'moveStep': 0,
+    'sizeStep': 0,
+    'rotationStep': 0,
+    'minWidth': 1,
+    'minHeight': 1,
+    'maxWidth': Infinity,
+    'maxHeight': Infinity
+  };
+
+  /**
+   * Frame bounds in the frame coordinates, which are the parent coordinates rotated by the frame rotation.
+   * @type {acgraph.math.Rect}
+   * @private
+   */
+  this.bounds_ = null;
+
+  /**
+   * Frame rotation in degrees.
+   * @type {number}
+   * @private
+   */
+  this.rotation_ = 0;
+
+  /**
+   * Layer the frame and handles are drawn on.
+   * @type {acgraph.vector.Layer}
+   * @private
+   */
+  this.layer_ = null;
+
+  /**
+   * Frame path, also used to move targets.
+   * @type {acgraph.vector.Path}
+   * @private
+   */
+  this.frame_ = null;
+
+  /**
+   * Resize handles by anchors.
+   * @type {Object.<string, acgraph.vector.Rect>}
+   * @private
+   */
+  this.handles_ = null;
+
+  /**
+   * Rotation handle.
+   * @type {acgraph.vector.Circle}
+   * @private
+   */
+  this.rotationHandle_ = null;
+
+  /**
+   * Current action, null if user doesn't drag a handle.
+   * @type {?acgraph.vector.Transformer.Action}
+   * @private
+   */
+  this.action_ = null;
+
+  /**
+   * Anchor of the dragged resize handle.
+   * @type {?acgraph.vector.Anchor}
+   * @private
+   */
+  this.anchor_ = null;
+
+  /**
+   * Left top corner of the dragged handle bounds at drag start in the stage coordinates, positions reported by the
+   * handle dragger are relative to it.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.startPosition_ = null;
+
+  /**
+   * Center of the dragged handle at drag start in the stage coordinates.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.startCenter_ = null;
+
+  /**
+   * Center of the dragged handle at drag start in the parent coordinates.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.startPoint_ = null;
+
+  /**
+   * Frame bounds at drag start.
+   * @type {acgraph.math.Rect}
+   * @private
+   */
+  this.startBounds_ = null;
+
+  /**
+   * Frame rotation at drag start.
+   * @type {number}
+   * @private
+   */
+  this.startRotation_ = 0;
+
+  /**
+   * Movement of the targets applied during the current drag, in the parent coordinates.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.offset_ = null;
+
+  if (goog.isDef(opt_elements))
+    this.target(opt_elements);
+};
+goog.inherits(acgraph.vector.Transformer, goog.events.EventTarget);
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Static members
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Transformer actions.
+ @enum {string}
+ */
+acgraph.vector.Transformer.Action = {
+  MOVE: 'move',
+  RESIZE: 'resize',
+  ROTATE: 'rotate'
+};
+
+
+/**
+ * Transformer options.<br/>
+ * <b>keepRatio</b> - whether resizing keeps the aspect ratio of the frame.<br/>
+ * <b>moveStep</b> - snapping increment of moving in pixels, 0 means no snapping.<br/>
+ * <b>sizeStep</b> - snapping increment of the frame width and height in pixels, 0 means no snapping.<br/>
+ * <b>rotationStep</b> - snapping increment of the frame rotation in degrees, 0 means no snapping.<br/>
+ * <b>minWidth</b>, <b>minHeight</b>, <b>maxWidth</b>, <b>maxHeight</b> - frame size limits.
+ * @typedef {{
+ *   keepRatio: boolean,
+ *   moveStep: number,
+ *   sizeStep: number,
+ *   rotationStep: number,
+ *   minWidth: number,
+ *   minHeight: number,
+ *   maxWidth: number,
+ *   maxHeight: number
+ * }}
+ */
+acgraph.vector.Transformer.Options;
+
+
+/**
+ * Size of the resize handles in pixels.
+ * @type {number}
+ */
+acgraph.vector.Transformer.HANDLE_SIZE = 8;
+
+
+/**
+ * Distance between the frame top and the rotation handle in pixels.
+ * @type {number}
+ */
+acgraph.vector.Transformer.ROTATION_HANDLE_OFFSET = 20;
+
+
+/**
+ * Color of the frame and handles.
+ * @type {string}
+ */
+acgraph.vector.Transformer.COLOR = '#1e88e5';
+
+
+/**
+ * Anchors of the resize handles, clockwise from the left top one.
+ * @type {!Array.<acgraph.vector.Anchor>}
+ * @private
+ */
+acgraph.vector.Transformer.ANCHORS_ = [
+  acgraph.vector.Anchor.LEFT_TOP,
+  acgraph.vector.Anchor.CENTER_TOP,
+  acgraph.vector.Anchor.RIGHT_TOP,
+  acgraph.vector.Anchor.RIGHT_CENTER,
+  acgraph.vector.Anchor.RIGHT_BOTTOM,
+  acgraph.vector.Anchor.CENTER_BOTTOM,
+  acgraph.vector.Anchor.LEFT_BOTTOM,
+  acgraph.vector.Anchor.LEFT_CENTER
+];
+
+
+/**
+ * Cursors of the resize handles, in the order of {@link acgraph.vector.Transformer.ANCHORS_}.
+ * @type {!Array.<acgraph.vector.Cursor>}
+ * @private
+ */
+acgraph.vector.Transformer.CURSORS_ = [
+  acgraph.vector.Cursor.NWSE_RESIZE,
+  acgraph.vector.Cursor.NS_RESIZE,
+  acgraph.vector.Cursor.NESW_RESIZE,
+  acgraph.vector.Cursor.EW_RESIZE,
+  acgraph.vector.Cursor.NWSE_RESIZE,
+  acgraph.vector.Cursor.NS_RESIZE,
+  acgraph.vector.Cursor.NESW_RESIZE,
+  acgraph.vector.Cursor.EW_RESIZE
+];
+
+
+/**
+ * Rotates the point around the origin.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @param {number} degrees Rotation angle in degrees.
+ * @return {!Array.<number>} Rotated point as [x, y].
+ * @private
+ */
+acgraph.vector.Transformer.rotatePoint_ = function(x, y, degrees) {
+  var angle = goog.math.toRadians(degrees);
+  var cos = Math.cos(angle);
+  var sin = Math.sin(angle);
+  return [x * cos - y * sin, x * sin + y * cos];
+};
+
+
+/**
+ * Returns position of the anchor in the bounds as fractions of the width and height: 0, 0.5 or 1.
+ * @param {acgraph.vector.Anchor} anchor Anchor.
+ * @return {!Array.<number>} Fractions as [x, y].
+ * @private
+ */
+acgraph.vector.Transformer.getAnchorFractions_ = function(anchor) {
+  return acgraph.vector.getCoordinateByAnchor(new acgraph.math.Rect(0, 0, 1, 1), anchor);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Properties
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ Getter/setter for the elements to transform. Pass null or an empty array to hide the frame.
+ @param {(acgraph.vector.Element|Array.<acgraph.vector.Element>)=} opt_value Elements to transform.
+ @return {!Array.<acgraph.vector.Element>|!acgraph.vector.Transformer} Elements or self for method chaining.
+ */
+acgraph.vector.Transformer.prototype.target = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    if (goog.isArray(opt_value))
+      this.elements_ = goog.array.clone(opt_value);
+    else
+      this.elements_ = opt_value ? [opt_value] : [];
+    this.rotation_ = this.elements_.length == 1 ? this.elements_[0].getRotationAngle() : 0;
+    this.update();
+    return this;
+  }
+  return goog.array.clone(this.elements_);
+};
+
+
+/**
+ Getter/setter for the transformer options, passed options are merged with the current ones.
+ @param {Object=} opt_value Options, see {@link acgraph.vector.Transformer.Options}.
+ @return {!acgraph.vector.Transformer.Options|!acgraph.vector.Transformer} Options or self for method chaining.
+ */
+acgraph.vector.Transformer.prototype.options = function(opt_value) {
+  if (goog.isDef(opt_value)) {
+    goog.object.extend(this.options_, opt_value);
+    return this;
+  }
+  return /** @type {!acgraph.vector.Transformer.Options} */ (goog.object.clone(this.options_));
+};
+
+
+/**
+ Returns the frame bounds in the frame coordinates: the coordinates of the targets parent rotated by
+ {@link acgraph.vector.Transformer#getRotation}.
+ @return {acgraph.math.Rect} Frame bounds or null if there are no targets.
+ */
+acgraph.vector.Transformer.prototype.getBounds = function() {
+  return this.bounds_ ? this.bounds_.clone() : null;
+};
+
+
+/**
+ Returns the frame rotation in degrees.
+ @return {number} Rotation angle.
+ */
+acgraph.vector.Transformer.prototype.getRotation = function() {
+  return this.rotation_;
+};
+
+
+/**
+ Recalculates the frame from the current state of the targets and redraws it.
+ @return {!acgraph.vector.Transformer} {@link acgraph.vector.Transformer} instance for method chaining.
+ */
+acgraph.vector.Transformer.prototype.update = function() {
+  this.bounds_ = this.calculateBounds_();
+  var stage = this.elements_.length ? this.elements_[0].getStage() : null;
+  if (!stage || !this.bounds_) {
+    if (this.layer_)
+      this.layer_.remove();
+    return this;
+  }
+  if (!this.layer_)
+    this.createFrame_();
+  stage.suspend();
+  // Brings the frame to the top, if elements were added after it.
+  stage.addChild(this.layer_);
+  this.drawFrame_();
+  stage.resume();
+  return this;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Frame
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns the union of the targets bounds in the frame coordinates.
+ * @return {acgraph.math.Rect} Bounds or null if there are no targets.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.calculateBounds_ = function() {
+  var rotation = goog.graphics.AffineTransform.getRotateInstance(goog.math.toRadians(-this.rotation_), 0, 0);
+  var bounds = null;
+  goog.array.forEach(this.elements_, function(element) {
+    var tx = element.getSelfTransformation();
+    var elementBounds = element.getBoundsWithTransform(tx ? rotation.clone().concatenate(tx) : rotation);
+    if (bounds)
+      bounds.boundingRect(elementBounds);
+    else
+      bounds = elementBounds;
+  });
+  return bounds;
+};
+
+
+/**
+ * Returns full transformation of the targets parent.
+ * @return {goog.graphics.AffineTransform} Transformation.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.getParentTransformation_ = function() {
+  var parent = this.elements_.length ? this.elements_[0].parent() : null;
+  return parent ? parent.getFullTransformation() : null;
+};
+
+
+/**
+ * Converts the point from the frame coordinates to the stage coordinates.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @return {!Array.<number>} Point as [x, y].
+ * @private
+ */
+acgraph.vector.Transformer.prototype.frameToStage_ = function(x, y) {
+  var point = acgraph.vector.Transformer.rotatePoint_(x, y, this.rotation_);
+  var tx = this.getParentTransformation_();
+  if (tx)
+    tx.transform(point, 0, point, 0, 1);
+  return point;
+};
+
+
+/**
+ * Converts the point from the stage coordinates to the coordinates of the targets parent.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @return {!Array.<number>} Point as [x, y].
+ * @private
+ */
+acgraph.vector.Transformer.prototype.stageToParent_ = function(x, y) {
+  var point = [x, y];
+  var tx = this.getParentTransformation_();
+  if (tx)
+    tx.createInverse().transform(point, 0, point, 0, 1);
+  return point;
+};
+
+
+/**
+ * Creates the frame layer, the frame and handles.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.createFrame_ = function() {
+  var color = acgraph.vector.Transformer.COLOR;
+  this.layer_ = acgraph.layer();
+  this.layer_.disableHistory(true);
+
+  // Transparent fill makes the frame interior draggable.
+  this.frame_ = acgraph.path();
+  this.frame_.fill('#fff', 0).stroke(color).cursor(acgraph.vector.Cursor.MOVE);
+  this.listenHandle_(this.frame_, acgraph.vector.Transformer.Action.MOVE, null);
+  this.layer_.addChild(this.frame_);
+
+  this.handles_ = {};
+  goog.array.forEach(acgraph.vector.Transformer.ANCHORS_, function(anchor, index) {
+    var handle = acgraph.rect();
+    handle.fill('#fff').stroke(color).cursor(acgraph.vector.Transformer.CURSORS_[index]);
+    this.listenHandle_(handle, acgraph.vector.Transformer.Action.RESIZE, anchor);
+    this.layer_.addChild(handle);
+    this.handles_[anchor] = handle;
+  }, this);
+
+  this.rotationHandle_ = acgraph.circle(0, 0, acgraph.vector.Transformer.HANDLE_SIZE / 2);
+  this.rotationHandle_.fill('#fff').stroke(color).cursor(acgraph.vector.Cursor.POINTER);
+  this.listenHandle_(this.rotationHandle_, acgraph.vector.Transformer.Action.ROTATE, null);
+  this.layer_.addChild(this.rotationHandle_);
+};
+
+
+/**
+ * Makes the handle draggable and listens to its drag events.
+ * @param {!acgraph.vector.Element} handle Handle.
+ * @param {acgraph.vector.Transformer.Action} action Action of the handle.
+ * @param {?acgraph.vector.Anchor} anchor Anchor of the resize handle.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.listenHandle_ = function(handle, action, anchor) {
+  handle.drag(true);
+  handle.listen(acgraph.events.EventType.DRAG_START, goog.bind(this.handleDragStart_, this, action, anchor));
+  handle.listen(acgraph.events.EventType.DRAG_BEFORE, this.handleBeforeDrag_, false, this);
+  handle.listen(acgraph.events.EventType.DRAG_END, this.handleDragEnd_, false, this);
+};
+
+
+/**
+ * Draws the frame and handles around the frame bounds.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.drawFrame_ = function() {
+  var bounds = this.bounds_;
+  var leftTop = this.frameToStage_(bounds.left, bounds.top);
+  var rightTop = this.frameToStage_(bounds.left + bounds.width, bounds.top);
+  var rightBottom = this.frameToStage_(bounds.left + bounds.width, bounds.top + bounds.height);
+  var leftBottom = this.frameToStage_(bounds.left, bounds.top + bounds.height);
+  var centerTop = this.frameToStage_(bounds.left + bounds.width / 2, bounds.top);
+  var center = this.frameToStage_(bounds.left + bounds.width / 2, bounds.top + bounds.height / 2);
+
+  // Rotation handle is placed outwards from the top side.
+  var dx = centerTop[0] - center[0];
+  var dy = centerTop[1] - center[1];
+  var length = Math.sqrt(dx * dx + dy * dy);
+  if (length) {
+    dx /= length;
+    dy /= length;
+  } else {
+    dx = 0;
+    dy = -1;
+  }
+  var offset = acgraph.vector.Transformer.ROTATION_HANDLE_OFFSET;
+  var rotationX = centerTop[0] + dx * offset;
+  var rotationY = centerTop[1] + dy * offset;
+
+  this.frame_.clear()
+      .moveTo(leftTop[0], leftTop[1])
+      .lineTo(rightTop[0], rightTop[1], rightBottom[0], rightBottom[1], leftBottom[0], leftBottom[1])
+      .close()
+      .moveTo(centerTop[0], centerTop[1])
+      .lineTo(rotationX, rotationY);
+
+  var size = acgraph.vector.Transformer.HANDLE_SIZE;
+  goog.object.forEach(this.handles_, function(handle, anchor) {
+    var fractions = acgraph.vector.Transformer.getAnchorFractions_(anchor);
+    var point = this.frameToStage_(bounds.left + bounds.width * fractions[0],
+        bounds.top + bounds.height * fractions[1]);
+    handle.setBounds(new acgraph.math.Rect(point[0] - size / 2, point[1] - size / 2, size, size));
+  }, this);
+  this.rotationHandle_.centerX(rotationX).centerY(rotationY);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Dragging
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Handles are dragged by their own draggers, but the drag is intercepted before the handle moves and is turned into
+ * transformation of the targets. The handles are moved by redrawing the frame.
+ * @param {acgraph.vector.Transformer.Action} action Action of the handle.
+ * @param {?acgraph.vector.Anchor} anchor Anchor of the resize handle.
+ * @param {acgraph.events.DragEvent} e Drag start event.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.handleDragStart_ = function(action, anchor, e) {
+  e.stopPropagation();
+  var bounds = /** @type {acgraph.vector.Element} */ (e.target).getBounds();
+  this.startPosition_ = [bounds.left, bounds.top];
+  this.startCenter_ = [bounds.left + bounds.width / 2, bounds.top + bounds.height / 2];
+  this.startPoint_ = this.stageToParent_(this.startCenter_[0], this.startCenter_[1]);
+  this.startBounds_ = this.bounds_.clone();
+  this.startRotation_ = this.rotation_;
+  this.offset_ = [0, 0];
+
+  if (this.dispatchEvent(new acgraph.vector.TransformerEvent(
+      acgraph.events.EventType.TRANSFORM_START, this, action, anchor))) {
+    this.action_ = action;
+    this.anchor_ = anchor;
+  } else {
+    e.preventDefault();
+  }
+};
+
+
+/**
+ * Transforms targets instead of moving the handle.
+ * @param {acgraph.events.DragEvent} e Before drag event.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.handleBeforeDrag_ = function(e) {
+  e.stopPropagation();
+  e.preventDefault();
+  if (!this.action_) return;
+
+  // Dragger positions are positions of the handle bounds, the pointer moves by the same offset.
+  var point = this.stageToParent_(
+      this.startCenter_[0] + e.left - this.startPosition_[0],
+      this.startCenter_[1] + e.top - this.startPosition_[1]);
+  var stage = this.layer_.getStage();
+  stage.suspend();
+  var changed;
+  switch (this.action_) {
+    case acgraph.vector.Transformer.Action.MOVE:
+      changed = this.move_(point);
+      break;
+    case acgraph.vector.Transformer.Action.RESIZE:
+      changed = this.resize_(point);
+      break;
+    default:
+      changed = this.rotate_(point);
+      break;
+  }
+  if (changed)
+    this.drawFrame_();
+  stage.resume();
+
+  if (changed)
+    this.dispatchEvent(new acgraph.vector.TransformerEvent(
+        acgraph.events.EventType.TRANSFORM, this, this.action_, this.anchor_));
+};
+
+
+/**
+ * Finishes the transformation.
+ * @param {acgraph.events.DragEvent} e Drag end event.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.handleDragEnd_ = function(e) {
+  e.stopPropagation();
+  if (!this.action_) return;
+  var action = this.action_;
+  var anchor = this.anchor_;
+  this.action_ = null;
+  this.anchor_ = null;
+  this.dispatchEvent(new acgraph.vector.TransformerEvent(
+      acgraph.events.EventType.TRANSFORM_END, this, action, anchor));
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Transformations
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Moves targets so that they are moved by the pointer offset since drag start.
+ * @param {!Array.<number>} point Pointer position in the parent coordinates.
+ * @return {boolean} Whether targets have changed.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.move_ = function(point) {
+  var dx = point[0] - this.startPoint_[0];
+  var dy = point[1] - this.startPoint_[1];
+  var step = this.options_['moveStep'];
+  if (step) {
+    dx = Math.round(dx / step) * step;
+    dy = Math.round(dy / step) * step;
+  }
+  var x = dx - this.offset_[0];
+  var y = dy - this.offset_[1];
+  if (!x && !y) return false;
+  this.offset_ = [dx, dy];
+
+  goog.array.forEach(this.elements_, function(element) {
+    element.setPosition(element.getX() + x, element.getY() + y);
+  });
+  var shift = acgraph.vector.Transformer.rotatePoint_(x, y, -this.rotation_);
+  this.bounds_.left += shift[0];
+  this.bounds_.top += shift[1];
+  return true;
+};
+
+
+/**
+ * Scales targets so that the dragged handle follows the pointer and the opposite anchor stays in place.
+ * @param {!Array.<number>} point Pointer position in the parent coordinates.
+ * @return {boolean} Whether targets have changed.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.resize_ = function(point) {
+  var options = this.options_;
+  var start = this.startBounds_;
+  var fractions = acgraph.vector.Transformer.getAnchorFractions_(/** @type {acgraph.vector.Anchor} */ (this.anchor_));
+  var fx = fractions[0];
+  var fy = fractions[1];
+  var fixedX = start.left + (1 - fx) * start.width;
+  var fixedY = start.top + (1 - fy) * start.height;
+
+  point = acgraph.vector.Transformer.rotatePoint_(point[0], point[1], -this.rotation_);
+  // Side handles don't change the other dimension, frame can't be flipped.
+  var width = fx == 0.5 ? start.width : (2 * fx - 1) * (point[0] - fixedX);
+  var height = fy == 0.5 ? start.height : (2 * fy - 1) * (point[1] - fixedY);
+  width = this.limitSize_(width, start.width, options['minWidth'], options['maxWidth']);
+  height = this.limitSize_(height, start.height, options['minHeight'], options['maxHeight']);
+
+  if (options['keepRatio'] && start.width && start.height) {
+    var kx = width / start.width;
+    var ky = height / start.height;
+    var k = fx == 0.5 ? ky : fy == 0.5 ? kx : Math.max(kx, ky);
+    k = goog.math.clamp(k,
+        Math.max(options['minWidth'] / start.width, options['minHeight'] / start.height),
+        Math.min(options['maxWidth'] / start.width, options['maxHeight'] / start.height));
+    width = start.width * k;
+    height = start.height * k;
+  }
+
+  var bounds = this.bounds_;
+  var sx = bounds.width ? width / bounds.width : 1;
+  var sy = bounds.height ? height / bounds.height : 1;
+  if (sx == 1 && sy == 1) return false;
+
+  var rotation = this.rotation_;
+  goog.array.forEach(this.elements_, function(element) {
+    // Scaling happens along the frame axes.
+    if (rotation)
+      element.rotate(-rotation, 0, 0);
+    element.scale(sx, sy, fixedX, fixedY);
+    if (rotation)
+      element.rotate(rotation, 0, 0);
+  });
+  bounds.left = fixedX - (1 - fx) * width;
+  bounds.top = fixedY - (1 - fy) * height;
+  bounds.width = width;
+  bounds.height = height;
+  return true;
+};
+
+
+/**
+ * Snaps and limits the frame width or height.
+ * @param {number} size Size.
+ * @param {number} startSize Size at drag start, frame of zero size is not resized.
+ * @param {number} min Minimum size.
+ * @param {number} max Maximum size.
+ * @return {number} Size.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.limitSize_ = function(size, startSize, min, max) {
+  if (!startSize) return 0;
+  var step = this.options_['sizeStep'];
+  if (step)
+    size = Math.round(size / step) * step;
+  return goog.math.clamp(size, min, max);
+};
+
+
+/**
+ * Rotates targets around the frame center by the angle the pointer has turned since drag start.
+ * @param {!Array.<number>} point Pointer position in the parent coordinates.
+ * @return {boolean} Whether targets have changed.
+ * @private
+ */
+acgraph.vector.Transformer.prototype.rotate_ = function(point) {
+  var bounds = this.bounds_;
+  var center = acgraph.vector.Transformer.rotatePoint_(bounds.left + bounds.width / 2,
+      bounds.top + bounds.height / 2, this.rotation_);
+  var angle = this.startRotation_ + goog.math.toDegrees(
+      Math.atan2(point[1] - center[1], point[0] - center[0]) -
+      Math.atan2(this.startPoint_[1] - center[1], this.startPoint_[0] - center[0]));
+  var step = this.options_['rotationStep'];
+  if (step)
+    angle = Math.round(angle / step) * step;
+  var delta = angle - this.rotation_;
+  if (!delta) return false;
+
+  goog.array.forEach(this.elements_, function(element) {
+    element.rotate(delta, center[0], center[1]);
+  });
+  this.rotation_ = angle;
+  // Frame coordinates have turned, the center stays in place.
+  var frameCenter = acgraph.vector.Transformer.rotatePoint_(center[0], center[1], -angle);
+  bounds.left = frameCenter[0] - bounds.width / 2;
+  bounds.top = frameCenter[1] - bounds.height / 2;
+  return true;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Disposing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.Transformer.prototype.disposeInternal = function() {
+  goog.dispose(this.layer_);
+  this.layer_ = null;
+  this.frame_ = null;
+  this.handles_ = null;
+  this.rotationHandle_ = null;
+  this.elements_.length = 0;
+  goog.base(this, 'disposeInternal');
+};
+
+
+
+/**
+ * Object representing a transformer event.
+ * @param {string} type Event type.
+ * @param {acgraph.vector.Transformer} transformer Transformer initiating event.
+ * @param {acgraph.vector.Transformer.Action} action Action.
+ * @param {?acgraph.vector.Anchor} anchor Anchor of the dragged resize handle.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+acgraph.vector.TransformerEvent = function(type, transformer, action, anchor) {
+  goog.events.Event.call(this, type);
+
+  /**
+   * Reference to the transformer for this event.
+   * @type {acgraph.vector.Transformer}
+   */
+  this['transformer'] = transformer;
+
+  /**
+   * Action: moving, resizing or rotation.
+   * @type {acgraph.vector.Transformer.Action}
+   */
+  this['action'] = action;
+
+  /**
+   * Anchor of the dragged resize handle, null for moving and rotation.
+   * @type {?acgraph.vector.Anchor}
+   */
+  this['anchor'] = anchor;
+
+  /**
+   * Frame bounds in the frame coordinates.
+   * @type {acgraph.math.Rect}
+   */
+  this['bounds'] = transformer.getBounds();
+
+  /**
+   * Frame rotation in degrees.
+   * @type {number}
+   */
+  this['rotation'] = transformer.getRotation();
+};
+goog.inherits(acgraph.vector.TransformerEvent, goog.events.Event);
+
+
+//exports
+goog.exportSymbol('acgraph.vector.Transformer.Action.MOVE', acgraph.vector.Transformer.Action.MOVE);
+goog.exportSymbol('acgraph.vector.Transformer.Action.RESIZE', acgraph.vector.Transformer.Action.RESIZE);
+goog.exportSymbol('acgraph.vector.Transformer.Action.ROTATE', acgraph.vector.Transformer.Action.ROTATE);
+acgraph.vector.Transformer.prototype['target'] = acgraph.vector.Transformer.prototype.target;
+acgraph.vector.Transformer.prototype['options'] = acgraph.vector.Transformer.prototype.options;
+acgraph.vector.Transformer.prototype['getBounds'] = acgraph.vector.Transformer.prototype.getBounds;
+acgraph.vector.Transformer.prototype['getRotation'] = acgraph.vector.Transformer.prototype.getRotation;
+acgraph.vector.Transformer.prototype['update'] = acgraph.vector.Transformer.prototype.update;
+acgraph.vector.Transformer.prototype['listen'] = acgraph.vector.Transformer.prototype.listen;
+acgraph.vector.Transformer.prototype['listenOnce'] = acgraph.vector.Transformer.prototype.listenOnce;
+acgraph.vector.Transformer.prototype['unlisten'] = acgraph.vector.Transformer.prototype.unlisten;
+acgraph.vector.Transformer.prototype['dispose'] = acgraph.vector.Transformer.prototype.dispose;
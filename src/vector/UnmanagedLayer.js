@@ -64,7 +64,7 @@ acgraph.vector.UnmanagedLayer.prototype.content = function(opt_value) {
 //---------------------------------------------------------------------------------------------------------------------
 /** @inheritDoc */
 acgraph.vector.UnmanagedLayer.prototype.createDomInternal = function() {
-  return acgraph.getRenderer().createLayerElement();
+  return this.getRenderer().createLayerElement();
 };
 
 
@@ -0,0 +1,242 @@
+goog.provide('acgraph.vector.canvas.Node');
+goog.provide('acgraph.vector.canvas.Node.EventType');
+
+goog.require('goog.array');
+goog.require('goog.dom.NodeType');
+goog.require('goog.events.EventTarget');
+goog.require('goog.object');
+
+
+
+/**
+ * Virtual DOM node of the canvas renderer. Elements of a canvas stage are painted on a single canvas, so they
+ * have no real DOM nodes. Renderer gives them virtual nodes instead: nodes keep attributes, children order and
+ * event listeners like DOM elements do, so layers, texts and dragger work with them the same way.
+ * Node notifies the top node of its tree (see {@link acgraph.vector.canvas.Node.EventType.INVALIDATE}) when the
+ * tree needs to be repainted.
+ * @param {string} nodeName Node name.
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ */
+acgraph.vector.canvas.Node = function(nodeName) {
+  goog.base(this);
+
+  /**
+   * Node name.
+   * @type {string}
+   */
+  this.nodeName = nodeName;
+
+  /**
+   * Node type.
+   * @type {goog.dom.NodeType}
+   */
+  this.nodeType = goog.dom.NodeType.ELEMENT;
+
+  /**
+   * Document the node belongs to. It is used to listen document events while dragging.
+   * Nodes can be created where there is no document at all (see {@link acgraph.vector.headless.Node}).
+   * @type {Document}
+   */
+  this.ownerDocument = goog.global['document'] || null;
+
+  /**
+   * Parent node.
+   * @type {acgraph.vector.canvas.Node}
+   */
+  this.parentNode = null;
+
+  /**
+   * Children nodes.
+   * @type {!Array.<!acgraph.vector.canvas.Node>}
+   */
+  this.childNodes = [];
+
+  /**
+   * First child node.
+   * @type {acgraph.vector.canvas.Node}
+   */
+  this.firstChild = null;
+
+  /**
+   * Last child node.
+   * @type {acgraph.vector.canvas.Node}
+   */
+  this.lastChild = null;
+
+  /**
+   * Style map. Is kept to be compatible with code that sets styles of element nodes.
+   * @type {!Object}
+   */
+  this.style = {};
+
+  /**
+   * Attributes map.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.attributes_ = {};
+};
+goog.inherits(acgraph.vector.canvas.Node, goog.events.EventTarget);
+
+
+/**
+ * Node events.
+ * @enum {string}
+ */
+acgraph.vector.canvas.Node.EventType = {
+  /** Dispatched on the top node of the tree when the tree needs to be repainted. */
+  INVALIDATE: 'invalidate'
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Attributes
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Sets attribute value.
+ * @param {string} name Attribute name.
+ * @param {*} value Attribute value.
+ */
+acgraph.vector.canvas.Node.prototype.setAttribute = function(name, value) {
+  this.attributes_[name] = String(value);
+};
+
+
+/**
+ * Returns attribute value.
+ * @param {string} name Attribute name.
+ * @return {?string} Attribute value or null if the attribute is not set.
+ */
+acgraph.vector.canvas.Node.prototype.getAttribute = function(name) {
+  return this.attributes_.hasOwnProperty(name) ? this.attributes_[name] : null;
+};
+
+
+/**
+ * Whether the attribute is set.
+ * @param {string} name Attribute name.
+ * @return {boolean}
+ */
+acgraph.vector.canvas.Node.prototype.hasAttribute = function(name) {
+  return this.attributes_.hasOwnProperty(name);
+};
+
+
+/**
+ * Removes attribute.
+ * @param {string} name Attribute name.
+ */
+acgraph.vector.canvas.Node.prototype.removeAttribute = function(name) {
+  delete this.attributes_[name];
+};
+
+
+/**
+ * Returns names of the set attributes in the order they were set first.
+ * @return {!Array.<string>} Attribute names.
+ */
+acgraph.vector.canvas.Node.prototype.getAttributeNames = function() {
+  return goog.object.getKeys(this.attributes_);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Children
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Appends child to the end of children list. If the child has a parent, it is moved from it.
+ * @param {!acgraph.vector.canvas.Node} child Child node.
+ * @return {!acgraph.vector.canvas.Node} Appended child.
+ */
+acgraph.vector.canvas.Node.prototype.appendChild = function(child) {
+  return this.insertBefore(child, null);
+};
+
+
+/**
+ * Inserts child before the reference child or to the end if the reference child is null.
+ * If the child has a parent, it is moved from it.
+ * @param {!acgraph.vector.canvas.Node} child Child node.
+ * @param {acgraph.vector.canvas.Node} refChild Reference child.
+ * @return {!acgraph.vector.canvas.Node} Inserted child.
+ */
+acgraph.vector.canvas.Node.prototype.insertBefore = function(child, refChild) {
+  if (child.parentNode)
+    child.parentNode.removeChild(child);
+  var index = refChild ? goog.array.indexOf(this.childNodes, refChild) : -1;
+  if (index < 0)
+    this.childNodes.push(child);
+  else
+    goog.array.insertAt(this.childNodes, child, index);
+  child.parentNode = this;
+  this.updateChildLinks_();
+  this.invalidate();
+  return child;
+};
+
+
+/**
+ * Removes child.
+ * @param {!acgraph.vector.canvas.Node} child Child node.
+ * @return {!acgraph.vector.canvas.Node} Removed child.
+ */
+acgraph.vector.canvas.Node.prototype.removeChild = function(child) {
+  if (goog.array.remove(this.childNodes, child)) {
+    child.parentNode = null;
+    this.updateChildLinks_();
+    this.invalidate();
+  }
+  return child;
+};
+
+
+/**
+ * Updates links to the first and the last children.
+ * @private
+ */
+acgraph.vector.canvas.Node.prototype.updateChildLinks_ = function() {
+  this.firstChild = this.childNodes[0] || null;
+  this.lastChild = this.childNodes[this.childNodes.length - 1] || null;
+};
+
+
+/**
+ * Events dispatched on the node propagate to the parent node, just like DOM events bubble.
+ * @return {acgraph.vector.canvas.Node}
+ * @override
+ */
+acgraph.vector.canvas.Node.prototype.getParentEventTarget = function() {
+  return this.parentNode;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Invalidation
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Notifies the top node of the tree that the tree needs to be repainted.
+ */
+acgraph.vector.canvas.Node.prototype.invalidate = function() {
+  var node = this;
+  while (node.parentNode)
+    node = node.parentNode;
+  if (node.hasListener(acgraph.vector.canvas.Node.EventType.INVALIDATE))
+    node.dispatchEvent(acgraph.vector.canvas.Node.EventType.INVALIDATE);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Node.prototype.disposeInternal = function() {
+  if (this.parentNode)
+    this.parentNode.removeChild(this);
+  this.childNodes.length = 0;
+  this.firstChild = this.lastChild = null;
+  goog.base(this, 'disposeInternal');
+};
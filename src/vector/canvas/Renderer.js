@@ -0,0 +1,1426 @@
+goog.provide('acgraph.vector.canvas.Renderer');
+goog.require('acgraph.math');
+goog.require('acgraph.math.Rect');
+goog.require('acgraph.vector');
+goog.require('acgraph.vector.Ellipse');
+goog.require('acgraph.vector.Image');
+goog.require('acgraph.vector.Layer');
+goog.require('acgraph.vector.Marker');
+goog.require('acgraph.vector.PathBase');
+goog.require('acgraph.vector.PatternFill');
+goog.require('acgraph.vector.Renderer');
+goog.require('acgraph.vector.Shape');
+goog.require('acgraph.vector.Text');
+goog.require('acgraph.vector.UnmanagedLayer');
+goog.require('acgraph.vector.canvas.Node');
+goog.require('goog.array');
+goog.require('goog.color');
+goog.require('goog.dom');
+goog.require('goog.dom.NodeType');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.graphics.AffineTransform');
+goog.require('goog.math');
+goog.require('goog.object');
+goog.require('goog.style');
+
+
+
+/**
+ * This class implements the Canvas 2D graphics renderer. Elements get virtual nodes
+ * (see {@link acgraph.vector.canvas.Node}) instead of DOM elements, every change of an element invalidates
+ * the node tree and the stage repaints the whole element tree on its canvas in the next animation frame.
+ * Renderer also hit tests elements, so the stage can find the element under the pointer.
+ * @constructor
+ * @extends {acgraph.vector.Renderer}
+ */
+acgraph.vector.canvas.Renderer = function() {
+  goog.base(this);
+};
+goog.inherits(acgraph.vector.canvas.Renderer, acgraph.vector.Renderer);
+goog.addSingletonGetter(acgraph.vector.canvas.Renderer);
+
+
+/**
+ * State of a single painting pass.
+ * context - Context to paint on.
+ * ratio - Ratio of the canvas pixels to the stage pixels.
+ * patterns - Pattern tiles painted in this pass by uid of pattern fill.
+ * @typedef {{
+ *   context: CanvasRenderingContext2D,
+ *   ratio: number,
+ *   patterns: Object.<string, HTMLCanvasElement>
+ * }}
+ */
+acgraph.vector.canvas.Renderer.PaintState;
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Properties
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Loaded images by source. Each entry contains image, loading state and elements to invalidate on load.
+ * @type {Object.<string, {image: !Image, loaded: boolean, elements: !Object.<string, !acgraph.vector.Element>}>}
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.images_ = null;
+
+
+/**
+ * Context used for hit testing.
+ * @type {CanvasRenderingContext2D}
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.hitContext_ = null;
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Utils
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Creates virtual node.
+ * @param {string} name Node name.
+ * @return {!Element} Node. It is typed as Element to be used where element DOM is expected.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.createNode_ = function(name) {
+  return /** @type {!Element} */ (/** @type {Object} */ (new acgraph.vector.canvas.Node(name)));
+};
+
+
+/**
+ * Invalidates the node tree of the element, if the element is rendered.
+ * @param {acgraph.vector.Element} element Element.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.invalidate_ = function(element) {
+  var node = element.domElement();
+  if (node instanceof acgraph.vector.canvas.Node)
+    node.invalidate();
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.measure = function(text, style) {
+  // Canvas stage texts are laid out just like DOM texts, so they share the default renderer measurement.
+  return acgraph.getRenderer().measure(text, style);
+};
+
+
+/**
+ * Measures element.
+ * @param {Element|string} element Element.
+ * @return {acgraph.math.Rect} Bounds.
+ */
+acgraph.vector.canvas.Renderer.prototype.measureElement = function(element) {
+  return acgraph.getRenderer().measureElement(element);
+};
+
+
+/**
+ * Measures the bounds of an image.
+ * @param {string} src The URI of the image.
+ * @param {Function} callback The Callback function to which the measured bounds of the image will be sent.
+ */
+acgraph.vector.canvas.Renderer.prototype.measuringImage = function(src, callback) {
+  acgraph.getRenderer().measuringImage(src, callback);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  DOM elements
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createStageElement = function() {
+  return goog.dom.createDom('div', {'style': 'position:relative; overflow:hidden;'},
+      goog.dom.createDom('canvas', {'style': 'display:block;'}));
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setStageSize = function(el, width, height) {
+  goog.style.setWidth(el, width);
+  goog.style.setHeight(el, height);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createDefsElement = function() {
+  return this.createNode_('defs');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createLinearGradientElement = function() {
+  return this.createNode_('linearGradient');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createRadialGradientElement = function() {
+  return this.createNode_('radialGradient');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createLayerElement = function() {
+  return this.createNode_('g');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createRectElement = function() {
+  return this.createNode_('rect');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createCircleElement = function() {
+  return this.createNode_('circle');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createFillPatternElement = function() {
+  return this.createNode_('pattern');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createImageElement = function() {
+  return this.createNode_('image');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createTextElement = function() {
+  return this.createNode_('text');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createTextSegmentElement = function() {
+  return this.createNode_('tspan');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createTextNode = function(text) {
+  var node = this.createNode_('#text');
+  node.nodeType = goog.dom.NodeType.TEXT;
+  node.nodeValue = text;
+  return node;
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createPathElement = function() {
+  return this.createNode_('path');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createEllipseElement = function() {
+  return this.createNode_('ellipse');
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.createClipElement = function() {
+  return this.createNode_('clipPath');
+};
+
+
+/**
+ * Virtual nodes are painted on the stage canvas, so they are never attached to the document
+ * and the stage element never gets virtual children.
+ * @param {Element} parent Parent.
+ * @param {Element} child Child.
+ * @return {boolean} Whether the child can be attached to the parent.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.canAttach_ = function(parent, child) {
+  return (parent instanceof acgraph.vector.canvas.Node) == (child instanceof acgraph.vector.canvas.Node);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.appendChild = function(parent, child) {
+  if (this.canAttach_(parent, child))
+    goog.base(this, 'appendChild', parent, child);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.insertChildAt = function(parent, child, index) {
+  if (this.canAttach_(parent, child))
+    goog.base(this, 'insertChildAt', parent, child, index);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.getParent = function(node) {
+  return /** @type {Element} */ (node.parentNode || null);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Element properties
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Sets or removes attribute of DOM element or virtual node.
+ * @param {Element} el Element or node.
+ * @param {string} key Attribute name.
+ * @param {*} value Attribute value. Attribute is removed if the value is null, undefined or empty string.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.setAttribute_ = function(el, key, value) {
+  if (!el) return;
+  if (goog.isDefAndNotNull(value) && value !== '')
+    el.setAttribute(key, value);
+  else
+    el.removeAttribute(key);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setId = function(element, id) {
+  this.setAttribute_(element.domElement(), 'id', id);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setTitle = function(element, title) {
+  this.setAttribute_(element.domElement(), 'title', title);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setDesc = function(element, desc) {
+  this.setAttribute_(element.domElement(), 'aria-label', desc);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setAttributes = function(element, attrs) {
+  var domElement = element.domElement();
+  if (domElement && goog.isObject(attrs)) {
+    for (var key in attrs) {
+      this.setAttribute_(domElement, key, attrs[key]);
+    }
+  }
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.getAttribute = function(element, key) {
+  return element ? element.getAttribute(key) : void 0;
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setCursorProperties = function(element, cursor) {
+  // Cursor of the canvas is changed by the stage when the hovered element changes.
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setPointerEvents = function(element) {
+  // Pointer events are checked while hit testing.
+};
+
+
+/**
+ * Invalidates the element tree.
+ * @param {acgraph.vector.Element} element Element.
+ */
+acgraph.vector.canvas.Renderer.prototype.setInvalid = function(element) {
+  this.invalidate_(element);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setDisableStrokeScaling = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setVisible = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setLayerSize = goog.nullFunction;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setRectProperties = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setCircleProperties = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setEllipseProperties = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setPathProperties = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setFillPatternProperties = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setImageProperties = function(element) {
+  if (element.src())
+    this.getImage_(/** @type {string} */ (element.src()), element);
+  this.invalidate_(element);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setTextPosition = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setTextProperties = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setTextSegmentPosition = goog.nullFunction;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setTextSegmentProperties = goog.nullFunction;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setTextPath = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setTransformation = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setPathTransformation = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setImageTransformation = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setRectTransformation = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setEllipseTransformation =
+    acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setLayerTransformation = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setTextTransformation = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setPatternTransformation =
+    acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.applyFill = function(element) {
+  var fill = element.fill();
+  // Pattern is rendered to the stage defs, so changes of its content invalidate the stage.
+  if (fill instanceof acgraph.vector.PatternFill && element.getStage())
+    fill.parent(element.getStage()).render();
+  this.invalidate_(element);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.applyStroke = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.applyFillAndStroke = acgraph.vector.canvas.Renderer.prototype.applyFill;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setClip = function(element) {
+  var clip = /** @type {acgraph.vector.Clip} */ (element.clip());
+  // Clip is bound to the stage to get its changes rendered, see acgraph.vector.Stage#addClipForRender.
+  if (clip && element.getStage())
+    clip.stage(element.getStage());
+  this.invalidate_(element);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setLayerClip = acgraph.vector.canvas.Renderer.prototype.setClip;
+
+
+/**
+ * Invalidates elements clipped by the clip.
+ * @param {!acgraph.vector.Clip} clip Clip.
+ */
+acgraph.vector.canvas.Renderer.prototype.updateClip = function(clip) {
+  goog.array.forEach(clip.getElements(), this.invalidate_, this);
+};
+
+
+/**
+ * Removes clip from clipped elements. Called in acgraph.vector.Clip#dispose method.
+ * @param {acgraph.vector.Clip} clip Disposing clip.
+ */
+acgraph.vector.canvas.Renderer.prototype.disposeClip = function(clip) {
+  goog.array.forEach(goog.array.clone(clip.getElements()), function(element) {
+    element.clip(null);
+  });
+};
+
+
+/**
+ * Masks are not painted on canvas, masked elements are painted unmasked.
+ * @param {!acgraph.vector.Element} element Element.
+ */
+acgraph.vector.canvas.Renderer.prototype.setMask = goog.nullFunction;
+
+
+/**
+ * Masks are not painted on canvas, so there is nothing to update.
+ * @param {!acgraph.vector.Mask} mask Mask.
+ */
+acgraph.vector.canvas.Renderer.prototype.updateMask = goog.nullFunction;
+
+
+/**
+ * Masks are not painted on canvas, so there is nothing to remove.
+ * @param {!acgraph.vector.Mask} mask Mask.
+ */
+acgraph.vector.canvas.Renderer.prototype.removeMask = goog.nullFunction;
+
+
+/**
+ * Removes mask from masked elements. Called in acgraph.vector.Mask#dispose method.
+ * @param {acgraph.vector.Mask} mask Disposing mask.
+ */
+acgraph.vector.canvas.Renderer.prototype.disposeMask = function(mask) {
+  goog.array.forEach(goog.array.clone(mask.getElements()), function(element) {
+    element.mask(null);
+  });
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setFilter = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Renderer.prototype.setPathMarkers = acgraph.vector.canvas.Renderer.prototype.setInvalid;
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Images
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns loaded image. Starts loading, if the image isn't loaded yet, and invalidates the element when
+ * it is loaded.
+ * @param {string} src Image source.
+ * @param {!acgraph.vector.Element} element Element that is painted with the image.
+ * @return {Image} Loaded image or null if it is being loaded.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.getImage_ = function(src, element) {
+  if (!this.images_) this.images_ = {};
+  var entry = this.images_[src];
+  if (!entry) {
+    var image = new Image();
+    entry = this.images_[src] = {image: image, loaded: false, elements: {}};
+    goog.events.listenOnce(image, goog.events.EventType.LOAD, function() {
+      entry.loaded = true;
+      goog.object.forEach(entry.elements, this.invalidate_, this);
+      goog.object.clear(entry.elements);
+    }, false, this);
+    image.src = src;
+  }
+  if (entry.loaded)
+    return entry.image;
+  entry.elements[goog.getUid(element)] = element;
+  return null;
+};
+
+
+/**
+ * Returns rectangle the image is drawn to, according to the align and fitting mode
+ * (just like SVG preserveAspectRatio does).
+ * @param {!Image} image Loaded image.
+ * @param {!acgraph.math.Rect} bounds Viewport.
+ * @param {acgraph.vector.Image.Align} align Align.
+ * @param {acgraph.vector.Image.Fitting} fitting Fitting mode.
+ * @return {!acgraph.math.Rect} Image rectangle.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.getImageRect_ = function(image, bounds, align, fitting) {
+  if (align == acgraph.vector.Image.Align.NONE || !image.width || !image.height)
+    return bounds.clone();
+
+  var scale = fitting == acgraph.vector.Image.Fitting.SLICE ?
+      Math.max(bounds.width / image.width, bounds.height / image.height) :
+      Math.min(bounds.width / image.width, bounds.height / image.height);
+  var width = image.width * scale;
+  var height = image.height * scale;
+  var alignX = align.substr(1, 3);
+  var alignY = align.substr(5, 3);
+  return new acgraph.math.Rect(
+      bounds.left + (alignX == 'Mid' ? (bounds.width - width) / 2 : alignX == 'Max' ? bounds.width - width : 0),
+      bounds.top + (alignY == 'Mid' ? (bounds.height - height) / 2 : alignY == 'Max' ? bounds.height - height : 0),
+      width, height);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Painting
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Paints the layer and its children.
+ * @param {CanvasRenderingContext2D} context Context to paint on.
+ * @param {!acgraph.vector.Layer} layer Layer.
+ * @param {number} ratio Ratio of the canvas pixels to the stage pixels.
+ */
+acgraph.vector.canvas.Renderer.prototype.paint = function(context, layer, ratio) {
+  var state = {context: context, ratio: ratio, patterns: {}};
+  this.paintElement_(state, layer, new goog.graphics.AffineTransform(ratio, 0, 0, ratio, 0, 0));
+};
+
+
+/**
+ * Returns rendered layer children in z-order. Layers with the spatial index return only children which bounds
+ * (extended by their strokes) intersect the rectangle, if it is passed.
+ * @param {!acgraph.vector.Layer} layer Layer.
+ * @param {goog.graphics.AffineTransform=} opt_tx Layer transformation to the rectangle coordinates.
+ * @param {acgraph.math.Rect=} opt_rect Rectangle of interest.
+ * @return {!Array.<!acgraph.vector.Element>} Children.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.getChildren_ = function(layer, opt_tx, opt_rect) {
+  var children = [];
+  var add = function(child) {
+    if (child.domElement())
+      children.push(child);
+  };
+  if (opt_tx && opt_rect && layer.spatialIndex()) {
+    if (opt_tx.getDeterminant())
+      goog.array.forEach(layer.getChildrenInRect(
+          acgraph.math.getBoundsOfRectWithTransform(opt_rect, opt_tx.createInverse()), true), add);
+  } else {
+    layer.forEachChild(add);
+  }
+  goog.array.stableSort(children, function(a, b) {
+    return a.zIndex() - b.zIndex();
+  });
+  return children;
+};
+
+
+/**
+ * Sets the transformation as the current transformation of the context.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {!goog.graphics.AffineTransform} tx Transformation.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.setTransform_ = function(context, tx) {
+  context.setTransform(tx.getScaleX(), tx.getShearY(), tx.getShearX(), tx.getScaleY(),
+      tx.getTranslateX(), tx.getTranslateY());
+};
+
+
+/**
+ * Paints element.
+ * @param {acgraph.vector.canvas.Renderer.PaintState} state Painting state.
+ * @param {!acgraph.vector.Element} element Element.
+ * @param {!goog.graphics.AffineTransform} transform Transformation of the element parent.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.paintElement_ = function(state, element, transform) {
+  if (!element.visible() || element instanceof acgraph.vector.UnmanagedLayer) return;
+
+  var context = state.context;
+  var tx = /** @type {!goog.graphics.AffineTransform} */ (acgraph.math.concatMatrixes(transform,
+      element.getSelfTransformation()));
+  context.save();
+
+  this.applyElementClip_(context, element, tx);
+  this.applyElementFilter_(context, element);
+  if (element instanceof acgraph.vector.Layer) {
+    var canvas = context.canvas;
+    var viewport = canvas ? new acgraph.math.Rect(0, 0, canvas.width, canvas.height) : undefined;
+    goog.array.forEach(acgraph.vector.canvas.Renderer.getChildren_(element, tx, viewport), function(child) {
+      this.paintElement_(state, child, tx);
+    }, this);
+  } else if (element instanceof acgraph.vector.Shape) {
+    this.paintShape_(state, element, tx);
+  } else if (element instanceof acgraph.vector.Text) {
+    this.paintText_(state, element, tx);
+  } else if (element instanceof acgraph.vector.Image) {
+    this.paintImage_(state, element, tx);
+  }
+
+  context.restore();
+};
+
+
+/**
+ * Sets the element filter effects to the context filter, after the filter of the parent. Layer filter is applied to
+ * every painted child separately, unlike SVG, where it is applied to the layer as a whole. Browsers without the
+ * context filter support paint elements unfiltered.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {!acgraph.vector.Element} element Element.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.applyElementFilter_ = function(context, element) {
+  var effects = /** @type {Array.<acgraph.vector.FilterEffect>} */ (element.filter());
+  if (!effects || !('filter' in context)) return;
+  var filters = [];
+  goog.array.forEach(effects, function(effect) {
+    if (effect['type'] == acgraph.vector.FilterType.BLUR) {
+      filters.push('blur(' + effect['radius'] + 'px)');
+    } else {
+      var color = acgraph.vector.canvas.Renderer.getColor_(effect['color'], effect['opacity']);
+      var shadow = effect['type'] == acgraph.vector.FilterType.DROP_SHADOW ?
+          [effect['dx'] + 'px', effect['dy'] + 'px'] :
+          ['0', '0'];
+      // CSS shadow blur radius is twice as large as the standard deviation.
+      shadow.push(effect['blur'] * 2 + 'px');
+      if (color) shadow.push(color);
+      filters.push('drop-shadow(' + shadow.join(' ') + ')');
+    }
+  });
+  var parentFilter = context.filter;
+  context.filter = (parentFilter && parentFilter != 'none' ? parentFilter + ' ' : '') + filters.join(' ');
+};
+
+
+/**
+ * Clips the context with the element clip, if it is set. United shapes are clipped by at once, every intersected
+ * shape clips the context again and every excluded shape clips it by the huge square with the shape as a hole.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {!acgraph.vector.Element} element Element.
+ * @param {!goog.graphics.AffineTransform} tx Element transformation.
+ * @return {boolean} Whether the clip is set.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.applyElementClip_ = function(context, element, tx) {
+  var clip = /** @type {acgraph.vector.Clip} */ (element.clip());
+  var shapes = clip ? clip.getShapes() : [];
+  if (!shapes.length) return false;
+  // Clip shapes are defined in the element coordinates.
+  var trace = function(shape) {
+    acgraph.vector.canvas.Renderer.setTransform_(context,
+        /** @type {!goog.graphics.AffineTransform} */ (acgraph.math.concatMatrixes(tx, shape.getSelfTransformation())));
+    this.tracePath_(context, shape);
+  };
+
+  var united = goog.array.filter(shapes, function(shape) {
+    return clip.shapeMode(shape) == acgraph.vector.ClipMode.UNION;
+  });
+  // Clip without united shapes starts from the whole plane.
+  if (united.length) {
+    context.beginPath();
+    goog.array.forEach(united, trace, this);
+    // United shapes are traced as one path, so with the 'evenodd' rule their overlaps are cut out.
+    context.clip(/** @type {string} */ (clip.clipRule()));
+  }
+
+  var size = acgraph.vector.Clip.EXCLUDE_AREA_SIZE;
+  goog.array.forEach(shapes, function(shape) {
+    var mode = clip.shapeMode(shape);
+    if (mode == acgraph.vector.ClipMode.UNION) return;
+    context.beginPath();
+    if (mode == acgraph.vector.ClipMode.EXCLUDE) {
+      acgraph.vector.canvas.Renderer.setTransform_(context, tx);
+      context.rect(-size, -size, size * 2, size * 2);
+    }
+    trace.call(this, shape);
+    context.clip(mode == acgraph.vector.ClipMode.EXCLUDE ?
+        acgraph.vector.ClipRule.EVENODD :
+        /** @type {string} */ (clip.getShapeClipRule(shape)));
+  }, this);
+  return true;
+};
+
+
+/**
+ * Adds the shape geometry to the current path of the context.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {!acgraph.vector.Shape} shape Path based shape or ellipse.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.tracePath_ = function(context, shape) {
+  var x = 0, y = 0, i;
+  var addCurves = function(curves) {
+    for (i = 0; i < curves.length; i += 6)
+      context.bezierCurveTo(curves[i], curves[i + 1], curves[i + 2], curves[i + 3], curves[i + 4], curves[i + 5]);
+  };
+
+  if (shape instanceof acgraph.vector.PathBase) {
+    shape.forEachSegment(function(segment, args) {
+      switch (segment) {
+        case acgraph.vector.PathBase.Segment.MOVETO:
+          x = args[args.length - 2];
+          y = args[args.length - 1];
+          context.moveTo(x, y);
+          break;
+        case acgraph.vector.PathBase.Segment.LINETO:
+          for (i = 0; i < args.length; i += 2)
+            context.lineTo(args[i], args[i + 1]);
+          x = args[args.length - 2];
+          y = args[args.length - 1];
+          break;
+        case acgraph.vector.PathBase.Segment.CURVETO:
+          addCurves(args);
+          x = args[args.length - 2];
+          y = args[args.length - 1];
+          break;
+        case acgraph.vector.PathBase.Segment.ARCTO:
+          for (var j = 0; j < args.length; j += 6) {
+            var cx = x - goog.math.angleDx(args[j + 2], args[j]);
+            var cy = y - goog.math.angleDy(args[j + 2], args[j + 1]);
+            addCurves(acgraph.math.arcToBezier(cx, cy, args[j], args[j + 1], args[j + 2], args[j + 3]));
+            x = args[j + 4];
+            y = args[j + 5];
+          }
+          break;
+        case acgraph.vector.PathBase.Segment.CLOSE:
+          context.closePath();
+          break;
+      }
+    });
+  } else if (shape instanceof acgraph.vector.Ellipse) {
+    var rx = /** @type {number} */ (shape.radiusX());
+    var ry = /** @type {number} */ (shape.radiusY());
+    if (rx > 0 && ry > 0) {
+      var curves = acgraph.math.arcToBezier(/** @type {number} */ (shape.centerX()),
+          /** @type {number} */ (shape.centerY()), rx, ry, 0, 360, true);
+      context.moveTo(curves[0], curves[1]);
+      addCurves(curves.slice(2));
+      context.closePath();
+    }
+  }
+};
+
+
+/**
+ * Paints shape with its fill and stroke.
+ * @param {acgraph.vector.canvas.Renderer.PaintState} state Painting state.
+ * @param {!acgraph.vector.Shape} shape Shape.
+ * @param {!goog.graphics.AffineTransform} tx Shape transformation.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.paintShape_ = function(state, shape, tx) {
+  var context = state.context;
+  acgraph.vector.canvas.Renderer.setTransform_(context, tx);
+  context.beginPath();
+  this.tracePath_(context, shape);
+  this.fill_(state, shape, tx);
+  if (this.setStrokeStyle_(context, shape, tx, state.ratio))
+    context.stroke();
+  if (shape instanceof acgraph.vector.Path)
+    this.paintMarkers_(context, shape, tx);
+};
+
+
+/**
+ * Paints path markers over the path, markers geometry is computed at the path vertices.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {!acgraph.vector.Path} path Path.
+ * @param {!goog.graphics.AffineTransform} tx Path transformation.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.paintMarkers_ = function(context, path, tx) {
+  goog.object.forEach(acgraph.vector.Marker.Position, function(position) {
+    var appearance = acgraph.vector.Marker.getAppearance(path, position);
+    if (!appearance) return;
+    var markers = acgraph.path();
+    acgraph.vector.Marker.drawMarkers(path, position, markers);
+    acgraph.vector.canvas.Renderer.setTransform_(context, tx);
+    context.beginPath();
+    this.tracePath_(context, markers);
+    goog.dispose(markers);
+
+    var fill = acgraph.vector.canvas.Renderer.getColor_(appearance.fill, appearance.fillOpacity);
+    if (fill) {
+      context.fillStyle = fill;
+      context.fill();
+    }
+    var stroke = acgraph.vector.canvas.Renderer.getColor_(appearance.stroke, appearance.strokeOpacity);
+    if (stroke && appearance.thickness > 0) {
+      context.strokeStyle = stroke;
+      context.lineWidth = appearance.thickness;
+      if (context.setLineDash)
+        context.setLineDash([]);
+      context.stroke();
+    }
+  }, this);
+};
+
+
+/**
+ * Fills the current path with the shape fill.
+ * @param {acgraph.vector.canvas.Renderer.PaintState} state Painting state.
+ * @param {!acgraph.vector.Shape} shape Shape.
+ * @param {!goog.graphics.AffineTransform} tx Shape transformation.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.fill_ = function(state, shape, tx) {
+  var context = state.context;
+  var fill = shape.fill();
+  var fillTransform = null;
+  var style = null;
+  var opacity = 1;
+
+  if (goog.isString(fill)) {
+    style = fill == 'none' ? null : fill;
+  } else if (fill instanceof acgraph.vector.PatternFill) {
+    var tile = this.getPatternTile_(state, fill);
+    if (tile) {
+      var bounds = fill.getBoundsWithoutTransform();
+      style = context.createPattern(tile, 'repeat');
+      fillTransform = /** @type {!goog.graphics.AffineTransform} */ (acgraph.math.concatMatrixes(
+          fill.getSelfTransformation(), goog.graphics.AffineTransform.getTranslateInstance(bounds.left, bounds.top)));
+    }
+  } else if (goog.isObject(fill)) {
+    opacity = goog.isNumber(fill['opacity']) && !isNaN(fill['opacity']) ? fill['opacity'] : 1;
+    if (goog.isArray(fill['keys'])) {
+      var gradient = this.createGradient_(context, fill, shape, false);
+      if (gradient) {
+        style = gradient.style;
+        fillTransform = gradient.transform;
+      }
+    } else if (fill['src']) {
+      this.fillWithImage_(context, shape, fill, tx, opacity);
+    } else {
+      style = fill['color'] == 'none' ? null : fill['color'];
+    }
+  }
+  if (!style) return;
+
+  context.save();
+  if (fillTransform)
+    acgraph.vector.canvas.Renderer.setTransform_(context,
+        /** @type {!goog.graphics.AffineTransform} */ (acgraph.math.concatMatrixes(tx, fillTransform)));
+  context.globalAlpha *= opacity;
+  context.fillStyle = style;
+  context.fill();
+  context.restore();
+};
+
+
+/**
+ * Fills the current path with the image of the image fill.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {!acgraph.vector.Shape} shape Shape.
+ * @param {!Object} fill Image fill.
+ * @param {!goog.graphics.AffineTransform} tx Shape transformation.
+ * @param {number} opacity Fill opacity.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.fillWithImage_ = function(context, shape, fill, tx, opacity) {
+  var image = this.getImage_(fill['src'], shape);
+  var bounds = shape.getBoundsWithoutTransform();
+  if (!image || !bounds) return;
+
+  context.save();
+  context.globalAlpha *= opacity;
+  if (fill['mode'] == acgraph.vector.ImageFillMode.TILE) {
+    acgraph.vector.canvas.Renderer.setTransform_(context, /** @type {!goog.graphics.AffineTransform} */ (
+        acgraph.math.concatMatrixes(tx, goog.graphics.AffineTransform.getTranslateInstance(bounds.left, bounds.top))));
+    context.fillStyle = context.createPattern(image, 'repeat');
+    context.fill();
+  } else {
+    var align = fill['mode'] == acgraph.vector.ImageFillMode.FIT || fill['mode'] == acgraph.vector.ImageFillMode.FIT_MAX ?
+        acgraph.vector.Image.Align.X_MID_Y_MID :
+        acgraph.vector.Image.Align.NONE;
+    var fitting = fill['mode'] == acgraph.vector.ImageFillMode.FIT_MAX ?
+        acgraph.vector.Image.Fitting.SLICE :
+        acgraph.vector.Image.Fitting.MEET;
+    var rect = acgraph.vector.canvas.Renderer.getImageRect_(image, bounds, align, fitting);
+    context.clip();
+    context.drawImage(image, rect.left, rect.top, rect.width, rect.height);
+  }
+  context.restore();
+};
+
+
+/**
+ * Returns tile of the pattern fill. Tiles are painted once per painting pass.
+ * @param {acgraph.vector.canvas.Renderer.PaintState} state Painting state.
+ * @param {!acgraph.vector.PatternFill} pattern Pattern fill.
+ * @return {HTMLCanvasElement} Tile or null if the pattern is empty.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.getPatternTile_ = function(state, pattern) {
+  var uid = String(goog.getUid(pattern));
+  if (uid in state.patterns) return state.patterns[uid];
+
+  var bounds = pattern.getBoundsWithoutTransform();
+  var width = Math.ceil(bounds.width);
+  var height = Math.ceil(bounds.height);
+  var tile = null;
+  if (width > 0 && height > 0) {
+    tile = /** @type {HTMLCanvasElement} */ (goog.dom.createDom('canvas', {'width': width, 'height': height}));
+    var tileState = {
+      context: /** @type {CanvasRenderingContext2D} */ (tile.getContext('2d')),
+      ratio: 1,
+      patterns: state.patterns
+    };
+    // Pattern transformation is applied while filling, so the tile is painted in the pattern coordinates.
+    var tx = goog.graphics.AffineTransform.getTranslateInstance(-bounds.left, -bounds.top);
+    goog.array.forEach(acgraph.vector.canvas.Renderer.getChildren_(pattern), function(child) {
+      this.paintElement_(tileState, child, tx);
+    }, this);
+  }
+  return state.patterns[uid] = tile;
+};
+
+
+/**
+ * Creates gradient for the gradient fill or stroke of the shape.
+ * Gradient is created in its own coordinates, that are transformed to the shape coordinates with the returned
+ * transformation. Gradients for strokes are mapped to the shape coordinates instead, so the stroke thickness
+ * is not affected by the gradient transformation.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {!Object} paint Linear or radial gradient fill.
+ * @param {!acgraph.vector.Shape} shape Shape.
+ * @param {boolean} mapToShape Whether the gradient is mapped to the shape coordinates.
+ * @return {?{style: CanvasGradient, transform: goog.graphics.AffineTransform}} Gradient and its transformation
+ *    or null if the gradient has no area to spread over.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.createGradient_ = function(context, paint, shape, mapToShape) {
+  var radial = goog.isDef(paint['cx']) && goog.isDef(paint['cy']);
+  var bounds = paint['mode'] instanceof acgraph.math.Rect ? /** @type {acgraph.math.Rect} */ (paint['mode']) : null;
+  var coords, transform = null;
+
+  if (bounds) {
+    // User space gradient.
+    if (radial) {
+      coords = [
+        bounds.left + paint['fx'] * bounds.width, bounds.top + paint['fy'] * bounds.height, 0,
+        bounds.left + paint['cx'] * bounds.width, bounds.top + paint['cy'] * bounds.height,
+        Math.min(bounds.width, bounds.height) / 2
+      ];
+    } else {
+      coords = acgraph.vector.canvas.Renderer.getGradientVector_(paint['angle'], bounds);
+    }
+  } else {
+    // Object bounding box gradient.
+    var box = shape.getBoundsWithoutTransform();
+    if (!box || !box.width || !box.height) return null;
+    transform = new goog.graphics.AffineTransform(box.width, 0, 0, box.height, box.left, box.top);
+    if (radial) {
+      coords = [paint['fx'], paint['fy'], 0, paint['cx'], paint['cy'], 0.5];
+    } else {
+      var angle = paint['mode'] === true ?
+          this.saveGradientAngle(paint['angle'], shape.getBounds()) :
+          paint['angle'];
+      coords = acgraph.vector.canvas.Renderer.getGradientVector_(angle, new acgraph.math.Rect(0, 0, 1, 1));
+    }
+  }
+  if (paint['transform'])
+    transform = acgraph.math.concatMatrixes(transform, paint['transform']);
+
+  if (mapToShape && transform) {
+    var points = radial ? [coords[0], coords[1], coords[3], coords[4]] : coords;
+    transform.transform(points, 0, points, 0, 2);
+    if (radial) {
+      var scale = Math.sqrt(Math.abs(transform.getScaleX() * transform.getScaleY() -
+          transform.getShearX() * transform.getShearY()));
+      coords = [points[0], points[1], coords[2] * scale, points[2], points[3], coords[5] * scale];
+    }
+    transform = null;
+  }
+
+  var gradient = radial ?
+      context.createRadialGradient(coords[0], coords[1], coords[2], coords[3], coords[4], coords[5]) :
+      context.createLinearGradient(coords[0], coords[1], coords[2], coords[3]);
+  var lastOffset = 0;
+  goog.array.forEach(paint['keys'], function(key) {
+    var color = acgraph.vector.canvas.Renderer.getColor_(key['color'], key['opacity']);
+    if (color) {
+      lastOffset = Math.max(goog.math.clamp(parseFloat(key['offset']) || 0, 0, 1), lastOffset);
+      gradient.addColorStop(lastOffset, color);
+    }
+  });
+  return {style: gradient, transform: transform};
+};
+
+
+/**
+ * Returns linear gradient vector that goes through the center of the bounds with the passed angle
+ * and covers the bounds entirely.
+ * @param {number} angle Gradient angle in degrees, positive values go counterclockwise.
+ * @param {acgraph.math.Rect} bounds Gradient bounds.
+ * @return {!Array.<number>} Vector coordinates as [x0, y0, x1, y1].
+ * @private
+ */
+acgraph.vector.canvas.Renderer.getGradientVector_ = function(angle, bounds) {
+  var radAngle = goog.math.toRadians(angle || 0);
+  var cos = Math.cos(radAngle);
+  var sin = Math.sin(radAngle);
+  var halfLength = Math.abs(cos * bounds.width / 2) + Math.abs(sin * bounds.height / 2);
+  var centerX = bounds.left + bounds.width / 2;
+  var centerY = bounds.top + bounds.height / 2;
+  return [
+    centerX - cos * halfLength, centerY + sin * halfLength,
+    centerX + cos * halfLength, centerY - sin * halfLength
+  ];
+};
+
+
+/**
+ * Returns CSS color with the opacity applied.
+ * @param {*} color Color.
+ * @param {*} opacity Opacity.
+ * @return {?string} Color or null if the color is 'none' or can't be parsed.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.getColor_ = function(color, opacity) {
+  if (!goog.isString(color) || color == 'none') return null;
+  try {
+    var rgb = goog.color.hexToRgb(goog.color.parse(color).hex);
+  } catch (e) {
+    return null;
+  }
+  var alpha = goog.isNumber(opacity) && !isNaN(opacity) ? goog.math.clamp(opacity, 0, 1) : 1;
+  return 'rgba(' + rgb.join(',') + ',' + alpha + ')';
+};
+
+
+/**
+ * Sets the shape stroke as the stroke style of the context.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {!acgraph.vector.Shape} shape Shape.
+ * @param {!goog.graphics.AffineTransform} tx Shape transformation.
+ * @param {number} ratio Ratio of the canvas pixels to the stage pixels.
+ * @return {boolean} Whether the shape has a stroke to draw.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.setStrokeStyle_ = function(context, shape, tx, ratio) {
+  var stroke = shape.stroke();
+  var style = null;
+  var opacity = 1;
+  var thickness = 1;
+
+  if (goog.isString(stroke)) {
+    style = stroke == 'none' ? null : stroke;
+  } else if (goog.isObject(stroke)) {
+    thickness = goog.isDef(stroke['thickness']) ? stroke['thickness'] : 1;
+    opacity = goog.isNumber(stroke['opacity']) && !isNaN(stroke['opacity']) ? stroke['opacity'] : 1;
+    if (goog.isArray(stroke['keys'])) {
+      var gradient = this.createGradient_(context, stroke, shape, true);
+      style = gradient ? gradient.style : null;
+    } else {
+      style = stroke['color'] == 'none' ? null : stroke['color'];
+    }
+  }
+  if (!style || !(thickness > 0)) return false;
+
+  context.strokeStyle = style;
+  context.globalAlpha *= opacity;
+  context.lineWidth = thickness;
+  context.lineJoin = stroke['lineJoin'] || acgraph.vector.StrokeLineJoin.MITER;
+  context.lineCap = stroke['lineCap'] || acgraph.vector.StrokeLineCap.BUTT;
+  if (context.setLineDash)
+    context.setLineDash(acgraph.vector.canvas.Renderer.parseDash_(stroke['dash']));
+  // Path is already in the canvas coordinates, so stroking with the stage transformation keeps the thickness.
+  if (shape.disableStrokeScaling())
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  return true;
+};
+
+
+/**
+ * Parses stroke dash.
+ * @param {*} dash Dash pattern like '5 3' or '5,3'.
+ * @return {!Array.<number>} Dash lengths. Empty array for solid line.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.parseDash_ = function(dash) {
+  if (!goog.isString(dash) && !goog.isNumber(dash)) return [];
+  var result = [];
+  var sum = 0;
+  goog.array.forEach(String(dash).split(/[\s,]+/), function(value) {
+    var length = parseFloat(value);
+    if (!isNaN(length) && length >= 0) {
+      result.push(length);
+      sum += length;
+    }
+  });
+  return sum > 0 ? result : [];
+};
+
+
+/**
+ * Paints text segments.
+ * @param {acgraph.vector.canvas.Renderer.PaintState} state Painting state.
+ * @param {!acgraph.vector.Text} text Text.
+ * @param {!goog.graphics.AffineTransform} tx Text transformation.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.paintText_ = function(state, text, tx) {
+  if (!text.defragmented) text.textDefragmentation();
+  var segments = text.getSegments();
+  if (!segments.length) return;
+
+  var context = state.context;
+  var style = text.style();
+  var rtl = style['direction'] == acgraph.vector.Text.Direction.RTL;
+  var hAlign = style['hAlign'];
+  // Anchor of the text chunks (just like SVG text-anchor) in left to right terms.
+  var anchor = hAlign == acgraph.vector.Text.HAlign.CENTER ? 0.5 :
+      (hAlign == acgraph.vector.Text.HAlign.RIGHT ||
+      (hAlign == acgraph.vector.Text.HAlign.END && !rtl) ||
+      (hAlign == acgraph.vector.Text.HAlign.START && rtl)) ? 1 : 0;
+  var opacity = goog.isNumber(style['opacity']) && !isNaN(style['opacity']) ? style['opacity'] : 1;
+
+  // Splitting segments into chunks that start at absolute positions.
+  var chunks = [];
+  var chunk = null;
+  var y = text.calcY;
+  goog.array.forEach(segments, function(segment) {
+    y += segment.dy;
+    if (!chunk || segment.firstInLine || segment.dx) {
+      chunk = {x: text.calcX + segment.dx, width: 0, segments: []};
+      chunks.push(chunk);
+    }
+    chunk.segments.push({segment: segment, y: y});
+    chunk.width += segment.width;
+  });
+
+  acgraph.vector.canvas.Renderer.setTransform_(context, tx);
+  context.globalAlpha *= opacity;
+  context.textAlign = 'left';
+  context.textBaseline = 'alphabetic';
+
+  if (text.path()) {
+    this.paintTextOnPath_(context, text, tx);
+    return;
+  }
+
+  goog.array.forEach(chunks, function(chunk) {
+    var x = chunk.x - chunk.width * anchor;
+    goog.array.forEach(chunk.segments, function(item) {
+      var segment = item.segment;
+      var segmentStyle = goog.object.clone(style);
+      goog.object.extend(segmentStyle, segment.getStyle());
+      var fontSize = parseFloat(segmentStyle['fontSize']) || 0;
+      if (segment.text && fontSize > 0) {
+        acgraph.vector.canvas.Renderer.setFont_(context, segmentStyle, fontSize);
+        context.fillText(segment.text, x, item.y);
+        this.paintTextDecoration_(context, segmentStyle['decoration'], x, item.y, segment.width, fontSize);
+      }
+      x += segment.width;
+    }, this);
+  }, this);
+};
+
+
+/**
+ * Paints text segments along the text path glyph by glyph, each glyph is turned along the path at its middle.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {!acgraph.vector.Text} text Text on a path.
+ * @param {!goog.graphics.AffineTransform} tx Text transformation.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.paintTextOnPath_ = function(context, text, tx) {
+  var path = /** @type {!acgraph.vector.Path} */ (text.path());
+  var style = text.style();
+  goog.array.forEach(text.getSegments(), function(segment) {
+    var segmentStyle = goog.object.clone(style);
+    goog.object.extend(segmentStyle, segment.getStyle());
+    var fontSize = parseFloat(segmentStyle['fontSize']) || 0;
+    if (!segment.text || fontSize <= 0) return;
+    acgraph.vector.canvas.Renderer.setFont_(context, segmentStyle, fontSize);
+    var x = segment.x;
+    for (var i = 0; i < segment.text.length; i++) {
+      var glyph = segment.text.charAt(i);
+      var width = context.measureText(glyph).width;
+      var middle = x + width / 2;
+      var point = path.getPointAtLength(middle);
+      var angle = /** @type {number} */ (path.getTangentAtLength(middle));
+      acgraph.vector.canvas.Renderer.setTransform_(context,
+          tx.clone().translate(point.x, point.y).rotate(goog.math.toRadians(angle), 0, 0));
+      context.fillText(glyph, -width / 2, segment.y);
+      this.paintTextDecoration_(context, segmentStyle['decoration'], -width / 2, segment.y, width, fontSize);
+      x += width;
+    }
+  }, this);
+};
+
+
+/**
+ * Sets font and fill of the text segment to the context.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {Object} style Text style merged with the segment style.
+ * @param {number} fontSize Font size in pixels.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.setFont_ = function(context, style, fontSize) {
+  context.font = [
+    style['fontStyle'] || '',
+    style['fontVariant'] || '',
+    style['fontWeight'] || '',
+    fontSize + 'px',
+    style['fontFamily'] || 'sans-serif'
+  ].join(' ');
+  if ('letterSpacing' in context)
+    context['letterSpacing'] = (parseFloat(style['letterSpacing']) || 0) + 'px';
+  context.fillStyle = style['color'] || 'black';
+};
+
+
+/**
+ * Paints text decoration line.
+ * @param {CanvasRenderingContext2D} context Context with the text fill style set.
+ * @param {*} decoration Text decoration.
+ * @param {number} x Left of the text.
+ * @param {number} y Baseline of the text.
+ * @param {number} width Width of the text.
+ * @param {number} fontSize Font size.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.paintTextDecoration_ = function(context, decoration, x, y, width, fontSize) {
+  var offset;
+  if (decoration == acgraph.vector.Text.Decoration.UNDERLINE)
+    offset = fontSize * 0.15;
+  else if (decoration == acgraph.vector.Text.Decoration.LINE_THROUGH)
+    offset = -fontSize * 0.3;
+  else if (decoration == acgraph.vector.Text.Decoration.OVERLINE)
+    offset = -fontSize * 0.85;
+  else
+    return;
+  var thickness = Math.max(fontSize / 15, 1);
+  context.fillRect(x, y + offset - thickness / 2, width, thickness);
+};
+
+
+/**
+ * Paints image.
+ * @param {acgraph.vector.canvas.Renderer.PaintState} state Painting state.
+ * @param {!acgraph.vector.Image} image Image element.
+ * @param {!goog.graphics.AffineTransform} tx Image transformation.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.paintImage_ = function(state, image, tx) {
+  var src = image.src();
+  var bounds = image.getBoundsWithoutTransform();
+  var loaded = src ? this.getImage_(/** @type {string} */ (src), image) : null;
+  if (!loaded || !bounds.width || !bounds.height) return;
+
+  var context = state.context;
+  var rect = acgraph.vector.canvas.Renderer.getImageRect_(loaded, bounds,
+      /** @type {acgraph.vector.Image.Align} */ (image.align()),
+      /** @type {acgraph.vector.Image.Fitting} */ (image.fittingMode()));
+  var opacity = image.opacity();
+  acgraph.vector.canvas.Renderer.setTransform_(context, tx);
+  if (goog.isNumber(opacity) && !isNaN(opacity))
+    context.globalAlpha *= opacity;
+  context.beginPath();
+  context.rect(bounds.left, bounds.top, bounds.width, bounds.height);
+  context.clip();
+  context.drawImage(loaded, rect.left, rect.top, rect.width, rect.height);
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Hit testing
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns the topmost element of the layer under the point. Elements are hit like SVG elements with default
+ * pointer events: shapes by their painted fill or stroke, texts and images by their bounds.
+ * @param {!acgraph.vector.Layer} layer Layer.
+ * @param {number} x X in the stage coordinates.
+ * @param {number} y Y in the stage coordinates.
+ * @return {acgraph.vector.Element} Element or null if there is no element under the point.
+ */
+acgraph.vector.canvas.Renderer.prototype.hitTest = function(layer, x, y) {
+  if (!this.hitContext_)
+    this.hitContext_ = /** @type {CanvasRenderingContext2D} */ (goog.dom.createDom('canvas').getContext('2d'));
+  var context = this.hitContext_;
+  context.save();
+  var result = this.hitTestElement_(context, layer, new goog.graphics.AffineTransform(), x, y);
+  context.restore();
+  return result;
+};
+
+
+/**
+ * Hit tests the element and its children.
+ * @param {CanvasRenderingContext2D} context Hit testing context.
+ * @param {!acgraph.vector.Element} element Element.
+ * @param {!goog.graphics.AffineTransform} transform Transformation of the element parent.
+ * @param {number} x X in the stage coordinates.
+ * @param {number} y Y in the stage coordinates.
+ * @return {acgraph.vector.Element} Hit element or null.
+ * @private
+ */
+acgraph.vector.canvas.Renderer.prototype.hitTestElement_ = function(context, element, transform, x, y) {
+  if (!element.visible() || element.disablePointerEvents() || element instanceof acgraph.vector.UnmanagedLayer)
+    return null;
+
+  var tx = /** @type {!goog.graphics.AffineTransform} */ (acgraph.math.concatMatrixes(transform,
+      element.getSelfTransformation()));
+  if (this.applyElementClip_(context, element, tx)) {
+    // Path is in the canvas coordinates, that are the stage coordinates here.
+    var inClip = context.isPointInPath(x, y);
+    context.restore();
+    context.save();
+    if (!inClip) return null;
+  }
+
+  if (element instanceof acgraph.vector.Layer) {
+    var children = acgraph.vector.canvas.Renderer.getChildren_(element, tx, new acgraph.math.Rect(x, y, 0, 0));
+    for (var i = children.length; i--;) {
+      var hit = this.hitTestElement_(context, children[i], tx, x, y);
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  acgraph.vector.canvas.Renderer.setTransform_(context, tx);
+  context.beginPath();
+  if (element instanceof acgraph.vector.Shape) {
+    this.tracePath_(context, element);
+    var fill = element.fill();
+    if (fill != 'none' && !(goog.isObject(fill) && fill['color'] == 'none') && context.isPointInPath(x, y))
+      return element;
+    var hitStroke = this.setStrokeStyle_(context, element, tx, 1) &&
+        !!context.isPointInStroke && context.isPointInStroke(x, y);
+    return hitStroke ? element : null;
+  } else if (element instanceof acgraph.vector.Text || element instanceof acgraph.vector.Image) {
+    var bounds = element.getBoundsWithoutTransform();
+    context.rect(bounds.left, bounds.top, bounds.width, bounds.height);
+    return context.isPointInPath(x, y) ? element : null;
+  }
+  return null;
+};
@@ -0,0 +1,290 @@
+goog.provide('acgraph.vector.canvas.Stage');
+goog.require('acgraph.events.BrowserEvent');
+goog.require('acgraph.events.EventType');
+goog.require('acgraph.vector.Defs');
+goog.require('acgraph.vector.Stage');
+goog.require('acgraph.vector.canvas.Node');
+goog.require('acgraph.vector.canvas.Renderer');
+goog.require('goog.async.AnimationDelay');
+goog.require('goog.dom');
+goog.require('goog.events.BrowserEvent');
+goog.require('goog.events.EventHandler');
+goog.require('goog.events.EventType');
+
+
+
+/**
+ * Stage that paints its elements on a single canvas element with {@link acgraph.vector.canvas.Renderer}.
+ * Stage repaints the canvas in the next animation frame after any change of its elements and hit tests
+ * the elements to dispatch mouse and touch events on them.
+ * <b>Note:</b> toSvg(), print() and export methods are not supported, unmanaged layers are not painted and
+ * the stage title and desc are shown only as the stage element tooltip and label.
+ * @param {(Element|string)=} opt_container A container where all graphics will be drawn.
+ * It can be defined later, for example while rendering.
+ * @param {(number|string)=} opt_width The width of a Stage object in pixels.
+ * @param {(number|string)=} opt_height The height of a Stage object in pixels.
+ * @constructor
+ * @extends {acgraph.vector.Stage}
+ */
+acgraph.vector.canvas.Stage = function(opt_container, opt_width, opt_height) {
+  goog.base(this, opt_container, opt_width, opt_height);
+
+  /**
+   * Handler of canvas events.
+   * @type {goog.events.EventHandler}
+   * @private
+   */
+  this.canvasHandler_ = new goog.events.EventHandler(this);
+  this.registerDisposable(this.canvasHandler_);
+
+  this.canvasHandler_.listen(this.getRootLayer().domElement(), acgraph.vector.canvas.Node.EventType.INVALIDATE,
+      this.invalidate);
+  this.canvasHandler_.listen(this.getDefs().domElement(), acgraph.vector.canvas.Node.EventType.INVALIDATE,
+      this.invalidate);
+  this.canvasHandler_.listen(this.getCanvas(), [
+    goog.events.EventType.MOUSEMOVE,
+    goog.events.EventType.MOUSEOUT
+  ], this.handleHover_);
+  this.invalidate();
+};
+goog.inherits(acgraph.vector.canvas.Stage, acgraph.vector.Stage);
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Properties
+//
+//----------------------------------------------------------------------------------------------------------------------
+// State fields are defined in prototype, because base constructor renders the stage before they could be set.
+/**
+ * Delay of the next painting.
+ * @type {goog.async.AnimationDelay}
+ * @private
+ */
+acgraph.vector.canvas.Stage.prototype.paintDelay_ = null;
+
+
+/**
+ * Element under the mouse pointer.
+ * @type {acgraph.vector.Element}
+ * @private
+ */
+acgraph.vector.canvas.Stage.prototype.hoveredElement_ = null;
+
+
+/**
+ * Element the current touch has started on. Touch events are dispatched on it until the touch ends, just like
+ * browsers do.
+ * @type {acgraph.vector.Element}
+ * @private
+ */
+acgraph.vector.canvas.Stage.prototype.touchElement_ = null;
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Stage.prototype.getRenderer = function() {
+  return acgraph.vector.canvas.Renderer.getInstance();
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Stage.prototype.createDefs = function() {
+  return new acgraph.vector.Defs(this);
+};
+
+
+/**
+ Returns canvas element the stage is painted on.
+ @return {HTMLCanvasElement} Canvas element.
+ */
+acgraph.vector.canvas.Stage.prototype.getCanvas = function() {
+  var domElement = this.domElement();
+  return domElement ? /** @type {HTMLCanvasElement} */ (goog.dom.getFirstElementChild(domElement)) : null;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Painting
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.canvas.Stage.prototype.renderInternal = function() {
+  goog.base(this, 'renderInternal');
+  this.invalidate();
+};
+
+
+/**
+ * Schedules painting of the stage in the next animation frame.
+ */
+acgraph.vector.canvas.Stage.prototype.invalidate = function() {
+  if (this.isDisposed()) return;
+  if (!this.paintDelay_) {
+    this.paintDelay_ = new goog.async.AnimationDelay(this.paint, undefined, this);
+    this.registerDisposable(this.paintDelay_);
+  }
+  if (!this.paintDelay_.isActive())
+    this.paintDelay_.start();
+};
+
+
+/**
+ Paints the stage immediately. Usually you don't need to call this method, because the stage is repainted
+ automatically in the next animation frame after any change of its elements.
+ @return {!acgraph.vector.canvas.Stage} {@link acgraph.vector.canvas.Stage} instance for method chaining.
+ */
+acgraph.vector.canvas.Stage.prototype.paint = function() {
+  var canvas = this.getCanvas();
+  if (this.isDisposed() || this.isSuspended() || !canvas) return this;
+
+  var ratio = goog.dom.getWindow().devicePixelRatio || 1;
+  var width = /** @type {number} */ (this.width());
+  var height = /** @type {number} */ (this.height());
+  canvas.width = Math.ceil(width * ratio);
+  canvas.height = Math.ceil(height * ratio);
+  canvas.style.width = width + 'px';
+  canvas.style.height = height + 'px';
+
+  var context = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  this.getRenderer().paint(context, this.getRootLayer(), ratio);
+  return this;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Events
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns the topmost element under the point of the browser event.
+ * @param {goog.events.BrowserEvent} e Browser event.
+ * @return {acgraph.vector.Element} Element or null.
+ * @private
+ */
+acgraph.vector.canvas.Stage.prototype.hitTest_ = function(e) {
+  var canvas = this.getCanvas();
+  if (!canvas || !goog.isDef(e.clientX)) return null;
+  var rect = canvas.getBoundingClientRect();
+  return this.getRenderer().hitTest(this.getRootLayer(), e.clientX - rect.left, e.clientY - rect.top);
+};
+
+
+/**
+ * Dispatches the browser event on the element node, so listeners of the node (like dragger) get it too.
+ * @param {acgraph.vector.Element} element Element.
+ * @param {goog.events.BrowserEvent} e Browser event.
+ * @private
+ */
+acgraph.vector.canvas.Stage.prototype.dispatchOnNode_ = function(element, e) {
+  var node = element.domElement();
+  if (node instanceof acgraph.vector.canvas.Node)
+    node.dispatchEvent(new goog.events.BrowserEvent(e.getBrowserEvent(), node));
+};
+
+
+/**
+ * Canvas is a single DOM element for the browser, so mouse over and mouse out events of the stage elements
+ * are tracked by hit testing the mouse moves.
+ * @param {goog.events.BrowserEvent} e Browser event.
+ * @private
+ */
+acgraph.vector.canvas.Stage.prototype.handleHover_ = function(e) {
+  var hit = e.type == goog.events.EventType.MOUSEOUT ? null : this.hitTest_(e);
+  var prev = this.hoveredElement_;
+  if (hit != prev) {
+    this.hoveredElement_ = hit;
+    if (prev)
+      this.dispatchHoverEvent_(prev, hit, acgraph.events.EventType.MOUSEOUT, e);
+    if (hit)
+      this.dispatchHoverEvent_(hit, prev, acgraph.events.EventType.MOUSEOVER, e);
+    var canvas = this.getCanvas();
+    if (canvas)
+      canvas.style.cursor = hit ? (hit.cursor() || hit.parentCursor || '') : '';
+  }
+  if (hit && e.type == goog.events.EventType.MOUSEMOVE && !hit.isDisposed()) {
+    this.dispatchOnNode_(hit, e);
+    this.dispatchElementEvent_(hit, null, e.type, e);
+  }
+};
+
+
+/**
+ * Dispatches synthesized mouse over or mouse out event.
+ * @param {!acgraph.vector.Element} element Event target.
+ * @param {acgraph.vector.Element} relatedElement Related target.
+ * @param {string} type Event type.
+ * @param {goog.events.BrowserEvent} e Browser event.
+ * @private
+ */
+acgraph.vector.canvas.Stage.prototype.dispatchHoverEvent_ = function(element, relatedElement, type, e) {
+  if (element.isDisposed()) return;
+  var node = element.domElement();
+  if (node instanceof acgraph.vector.canvas.Node) {
+    var nodeEvent = new goog.events.BrowserEvent(e.getBrowserEvent(), node);
+    nodeEvent.type = type;
+    nodeEvent.target = node;
+    nodeEvent.relatedTarget = relatedElement ? relatedElement.domElement() : null;
+    node.dispatchEvent(nodeEvent);
+  }
+  this.dispatchElementEvent_(element, relatedElement, type, e);
+};
+
+
+/**
+ * Dispatches acgraph browser event on the element.
+ * @param {!acgraph.vector.Element} element Event target.
+ * @param {acgraph.vector.Element} relatedElement Related target.
+ * @param {string} type Event type.
+ * @param {goog.events.BrowserEvent} e Browser event.
+ * @private
+ */
+acgraph.vector.canvas.Stage.prototype.dispatchElementEvent_ = function(element, relatedElement, type, e) {
+  var event = new acgraph.events.BrowserEvent(e, this);
+  event['type'] = type;
+  event['target'] = element;
+  event['relatedTarget'] = relatedElement;
+  element.dispatchEvent(event);
+  if (event.defaultPrevented) e.preventDefault();
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Stage.prototype.createBrowserEvent = function(e) {
+  var event = goog.base(this, 'createBrowserEvent', e);
+  var type = e.type;
+  var target = null;
+  if (type != goog.events.EventType.MOUSEOVER && type != goog.events.EventType.MOUSEOUT) {
+    // Browsers dispatch touch moves and touch ends on the element the touch has started on.
+    if (type == goog.events.EventType.TOUCHMOVE || type == goog.events.EventType.TOUCHEND ||
+        type == goog.events.EventType.TOUCHCANCEL) {
+      target = this.touchElement_;
+      if (type != goog.events.EventType.TOUCHMOVE)
+        this.touchElement_ = null;
+    } else {
+      target = this.hitTest_(e);
+      if (type == goog.events.EventType.TOUCHSTART)
+        this.touchElement_ = target;
+    }
+    if (target && !target.isDisposed())
+      this.dispatchOnNode_(target, e);
+  }
+  // Mouse over and mouse out events are synthesized while tracking mouse moves, see handleHover_.
+  event['target'] = target;
+  return event;
+};
+
+
+/** @inheritDoc */
+acgraph.vector.canvas.Stage.prototype.disposeInternal = function() {
+  this.hoveredElement_ = null;
+  this.touchElement_ = null;
+  goog.base(this, 'disposeInternal');
+};
+
+
+//exports
+acgraph.vector.canvas.Stage.prototype['getCanvas'] = acgraph.vector.canvas.Stage.prototype.getCanvas;
+acgraph.vector.canvas.Stage.prototype['paint'] = acgraph.vector.canvas.Stage.prototype.paint;
@@ -0,0 +1,4 @@
+/**
+ * @namespace
+ * @name acgraph.vector.canvas
+ */
@@ -0,0 +1,105 @@
+goog.provide('acgraph.vector.headless.Node');
+goog.require('acgraph.vector.canvas.Node');
+goog.require('goog.array');
+goog.require('goog.dom.NodeType');
+goog.require('goog.object');
+goog.require('goog.string');
+
+
+
+/**
+ * Virtual XML node of the headless renderer. It is created instead of SVG DOM elements and text nodes where
+ * there is no DOM, and serializes itself to the same markup XMLSerializer gives for SVG elements.
+ * @param {string} nodeName Node name.
+ * @param {?string=} opt_namespaceURI Namespace of the element node.
+ * @param {string=} opt_text Text of the text node. Node is created as text node, if the text is passed.
+ * @constructor
+ * @extends {acgraph.vector.canvas.Node}
+ */
+acgraph.vector.headless.Node = function(nodeName, opt_namespaceURI, opt_text) {
+  goog.base(this, nodeName);
+
+  /**
+   * Namespace of the element node.
+   * @type {?string}
+   */
+  this.namespaceURI = opt_namespaceURI || null;
+
+  /**
+   * Text of the text node.
+   * @type {?string}
+   */
+  this.nodeValue = null;
+
+  /**
+   * Inner markup is used by renderers to set texts of title and desc elements, so it is serialized as text.
+   * @type {string}
+   */
+  this.innerHTML = '';
+
+  if (goog.isDef(opt_text)) {
+    this.nodeType = goog.dom.NodeType.TEXT;
+    this.nodeValue = opt_text;
+  }
+};
+goog.inherits(acgraph.vector.headless.Node, acgraph.vector.canvas.Node);
+
+
+/**
+ * Prefixes of the known attribute namespaces.
+ * @type {!Object.<string, string>}
+ * @private
+ */
+acgraph.vector.headless.Node.NS_PREFIXES_ = {
+  'http://www.w3.org/1999/xlink': 'xlink',
+  'http://www.w3.org/XML/1998/namespace': 'xml'
+};
+
+
+/**
+ * Sets namespaced attribute. Attribute is stored by the qualified name with the prefix of its namespace.
+ * @param {?string} namespace Attribute namespace.
+ * @param {string} name Attribute name.
+ * @param {*} value Attribute value.
+ */
+acgraph.vector.headless.Node.prototype.setAttributeNS = function(namespace, name, value) {
+  var prefix = namespace ? acgraph.vector.headless.Node.NS_PREFIXES_[namespace] : null;
+  if (prefix && name.indexOf(':') < 0) {
+    name = prefix + ':' + name;
+    var root = this;
+    while (root.parentNode)
+      root = root.parentNode;
+    // Prefix is declared on the root to keep the serialized markup valid.
+    if (prefix == 'xlink' && !root.hasAttribute('xmlns:xlink'))
+      root.setAttribute('xmlns:xlink', namespace);
+  }
+  this.setAttribute(name, value);
+};
+
+
+/**
+ * Serializes the node and its children to XML markup.
+ * @return {string} Markup.
+ */
+acgraph.vector.headless.Node.prototype.toXml = function() {
+  if (this.nodeType == goog.dom.NodeType.TEXT)
+    return goog.string.htmlEscape(this.nodeValue || '');
+
+  var result = '<' + this.nodeName;
+  goog.array.forEach(this.getAttributeNames(), function(name) {
+    result += ' ' + name + '="' + goog.string.htmlEscape(/** @type {string} */ (this.getAttribute(name))) + '"';
+  }, this);
+
+  var style = [];
+  goog.object.forEach(this.style, function(value, name) {
+    if (goog.isDefAndNotNull(value) && value !== '')
+      style.push(name + ': ' + value + ';');
+  });
+  if (style.length)
+    result += ' style="' + goog.string.htmlEscape(style.join(' ')) + '"';
+
+  var content = goog.array.map(this.childNodes, function(child) {
+    return child.toXml();
+  }).join('') || goog.string.htmlEscape(String(this.innerHTML || ''));
+  return result + (content ? '>' + content + '</' + this.nodeName + '>' : '/>');
+};
@@ -0,0 +1,97 @@
+goog.provide('acgraph.vector.headless.Renderer');
+goog.require('acgraph.math.Rect');
+goog.require('acgraph.vector.FontMetrics');
+goog.require('acgraph.vector.headless.Node');
+goog.require('acgraph.vector.svg.Renderer');
+
+
+
+/**
+ * This class implements the headless SVG renderer. It builds the same SVG markup as the SVG renderer does,
+ * but from virtual nodes (see {@link acgraph.vector.headless.Node}) instead of DOM elements, and measures
+ * texts with font metrics (see {@link acgraph.vector.FontMetrics}), so it works where there is no DOM at all,
+ * like on a Node.js server.
+ * @constructor
+ * @extends {acgraph.vector.svg.Renderer}
+ */
+acgraph.vector.headless.Renderer = function() {
+  goog.base(this);
+};
+goog.inherits(acgraph.vector.headless.Renderer, acgraph.vector.svg.Renderer);
+goog.addSingletonGetter(acgraph.vector.headless.Renderer);
+
+
+/**
+ * Virtual document creating headless nodes.
+ * @type {!Object}
+ * @private
+ */
+acgraph.vector.headless.Renderer.DOCUMENT_ = {
+  'createElementNS': function(namespace, tag) {
+    return new acgraph.vector.headless.Node(tag, namespace);
+  },
+  'createTextNode': function(text) {
+    return new acgraph.vector.headless.Node('#text', null, text);
+  }
+};
+
+
+/** @inheritDoc */
+acgraph.vector.headless.Renderer.prototype.getDocument = function() {
+  return /** @type {!Document} */ (acgraph.vector.headless.Renderer.DOCUMENT_);
+};
+
+
+/**
+ * Texts are measured with the font metrics of the renderer or with the default font metrics, if they are not set.
+ * @param {string} text The text to measure.
+ * @param {Object} style The style of text.
+ * @return {acgraph.math.Rect} Text bounds.
+ */
+acgraph.vector.headless.Renderer.prototype.measure = function(text, style) {
+  var metrics = /** @type {acgraph.vector.FontMetrics} */ (this.fontMetrics()) ||
+      acgraph.vector.FontMetrics.getInstance();
+  return metrics.measure(text, style);
+};
+
+
+/**
+ * There is no way to measure arbitrary SVG markup without the browser, so the bounds are always empty.
+ * @param {Element|string} element Element.
+ * @return {acgraph.math.Rect} Bounds.
+ */
+acgraph.vector.headless.Renderer.prototype.measureElement = function(element) {
+  return new acgraph.math.Rect(0, 0, 0, 0);
+};
+
+
+/**
+ * Images are not loaded by the headless renderer, so their sizes are unknown and reported as zero.
+ * @param {string} src The URI of the image.
+ * @param {Function} callback The Callback function to which the measured bounds of the image will be sent.
+ */
+acgraph.vector.headless.Renderer.prototype.measuringImage = function(src, callback) {
+  callback.call(this, 0, 0);
+};
+
+
+/** @inheritDoc */
+acgraph.vector.headless.Renderer.prototype.isImageLoading = function() {
+  return false;
+};
+
+
+/** @inheritDoc */
+acgraph.vector.headless.Renderer.prototype.getImageLoader = function() {
+  return null;
+};
+
+
+/**
+ * Serializes the node to SVG markup.
+ * @param {Element} node Node created by the renderer.
+ * @return {string} Markup.
+ */
+acgraph.vector.headless.Renderer.prototype.serialize = function(node) {
+  return node ? /** @type {acgraph.vector.headless.Node} */ (/** @type {Object} */ (node)).toXml() : '';
+};
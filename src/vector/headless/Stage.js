@@ -0,0 +1,106 @@
+goog.provide('acgraph.vector.headless.Stage');
+goog.require('acgraph.vector');
+goog.require('acgraph.vector.Stage');
+goog.require('acgraph.vector.headless.Renderer');
+goog.require('acgraph.vector.svg.Defs');
+
+
+
+/**
+ * Stage that builds SVG markup without the browser DOM, so it can be used on a server (Node.js) to generate
+ * SVG images for emails and reports. Stage has no container, it renders its elements to virtual nodes
+ * immediately and returns the markup with {@link acgraph.vector.Stage#toSvg}.<br/>
+ * Texts are measured with font metrics (see {@link acgraph.fontMetrics}), images are not loaded and
+ * there are no user events.
+ * @param {(number|string)=} opt_width The width of a Stage object in pixels.
+ * @param {(number|string)=} opt_height The height of a Stage object in pixels.
+ * @constructor
+ * @extends {acgraph.vector.Stage}
+ */
+acgraph.vector.headless.Stage = function(opt_width, opt_height) {
+  goog.base(this, null, opt_width || acgraph.vector.headless.Stage.DEFAULT_WIDTH,
+      opt_height || acgraph.vector.headless.Stage.DEFAULT_HEIGHT);
+};
+goog.inherits(acgraph.vector.headless.Stage, acgraph.vector.Stage);
+
+
+/**
+ * Default width. Headless stage has no container to take the size from.
+ * @type {number}
+ */
+acgraph.vector.headless.Stage.DEFAULT_WIDTH = 640;
+
+
+/**
+ * Default height.
+ * @type {number}
+ */
+acgraph.vector.headless.Stage.DEFAULT_HEIGHT = 480;
+
+
+/** @inheritDoc */
+acgraph.vector.headless.Stage.prototype.getRenderer = function() {
+  return acgraph.vector.headless.Renderer.getInstance();
+};
+
+
+/** @inheritDoc */
+acgraph.vector.headless.Stage.prototype.createDefs = function() {
+  return new acgraph.vector.svg.Defs(this);
+};
+
+
+/**
+ Headless stage has no container, so it can't be placed to the page.
+ @param {(Element|string)=} opt_value Ignored.
+ @return {Element|!acgraph.vector.Stage} Null or self for method chaining.
+ */
+acgraph.vector.headless.Stage.prototype.container = function(opt_value) {
+  return goog.isDef(opt_value) ? this : null;
+};
+
+
+/**
+ Renders the stage elements to virtual nodes. Elements are rendered immediately unless the stage is suspended,
+ so there is usually no need to call this method.
+ @return {!acgraph.vector.Stage} {@link acgraph.vector.Stage} instance for method chaining.
+ */
+acgraph.vector.headless.Stage.prototype.render = function() {
+  if (!this.isRendering()) {
+    this.dispatchRenderEvent(acgraph.vector.Stage.EventType.RENDER_START);
+    this.renderInternal();
+    this.dispatchRenderEvent(acgraph.vector.Stage.EventType.RENDER_FINISH);
+  }
+  return this;
+};
+
+
+/**
+ Returns SVG markup of the stage.
+ @param {(acgraph.vector.PaperSize|number)=} opt_paperSizeOrWidth Paper Size or width.
+ @param {(boolean|string)=} opt_landscapeOrHeight Landscape or height.
+ @return {string} SVG markup.
+ */
+acgraph.vector.headless.Stage.prototype.toSvg = function(opt_paperSizeOrWidth, opt_landscapeOrHeight) {
+  var renderer = this.getRenderer();
+  var originalWidth = this.originalWidth;
+  var originalHeight = this.originalHeight;
+  var resize = goog.isDef(opt_paperSizeOrWidth) || goog.isDef(opt_landscapeOrHeight);
+  if (resize) {
+    var size = acgraph.vector.normalizePageSize(opt_paperSizeOrWidth, opt_landscapeOrHeight);
+    this.resize(size.width, size.height);
+  }
+
+  this.render();
+  renderer.setStageSize(this.domElement(),
+      /** @type {number|string} */(this.width()),
+      /** @type {number|string} */(this.height()));
+  var result = renderer.serialize(this.domElement());
+  renderer.setStageSize(this.domElement(), originalWidth, originalHeight);
+
+  if (resize) {
+    this.resize(originalWidth, originalHeight);
+    this.render();
+  }
+  return result;
+};
@@ -5,7 +5,7 @@ goog.require('acgraph.vector.Defs');
 
 /**
  * A class for global caching SVG-specific elements. Except gradients, which are cached
- * by the base class, it caches clip rectangles because in SVG they are defined
+ * by the base class, it caches clip rectangles and masks because in SVG they are defined
  * by global references.
  *
  * @param {!acgraph.vector.Stage} stage Renderer.
@@ -21,6 +21,13 @@ acgraph.vector.svg.Defs = function(stage) {
    * @private
    */
   this.clips_ = {};
+
+  /**
+   * A hash of created mask elements.
+   * @type {!Object.<string, !Element>}
+   * @private
+   */
+  this.masks_ = {};
 };
 goog.inherits(acgraph.vector.svg.Defs, acgraph.vector.Defs);
 
@@ -36,6 +43,7 @@ acgraph.vector.svg.Defs.CLIP_FRACTION_DIGITS = 4;
 /** @inheritDoc */
 acgraph.vector.svg.Defs.prototype.clear = function() {
   goog.object.clear(this.clips_);
+  goog.object.clear(this.masks_);
 
   goog.base(this, 'clear');
 };
@@ -52,12 +60,43 @@ acgraph.vector.svg.Defs.prototype.getClipPathElement = function(clipShape) {
 
   var res = this.clips_[id];
   if (!res)
-    this.clips_[id] = res = acgraph.getRenderer().createClipElement();
+    this.clips_[id] = res = this.stage.getRenderer().createClipElement();
 
   return res;
 };
 
 
+/**
+ * Finds in the cache or creates a mask element of the mask.
+ * @param {!acgraph.vector.Mask} mask The mask for which it is needed to get a DOM element.
+ * @return {!Element} The mask element.
+ */
+acgraph.vector.svg.Defs.prototype.getMaskElement = function(mask) {
+  /** @type {string} */
+  var id = acgraph.utils.IdGenerator.getInstance().identify(mask);
+
+  var res = this.masks_[id];
+  if (!res)
+    this.masks_[id] = res = /** @type {acgraph.vector.svg.Renderer} */ (this.stage.getRenderer()).createMaskElement();
+
+  return res;
+};
+
+
+/**
+ * Removes the mask element of the mask from the cache and from the DOM.
+ * @param {!acgraph.vector.Mask} mask The mask which element should be removed.
+ */
+acgraph.vector.svg.Defs.prototype.removeMaskElement = function(mask) {
+  var id = acgraph.utils.IdGenerator.getInstance().identify(mask);
+  var maskDomElement = this.masks_[id];
+  if (maskDomElement) {
+    delete this.masks_[id];
+    this.stage.getRenderer().removeNode(maskDomElement);
+  }
+};
+
+
 /** @inheritDoc */
 acgraph.vector.svg.Defs.prototype.disposeInternal = function() {
   goog.base(this, 'disposeInternal');
@@ -67,4 +106,5 @@ acgraph.vector.svg.Defs.prototype.disposeInternal = function() {
     delete this.clips_[i];
   }
   delete this.clips_;
+  delete this.masks_;
 };
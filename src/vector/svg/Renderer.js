@@ -1,8 +1,11 @@
 goog.provide('acgraph.vector.svg.Renderer');
 goog.require('acgraph.math.Rect');
 goog.require('acgraph.utils.IdGenerator');
+goog.require('acgraph.vector.Marker');
 goog.require('acgraph.vector.Renderer');
+goog.require('goog.array');
 goog.require('goog.dom');
+goog.require('goog.dom.NodeType');
 goog.require('goog.math.Line');
 goog.require('goog.object');
 goog.require('goog.userAgent');
@@ -94,6 +97,16 @@ acgraph.vector.svg.Renderer.prototype.imageLoader_ = null;
 //  Attributes.
 //
 //----------------------------------------------------------------------------------------------------------------------
+/**
+ * Returns the document SVG elements and text nodes are created by.
+ * @return {!Document} The document.
+ * @protected
+ */
+acgraph.vector.svg.Renderer.prototype.getDocument = function() {
+  return goog.dom.getDocument();
+};
+
+
 /**
  * Creates an SVG element with a given name.
  * @param {string} tag The tag name.
@@ -101,7 +114,7 @@ acgraph.vector.svg.Renderer.prototype.imageLoader_ = null;
  * @private
  */
 acgraph.vector.svg.Renderer.prototype.createSVGElement_ = function(tag) {
-  return goog.dom.getDocument().createElementNS(
+  return this.getDocument().createElementNS(
       acgraph.vector.svg.Renderer.SVG_NS_,
       tag
   );
@@ -570,9 +583,18 @@ acgraph.vector.svg.Renderer.prototype.createTextSegmentElement = function() {
 };
 
 
+/**
+ * Creates text path element, it lays text segments along the path.
+ * @return {Element} Text path element.
+ */
+acgraph.vector.svg.Renderer.prototype.createTextPathElement = function() {
+  return this.createSVGElement_('textPath');
+};
+
+
 /** @inheritDoc */
 acgraph.vector.svg.Renderer.prototype.createTextNode = function(text) {
-  return goog.dom.createTextNode(text);
+  return this.getDocument().createTextNode(String(text));
 };
 
 
@@ -625,8 +647,14 @@ acgraph.vector.svg.Renderer.prototype.setCursorProperties = function(element, cu
 /** @inheritDoc */
 acgraph.vector.svg.Renderer.prototype.setTextPosition = function(element) {
   var domElement = element.domElement();
-  this.setAttribute_(domElement, 'x', element.calcX);
-  this.setAttribute_(domElement, 'y', element.calcY);
+  if (element.path()) {
+    // Text on a path is positioned by the path only.
+    this.removeAttribute_(domElement, 'x');
+    this.removeAttribute_(domElement, 'y');
+  } else {
+    this.setAttribute_(domElement, 'x', element.calcX);
+    this.setAttribute_(domElement, 'y', element.calcY);
+  }
 };
 
 
@@ -730,7 +758,10 @@ acgraph.vector.svg.Renderer.prototype.setTextProperties = function(element) {
   else
     this.removeAttribute_(domElement, 'direction');
 
-  if (style['hAlign']) {
+  if (element.path()) {
+    // Text on a path is aligned by its start offset.
+    this.setAttribute_(domElement, 'text-anchor', acgraph.vector.Text.HAlign.START);
+  } else if (style['hAlign']) {
     var align;
 
     if (style['direction'] == 'rtl') {
@@ -821,12 +852,69 @@ acgraph.vector.svg.Renderer.prototype.setTextSegmentProperties = function(elemen
 };
 
 
+/** @inheritDoc */
+acgraph.vector.svg.Renderer.prototype.setTextPath = function(element) {
+  var path = element.path();
+  if (!path) {
+    this.removeNode(element.pathDomElement);
+    element.pathDomElement = null;
+    return;
+  }
+
+  var pathDomElement = element.pathDomElement;
+  if (!pathDomElement) {
+    pathDomElement = element.pathDomElement = this.createPathElement();
+    this.setIdInternal(pathDomElement, acgraph.utils.IdGenerator.getInstance().generateId(pathDomElement,
+        acgraph.utils.IdGenerator.ElementTypePrefix.TEXT_PATH));
+  }
+  this.setAttribute_(pathDomElement, 'd', this.getSvgPath_(path) || 'M 0,0');
+  this.appendChild(element.getStage().getDefs().domElement(), pathDomElement);
+
+  var domElement = element.domElement();
+  var segments = element.getSegments();
+  var textPath = this.createTextPathElement();
+  textPath.setAttributeNS(acgraph.vector.svg.Renderer.XLINK_NS_, 'href',
+      acgraph.getReference() + '#' + pathDomElement.getAttribute('id'));
+  this.setAttribute_(textPath, 'startOffset', segments.length ? segments[0].x : 0);
+  while (domElement.firstChild)
+    goog.dom.appendChild(textPath, domElement.firstChild);
+  goog.dom.appendChild(domElement, textPath);
+};
+
+
 /** @inheritDoc */
 acgraph.vector.svg.Renderer.prototype.createClipElement = function() {
   return this.createSVGElement_('clipPath');
 };
 
 
+/**
+ * Creates mask element.
+ * @return {Element} Mask element.
+ */
+acgraph.vector.svg.Renderer.prototype.createMaskElement = function() {
+  return this.createSVGElement_('mask');
+};
+
+
+/**
+ * Creates filter element.
+ * @return {Element} Filter element.
+ */
+acgraph.vector.svg.Renderer.prototype.createFilterElement = function() {
+  return this.createSVGElement_('filter');
+};
+
+
+/**
+ * Creates marker element.
+ * @return {Element} Marker element.
+ */
+acgraph.vector.svg.Renderer.prototype.createMarkerElement = function() {
+  return this.createSVGElement_('marker');
+};
+
+
 //----------------------------------------------------------------------------------------------------------------------
 //
 //  Coloring.
@@ -1290,25 +1378,164 @@ acgraph.vector.svg.Renderer.prototype.createClip_ = function(element, clipElemen
   var clipDomElement = defs.getClipPathElement(clipElement);
   var id = acgraph.utils.IdGenerator.getInstance().identify(clipDomElement, acgraph.utils.IdGenerator.ElementTypePrefix.CLIP);
 
-  var clipShapeElement;
-  if (goog.dom.getParentElement(clipDomElement) != defs.domElement()) {
-    this.setAttribute_(clipDomElement, 'clip-rule', 'nonzero');
+  if (goog.dom.getParentElement(clipDomElement) != defs.domElement())
     this.setIdInternal(clipDomElement, id);
-  }
 
   clipElement.stage(element.getStage());
   clipElement.id(id);
 
-  var clipShape = clipElement.shape();
-  clipShape.render();
-  clipShapeElement = clipShape.domElement();
+  this.renderClipShapes_(clipElement, defs);
+  this.appendChild(defs.domElement(), clipDomElement);
 
-  if (clipShapeElement) {
-    this.appendChild(clipDomElement, clipShapeElement);
-    this.appendChild(defs.domElement(), clipDomElement);
+  return id;
+};
+
+
+/**
+ * Renders clip shapes to the clip-path element of the clip. United shapes are rendered to the clip-path element
+ * itself, if there are none, it gets the rect covering the whole plane. Every intersected or excluded shape gets
+ * its own clip-path element and they are chained to the clip-path of the clip by the 'clip-path' attribute, so
+ * the clip area is intersected with all of them. Excluded shape is rendered as the path with the shape geometry
+ * cut from the huge square by the 'evenodd' rule.
+ * @param {!acgraph.vector.Clip} clipElement Clip.
+ * @param {!acgraph.vector.svg.Defs} defs Defs of the clip stage.
+ * @private
+ */
+acgraph.vector.svg.Renderer.prototype.renderClipShapes_ = function(clipElement, defs) {
+  var clipDomElement = defs.getClipPathElement(clipElement);
+  var oldChain = this.getClipChain_(clipDomElement);
+  var chain = [];
+  var hasUnion = false;
+  this.setAttribute_(clipDomElement, 'clip-rule', clipElement.clipRule());
+
+  goog.array.forEach(clipElement.getShapes(), function(shape) {
+    var mode = clipElement.shapeMode(shape);
+    shape.render();
+    var shapeDomElement = shape.domElement();
+
+    if (mode == acgraph.vector.ClipMode.UNION) {
+      hasUnion = true;
+      if (shapeDomElement && this.getParent(shapeDomElement) != clipDomElement)
+        this.appendChild(clipDomElement, shapeDomElement);
+      return;
+    }
+
+    var shapeClipElement = defs.getClipPathElement(shape);
+    if (this.getParent(shapeClipElement) != defs.domElement()) {
+      this.setIdInternal(shapeClipElement, acgraph.utils.IdGenerator.getInstance().identify(shapeClipElement,
+          acgraph.utils.IdGenerator.ElementTypePrefix.CLIP));
+      this.appendChild(defs.domElement(), shapeClipElement);
+    }
+    chain.push(shapeClipElement);
+
+    var content;
+    if (mode == acgraph.vector.ClipMode.INTERSECT) {
+      this.setAttribute_(shapeClipElement, 'clip-rule', clipElement.getShapeClipRule(shape));
+      content = shapeDomElement;
+    } else {
+      if (shapeDomElement && this.getParent(shapeDomElement))
+        this.removeNode(shapeDomElement);
+      content = this.getExcludedShapeElement_(shapeClipElement, shape);
+    }
+    goog.array.forEach(goog.array.clone(shapeClipElement.childNodes), function(child) {
+      if (child != content)
+        this.removeNode(child);
+    }, this);
+    if (content && this.getParent(content) != shapeClipElement)
+      this.appendChild(shapeClipElement, content);
+  }, this);
+
+  // Clip without united shapes starts from the whole plane. Clip shapes are paths and ellipses, so the rect element
+  // is the one rendering the whole plane.
+  var area = goog.array.find(clipDomElement.childNodes, function(child) {
+    return child.nodeName == 'rect';
+  });
+  if (hasUnion) {
+    if (area)
+      this.removeNode(area);
+  } else if (!area) {
+    var size = acgraph.vector.Clip.EXCLUDE_AREA_SIZE;
+    area = this.createRectElement();
+    this.setAttributes_(area, {'x': -size, 'y': -size, 'width': size * 2, 'height': size * 2});
+    this.appendChild(clipDomElement, area);
   }
 
-  return id;
+  var previous = clipDomElement;
+  goog.array.forEach(chain, function(shapeClipElement) {
+    this.setAttribute_(previous, 'clip-path',
+        'url(' + acgraph.getReference() + '#' + shapeClipElement.getAttribute('id') + ')');
+    previous = shapeClipElement;
+  }, this);
+  this.removeAttribute_(previous, 'clip-path');
+
+  goog.array.forEach(oldChain, function(shapeClipElement) {
+    if (!goog.array.contains(chain, shapeClipElement))
+      this.removeNode(shapeClipElement);
+  }, this);
+};
+
+
+/**
+ * Returns clip-path elements chained to the clip-path element by the 'clip-path' attribute.
+ * @param {Element} clipDomElement Clip-path element of the clip.
+ * @return {!Array.<!Element>} Chained clip-path elements.
+ * @private
+ */
+acgraph.vector.svg.Renderer.prototype.getClipChain_ = function(clipDomElement) {
+  var result = [];
+  var defsElement = this.getParent(clipDomElement);
+  var current = clipDomElement;
+  while (defsElement && current) {
+    var reference = /** @type {?string} */ (current.getAttribute('clip-path'));
+    var match = reference ? reference.match(/#([^)]+)\)$/) : null;
+    var id = match ? match[1] : null;
+    current = id ? goog.array.find(defsElement.childNodes, function(child) {
+      return child.nodeType == goog.dom.NodeType.ELEMENT && child.getAttribute('id') == id;
+    }) : null;
+    if (current)
+      result.push(current);
+  }
+  return result;
+};
+
+
+/**
+ * Returns the path rendering the excluded shape: the huge square with the shape geometry as a hole.
+ * @param {Element} shapeClipElement Clip-path element of the excluded shape.
+ * @param {!acgraph.vector.Shape} shape Excluded shape.
+ * @return {Element} Path element or null if the shape has no geometry.
+ * @private
+ */
+acgraph.vector.svg.Renderer.prototype.getExcludedShapeElement_ = function(shapeClipElement, shape) {
+  var pathData = null;
+  if (shape instanceof acgraph.vector.PathBase) {
+    pathData = this.getSvgPath_(shape);
+  } else if (shape instanceof acgraph.vector.Ellipse) {
+    var cx = shape.centerX();
+    var cy = shape.centerY();
+    var rx = shape.radiusX();
+    var ry = shape.radiusY();
+    pathData = ['M', cx - rx, cy, 'A', rx, ry, 0, 1, 0, cx + rx, cy, 'A', rx, ry, 0, 1, 0, cx - rx, cy, 'Z'].join(' ');
+  }
+  if (!pathData) return null;
+
+  // Shape element is removed from the clip-path of the excluded shape, so the path left there is the one created here.
+  var path = goog.array.find(shapeClipElement.childNodes, function(child) {
+    return child.nodeName == 'path';
+  }) || this.createPathElement();
+
+  var size = acgraph.vector.Clip.EXCLUDE_AREA_SIZE;
+  var area = ['M', -size, -size, 'L', size, -size, size, size, -size, size, 'Z'].join(' ');
+  var transformation = shape.getSelfTransformation();
+  this.setAttributes_(path, {
+    'd': area + ' ' + pathData,
+    'clip-rule': 'evenodd'
+  });
+  if (transformation && !transformation.isIdentity())
+    this.setAttribute_(path, 'transform', transformation.toString());
+  else
+    this.removeAttribute_(path, 'transform');
+  return path;
 };
 
 
@@ -1328,8 +1555,8 @@ acgraph.vector.svg.Renderer.prototype.disposeClip = function(clip) {
   var clipId = /** @type {string} */ (clip.id());
   var clipPath = goog.dom.getElement(clipId);
   if (clipPath) {
-    var clipPathElement = goog.dom.getFirstElementChild(clipPath);
-    this.removeNode(clipPathElement);
+    goog.array.forEach(this.getClipChain_(clipPath), this.removeNode, this);
+    goog.array.forEach(goog.array.clone(clipPath.childNodes), this.removeNode, this);
     this.removeNode(clipPath);
   }
 };
@@ -1366,19 +1593,8 @@ acgraph.vector.svg.Renderer.prototype.removeClip_ = function(element) {
  * @param {!acgraph.vector.Clip} clipElement Rect to check the cache. Identifies whether clip is creating custom.
  */
 acgraph.vector.svg.Renderer.prototype.updateClip = function(clipElement) {
-  var clipShape = clipElement.shape();
-  var dom = clipShape.domElement();
-  if (!dom) {
-    /** @type {!acgraph.vector.svg.Defs} */
-    var defs = /** @type {!acgraph.vector.svg.Defs} */ (clipElement.getStage().getDefs());
-    /** @type {Element} */
-    var clipDomElement = defs.getClipPathElement(clipElement);
-    clipShape.render();
-    var clipShapeElement = clipShape.domElement();
-    this.appendChild(clipDomElement, clipShapeElement);
-  } else {
-    clipElement.shape().render();
-  }
+  this.renderClipShapes_(clipElement,
+      /** @type {!acgraph.vector.svg.Defs} */ (clipElement.getStage().getDefs()));
 };
 
 
@@ -1399,6 +1615,290 @@ acgraph.vector.svg.Renderer.prototype.setClip = function(element) {
 };
 
 
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Mask
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.svg.Renderer.prototype.setMask = function(element) {
+  var mask = /** @type {acgraph.vector.Mask} */ (element.mask());
+  if (mask) {
+    var maskId = /** @type {?string} */ (mask.id()) || this.createMask_(element, mask);
+    this.setAttribute_(element.domElement(), 'mask', 'url(' + acgraph.getReference() + '#' + maskId + ')');
+  } else {
+    this.removeAttribute_(element.domElement(), 'mask');
+  }
+};
+
+
+/**
+ * Creates mask element in defs and renders the mask content into it.
+ * @param {!acgraph.vector.Element} element Masked element to take stage from.
+ * @param {!acgraph.vector.Mask} mask Mask.
+ * @return {string} Id of mask element.
+ * @private
+ */
+acgraph.vector.svg.Renderer.prototype.createMask_ = function(element, mask) {
+  /** @type {!acgraph.vector.svg.Defs} */
+  var defs = /** @type {!acgraph.vector.svg.Defs} */ (element.getStage().getDefs());
+  var maskDomElement = defs.getMaskElement(mask);
+  var id = acgraph.utils.IdGenerator.getInstance().identify(maskDomElement,
+      acgraph.utils.IdGenerator.ElementTypePrefix.MASK);
+  this.setIdInternal(maskDomElement, id);
+
+  mask.stage(element.getStage());
+  mask.id(id);
+
+  this.renderMask_(mask, defs);
+  this.appendChild(defs.domElement(), maskDomElement);
+  return id;
+};
+
+
+/**
+ * Renders mask content and type to the mask element. Mask region is set in user space and is huge, so the content
+ * is never cut by the region.
+ * @param {!acgraph.vector.Mask} mask Mask.
+ * @param {!acgraph.vector.svg.Defs} defs Defs of the mask stage.
+ * @private
+ */
+acgraph.vector.svg.Renderer.prototype.renderMask_ = function(mask, defs) {
+  var maskDomElement = defs.getMaskElement(mask);
+  var size = acgraph.vector.Mask.REGION_SIZE;
+  this.setAttributes_(maskDomElement, {
+    'maskUnits': 'userSpaceOnUse',
+    'x': -size,
+    'y': -size,
+    'width': size * 2,
+    'height': size * 2
+  });
+  if (mask.type() == acgraph.vector.MaskType.ALPHA)
+    this.setAttribute_(maskDomElement, 'mask-type', acgraph.vector.MaskType.ALPHA);
+  else
+    this.removeAttribute_(maskDomElement, 'mask-type');
+
+  var content = /** @type {acgraph.vector.Element} */ (mask.element());
+  var contentDomElement = null;
+  if (content) {
+    content.render();
+    contentDomElement = content.domElement();
+  }
+  goog.array.forEach(goog.array.clone(maskDomElement.childNodes), function(child) {
+    if (child != contentDomElement)
+      this.removeNode(child);
+  }, this);
+  if (contentDomElement && this.getParent(contentDomElement) != maskDomElement)
+    this.appendChild(maskDomElement, contentDomElement);
+};
+
+
+/**
+ * Updates mask element with the mask changes.
+ * @param {!acgraph.vector.Mask} mask Mask.
+ */
+acgraph.vector.svg.Renderer.prototype.updateMask = function(mask) {
+  this.renderMask_(mask, /** @type {!acgraph.vector.svg.Defs} */ (mask.getStage().getDefs()));
+};
+
+
+/**
+ * Removes mask element from defs when the mask is not used anymore. Mask element is created again if the mask is
+ * applied once more.
+ * @param {!acgraph.vector.Mask} mask Mask.
+ */
+acgraph.vector.svg.Renderer.prototype.removeMask = function(mask) {
+  var stage = mask.getStage();
+  if (mask.id() && stage) {
+    /** @type {!acgraph.vector.svg.Defs} */ (stage.getDefs()).removeMaskElement(mask);
+    mask.id(null);
+  }
+};
+
+
+/**
+ * Removes mask from masked elements and its element from defs.
+ * Called in acgraph.vector.Mask#dispose method.
+ * @param {acgraph.vector.Mask} mask Disposing mask.
+ */
+acgraph.vector.svg.Renderer.prototype.disposeMask = function(mask) {
+  goog.array.forEach(goog.array.clone(mask.getElements()), function(element) {
+    element.mask(null);
+  });
+
+  var stage = mask.getStage();
+  if (mask.id() && stage) {
+    var maskDomElement = /** @type {!acgraph.vector.svg.Defs} */ (stage.getDefs()).getMaskElement(mask);
+    goog.array.forEach(goog.array.clone(maskDomElement.childNodes), this.removeNode, this);
+    this.removeNode(maskDomElement);
+  }
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Filter
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.svg.Renderer.prototype.setFilter = function(element) {
+  var effects = /** @type {Array.<acgraph.vector.FilterEffect>} */ (element.filter());
+  var defs = element.getStage().getDefs();
+  // Previous filter def is removed if no other element uses it.
+  element.setFilterDef(effects ? defs.getFilter(effects) : null);
+  if (effects) {
+    var filterId = this.renderFilter(effects, defs);
+    this.setAttribute_(element.domElement(), 'filter', 'url(' + acgraph.getReference() + '#' + filterId + ')');
+  } else {
+    this.removeAttribute_(element.domElement(), 'filter');
+  }
+};
+
+
+/**
+ * Filter rendering. Effects are chained by results: each effect takes the result of the previous one
+ * (the element itself for the first one). Shadow and glow are merged under their source.
+ * @param {!Array.<acgraph.vector.FilterEffect>} effects Normalized filter effects.
+ * @param {acgraph.vector.Defs} defs Defs.
+ * @return {string} The identifier of the rendered filter.
+ */
+acgraph.vector.svg.Renderer.prototype.renderFilter = function(effects, defs) {
+  var filter = defs.getFilter(effects);
+  if (!filter.rendered) {
+    var filterDomElement = this.createFilterElement();
+    this.setIdInternal(filterDomElement, filter.id());
+    // Filter region is widened to leave room for the shadows and blurs outside of the element bounds.
+    this.setAttributes_(filterDomElement, {
+      'x': '-50%',
+      'y': '-50%',
+      'width': '200%',
+      'height': '200%'
+    });
+    this.appendChild(defs.domElement(), filterDomElement);
+    filter.domElement = filterDomElement;
+    filter.defs = defs;
+    filter.rendered = true;
+
+    var source = 'SourceGraphic';
+    goog.array.forEach(filter.effects, function(effect, index) {
+      var result = 'r' + index;
+      if (effect['type'] == acgraph.vector.FilterType.BLUR) {
+        this.appendFilterPrimitive_(filterDomElement, 'feGaussianBlur', {
+          'in': source,
+          'stdDeviation': effect['radius'],
+          'result': result
+        });
+      } else {
+        this.appendFilterPrimitive_(filterDomElement, 'feGaussianBlur', {
+          'in': source,
+          'stdDeviation': effect['blur'],
+          'result': result + 'b'
+        });
+        if (effect['type'] == acgraph.vector.FilterType.DROP_SHADOW) {
+          this.appendFilterPrimitive_(filterDomElement, 'feOffset', {
+            'in': result + 'b',
+            'dx': effect['dx'],
+            'dy': effect['dy'],
+            'result': result + 'b'
+          });
+        }
+        this.appendFilterPrimitive_(filterDomElement, 'feFlood', {
+          'flood-color': effect['color'],
+          'flood-opacity': effect['opacity'],
+          'result': result + 'c'
+        });
+        this.appendFilterPrimitive_(filterDomElement, 'feComposite', {
+          'in': result + 'c',
+          'in2': result + 'b',
+          'operator': 'in',
+          'result': result + 's'
+        });
+        var merge = this.appendFilterPrimitive_(filterDomElement, 'feMerge', {'result': result});
+        this.appendFilterPrimitive_(merge, 'feMergeNode', {'in': result + 's'});
+        this.appendFilterPrimitive_(merge, 'feMergeNode', {'in': source});
+      }
+      source = result;
+    }, this);
+  }
+  return filter.id();
+};
+
+
+/**
+ * Creates filter primitive and appends it to the parent.
+ * @param {Element} parent Filter element or merge primitive.
+ * @param {string} tag Primitive tag.
+ * @param {Object.<string, (string|number)>} attrs Primitive attributes.
+ * @return {Element} Created primitive.
+ * @private
+ */
+acgraph.vector.svg.Renderer.prototype.appendFilterPrimitive_ = function(parent, tag, attrs) {
+  var primitive = this.createSVGElement_(tag);
+  this.setAttributes_(primitive, attrs);
+  this.appendChild(parent, primitive);
+  return primitive;
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Markers
+//
+//----------------------------------------------------------------------------------------------------------------------
+/** @inheritDoc */
+acgraph.vector.svg.Renderer.prototype.setPathMarkers = function(path) {
+  var defs = path.getStage().getDefs();
+  goog.object.forEach(acgraph.vector.Marker.Position, function(position) {
+    var appearance = acgraph.vector.Marker.getAppearance(path, position);
+    // Previous marker def is removed if no other path uses it.
+    path.setMarkerDef(position, appearance ? defs.getMarker(appearance) : null);
+    if (appearance) {
+      var markerId = this.renderMarker(appearance, defs);
+      this.setAttribute_(path.domElement(), 'marker-' + position,
+          'url(' + acgraph.getReference() + '#' + markerId + ')');
+    } else {
+      this.removeAttribute_(path.domElement(), 'marker-' + position);
+    }
+  }, this);
+};
+
+
+/**
+ * Marker rendering. Marker is drawn in the user space of the path, turned along the path and is not clipped
+ * by its viewport.
+ * @param {!acgraph.vector.Marker.Appearance} appearance Marker geometry and paint.
+ * @param {acgraph.vector.Defs} defs Defs.
+ * @return {string} The identifier of the rendered marker.
+ */
+acgraph.vector.svg.Renderer.prototype.renderMarker = function(appearance, defs) {
+  var marker = defs.getMarker(appearance);
+  if (!marker.rendered) {
+    var markerDomElement = this.createMarkerElement();
+    this.setIdInternal(markerDomElement, marker.id());
+    this.setAttributes_(markerDomElement, {
+      'markerUnits': 'userSpaceOnUse',
+      'orient': 'auto',
+      'overflow': 'visible'
+    });
+    var content = this.createPathElement();
+    this.setAttributes_(content, {
+      'd': appearance.path || 'M 0,0',
+      'fill': appearance.fill,
+      'fill-opacity': appearance.fillOpacity,
+      'stroke': appearance.stroke,
+      'stroke-opacity': appearance.strokeOpacity,
+      'stroke-width': appearance.thickness
+    });
+    this.appendChild(markerDomElement, content);
+    this.appendChild(defs.domElement(), markerDomElement);
+    marker.domElement = markerDomElement;
+    marker.defs = defs;
+    marker.rendered = true;
+  }
+  return marker.id();
+};
+
+
 /** @inheritDoc */
 acgraph.vector.svg.Renderer.prototype.setPointerEvents = function(element) {
   if (element.disablePointerEvents())
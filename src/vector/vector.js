@@ -219,6 +219,12 @@ acgraph.vector.ILayer.prototype.removeChild;
 acgraph.vector.ILayer.prototype.notifyRemoved;
 
 
+/**
+ * @param {!acgraph.vector.Element} child .
+ */
+acgraph.vector.ILayer.prototype.childBoundsChanged;
+
+
 /**
  * @return {acgraph.vector.Stage} Stage (may be null).
  */
@@ -446,6 +452,188 @@ acgraph.vector.StrokeLineCap = {
 };
 
 
+/**
+ Modes of combining clip shapes (see {@link acgraph.vector.Clip#addShape}).
+ Clip area is the union of all 'union' shapes, intersected with every 'intersect' shape and without
+ every 'exclude' shape. If there are no 'union' shapes, the clip area is the whole plane intersected with every
+ 'intersect' shape and without every 'exclude' shape, so the clip without shapes clips nothing.
+ @enum {string}
+ */
+acgraph.vector.ClipMode = {
+  UNION: 'union',
+  INTERSECT: 'intersect',
+  EXCLUDE: 'exclude'
+};
+
+
+/**
+ Clip rules.
+ More at: <a href='http://www.w3.org/TR/SVG/masking.html#ClipRuleProperty'>ClipRuleProperty</a>
+ @enum {string}
+ */
+acgraph.vector.ClipRule = {
+  NONZERO: 'nonzero',
+  EVENODD: 'evenodd'
+};
+
+
+/**
+ Mask types.
+ More at: <a href='http://www.w3.org/TR/css-masking-1/#the-mask-type'>The mask-type property</a>
+ @enum {string}
+ */
+acgraph.vector.MaskType = {
+  /**
+   * Element is as opaque as the mask content is light.
+   */
+  LUMINANCE: 'luminance',
+  /**
+   * Element is as opaque as the mask content is.
+   */
+  ALPHA: 'alpha'
+};
+
+
+/**
+ Filter effect types.
+ @enum {string}
+ */
+acgraph.vector.FilterType = {
+  /**
+   * Shadow of the element, offset and blurred.
+   */
+  DROP_SHADOW: 'dropShadow',
+  /**
+   * Blur of the element.
+   */
+  BLUR: 'blur',
+  /**
+   * Blurred halo around the element, drop shadow without offset.
+   */
+  GLOW: 'glow'
+};
+
+
+/**
+ Filter effect. Effects of the filter are applied one after another, so the drop shadow after the blur is the shadow
+ of the blurred element.
+ <ul>
+   <li>dropShadow: dx and dy are the shadow offset (2 by default), blur is the standard deviation of the shadow blur
+   (2 by default), color and opacity are the shadow color ('#000' by default) and opacity (0.5 by default).</li>
+   <li>blur: radius is the standard deviation of the blur (2 by default).</li>
+   <li>glow: blur is the standard deviation of the glow blur (3 by default), color and opacity are the glow color
+   ('#000' by default) and opacity (1 by default).</li>
+ </ul>
+ @typedef {{
+    type: acgraph.vector.FilterType,
+    dx: (number|undefined),
+    dy: (number|undefined),
+    blur: (number|undefined),
+    radius: (number|undefined),
+    color: (string|undefined),
+    opacity: (number|undefined)
+ }}
+ */
+acgraph.vector.FilterEffect;
+
+
+/**
+ Boolean operations on paths.
+ @enum {string}
+ */
+acgraph.vector.PathOperation = {
+  /**
+   * Area of both paths.
+   */
+  UNION: 'union',
+  /**
+   * Area common to both paths.
+   */
+  INTERSECTION: 'intersection',
+  /**
+   * Area of the first path that is out of the second one.
+   */
+  DIFFERENCE: 'difference',
+  /**
+   * Area of exactly one of the paths.
+   */
+  XOR: 'xor'
+};
+
+
+/**
+ Options of boolean operations on paths.
+ <ul>
+   <li>fillRule: 'nonzero' or 'evenodd', the rule defining the area of both paths. By default the area of each path
+   is defined by its 'fill-rule' attribute, 'nonzero' if it isn't set.</li>
+   <li>tolerance: the maximum distance between curves and line segments they are flattened to, 0.25 by default.</li>
+ </ul>
+ @typedef {{
+    fillRule: (acgraph.vector.ClipRule|string|undefined),
+    tolerance: (number|undefined)
+ }}
+ */
+acgraph.vector.PathOperationOptions;
+
+
+/**
+ Point of a path.
+ <ul>
+   <li>x, y: point coordinates in the path coordinates.</li>
+   <li>length: length along the path from its start to the point.</li>
+   <li>distance: distance from the point the path point was searched for.</li>
+ </ul>
+ @typedef {{
+    x: number,
+    y: number,
+    length: number,
+    distance: number
+ }}
+ */
+acgraph.vector.PathPoint;
+
+
+/**
+ Built-in path marker types (see {@link acgraph.vector.Path#markerStart}).
+ @enum {string}
+ */
+acgraph.vector.MarkerType = {
+  /**
+   * Triangle with its tip at the vertex, pointing along the path. At the path start it points backwards.
+   */
+  ARROW: 'arrow',
+  /**
+   * Circle centered at the vertex.
+   */
+  CIRCLE: 'circle',
+  /**
+   * Square centered at the vertex, its sides go along and across the path.
+   */
+  SQUARE: 'square',
+  /**
+   * Square centered at the vertex, its diagonals go along and across the path.
+   */
+  DIAMOND: 'diamond'
+};
+
+
+/**
+ Path marker.
+ <ul>
+   <li>type: built-in marker type, null for the custom marker.</li>
+   <li>shape: custom marker shape, null for the built-in marker. It is drawn with its own geometry, fill and stroke in
+   the coordinates where the vertex is the origin and the X axis goes along the path.</li>
+   <li>size: built-in marker size, the diameter of the circle it fits in.</li>
+ </ul>
+ @typedef {{
+    type: ?acgraph.vector.MarkerType,
+    shape: acgraph.vector.Shape,
+    size: number
+ }}
+ */
+acgraph.vector.PathMarker;
+
+
 /**
  * Image fill modes.
  * @enum {string}
@@ -539,6 +727,7 @@ acgraph.vector.parseTransformationString = function(value) {
 
     var r = /^(matrix|translate|rotate|scale|skewX|skewY)\(([e\d.,-]+)\)/i;
     var result = r.exec(transform);
+    if (!result) continue;
     var type = result[1];
     var params = /** @type {Array.<number>} */(result[2].split(','));
     for (i = 0, len = params.length; i < len; i++) {
@@ -557,7 +746,7 @@ acgraph.vector.parseTransformationString = function(value) {
         tx.rotate(goog.math.toRadians(params[0]), params[1] || 0, params[2] || 0);
         break;
       case 'scale':
-        tx.scale(params[0], params[1] || 0);
+        tx.scale(params[0], goog.isDef(params[1]) ? params[1] : params[0]);
         break;
       case 'skewX':
         tx.shear(Math.tan(goog.math.toRadians(params[0])), 0);
@@ -911,6 +1100,76 @@ acgraph.vector.normalizeHatchFill = function(opt_patternFillOrType, opt_color, o
 };
 
 
+/**
+ * Normalizes filter effects: drops effects of unknown types and sets defaults to the missing params.
+ * @param {(acgraph.vector.FilterEffect|Array.<acgraph.vector.FilterEffect>|string|null)=} opt_value Effect or effects.
+ *    'none' and null mean no filter.
+ * @return {Array.<acgraph.vector.FilterEffect>} Effects or null, if there are no effects.
+ */
+acgraph.vector.normalizeFilter = function(opt_value) {
+  if (!goog.isObject(opt_value)) return null;
+  var effects = goog.isArray(opt_value) ? opt_value : [opt_value];
+  var number = function(value, defaultValue) {
+    value = parseFloat(value);
+    return isNaN(value) ? defaultValue : value;
+  };
+  var result = [];
+  goog.array.forEach(effects, function(effect) {
+    if (!goog.isObject(effect)) return;
+    switch (effect['type']) {
+      case acgraph.vector.FilterType.DROP_SHADOW:
+        result.push({
+          'type': acgraph.vector.FilterType.DROP_SHADOW,
+          'dx': number(effect['dx'], 2),
+          'dy': number(effect['dy'], 2),
+          'blur': Math.max(number(effect['blur'], 2), 0),
+          'color': effect['color'] || '#000',
+          'opacity': goog.math.clamp(number(effect['opacity'], 0.5), 0, 1)
+        });
+        break;
+      case acgraph.vector.FilterType.BLUR:
+        result.push({
+          'type': acgraph.vector.FilterType.BLUR,
+          'radius': Math.max(number(effect['radius'], 2), 0)
+        });
+        break;
+      case acgraph.vector.FilterType.GLOW:
+        result.push({
+          'type': acgraph.vector.FilterType.GLOW,
+          'blur': Math.max(number(effect['blur'], 3), 0),
+          'color': effect['color'] || '#000',
+          'opacity': goog.math.clamp(number(effect['opacity'], 1), 0, 1)
+        });
+        break;
+    }
+  });
+  return result.length ? /** @type {Array.<acgraph.vector.FilterEffect>} */ (result) : null;
+};
+
+
+/**
+ * Normalizes path marker.
+ * @param {(acgraph.vector.MarkerType|string|acgraph.vector.Shape|null)=} opt_typeOrShape Built-in marker type or
+ *    custom marker shape (path, rect, circle or ellipse). 'none' and null mean no marker.
+ * @param {number=} opt_size Built-in marker size, 10 by default.
+ * @return {acgraph.vector.PathMarker} Marker or null, if there is no marker.
+ */
+acgraph.vector.normalizeMarker = function(opt_typeOrShape, opt_size) {
+  var size = parseFloat(opt_size);
+  size = isNaN(size) ? 10 : Math.max(size, 0);
+  if (opt_typeOrShape instanceof acgraph.vector.Shape)
+    return {'type': null, 'shape': opt_typeOrShape, 'size': size};
+  switch (opt_typeOrShape) {
+    case acgraph.vector.MarkerType.ARROW:
+    case acgraph.vector.MarkerType.CIRCLE:
+    case acgraph.vector.MarkerType.SQUARE:
+    case acgraph.vector.MarkerType.DIAMOND:
+      return {'type': opt_typeOrShape, 'shape': null, 'size': size};
+  }
+  return null;
+};
+
+
 /**
  * Normalize paper size, consider following cases:
  *    normalizePageSize('a2');
@@ -1079,6 +1338,26 @@ goog.exportSymbol('acgraph.vector.StrokeLineJoin.BEVEL', acgraph.vector.StrokeLi
 goog.exportSymbol('acgraph.vector.StrokeLineCap.BUTT', acgraph.vector.StrokeLineCap.BUTT);
 goog.exportSymbol('acgraph.vector.StrokeLineCap.ROUND', acgraph.vector.StrokeLineCap.ROUND);
 goog.exportSymbol('acgraph.vector.StrokeLineCap.SQUARE', acgraph.vector.StrokeLineCap.SQUARE);
+goog.exportSymbol('acgraph.vector.ClipMode.UNION', acgraph.vector.ClipMode.UNION);
+goog.exportSymbol('acgraph.vector.ClipMode.INTERSECT', acgraph.vector.ClipMode.INTERSECT);
+goog.exportSymbol('acgraph.vector.ClipMode.EXCLUDE', acgraph.vector.ClipMode.EXCLUDE);
+goog.exportSymbol('acgraph.vector.ClipRule.NONZERO', acgraph.vector.ClipRule.NONZERO);
+goog.exportSymbol('acgraph.vector.ClipRule.EVENODD', acgraph.vector.ClipRule.EVENODD);
+goog.exportSymbol('acgraph.vector.MaskType.LUMINANCE', acgraph.vector.MaskType.LUMINANCE);
+goog.exportSymbol('acgraph.vector.MaskType.ALPHA', acgraph.vector.MaskType.ALPHA);
+goog.exportSymbol('acgraph.vector.FilterType.DROP_SHADOW', acgraph.vector.FilterType.DROP_SHADOW);
+goog.exportSymbol('acgraph.vector.FilterType.BLUR', acgraph.vector.FilterType.BLUR);
+goog.exportSymbol('acgraph.vector.FilterType.GLOW', acgraph.vector.FilterType.GLOW);
+goog.exportSymbol('acgraph.vector.PathOperation.UNION', acgraph.vector.PathOperation.UNION);
+goog.exportSymbol('acgraph.vector.PathOperation.INTERSECTION', acgraph.vector.PathOperation.INTERSECTION);
+goog.exportSymbol('acgraph.vector.PathOperation.DIFFERENCE', acgraph.vector.PathOperation.DIFFERENCE);
+goog.exportSymbol('acgraph.vector.PathOperation.XOR', acgraph.vector.PathOperation.XOR);
+goog.exportSymbol('acgraph.vector.MarkerType.ARROW', acgraph.vector.MarkerType.ARROW);
+goog.exportSymbol('acgraph.vector.MarkerType.CIRCLE', acgraph.vector.MarkerType.CIRCLE);
+goog.exportSymbol('acgraph.vector.MarkerType.SQUARE', acgraph.vector.MarkerType.SQUARE);
+goog.exportSymbol('acgraph.vector.MarkerType.DIAMOND', acgraph.vector.MarkerType.DIAMOND);
 goog.exportSymbol('acgraph.vector.normalizeFill', acgraph.vector.normalizeFill);
 goog.exportSymbol('acgraph.vector.normalizeStroke', acgraph.vector.normalizeStroke);
 goog.exportSymbol('acgraph.vector.normalizeHatchFill', acgraph.vector.normalizeHatchFill);
+goog.exportSymbol('acgraph.vector.normalizeFilter', acgraph.vector.normalizeFilter);
+goog.exportSymbol('acgraph.vector.normalizeMarker', acgraph.vector.normalizeMarker);
@@ -3,12 +3,14 @@ goog.require('acgraph.math.Coordinate');
 goog.require('acgraph.math.Rect');
 goog.require('acgraph.utils.IdGenerator');
 goog.require('acgraph.vector.LinearGradient');
+goog.require('acgraph.vector.Marker');
 goog.require('acgraph.vector.Renderer');
 goog.require('acgraph.vector.vml.RadialGradient');
 goog.require('goog.array');
 goog.require('goog.color');
 goog.require('goog.cssom');
 goog.require('goog.dom');
+goog.require('goog.math');
 goog.require('goog.object');
 
 
@@ -138,7 +140,7 @@ acgraph.vector.vml.Renderer.VML_IMPORT_ = '#default#VML';
  * IE8 mode indicator. IE8 treats VML differently, so we need to know if we are there.
  * @type {boolean}
  */
-acgraph.vector.vml.Renderer.IE8_MODE = document.documentMode && document.documentMode >= 8;
+acgraph.vector.vml.Renderer.IE8_MODE = !!goog.global['document'] && goog.global['document']['documentMode'] >= 8;
 
 
 /**
@@ -634,6 +636,18 @@ acgraph.vector.vml.Renderer.prototype.getVmlPath_ = function(path, opt_transform
         break;
     }
   }, this);
+
+  if (path instanceof acgraph.vector.Path) {
+    // VML has no markers, so their geometry is added to the path geometry.
+    var markers = acgraph.path();
+    goog.object.forEach(acgraph.vector.Marker.Position, function(position) {
+      acgraph.vector.Marker.drawMarkers(/** @type {!acgraph.vector.Path} */ (path), position, markers,
+          opt_transformed ? path.getFullTransformation() : null);
+    });
+    if (!markers.isEmpty())
+      list.push(this.getVmlPath_(markers));
+    goog.dispose(markers);
+  }
   return list.join(' ');
 };
 
@@ -1401,10 +1415,15 @@ acgraph.vector.vml.Renderer.prototype.setTextPosition = function(element) {
 
   var x, y;
   if (element.isComplex()) {
-    y = element.calcY;
-    if (element.getSegments().length)
-      y -= element.getSegments()[0].baseLine;
-    x = element.calcX;
+    if (element.path()) {
+      // Segments of the text on a path are positioned by the path in the text coordinates.
+      x = y = 0;
+    } else {
+      y = element.calcY;
+      if (element.getSegments().length)
+        y -= element.getSegments()[0].baseLine;
+      x = element.calcX;
+    }
     this.setAttributes_(domElementStyle, {
       'position': 'absolute',
       'overflow': 'visible',
@@ -1496,6 +1515,11 @@ acgraph.vector.vml.Renderer.prototype.setTextProperties = function(element) {
 /** @inheritDoc */
 acgraph.vector.vml.Renderer.prototype.setTextSegmentPosition = function(element) {
   var domElement = element.domElement();
+  var textPath = element.parent().path();
+  if (textPath) {
+    domElement.setAttribute('path', this.getTextPathData_(textPath, element));
+    return;
+  }
   var path =
       'm ' +
           this.toSizeCoord_(element.x) + ',' +
@@ -1507,6 +1531,33 @@ acgraph.vector.vml.Renderer.prototype.setTextSegmentPosition = function(element)
 };
 
 
+/**
+ * Returns VML path data for the segment of the text on a path: the part of the path from the segment start,
+ * sampled to a polyline and shifted along the normal, because VML centers the text on its path vertically.
+ * @param {!acgraph.vector.Path} path Text path.
+ * @param {!acgraph.vector.TextSegment} segment Text segment.
+ * @return {string} Path data.
+ * @private
+ */
+acgraph.vector.vml.Renderer.prototype.getTextPathData_ = function(path, segment) {
+  var length = path.getTotalLength();
+  var offset = segment.y + segment.height / 2 - segment.baseLine;
+  var count = goog.math.clamp(Math.ceil((length - segment.x) / 4), 1, 256);
+  var list = [];
+  for (var i = 0; i <= count; i++) {
+    var distance = segment.x + (length - segment.x) * i / count;
+    var point = path.getPointAtLength(distance);
+    if (!point) break;
+    var angle = goog.math.toRadians(/** @type {number} */ (path.getTangentAtLength(distance)));
+    list.push(i ? 'l' : 'm',
+        this.toSizeCoord_(point.x - Math.sin(angle) * offset) + ',' +
+        this.toSizeCoord_(point.y + Math.cos(angle) * offset));
+  }
+  list.push('e');
+  return list.join(' ');
+};
+
+
 /** @inheritDoc */
 acgraph.vector.vml.Renderer.prototype.setTextSegmentProperties = function(element) {
   var textEntry = element.parent();
@@ -1526,7 +1577,10 @@ acgraph.vector.vml.Renderer.prototype.setTextSegmentProperties = function(elemen
   if (style['fontWeight']) goog.style.setStyle(textNode, 'font-weight', style['fontWeight']);
   if (style['letterSpacing']) textNode.style['v-text-spacing'] = style['letterSpacing'];
   if (style['decoration']) goog.style.setStyle(textNode, 'text-decoration', style['decoration']);
-  if (style['hAlign']) {
+  if (textEntry.path()) {
+    // Segments of the text on a path are aligned by the path data.
+    textNode.style['v-text-align'] = acgraph.vector.Text.HAlign.LEFT;
+  } else if (style['hAlign']) {
     if (textEntry.rtl)
       textNode.style['v-text-align'] =
           (style['hAlign'] == acgraph.vector.Text.HAlign.END || style['hAlign'] == acgraph.vector.Text.HAlign.LEFT) ?
@@ -1561,6 +1615,12 @@ acgraph.vector.vml.Renderer.prototype.setTextSegmentProperties = function(elemen
 };
 
 
+/**
+ * Text path is a part of the segments path data in VML, so it is set with the segments position.
+ */
+acgraph.vector.vml.Renderer.prototype.setTextPath = goog.nullFunction;
+
+
 /**
  * Resets the text so it displays properly on IE8. Noop in older
  * versions.
@@ -2024,6 +2084,15 @@ acgraph.vector.vml.Renderer.prototype.setPathTransformation = function(path) {
 acgraph.vector.vml.Renderer.prototype.setLayerTransformation = goog.nullFunction;
 
 
+/**
+ * Markers geometry is a part of the path data in VML, so the path data is updated.
+ * @param {!acgraph.vector.Path} path Path.
+ */
+acgraph.vector.vml.Renderer.prototype.setPathMarkers = function(path) {
+  this.setPathTransformation(path);
+};
+
+
 /** @inheritDoc */
 acgraph.vector.vml.Renderer.prototype.setTextTransformation = function(element) {
   /** @type {goog.graphics.AffineTransform} */
@@ -2238,16 +2307,127 @@ acgraph.vector.vml.Renderer.prototype.setClip = function(element) {
   var isLayer = element instanceof acgraph.vector.Layer;
   /** @type {acgraph.vector.vml.Clip} */
   var clipElement = /** @type {acgraph.vector.vml.Clip} */(element.clip());
-  if (clipElement) {
-    var shape = /** @type {acgraph.vector.Shape} */(clipElement.shape());
-    var clipShape = shape.getBoundsWithTransform(shape.getSelfTransformation());
-    this.addClip_(element, /** @type {!acgraph.math.Rect} */ (clipShape), isLayer);
-  } else
+  var clipRect = clipElement ? this.getClipRect_(clipElement) : null;
+  if (clipRect)
+    this.addClip_(element, clipRect, isLayer);
+  else
     this.removeClip_(element);
 };
 
 
+/**
+ * Returns the rectangle approximating the clip area. VML can clip by rectangles only, so united shapes give their
+ * bounding rectangle, intersected shapes cut it to the intersection with their bounds and excluded shapes are
+ * ignored. Clip without united shapes starts from the whole plane, so it is cut by the intersected shapes only.
+ * @param {!acgraph.vector.Clip} clip Clip.
+ * @return {acgraph.math.Rect} Clip rectangle or null if the clip has no united or intersected shapes, so it clips
+ *    nothing.
+ * @private
+ */
+acgraph.vector.vml.Renderer.prototype.getClipRect_ = function(clip) {
+  var union = null;
+  var intersection = null;
+  goog.array.forEach(clip.getShapes(), function(shape) {
+    var bounds = shape.getBoundsWithTransform(shape.getSelfTransformation());
+    switch (clip.shapeMode(shape)) {
+      case acgraph.vector.ClipMode.UNION:
+        if (union)
+          union.boundingRect(bounds);
+        else
+          union = bounds.clone();
+        break;
+      case acgraph.vector.ClipMode.INTERSECT:
+        if (!intersection)
+          intersection = bounds.clone();
+        else if (!intersection.intersection(bounds))
+          intersection.width = intersection.height = 0;
+        break;
+    }
+  });
+  if (union && intersection && !union.intersection(intersection))
+    union.width = union.height = 0;
+  return union || intersection;
+};
+
+
 /** @inheritDoc */
 acgraph.vector.vml.Renderer.prototype.needsReClipOnBoundsChange = function() {
   return true;
 };
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Mask
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * VML has no soft masks. Masks are ignored and masked elements are rendered unmasked.
+ * @param {!acgraph.vector.Element} element Element.
+ */
+acgraph.vector.vml.Renderer.prototype.setMask = goog.nullFunction;
+
+
+/**
+ * Masks are ignored in VML, so there is nothing to update.
+ * @param {!acgraph.vector.Mask} mask Mask.
+ */
+acgraph.vector.vml.Renderer.prototype.updateMask = goog.nullFunction;
+
+
+/**
+ * Masks are ignored in VML, so there is nothing to remove.
+ * @param {!acgraph.vector.Mask} mask Mask.
+ */
+acgraph.vector.vml.Renderer.prototype.removeMask = goog.nullFunction;
+
+
+/**
+ * Removes mask from masked elements. Called in acgraph.vector.Mask#dispose method.
+ * @param {acgraph.vector.Mask} mask Disposing mask.
+ */
+acgraph.vector.vml.Renderer.prototype.disposeMask = function(mask) {
+  goog.array.forEach(goog.array.clone(mask.getElements()), function(element) {
+    element.mask(null);
+  });
+};
+
+
+//----------------------------------------------------------------------------------------------------------------------
+//
+//  Filter
+//
+//----------------------------------------------------------------------------------------------------------------------
+/**
+ * VML has no filters, so the first drop shadow of a shape is rendered as VML shadow without blur and the rest
+ * of the effects are ignored. Layers and texts are rendered unfiltered.
+ * @param {!acgraph.vector.Element} element Element.
+ */
+acgraph.vector.vml.Renderer.prototype.setFilter = function(element) {
+  if (!(element instanceof acgraph.vector.Shape)) return;
+  var effects = /** @type {Array.<acgraph.vector.FilterEffect>} */ (element.filter()) || [];
+  var effect = goog.array.find(effects, function(effect) {
+    return effect['type'] == acgraph.vector.FilterType.DROP_SHADOW;
+  });
+
+  /** @type {Element} */
+  var shadow = element.shadow;
+  if (!effect) {
+    if (shadow) {
+      this.removeNode(shadow);
+      element.shadow = null;
+    }
+    return;
+  }
+  if (!shadow)
+    shadow = element.shadow = this.createVMLElement_('shadow');
+  // Shadow node is attached again, if the element DOM was recreated.
+  if (shadow.parentNode != element.domElement())
+    this.appendChild(element.domElement(), shadow);
+  this.setAttributes_(shadow, {
+    'on': 'true',
+    'color': effect['color'],
+    'opacity': effect['opacity'],
+    'offset': this.toCssSize_(effect['dx']) + ',' + this.toCssSize_(effect['dy'])
+  });
+};
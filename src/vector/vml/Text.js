@@ -64,6 +64,13 @@ acgraph.vector.vml.Text.prototype.textOverflow = function(opt_value) {
 };
 
 
+/** @inheritDoc */
+acgraph.vector.vml.Text.prototype.path = function(opt_path, opt_startOffset) {
+  if (opt_path) this.isComplex_ = true;
+  return goog.base(this, 'path', opt_path, opt_startOffset);
+};
+
+
 /** @inheritDoc */
 acgraph.vector.vml.Text.prototype.opacity = function(opt_value) {
   if (goog.isDefAndNotNull(opt_value)) {
@@ -135,7 +142,7 @@ acgraph.vector.vml.Text.prototype.isSimpleTransformation_ = function() {
  * @return {boolean} Indicates whether the text is simple or not.
  */
 acgraph.vector.vml.Text.prototype.isComplex = function() {
-  return !this.isSimpleTransformation_() || !!this.textOverflow();
+  return !this.isSimpleTransformation_() || !!this.textOverflow() || !!this.path();
 };
 
 